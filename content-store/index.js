@@ -0,0 +1,138 @@
+// Local stand-in for an IPFS node, for development and tests.
+//
+// Serves the part of the IPFS RPC and gateway APIs the frontend uses, backed by a directory of
+// blocks, so the frontend talks to it exactly as it would to a Kubo node:
+//   POST /api/v0/block/put   store the block in the multipart body, answers {Key, Size}
+//   POST /api/v0/block/get   read the block named by ?arg=<cid>
+//   GET  /ipfs/<cid>         read a block, like a gateway
+//
+// Run it with `npm run content-store`; blocks go to CONTENT_STORE_DIR, by default a directory in the
+// system temp directory.
+require("dotenv").config();
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { MAX_BLOCK_SIZE, ContentStoreError, createFilesystemStore } = require("./stores");
+
+const PORT = Number(process.env.CONTENT_STORE_PORT || 5050);
+const DIRECTORY = path.resolve(process.env.CONTENT_STORE_DIR || path.join(os.tmpdir(), "task-manager-content-store"));
+const CORS_ORIGIN = process.env.CONTENT_STORE_CORS_ORIGIN || "*";
+
+// Room for the multipart headers around a block of the maximum size
+const MAX_BODY_SIZE = MAX_BLOCK_SIZE + 16 * 1024;
+
+// Error returned to the client with an HTTP status code
+class StoreHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Read a request body as bytes, rejecting bodies over MAX_BODY_SIZE
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new StoreHttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Extract the content of the first part of a multipart/form-data body
+function readMultipartFile(contentType, body) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+  if (!boundary) {
+    throw new StoreHttpError(400, "Expected a multipart/form-data body");
+  }
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const start = body.indexOf(delimiter);
+  const headersEnd = body.indexOf("\r\n\r\n", start);
+  const end = body.indexOf(Buffer.concat([Buffer.from("\r\n"), delimiter]), headersEnd);
+  if (start === -1 || headersEnd === -1 || end === -1) {
+    throw new StoreHttpError(400, "Malformed multipart body");
+  }
+  return body.subarray(headersEnd + 4, end);
+}
+
+/**
+ * Create the content store HTTP server
+ * @param {Object} options
+ * @param {import("./stores").ContentStore} options.store - Store that keeps the blocks
+ * @returns {http.Server} Server exposing the IPFS block API subset described above
+ */
+function createContentServer({ store }) {
+  const headers = {
+    "Access-Control-Allow-Origin": CORS_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  };
+
+  const sendBlock = async (res, cid) => {
+    const bytes = await store.get(cid);
+    if (!bytes) {
+      throw new StoreHttpError(404, `Block ${cid} not found`);
+    }
+    res.writeHead(200, {
+      ...headers,
+      "Content-Type": "application/octet-stream",
+      "Cache-Control": "public, max-age=31536000, immutable",
+    });
+    res.end(bytes);
+  };
+
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { ...headers, "Content-Type": "application/json" });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method === "OPTIONS") {
+        send(204);
+      } else if (req.method === "GET" && url.pathname === "/health") {
+        send(200, { status: "ok" });
+      } else if (req.method === "POST" && url.pathname === "/api/v0/block/put") {
+        const bytes = readMultipartFile(req.headers["content-type"], await readBody(req));
+        send(200, { Key: await store.put(bytes), Size: bytes.length });
+      } else if (req.method === "POST" && url.pathname === "/api/v0/block/get") {
+        await sendBlock(res, url.searchParams.get("arg"));
+      } else if (req.method === "GET" && url.pathname.startsWith("/ipfs/")) {
+        await sendBlock(res, url.pathname.slice("/ipfs/".length));
+      } else {
+        send(404, { Message: "Not found", Type: "error" });
+      }
+    } catch (error) {
+      const status = error.status || (error instanceof ContentStoreError ? 400 : 500);
+      if (status === 500) {
+        console.error("Error handling content store request:", error);
+      }
+      send(status, { Message: status === 500 ? "Internal error" : error.message, Type: "error" });
+    }
+  });
+}
+
+function main() {
+  const server = createContentServer({ store: createFilesystemStore(DIRECTORY) });
+  server.listen(PORT, () => {
+    console.log(`Content store listening on http://localhost:${PORT}`);
+    console.log(`Blocks are kept in ${DIRECTORY}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createContentServer };
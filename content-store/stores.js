@@ -0,0 +1,197 @@
+// Content-addressed block stores for task descriptions and attachments kept off-chain.
+//
+// Blocks are addressed by the SHA-256 of their bytes, written as an IPFS CIDv1 with the raw codec,
+// so the same address works with an IPFS node, any IPFS gateway and the filesystem stand-in. A
+// task only stores the CID of its content manifest on-chain; whoever reads a block checks it
+// against its CID, so a store can lose content but can't alter it.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// IPFS nodes refuse blocks above 1 MiB; larger content is split before it reaches a store
+const MAX_BLOCK_SIZE = 1024 * 1024;
+
+// CIDv1 prefix: version 1, raw codec, sha2-256 multihash of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// Error for content that can't be stored or doesn't match its address
+class ContentStoreError extends Error {}
+
+// RFC 4648 base32, lower case and without padding, as used by the "b" multibase prefix
+function toBase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function fromBase32(text) {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new ContentStoreError(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+}
+
+/**
+ * Get the CID of a block
+ * @param {Uint8Array} bytes - Block content
+ * @returns {string} CIDv1 (raw codec, sha2-256) in base32
+ */
+function getCid(bytes) {
+  const digest = crypto.createHash("sha256").update(bytes).digest();
+  return "b" + toBase32(Buffer.concat([CID_PREFIX, digest]));
+}
+
+/**
+ * Check that a string is a CID this store can hold, i.e. one made by getCid
+ * @param {string} cid - CID to check
+ * @returns {boolean} True for CIDv1 raw sha2-256 CIDs in base32
+ */
+function isCid(cid) {
+  if (typeof cid !== "string" || !cid.startsWith("b")) return false;
+  try {
+    const bytes = fromBase32(cid.slice(1));
+    return bytes.length === CID_PREFIX.length + 32 && bytes.subarray(0, CID_PREFIX.length).equals(CID_PREFIX);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Refuse blocks a store should not accept
+function checkBlock(bytes) {
+  if (bytes.length > MAX_BLOCK_SIZE) {
+    throw new ContentStoreError(`Blocks may be at most ${MAX_BLOCK_SIZE} bytes`);
+  }
+}
+
+// Refuse content that doesn't hash to the CID it was fetched by
+function verifyBlock(cid, bytes) {
+  if (getCid(bytes) !== cid) {
+    throw new ContentStoreError(`Content of ${cid} does not match its hash`);
+  }
+  return bytes;
+}
+
+/**
+ * A content-addressed block store
+ * @typedef {Object} ContentStore
+ * @property {(bytes: Uint8Array) => Promise<string>} put - Store a block and return its CID
+ * @property {(cid: string) => Promise<Buffer|null>} get - Read a block, verified against its CID, or null if the store doesn't have it
+ */
+
+/**
+ * Create a store that keeps blocks as files named by their CID, for development and tests
+ * @param {string} directory - Directory to keep the blocks in; created if missing
+ * @returns {ContentStore} The store
+ */
+function createFilesystemStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  return {
+    async put(bytes) {
+      checkBlock(bytes);
+      const cid = getCid(bytes);
+      const file = path.join(directory, cid);
+      if (!fs.existsSync(file)) {
+        // Write to a temporary file first so readers never see a partly written block
+        const temporary = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, bytes);
+        await fs.promises.rename(temporary, file);
+      }
+      return cid;
+    },
+
+    async get(cid) {
+      if (!isCid(cid)) {
+        throw new ContentStoreError(`Invalid CID ${cid}`);
+      }
+      try {
+        return verifyBlock(cid, await fs.promises.readFile(path.join(directory, cid)));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Create a store backed by the block API of an IPFS node (Kubo's RPC API, or the stand-in server
+ * in content-store/index.js). Blocks are pinned so the node's garbage collection keeps them.
+ * @param {Object} options
+ * @param {string} options.apiUrl - Base URL of the RPC API, e.g. http://127.0.0.1:5001
+ * @returns {ContentStore} The store
+ */
+function createIpfsStore({ apiUrl }) {
+  const call = async (command, params, body) => {
+    const url = `${apiUrl.replace(/\/$/, "")}/api/v0/${command}?${new URLSearchParams(params)}`;
+    const response = await fetch(url, { method: "POST", body });
+    if (!response.ok) {
+      const message = await response.text();
+      const error = new ContentStoreError(`IPFS ${command} failed with status ${response.status}: ${message}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    async put(bytes) {
+      checkBlock(bytes);
+      const form = new FormData();
+      form.append("file", new Blob([bytes]));
+      const response = await call("block/put", { "cid-codec": "raw", mhtype: "sha2-256", pin: "true" }, form);
+      const { Key } = await response.json();
+      if (Key !== getCid(bytes)) {
+        throw new ContentStoreError(`IPFS stored the block as ${Key} instead of ${getCid(bytes)}`);
+      }
+      return Key;
+    },
+
+    async get(cid) {
+      if (!isCid(cid)) {
+        throw new ContentStoreError(`Invalid CID ${cid}`);
+      }
+      try {
+        const response = await call("block/get", { arg: cid });
+        return verifyBlock(cid, Buffer.from(await response.arrayBuffer()));
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  MAX_BLOCK_SIZE,
+  ContentStoreError,
+  getCid,
+  isCid,
+  createFilesystemStore,
+  createIpfsStore,
+};
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title TaskForwarder
+ * @dev Relays EIP-712 signed task requests to TaskManager so users can add, edit, complete
+ * and delete tasks without paying gas. The signer is appended to the calldata as described
+ * in ERC-2771, and TaskManager trusts this forwarder to report it.
+ * Each request carries the signer's next nonce and a deadline, so it can be executed once
+ * and only until it expires.
+ */
+contract TaskForwarder is EIP712 {
+    using ECDSA for bytes32;
+    
+    // A call signed by `from` to be executed on `to`
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline; // Unix timestamp after which the request can no longer be executed
+        bytes data;
+    }
+    
+    bytes32 private constant _TYPEHASH =
+        keccak256("ForwardRequest(address from,address to,uint256 gas,uint256 nonce,uint256 deadline,bytes data)");
+    
+    // Next nonce of each signer
+    mapping(address => uint256) private _nonces;
+    
+    // Events
+    event RequestExecuted(address from, uint256 nonce);
+    
+    /**
+     * @dev Constructor to set up the EIP-712 domain
+     */
+    constructor() EIP712("TaskForwarder", "1") {}
+    
+    /**
+     * @dev Get the nonce the next request of a signer must use
+     * @param from The signer
+     * @return uint256 The next nonce
+     */
+    function getNonce(address from) external view returns (uint256) {
+        return _nonces[from];
+    }
+    
+    /**
+     * @dev Check whether a function may be called through the forwarder.
+     * Only adding, editing, completing and deleting tasks can be relayed, including adding and
+     * editing recurring tasks.
+     * @param data The calldata of the request
+     * @return bool True if the request calls one of the relayable functions
+     */
+    function isRelayable(bytes calldata data) public pure returns (bool) {
+        if (data.length < 4) {
+            return false;
+        }
+        
+        bytes4 selector = bytes4(data[:4]);
+        return selector == bytes4(keccak256("addTask(string,string,uint8,uint256)")) ||
+            selector == bytes4(keccak256("addTask(string,string,uint8,uint256,uint256,(uint8,uint8,uint16,uint8,uint256))")) ||
+            selector == bytes4(keccak256("addTask(string,string)")) ||
+            selector == bytes4(keccak256("editTask(uint256,string,string,uint8,uint256)")) ||
+            selector == bytes4(keccak256("editTask(uint256,string,string,uint8,uint256,(uint8,uint8,uint16,uint8,uint256))")) ||
+            selector == bytes4(keccak256("editTask(uint256,string,string)")) ||
+            selector == bytes4(keccak256("setTaskCompletion(uint256,bool)")) ||
+            selector == bytes4(keccak256("completeTask(uint256)")) ||
+            selector == bytes4(keccak256("uncompleteTask(uint256)")) ||
+            selector == bytes4(keccak256("deleteTask(uint256)"));
+    }
+    
+    /**
+     * @dev Check that a request is signed by its sender and uses the sender's next nonce
+     * @param req The request
+     * @param signature The EIP-712 signature of the request
+     * @return bool True if the request can be executed with this signature
+     */
+    function verify(ForwardRequest calldata req, bytes calldata signature) public view returns (bool) {
+        address signer = _hashTypedDataV4(
+            keccak256(abi.encode(_TYPEHASH, req.from, req.to, req.gas, req.nonce, req.deadline, keccak256(req.data)))
+        ).recover(signature);
+        return _nonces[req.from] == req.nonce && signer == req.from;
+    }
+    
+    /**
+     * @dev Execute a signed request. Anyone can submit it; the target sees the signer as the caller.
+     * If the target call reverts, the whole transaction reverts with the same reason and the
+     * nonce is not used up.
+     * @param req The request
+     * @param signature The EIP-712 signature of the request
+     * @return bytes The data returned by the target call
+     */
+    function execute(ForwardRequest calldata req, bytes calldata signature) external returns (bytes memory) {
+        require(block.timestamp <= req.deadline, "Request expired");
+        require(isRelayable(req.data), "Function cannot be relayed");
+        require(verify(req, signature), "Invalid signature or nonce");
+        
+        _nonces[req.from] = req.nonce + 1;
+        
+        (bool success, bytes memory returndata) = req.to.call{gas: req.gas}(abi.encodePacked(req.data, req.from));
+        
+        // Make sure the relayer forwarded the gas the signer asked for.
+        // See https://ronan.eth.limo/blog/ethereum-gas-dangers/
+        if (gasleft() <= req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        
+        if (!success) {
+            // Bubble up the revert reason of the target call
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+        
+        emit RequestExecuted(req.from, req.nonce);
+        
+        return returndata;
+    }
+}
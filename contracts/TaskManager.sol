@@ -1,70 +1,281 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./TaskTypes.sol";
+import "./libraries/IdList.sol";
+import "./libraries/TaskCore.sol";
+import "./libraries/TaskLabels.sol";
+import "./libraries/TaskProjects.sol";
+import "./libraries/TaskQueries.sol";
+import "./libraries/TaskRelations.sol";
+import "./libraries/TaskRoles.sol";
+import "./libraries/TaskSharing.sol";
+
+/**
+ * @title TaskManagerOwnerSlot
+ * @dev Storage of the Ownable base the first upgradeable version inherited. Admin rights now come
+ * from roles; the slot is kept so the state after it stays where existing proxies have it.
+ */
+abstract contract TaskManagerOwnerSlot {
+    // Owner under the first version, cleared by migrateOwnerToRoles
+    address internal _owner;
+}
 
 /**
  * @title TaskManager
- * @dev A blockchain-based task manager that allows users to create, edit, complete, and delete tasks
+ * @dev A blockchain-based task manager that allows users to create, edit, complete, and delete tasks.
+ * Deployed behind a TaskManagerProxy and set up with initialize. The storage layout is append-only:
+ * never reorder, retype or remove a state variable or a field of a library Store, since the stores
+ * sit back to back. New state goes at the end, and __gap shrinks by the number of slots it takes.
+ * Fields may be appended to Task and the other structs kept only in mappings.
  */
-contract TaskManager is Ownable {
-    // Counter for generating unique task IDs
-    uint256 private _taskIdCounter;
+contract TaskManager is ERC2771Context, TaskManagerOwnerSlot, Initializable {
+    // Tasks and the owner and assignee task lists
+    TaskCore.Store private _core;
+    
+    // Collaborators of each task and the permission granted to each of them
+    TaskSharing.Store private _sharing;
+    
+    // Shared projects, their members and the tasks they hold
+    TaskProjects.Store private _projects;
+    
+    // Per-user labels and the tasks they are attached to
+    TaskLabels.Store private _labels;
+    
+    // Subtasks and "blocked by" dependencies between tasks
+    TaskRelations.Store private _relations;
     
-    // Priority levels for tasks
-    enum Priority { Low, Medium, High }
+    // Accounts whose task list anyone may read through fetchTasksOf
+    mapping(address => bool) private _publicTasks;
     
-    // Task struct definition with enhanced features
-    struct Task {
-        uint256 id;
+    // Upper bounds for paginated queries so a single call stays within RPC gas and response limits
+    uint256 public constant MAX_PAGE_SIZE = TaskQueries.MAX_PAGE_SIZE;
+    uint256 public constant MAX_PAGE_SCAN = TaskQueries.MAX_PAGE_SCAN;
+    
+    // Upper bound for the number of tasks a single batch call may touch, to stay within the block gas limit
+    uint256 public constant MAX_BATCH_SIZE = 50;
+    
+    // Input for one task created by addTasks
+    struct NewTask {
         string title;
         string description;
-        bool completed;
-        address owner;
-        Priority priority;
-        uint256 dueDate; // Unix timestamp for due date (0 means no due date)
-        uint256 createdAt;
+        uint8 priority;
+        uint256 dueDate;
     }
     
-    // Mapping from taskId to Task
-    mapping(uint256 => Task) private _tasks;
-    
-    // Mapping from user address to their task IDs
-    mapping(address => uint256[]) private _userTasks;
-    
     // Admin settings
     bool private _paused;
     uint256 private _maxTasksPerUser;
     
+    // Accounts holding each admin role
+    TaskRoles.Store private _roles;
+    
+    // Admin roles; DEFAULT_ADMIN_ROLE grants and revokes all of them
+    bytes32 public constant DEFAULT_ADMIN_ROLE = TaskRoles.DEFAULT_ADMIN_ROLE;
+    bytes32 public constant PAUSER_ROLE = TaskRoles.PAUSER_ROLE;
+    bytes32 public constant MODERATOR_ROLE = TaskRoles.MODERATOR_ROLE;
+    bytes32 public constant CONFIG_ROLE = TaskRoles.CONFIG_ROLE;
+    
+    // Public keys other accounts encrypt task keys to, set by each account for itself
+    mapping(address => bytes32) private _encryptionKeys;
+    
+    // Slots reserved for state added by later versions (see the storage layout note above)
+    uint256[47] private __gap;
+    
     // Events
-    event TaskAdded(uint256 taskId, address owner, string title, Priority priority, uint256 dueDate);
-    event TaskUpdated(uint256 taskId, string newTitle, string newDescription, Priority priority, uint256 dueDate);
-    event TaskCompleted(uint256 taskId, bool completed);
-    event TaskDeleted(uint256 taskId);
+    event TaskVisibilityChanged(address indexed user, bool isPublic);
+    event EncryptionKeyChanged(address indexed account, bytes32 publicKey);
+    
+    // Task, sharing, project, label and relation events are emitted by the libraries and declared here so they are part of the ABI
+    event TaskAdded(uint256 indexed taskId, address indexed owner, uint256 indexed projectId, TaskCore.TaskContent content, uint256 timestamp);
+    event TaskUpdated(uint256 indexed taskId, address indexed actor, TaskCore.TaskContent previous, TaskCore.TaskContent current, uint256 timestamp);
+    event TaskDeleted(uint256 indexed taskId, address indexed owner, address indexed actor, uint256 timestamp);
+    event TaskStatusChanged(uint256 indexed taskId, address indexed actor, Status oldStatus, Status newStatus, uint256 timestamp);
+    event TaskCompleted(uint256 indexed taskId, bool completed);
+    event TaskAssigned(uint256 indexed taskId, address indexed actor, address previousAssignee, address indexed newAssignee, uint256 timestamp);
+    event TaskTransferred(uint256 indexed taskId, address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+    event TaskRecurrenceChanged(uint256 indexed taskId, address indexed actor, Recurrence previous, Recurrence current, uint256 timestamp);
+    event TaskRecurred(uint256 indexed taskId, uint256 indexed nextTaskId, uint256 dueDate);
+    event TaskRecurrenceSkipped(uint256 indexed taskId, uint256 dueDate);
+    event CollaboratorUpdated(
+        uint256 indexed taskId,
+        address indexed owner,
+        address indexed collaborator,
+        TaskSharing.Permission previousPermission,
+        TaskSharing.Permission permission,
+        uint256 timestamp
+    );
+    event ProjectCreated(uint256 indexed projectId, address indexed owner, string name);
+    event ProjectRenamed(uint256 indexed projectId, string newName);
+    event ProjectDeleted(uint256 indexed projectId);
+    event ProjectMemberUpdated(uint256 indexed projectId, address indexed member, TaskProjects.ProjectRole role);
+    event LabelCreated(uint256 indexed labelId, address indexed owner, string name, uint24 color);
+    event LabelUpdated(uint256 indexed labelId, string name, uint24 color);
+    event LabelDeleted(uint256 indexed labelId);
+    event TaskLabelAdded(uint256 indexed taskId, uint256 indexed labelId);
+    event TaskLabelRemoved(uint256 indexed taskId, uint256 indexed labelId);
+    event SubtaskAdded(uint256 indexed parentId, uint256 indexed taskId);
+    event SubtaskRemoved(uint256 indexed parentId, uint256 indexed taskId);
+    event TaskBlockerAdded(uint256 indexed taskId, uint256 indexed blockerId);
+    event TaskBlockerRemoved(uint256 indexed taskId, uint256 indexed blockerId);
     event ContractPaused(bool paused);
     event MaxTasksPerUserChanged(uint256 maxTasks);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
     
     /**
-     * @dev Constructor to initialize the contract with default values
+     * @dev Constructor of the implementation. The forwarder is immutable, so it is part of the code every
+     * proxy delegates to; initializers are disabled so the implementation itself can't be taken over.
+     * @param trustedForwarder The forwarder allowed to relay signed requests on behalf of users
      */
-    constructor() {
+    constructor(address trustedForwarder) ERC2771Context(trustedForwarder) {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize a new proxy's storage with the first admin and default values, once.
+     * Proxies set up by the first version are already initialized, even if their owner renounced
+     * ownership, and run migrateOwnerToRoles instead.
+     * @param admin The account given every role, which can then hand them out
+     */
+    function initialize(address admin) external initializer {
+        _grantAllRoles(admin);
         _paused = false;
         _maxTasksPerUser = 100; // Default max tasks per user
     }
     
+    /**
+     * @dev Migration for proxies set up by the first version, run by ProxyAdmin.upgradeAndCall:
+     * gives every role to the previous owner and clears the owner slot
+     */
+    function migrateOwnerToRoles() external reinitializer(2) {
+        address previousOwner = _owner;
+        require(previousOwner != address(0), "No owner to migrate");
+        
+        delete _owner;
+        _grantAllRoles(previousOwner);
+    }
+    
+    /**
+     * @dev Give an account every admin role
+     * @param account The account
+     */
+    function _grantAllRoles(address account) private {
+        TaskRoles.grant(_roles, DEFAULT_ADMIN_ROLE, account, _msgSender());
+        TaskRoles.grant(_roles, PAUSER_ROLE, account, _msgSender());
+        TaskRoles.grant(_roles, MODERATOR_ROLE, account, _msgSender());
+        TaskRoles.grant(_roles, CONFIG_ROLE, account, _msgSender());
+    }
+    
+    /**
+     * @dev Resolve the account a call is made for: the signer of a relayed request, or the direct caller
+     * @return address The account to act for
+     */
+    function _msgSender() internal view override returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    /**
+     * @dev Resolve the calldata of a call, without the signer appended by the forwarder
+     * @return bytes The calldata to act on
+     */
+    function _msgData() internal view override returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    /**
+     * @dev Length of the signer suffix the forwarder appends to relayed calldata
+     * @return uint256 The suffix length
+     */
+    function _contextSuffixLength() internal view override returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+    
     /**
      * @dev Modifier to check if the contract is not paused
      */
     modifier whenNotPaused() {
-        require(!_paused, "Contract is paused");
+        _requireNotPaused();
         _;
     }
     
     /**
-     * @dev Pause or unpause the contract (admin only)
+     * @dev Modifier to check that the caller holds a role
+     * @param role The role required
+     */
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+    
+    /**
+     * @dev Revert if the contract is paused. Kept out of the modifier so its code is not
+     * repeated in every function that uses it.
+     */
+    function _requireNotPaused() private view {
+        require(!_paused, "Contract is paused");
+    }
+    
+    /**
+     * @dev Revert if the caller does not hold a role
+     * @param role The role required
+     */
+    function _checkRole(bytes32 role) private view {
+        require(TaskRoles.hasRole(_roles, role, _msgSender()), "Missing required role");
+    }
+    
+    /**
+     * @dev Give a role to an account (admins only)
+     * @param role The role to grant
+     * @param account The account to grant it to
+     */
+    function grantRole(bytes32 role, address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        TaskRoles.grant(_roles, role, account, _msgSender());
+    }
+    
+    /**
+     * @dev Take a role away from an account (admins only)
+     * @param role The role to revoke
+     * @param account The account to revoke it from
+     */
+    function revokeRole(bytes32 role, address account) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        TaskRoles.revoke(_roles, role, account, _msgSender());
+    }
+    
+    /**
+     * @dev Give up a role held by the caller
+     * @param role The role to renounce
+     */
+    function renounceRole(bytes32 role) external {
+        TaskRoles.revoke(_roles, role, _msgSender(), _msgSender());
+    }
+    
+    /**
+     * @dev Check whether an account holds a role
+     * @param role The role
+     * @param account The account to check
+     * @return bool True if the account holds the role
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return TaskRoles.hasRole(_roles, role, account);
+    }
+    
+    /**
+     * @dev Get the accounts holding a role
+     * @param role The role
+     * @return address[] The accounts, in no particular order
+     */
+    function getRoleMembers(bytes32 role) external view returns (address[] memory) {
+        return _roles.members[role];
+    }
+    
+    /**
+     * @dev Pause or unpause the contract (pausers only)
      * @param paused The new paused state
      */
-    function setPaused(bool paused) external onlyOwner {
+    function setPaused(bool paused) external onlyRole(PAUSER_ROLE) {
         if (_paused != paused) {
             _paused = paused;
             emit ContractPaused(paused);
@@ -72,10 +283,10 @@ contract TaskManager is Ownable {
     }
     
     /**
-     * @dev Set the maximum number of tasks per user (admin only)
+     * @dev Set the maximum number of tasks per user (config admins only)
      * @param maxTasks The maximum number of tasks a user can create
      */
-    function setMaxTasksPerUser(uint256 maxTasks) external onlyOwner {
+    function setMaxTasksPerUser(uint256 maxTasks) external onlyRole(CONFIG_ROLE) {
         if (_maxTasksPerUser != maxTasks) {
             _maxTasksPerUser = maxTasks;
             emit MaxTasksPerUserChanged(maxTasks);
@@ -111,27 +322,32 @@ contract TaskManager is Ownable {
         string calldata description, 
         uint8 priority, 
         uint256 dueDate
+    ) public whenNotPaused returns (uint256) {
+        return _createTask(title, description, priority, dueDate, 0);
+    }
+    
+    /**
+     * @dev Add a new task that repeats, to the caller's tasks or to a project, in one transaction.
+     * Completing an occurrence of a recurring task creates the next one with the due date moved
+     * forward, until the rule's end date.
+     * @param title The title of the task
+     * @param description The description of the task
+     * @param priority The priority level of the task (0=Low, 1=Medium, 2=High)
+     * @param dueDate Unix timestamp for the due date (needed for the task to repeat)
+     * @param projectId The project to add the task to (0 for a personal task; project members only)
+     * @param rule The repeat rule (a frequency of None adds a task that doesn't repeat)
+     * @return taskId The ID of the newly created task
+     */
+    function addTask(
+        string calldata title,
+        string calldata description,
+        uint8 priority,
+        uint256 dueDate,
+        uint256 projectId,
+        Recurrence calldata rule
     ) external whenNotPaused returns (uint256) {
-        require(priority <= uint8(Priority.High), "Invalid priority level");
-        require(_userTasks[msg.sender].length < _maxTasksPerUser, "Maximum number of tasks reached");
-        
-        uint256 taskId = _taskIdCounter;
-        _taskIdCounter++;
-        
-        _tasks[taskId] = Task({
-            id: taskId,
-            title: title,
-            description: description,
-            completed: false,
-            owner: msg.sender,
-            priority: Priority(priority),
-            dueDate: dueDate,
-            createdAt: block.timestamp
-        });
-        
-        _userTasks[msg.sender].push(taskId);
-        
-        emit TaskAdded(taskId, msg.sender, title, Priority(priority), dueDate);
+        uint256 taskId = _createTask(title, description, priority, dueDate, projectId);
+        TaskCore.setRecurrence(_core, taskId, _msgSender(), rule, dueDate);
         
         return taskId;
     }
@@ -147,7 +363,120 @@ contract TaskManager is Ownable {
     }
     
     /**
-     * @dev Edit an existing task
+     * @dev Add several tasks in one transaction. Either every task is created or, if any
+     * of them is invalid, the whole call reverts. A TaskAdded event is emitted per task.
+     * @param tasks The tasks to create (1 to MAX_BATCH_SIZE)
+     * @return taskIds The IDs of the new tasks, in input order
+     */
+    function addTasks(NewTask[] calldata tasks) external whenNotPaused returns (uint256[] memory taskIds) {
+        _requireBatchSize(tasks.length);
+        
+        taskIds = new uint256[](tasks.length);
+        for (uint256 i = 0; i < tasks.length; i++) {
+            taskIds[i] = _createTask(tasks[i].title, tasks[i].description, tasks[i].priority, tasks[i].dueDate, 0);
+        }
+    }
+    
+    /**
+     * @dev Add a new task to a project (project members only)
+     * @param projectId The ID of the project to add the task to
+     * @param title The title of the task
+     * @param description The description of the task
+     * @param priority The priority level of the task (0=Low, 1=Medium, 2=High)
+     * @param dueDate Unix timestamp for the due date (0 means no due date)
+     * @return taskId The ID of the newly created task
+     */
+    function addProjectTask(
+        uint256 projectId,
+        string calldata title,
+        string calldata description,
+        uint8 priority,
+        uint256 dueDate
+    ) external whenNotPaused returns (uint256) {
+        require(_projects.roles[projectId][_msgSender()] >= TaskProjects.ProjectRole.Member, "Not allowed to add tasks to this project");
+        
+        return _createTask(title, description, priority, dueDate, projectId);
+    }
+    
+    /**
+     * @dev Add a subtask to a task the caller can edit. The subtask belongs to the parent's project.
+     * @param parentId The ID of the parent task
+     * @param title The title of the subtask
+     * @param description The description of the subtask
+     * @param priority The priority level of the subtask (0=Low, 1=Medium, 2=High)
+     * @param dueDate Unix timestamp for the due date (0 means no due date)
+     * @return taskId The ID of the newly created subtask
+     */
+    function addSubtask(
+        uint256 parentId,
+        string calldata title,
+        string calldata description,
+        uint8 priority,
+        uint256 dueDate
+    ) external whenNotPaused returns (uint256) {
+        Task storage parent = _core.tasks[parentId];
+        _requireCanEdit(parentId);
+        uint256 taskId = _createTask(title, description, priority, dueDate, parent.projectId);
+        TaskRelations.setParent(_relations, taskId, parentId);
+        
+        return taskId;
+    }
+    
+    /**
+     * @dev Create a task owned by the caller, who must be a member of the project it is added to
+     * @param title The title of the task
+     * @param description The description of the task
+     * @param priority The priority level of the task
+     * @param dueDate Unix timestamp for the due date (0 means no due date)
+     * @param projectId The project the task belongs to (0 for a personal task)
+     * @return taskId The ID of the newly created task
+     */
+    function _createTask(
+        string calldata title,
+        string calldata description,
+        uint8 priority,
+        uint256 dueDate,
+        uint256 projectId
+    ) private returns (uint256) {
+        require(
+            projectId == 0 || _projects.roles[projectId][_msgSender()] >= TaskProjects.ProjectRole.Member,
+            "Not allowed to add tasks to this project"
+        );
+        
+        uint256 taskId = TaskCore.create(_core, _msgSender(), title, description, priority, dueDate, projectId, _maxTasksPerUser);
+        if (projectId != 0) {
+            IdList.add(_projects.tasks[projectId], _projects.taskIndex, taskId);
+        }
+        
+        return taskId;
+    }
+    
+    /**
+     * @dev Edit an existing task and its repeat rule in one transaction
+     * @param taskId The ID of the task to edit
+     * @param newTitle The new title for the task
+     * @param newDescription The new description for the task
+     * @param priority The new priority level
+     * @param dueDate The new due date (a recurring task needs one)
+     * @param rule The new repeat rule (a frequency of None stops the task repeating)
+     */
+    function editTask(
+        uint256 taskId,
+        string calldata newTitle,
+        string calldata newDescription,
+        uint8 priority,
+        uint256 dueDate,
+        Recurrence calldata rule
+    ) external whenNotPaused {
+        _requireCanEdit(taskId);
+        
+        TaskCore.setRecurrence(_core, taskId, _msgSender(), rule, dueDate);
+        _editTask(taskId, newTitle, newDescription, priority, dueDate);
+    }
+    
+    /**
+     * @dev Edit an existing task, keeping its repeat rule. A recurring task can't lose its due date or
+     * be moved past the rule's end date this way.
      * @param taskId The ID of the task to edit
      * @param newTitle The new title for the task
      * @param newDescription The new description for the task
@@ -161,16 +490,7 @@ contract TaskManager is Ownable {
         uint8 priority,
         uint256 dueDate
     ) external whenNotPaused {
-        Task storage task = _tasks[taskId];
-        require(task.owner == msg.sender, "Only the task owner can edit this task");
-        require(priority <= uint8(Priority.High), "Invalid priority level");
-        
-        task.title = newTitle;
-        task.description = newDescription;
-        task.priority = Priority(priority);
-        task.dueDate = dueDate;
-        
-        emit TaskUpdated(taskId, newTitle, newDescription, Priority(priority), dueDate);
+        _editTask(taskId, newTitle, newDescription, priority, dueDate);
     }
     
     /**
@@ -180,27 +500,89 @@ contract TaskManager is Ownable {
      * @param newDescription The new description for the task
      */
     function editTask(uint256 taskId, string calldata newTitle, string calldata newDescription) external whenNotPaused {
-        Task storage task = _tasks[taskId];
-        require(task.owner == msg.sender, "Only the task owner can edit this task");
+        Task storage task = _core.tasks[taskId];
+        _editTask(taskId, newTitle, newDescription, uint8(task.priority), task.dueDate);
+    }
+    
+    /**
+     * @dev Edit a task the caller can edit
+     * @param taskId The ID of the task to edit
+     * @param newTitle The new title for the task
+     * @param newDescription The new description for the task
+     * @param priority The new priority level
+     * @param dueDate The new due date
+     */
+    function _editTask(
+        uint256 taskId,
+        string calldata newTitle,
+        string calldata newDescription,
+        uint8 priority,
+        uint256 dueDate
+    ) private {
+        _requireCanEdit(taskId);
+        
+        TaskCore.edit(_core, taskId, _msgSender(), newTitle, newDescription, priority, dueDate);
+    }
+    
+    /**
+     * @dev Check whether a task may move from one status to another
+     * @param from The current status
+     * @param to The requested status
+     * @return bool True if the transition is allowed
+     */
+    function isValidStatusTransition(uint8 from, uint8 to) public pure returns (bool) {
+        require(from <= uint8(Status.Cancelled) && to <= uint8(Status.Cancelled), "Invalid status");
+        return TaskCore.isValidTransition(Status(from), Status(to));
+    }
+    
+    /**
+     * @dev Move a task to a new status, enforcing the allowed workflow transitions
+     * @param taskId The ID of the task to update
+     * @param status The new status (0=Todo, 1=InProgress, 2=Blocked, 3=InReview, 4=Done, 5=Cancelled)
+     */
+    function setTaskStatus(uint256 taskId, uint8 status) public whenNotPaused {
+        Task storage task = _core.tasks[taskId];
+        _requireCanComplete(task, taskId);
+        _requireValidStatus(status);
         
-        task.title = newTitle;
-        task.description = newDescription;
+        Status oldStatus = task.status;
+        Status newStatus = Status(status);
+        if (oldStatus == newStatus) {
+            return;
+        }
+        require(TaskCore.isValidTransition(oldStatus, newStatus), "Invalid status transition");
+        require(newStatus != Status.Done || TaskRelations.countOpenBlockers(_relations, _core.tasks, taskId) == 0, "Task is blocked by open tasks");
         
-        emit TaskUpdated(taskId, newTitle, newDescription, task.priority, task.dueDate);
+        TaskCore.setStatus(_core, _projects, taskId, _msgSender(), newStatus, _maxTasksPerUser);
     }
     
     /**
      * @dev Mark a task as completed or not completed
      * @param taskId The ID of the task to mark as completed
-     * @param status The completion status to set
+     * @param completed True to move the task to Done, false to reopen a done task as Todo
+     */
+    function setTaskCompletion(uint256 taskId, bool completed) public whenNotPaused {
+        Task storage task = _core.tasks[taskId];
+        _requireCanComplete(task, taskId);
+        
+        if (completed) {
+            setTaskStatus(taskId, uint8(Status.Done));
+        } else if (task.status == Status.Done) {
+            setTaskStatus(taskId, uint8(Status.Todo));
+        }
+    }
+    
+    /**
+     * @dev Mark several tasks as completed or not completed in one transaction.
+     * The whole call reverts if any task cannot be changed, for example because it is blocked.
+     * @param taskIds The IDs of the tasks (1 to MAX_BATCH_SIZE)
+     * @param completed True to move the tasks to Done, false to reopen done tasks as Todo
      */
-    function setTaskCompletion(uint256 taskId, bool status) external whenNotPaused {
-        Task storage task = _tasks[taskId];
-        require(task.owner == msg.sender, "Only the task owner can modify this task");
+    function setTasksCompletion(uint256[] calldata taskIds, bool completed) external whenNotPaused {
+        _requireBatchSize(taskIds.length);
         
-        if (task.completed != status) {
-            task.completed = status;
-            emit TaskCompleted(taskId, status);
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            setTaskCompletion(taskIds[i], completed);
         }
     }
     
@@ -221,55 +603,430 @@ contract TaskManager is Ownable {
     }
     
     /**
-     * @dev Delete a task
+     * @dev Delete a task (task owner or project admin)
      * @param taskId The ID of the task to delete
      */
-    function deleteTask(uint256 taskId) external whenNotPaused {
-        Task memory task = _tasks[taskId];
-        require(task.owner == msg.sender, "Only the task owner can delete this task");
+    function deleteTask(uint256 taskId) public whenNotPaused {
+        Task storage task = _core.tasks[taskId];
+        require(
+            task.owner == _msgSender() || (task.projectId != 0 && _projects.roles[task.projectId][_msgSender()] == TaskProjects.ProjectRole.Admin),
+            "Only the task owner can delete this task"
+        );
         
-        // Remove the task from the user's task list
-        uint256[] storage userTaskIds = _userTasks[msg.sender];
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            if (userTaskIds[i] == taskId) {
-                // Replace the element to delete with the last element
-                userTaskIds[i] = userTaskIds[userTaskIds.length - 1];
-                // Remove the last element
-                userTaskIds.pop();
-                break;
-            }
+        _removeTask(taskId);
+    }
+    
+    /**
+     * @dev Delete several tasks in one transaction. The whole call reverts if the caller
+     * may not delete one of them, or if an ID is listed twice.
+     * @param taskIds The IDs of the tasks to delete (1 to MAX_BATCH_SIZE)
+     */
+    function deleteTasks(uint256[] calldata taskIds) external whenNotPaused {
+        _requireBatchSize(taskIds.length);
+        
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            deleteTask(taskIds[i]);
         }
+    }
+    
+    /**
+     * @dev Moderator function to delete any task (emergency use only)
+     * @param taskId The ID of the task to delete
+     */
+    function adminDeleteTask(uint256 taskId) external onlyRole(MODERATOR_ROLE) {
+        require(_core.tasks[taskId].owner != address(0), "Task does not exist");
         
-        // Delete the task from the tasks mapping
-        delete _tasks[taskId];
+        _removeTask(taskId);
+    }
+    
+    /**
+     * @dev Remove a task from storage, from its owner's, assignee's, project's and labels' task lists,
+     * and from its parent and dependencies.
+     * Removal from each list costs the same regardless of how many tasks the list holds.
+     * @param taskId The ID of the task to remove (must exist)
+     */
+    function _removeTask(uint256 taskId) private {
+        uint256 projectId = _core.tasks[taskId].projectId;
+        if (projectId != 0) {
+            IdList.remove(_projects.tasks[projectId], _projects.taskIndex, taskId);
+        }
         
-        emit TaskDeleted(taskId);
+        TaskSharing.clearTask(_sharing, taskId);
+        TaskLabels.clearTask(_labels, taskId);
+        TaskRelations.clearTask(_relations, taskId);
+        TaskCore.remove(_core, taskId, _msgSender());
     }
     
     /**
-     * @dev Admin function to delete any task (emergency use only)
-     * @param taskId The ID of the task to delete
+     * @dev Assign a task to someone, or unassign it (owner only).
+     * The assignee can view the task and change its status.
+     * @param taskId The ID of the task to assign
+     * @param assignee The address to assign the task to (address(0) to unassign)
+     */
+    function assignTask(uint256 taskId, address assignee) external whenNotPaused {
+        require(_core.tasks[taskId].owner == _msgSender(), "Only the task owner can assign this task");
+        TaskCore.assign(_core, taskId, _msgSender(), assignee);
+    }
+    
+    /**
+     * @dev Hand a task over to a new owner (owner only)
+     * @param taskId The ID of the task to transfer
+     * @param newOwner The address that will own the task
      */
-    function adminDeleteTask(uint256 taskId) external onlyOwner {
-        Task memory task = _tasks[taskId];
-        address taskOwner = task.owner;
+    function transferTask(uint256 taskId, address newOwner) external whenNotPaused {
+        require(_core.tasks[taskId].owner == _msgSender(), "Only the task owner can transfer this task");
+        TaskCore.transfer(_core, taskId, newOwner, _maxTasksPerUser);
+    }
+    
+    /**
+     * @dev Grant, change or revoke a collaborator's permission on a task (owner only)
+     * @param taskId The ID of the task to share
+     * @param collaborator The address to grant the permission to
+     * @param permission The permission level (0=None to revoke, 1=View, 2=Complete, 3=Edit)
+     */
+    function setCollaborator(uint256 taskId, address collaborator, uint8 permission) external whenNotPaused {
+        require(_core.tasks[taskId].owner == _msgSender(), "Only the task owner can share this task");
+        TaskSharing.setCollaborator(_sharing, _msgSender(), taskId, collaborator, permission);
+    }
+    
+    /**
+     * @dev Get the collaborators of a task and their permissions
+     * @param taskId The ID of the task
+     * @return collaborators The collaborator addresses
+     * @return permissions The permission of each collaborator
+     */
+    function getCollaborators(uint256 taskId) external view returns (address[] memory collaborators, TaskSharing.Permission[] memory permissions) {
+        collaborators = _sharing.collaborators[taskId];
+        permissions = new TaskSharing.Permission[](collaborators.length);
+        for (uint256 i = 0; i < collaborators.length; i++) {
+            permissions[i] = _sharing.permissions[taskId][collaborators[i]];
+        }
+    }
+    
+    /**
+     * @dev Get the effective permission an account has on a task.
+     * Owners have full access, assignees can at least change the status, project
+     * viewers can view the project's tasks and other project members can edit them.
+     * @param taskId The ID of the task
+     * @param account The account to check
+     * @return Permission The account's permission level
+     */
+    function getPermission(uint256 taskId, address account) public view returns (TaskSharing.Permission) {
+        Task storage task = _core.tasks[taskId];
+        if (task.owner == address(0)) {
+            return TaskSharing.Permission.None;
+        }
+        if (task.owner == account) {
+            return TaskSharing.Permission.Edit;
+        }
         
-        // Remove the task from the user's task list
-        uint256[] storage userTaskIds = _userTasks[taskOwner];
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            if (userTaskIds[i] == taskId) {
-                // Replace the element to delete with the last element
-                userTaskIds[i] = userTaskIds[userTaskIds.length - 1];
-                // Remove the last element
-                userTaskIds.pop();
-                break;
-            }
+        TaskSharing.Permission permission = _sharing.permissions[taskId][account];
+        if (task.assignee == account && permission < TaskSharing.Permission.Complete) {
+            permission = TaskSharing.Permission.Complete;
+        }
+        TaskSharing.Permission projectPermission = _projectPermission(task.projectId, account);
+        return projectPermission > permission ? projectPermission : permission;
+    }
+    
+    /**
+     * @dev Check whether an account holds at least the given permission on a task
+     * @param task The task to check
+     * @param taskId The ID of the task
+     * @param account The account to check
+     * @param required The minimum permission level
+     * @return bool True if the account has the permission
+     */
+    function _hasPermission(Task storage task, uint256 taskId, address account, TaskSharing.Permission required) private view returns (bool) {
+        if (task.owner == account) {
+            return true;
         }
+        if (required <= TaskSharing.Permission.Complete && task.assignee == account) {
+            return true;
+        }
+        if (_projectPermission(task.projectId, account) >= required) {
+            return true;
+        }
+        return _sharing.permissions[taskId][account] >= required;
+    }
+    
+    /**
+     * @dev Revert unless the caller may change the status of a task
+     * @param task The task
+     * @param taskId The ID of the task
+     */
+    function _requireCanComplete(Task storage task, uint256 taskId) private view {
+        require(_hasPermission(task, taskId, _msgSender(), TaskSharing.Permission.Complete), "Not authorized to modify this task");
+    }
+    
+    /**
+     * @dev Revert unless the caller may edit a task
+     * @param taskId The ID of the task
+     */
+    function _requireCanEdit(uint256 taskId) private view {
+        require(_hasPermission(_core.tasks[taskId], taskId, _msgSender(), TaskSharing.Permission.Edit), "Not authorized to edit this task");
+    }
+    
+    /**
+     * @dev Get the task permission an account gets from its role in a project
+     * @param projectId The ID of the project (0 for personal tasks)
+     * @param account The account to check
+     * @return Permission View for project viewers, Edit for members and admins
+     */
+    function _projectPermission(uint256 projectId, address account) private view returns (TaskSharing.Permission) {
+        TaskProjects.ProjectRole role = _projects.roles[projectId][account];
+        if (role >= TaskProjects.ProjectRole.Member) {
+            return TaskSharing.Permission.Edit;
+        }
+        return role == TaskProjects.ProjectRole.Viewer ? TaskSharing.Permission.View : TaskSharing.Permission.None;
+    }
+    
+    /**
+     * @dev Create a project owned by the caller, who becomes its first admin
+     * @param name The name of the project
+     * @return projectId The ID of the newly created project
+     */
+    function createProject(string calldata name) external whenNotPaused returns (uint256) {
+        return TaskProjects.create(_projects, _msgSender(), name);
+    }
+    
+    /**
+     * @dev Rename a project (project admins only)
+     * @param projectId The ID of the project to rename
+     * @param newName The new name for the project
+     */
+    function renameProject(uint256 projectId, string calldata newName) external whenNotPaused {
+        TaskProjects.rename(_projects, _msgSender(), projectId, newName);
+    }
+    
+    /**
+     * @dev Delete an empty project and remove all of its members (project owner only)
+     * @param projectId The ID of the project to delete
+     */
+    function deleteProject(uint256 projectId) external whenNotPaused {
+        TaskProjects.remove(_projects, _msgSender(), projectId);
+    }
+    
+    /**
+     * @dev Add a project member, change their role or remove them (project admins only).
+     * Any member can remove themselves, but the project owner always stays an admin.
+     * @param projectId The ID of the project
+     * @param member The address of the member
+     * @param role The role to give the member (0=None to remove, 1=Viewer, 2=Member, 3=Admin)
+     */
+    function setProjectMember(uint256 projectId, address member, uint8 role) external whenNotPaused {
+        TaskProjects.setMember(_projects, _msgSender(), projectId, member, role);
+    }
+    
+    /**
+     * @dev Get a specific project
+     * @param projectId The ID of the project to retrieve
+     * @return Project The project data
+     */
+    function getProject(uint256 projectId) external view returns (TaskProjects.Project memory) {
+        return _projects.projects[projectId];
+    }
+    
+    /**
+     * @dev Get the members of a project and their roles
+     * @param projectId The ID of the project
+     * @return members The member addresses
+     * @return roles The role of each member
+     */
+    function getProjectMembers(uint256 projectId) external view returns (address[] memory members, TaskProjects.ProjectRole[] memory roles) {
+        members = _projects.members[projectId];
+        roles = new TaskProjects.ProjectRole[](members.length);
+        for (uint256 i = 0; i < members.length; i++) {
+            roles[i] = _projects.roles[projectId][members[i]];
+        }
+    }
+    
+    /**
+     * @dev Get the role an account holds in a project
+     * @param projectId The ID of the project
+     * @param account The account to check
+     * @return ProjectRole The account's role
+     */
+    function getProjectRole(uint256 projectId, address account) external view returns (TaskProjects.ProjectRole) {
+        return _projects.roles[projectId][account];
+    }
+    
+    /**
+     * @dev Get all projects the caller is a member of
+     * @return Project[] An array of the caller's projects
+     */
+    function fetchMyProjects() external view returns (TaskProjects.Project[] memory) {
+        return TaskProjects.projectsOf(_projects, _msgSender());
+    }
+    
+    /**
+     * @dev Create a label owned by the caller
+     * @param name The name of the label
+     * @param color The RGB colour of the label
+     * @return labelId The ID of the newly created label
+     */
+    function createLabel(string calldata name, uint24 color) external whenNotPaused returns (uint256) {
+        return TaskLabels.create(_labels, _msgSender(), name, color);
+    }
+    
+    /**
+     * @dev Rename or recolour a label (label owner only)
+     * @param labelId The ID of the label to update
+     * @param name The new name of the label
+     * @param color The new RGB colour of the label
+     */
+    function updateLabel(uint256 labelId, string calldata name, uint24 color) external whenNotPaused {
+        TaskLabels.update(_labels, _msgSender(), labelId, name, color);
+    }
+    
+    /**
+     * @dev Delete a label and remove it from every task it is attached to (label owner only)
+     * @param labelId The ID of the label to delete
+     */
+    function deleteLabel(uint256 labelId) external whenNotPaused {
+        TaskLabels.remove(_labels, _msgSender(), labelId);
+    }
+    
+    /**
+     * @dev Attach one of the caller's labels to a task the caller can edit
+     * @param taskId The ID of the task
+     * @param labelId The ID of the label to attach
+     */
+    function addTaskLabel(uint256 taskId, uint256 labelId) external whenNotPaused {
+        _requireCanEdit(taskId);
+        TaskLabels.attach(_labels, _msgSender(), taskId, labelId);
+    }
+    
+    /**
+     * @dev Remove a label from a task the caller can edit
+     * @param taskId The ID of the task
+     * @param labelId The ID of the label to remove
+     */
+    function removeTaskLabel(uint256 taskId, uint256 labelId) external whenNotPaused {
+        _requireCanEdit(taskId);
+        TaskLabels.detach(_labels, taskId, labelId);
+    }
+    
+    /**
+     * @dev Replace the labels of a task the caller can edit.
+     * Labels someone else attached can be kept, but only the caller's own labels can be added.
+     * @param taskId The ID of the task
+     * @param labelIds The IDs of the labels the task should carry
+     */
+    function setTaskLabels(uint256 taskId, uint256[] calldata labelIds) external whenNotPaused {
+        _requireCanEdit(taskId);
+        TaskLabels.replace(_labels, _msgSender(), taskId, labelIds);
+    }
+    
+    /**
+     * @dev Get all labels created by the caller
+     * @return Label[] An array of the caller's labels
+     */
+    function fetchMyLabels() external view returns (TaskLabels.Label[] memory) {
+        return TaskLabels.toLabels(_labels, _labels.userLabels[_msgSender()]);
+    }
+    
+    /**
+     * @dev Get the labels attached to a task
+     * @param taskId The ID of the task
+     * @return Label[] An array of the task's labels
+     */
+    function getTaskLabels(uint256 taskId) external view returns (TaskLabels.Label[] memory) {
+        return TaskLabels.toLabels(_labels, _labels.taskLabels[taskId]);
+    }
+    
+    /**
+     * @dev Get the labels attached to several tasks at once, for list views
+     * @param taskIds The IDs of the tasks (at most MAX_PAGE_SIZE)
+     * @return Label[][] The labels of each task, in the same order as taskIds
+     */
+    function getTaskLabelsBatch(uint256[] calldata taskIds) external view returns (TaskLabels.Label[][] memory) {
+        _requirePageSize(taskIds.length);
         
-        // Delete the task from the tasks mapping
-        delete _tasks[taskId];
+        TaskLabels.Label[][] memory labels = new TaskLabels.Label[][](taskIds.length);
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            labels[i] = TaskLabels.toLabels(_labels, _labels.taskLabels[taskIds[i]]);
+        }
         
-        emit TaskDeleted(taskId);
+        return labels;
+    }
+    
+    /**
+     * @dev Make a task a subtask of another task, moving it if it already has a parent.
+     * The caller must be able to edit both tasks.
+     * @param taskId The ID of the task that becomes a subtask
+     * @param parentId The ID of the new parent task
+     */
+    function setParentTask(uint256 taskId, uint256 parentId) external whenNotPaused {
+        _requireCanEdit(taskId);
+        _requireCanEdit(parentId);
+        TaskRelations.setParent(_relations, taskId, parentId);
+    }
+    
+    /**
+     * @dev Turn a subtask the caller can edit back into a top-level task
+     * @param taskId The ID of the subtask
+     */
+    function removeParentTask(uint256 taskId) external whenNotPaused {
+        _requireCanEdit(taskId);
+        TaskRelations.clearParent(_relations, taskId);
+    }
+    
+    /**
+     * @dev Mark a task the caller can edit as blocked by another task the caller can view.
+     * The task cannot be completed until the blocker is done or cancelled.
+     * @param taskId The ID of the blocked task
+     * @param blockerId The ID of the blocking task
+     */
+    function addTaskBlocker(uint256 taskId, uint256 blockerId) external whenNotPaused {
+        _requireCanEdit(taskId);
+        require(_hasPermission(_core.tasks[blockerId], blockerId, _msgSender(), TaskSharing.Permission.View), "Not authorized to view this task");
+        TaskRelations.addBlocker(_relations, taskId, blockerId);
+    }
+    
+    /**
+     * @dev Remove a blocker from a task the caller can edit
+     * @param taskId The ID of the blocked task
+     * @param blockerId The ID of the blocker to remove
+     */
+    function removeTaskBlocker(uint256 taskId, uint256 blockerId) external whenNotPaused {
+        _requireCanEdit(taskId);
+        TaskRelations.removeBlocker(_relations, taskId, blockerId);
+    }
+    
+    /**
+     * @dev Get the subtasks of a task
+     * @param taskId The ID of the parent task
+     * @return Task[] An array of the task's subtasks
+     */
+    function getSubtasks(uint256 taskId) external view returns (Task[] memory) {
+        return TaskQueries.collect(_core.tasks, _relations.subtasks[taskId], TaskQueries.Filter.None, 0);
+    }
+    
+    /**
+     * @dev Get the tasks blocking a task, whether they are still open or not
+     * @param taskId The ID of the blocked task
+     * @return Task[] An array of the task's blockers
+     */
+    function getBlockers(uint256 taskId) external view returns (Task[] memory) {
+        return TaskQueries.collect(_core.tasks, _relations.blockers[taskId], TaskQueries.Filter.None, 0);
+    }
+    
+    /**
+     * @dev Get the parent, subtask rollup and blockers of several tasks at once, for list views
+     * @param taskIds The IDs of the tasks (at most MAX_PAGE_SIZE)
+     * @return TaskRelations.Summary[] The relations of each task, in the same order as taskIds
+     */
+    function getTaskRelationsBatch(uint256[] calldata taskIds) external view returns (TaskRelations.Summary[] memory) {
+        _requirePageSize(taskIds.length);
+        return TaskRelations.summarize(_relations, _core.tasks, taskIds);
+    }
+    
+    /**
+     * @dev Get all tasks assigned to the caller
+     * @return Task[] An array of tasks assigned to the caller
+     */
+    function fetchAssignedTasks() external view returns (Task[] memory) {
+        return TaskQueries.collect(_core.tasks, _core.assignedTasks[_msgSender()], TaskQueries.Filter.None, 0);
     }
     
     /**
@@ -278,7 +1035,7 @@ contract TaskManager is Ownable {
      * @return Task The task data
      */
     function getTask(uint256 taskId) external view returns (Task memory) {
-        return _tasks[taskId];
+        return TaskQueries.get(_core.tasks, taskId);
     }
     
     /**
@@ -286,45 +1043,74 @@ contract TaskManager is Ownable {
      * @return Task[] An array of tasks owned by the caller
      */
     function fetchAllTasks() external view returns (Task[] memory) {
-        uint256[] memory userTaskIds = _userTasks[msg.sender];
-        Task[] memory userTasksArray = new Task[](userTaskIds.length);
-        
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            userTasksArray[i] = _tasks[userTaskIds[i]];
-        }
-        
-        return userTasksArray;
+        return TaskQueries.collect(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.None, 0);
     }
     
     /**
-     * @dev Get tasks filtered by completion status
-     * @param completed Whether to fetch completed or incomplete tasks
-     * @return Task[] An array of tasks with the specified completion status
+     * @dev Make the caller's task list public or private. A public task list can be read by
+     * anyone through fetchTasksOf, without a wallet. Task data itself is stored on-chain and
+     * getTask returns any task, so this controls listing rather than secrecy.
+     * @param isPublic True to make the task list public
      */
-    function fetchTasksByStatus(bool completed) external view returns (Task[] memory) {
-        uint256[] memory userTaskIds = _userTasks[msg.sender];
-        
-        // Count tasks with the specified completion status
-        uint256 count = 0;
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            if (_tasks[userTaskIds[i]].completed == completed) {
-                count++;
-            }
+    function setTasksPublic(bool isPublic) external whenNotPaused {
+        address sender = _msgSender();
+        if (_publicTasks[sender] != isPublic) {
+            _publicTasks[sender] = isPublic;
+            emit TaskVisibilityChanged(sender, isPublic);
         }
-        
-        // Create array of the right size
-        Task[] memory filteredTasks = new Task[](count);
-        
-        // Fill the array
-        uint256 index = 0;
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            if (_tasks[userTaskIds[i]].completed == completed) {
-                filteredTasks[index] = _tasks[userTaskIds[i]];
-                index++;
-            }
-        }
-        
-        return filteredTasks;
+    }
+    
+    /**
+     * @dev Check whether an account's task list is public
+     * @param user The account to check
+     * @return bool True if anyone may read the account's task list
+     */
+    function hasPublicTasks(address user) external view returns (bool) {
+        return _publicTasks[user];
+    }
+    
+    /**
+     * @dev Publish the public key collaborators use to share encrypted tasks with the caller.
+     * Encryption happens in the client; the contract only stores the key and never sees the
+     * task content in plaintext. The key is the x coordinate of a secp256k1 public key whose
+     * y coordinate is even, so it fits one slot.
+     * @param publicKey The x-only public key
+     */
+    function setEncryptionKey(bytes32 publicKey) external whenNotPaused {
+        require(publicKey != 0, "Invalid encryption key");
+        address sender = _msgSender();
+        _encryptionKeys[sender] = publicKey;
+        emit EncryptionKeyChanged(sender, publicKey);
+    }
+    
+    /**
+     * @dev Get the public key an account published with setEncryptionKey
+     * @param account The account
+     * @return bytes32 The x-only public key, 0 if the account has not published one
+     */
+    function getEncryptionKey(address account) external view returns (bytes32) {
+        return _encryptionKeys[account];
+    }
+    
+    /**
+     * @dev Get all tasks owned by an account. Works without a connected account for public
+     * task lists; a private task list can only be read by its owner.
+     * @param user The account whose tasks to return
+     * @return Task[] An array of the account's tasks
+     */
+    function fetchTasksOf(address user) external view returns (Task[] memory) {
+        require(_publicTasks[user] || user == _msgSender(), "Task list is private");
+        return TaskQueries.collect(_core.tasks, _core.userTasks[user], TaskQueries.Filter.None, 0);
+    }
+    
+    /**
+     * @dev Get tasks with a specific workflow status
+     * @param status The status to filter by
+     * @return Task[] An array of tasks with the specified status
+     */
+    function fetchTasksByStatus(uint8 status) external view returns (Task[] memory) {
+        _requireValidStatus(status);
+        return TaskQueries.collect(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.Status, status);
     }
     
     /**
@@ -333,64 +1119,158 @@ contract TaskManager is Ownable {
      * @return Task[] An array of tasks with the specified priority
      */
     function fetchTasksByPriority(uint8 priority) external view returns (Task[] memory) {
-        require(priority <= uint8(Priority.High), "Invalid priority level");
-        
-        uint256[] memory userTaskIds = _userTasks[msg.sender];
-        
-        // Count tasks with the specified priority
-        uint256 count = 0;
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            if (uint8(_tasks[userTaskIds[i]].priority) == priority) {
-                count++;
-            }
-        }
-        
-        // Create array of the right size
-        Task[] memory filteredTasks = new Task[](count);
-        
-        // Fill the array
-        uint256 index = 0;
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            if (uint8(_tasks[userTaskIds[i]].priority) == priority) {
-                filteredTasks[index] = _tasks[userTaskIds[i]];
-                index++;
-            }
-        }
-        
-        return filteredTasks;
+        _requireValidPriority(priority);
+        return TaskQueries.collect(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.Priority, priority);
     }
     
     /**
-     * @dev Get tasks that are due soon (within the next 24 hours)
+     * @dev Get open tasks that are due soon (within the next 24 hours)
      * @return Task[] An array of tasks due within 24 hours
      */
     function fetchTasksDueSoon() external view returns (Task[] memory) {
-        uint256[] memory userTaskIds = _userTasks[msg.sender];
-        uint256 tomorrow = block.timestamp + 1 days;
-        
-        // Count tasks due soon
-        uint256 count = 0;
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            Task memory task = _tasks[userTaskIds[i]];
-            if (task.dueDate > 0 && task.dueDate <= tomorrow && !task.completed) {
-                count++;
-            }
-        }
-        
-        // Create array of the right size
-        Task[] memory dueSoonTasks = new Task[](count);
-        
-        // Fill the array
-        uint256 index = 0;
-        for (uint256 i = 0; i < userTaskIds.length; i++) {
-            Task memory task = _tasks[userTaskIds[i]];
-            if (task.dueDate > 0 && task.dueDate <= tomorrow && !task.completed) {
-                dueSoonTasks[index] = task;
-                index++;
-            }
-        }
-        
-        return dueSoonTasks;
+        return TaskQueries.collect(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.DueSoon, 0);
+    }
+    
+    /**
+     * @dev Get a page of the caller's tasks
+     * @param cursor Position in the caller's task list to start from (0 for the first page)
+     * @param limit Maximum number of tasks to return (1 to MAX_PAGE_SIZE)
+     * @return Task[] The tasks in this page
+     * @return uint256 The cursor for the next page (0 when there are no more tasks)
+     */
+    function fetchTasksPage(uint256 cursor, uint256 limit) external view returns (Task[] memory, uint256) {
+        return TaskQueries.page(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.None, 0, cursor, limit);
+    }
+    
+    /**
+     * @dev Get a page of the caller's tasks with a specific workflow status
+     * @param status The status to filter by
+     * @param cursor Position in the caller's task list to start from (0 for the first page)
+     * @param limit Maximum number of tasks to return (1 to MAX_PAGE_SIZE)
+     * @return Task[] The matching tasks in this page
+     * @return uint256 The cursor for the next page (0 when there are no more tasks)
+     */
+    function fetchTasksByStatusPage(uint8 status, uint256 cursor, uint256 limit) external view returns (Task[] memory, uint256) {
+        _requireValidStatus(status);
+        return TaskQueries.page(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.Status, status, cursor, limit);
+    }
+    
+    /**
+     * @dev Get a page of the caller's tasks with a specific priority level
+     * @param priority The priority level to filter by
+     * @param cursor Position in the caller's task list to start from (0 for the first page)
+     * @param limit Maximum number of tasks to return (1 to MAX_PAGE_SIZE)
+     * @return Task[] The matching tasks in this page
+     * @return uint256 The cursor for the next page (0 when there are no more tasks)
+     */
+    function fetchTasksByPriorityPage(uint8 priority, uint256 cursor, uint256 limit) external view returns (Task[] memory, uint256) {
+        _requireValidPriority(priority);
+        return TaskQueries.page(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.Priority, priority, cursor, limit);
+    }
+    
+    /**
+     * @dev Get a page of the caller's open tasks that are due within the next 24 hours
+     * @param cursor Position in the caller's task list to start from (0 for the first page)
+     * @param limit Maximum number of tasks to return (1 to MAX_PAGE_SIZE)
+     * @return Task[] The matching tasks in this page
+     * @return uint256 The cursor for the next page (0 when there are no more tasks)
+     */
+    function fetchTasksDueSoonPage(uint256 cursor, uint256 limit) external view returns (Task[] memory, uint256) {
+        return TaskQueries.page(_core.tasks, _core.userTasks[_msgSender()], TaskQueries.Filter.DueSoon, 0, cursor, limit);
+    }
+    
+    /**
+     * @dev Get all tasks in a project (project members only)
+     * @param projectId The ID of the project
+     * @return Task[] An array of the project's tasks
+     */
+    function fetchProjectTasks(uint256 projectId) external view returns (Task[] memory) {
+        _requireProjectViewer(projectId);
+        return TaskQueries.collect(_core.tasks, _projects.tasks[projectId], TaskQueries.Filter.None, 0);
+    }
+    
+    /**
+     * @dev Get a page of a project's tasks (project members only)
+     * @param projectId The ID of the project
+     * @param cursor Position in the project's task list to start from (0 for the first page)
+     * @param limit Maximum number of tasks to return (1 to MAX_PAGE_SIZE)
+     * @return Task[] The tasks in this page
+     * @return uint256 The cursor for the next page (0 when there are no more tasks)
+     */
+    function fetchProjectTasksPage(uint256 projectId, uint256 cursor, uint256 limit) external view returns (Task[] memory, uint256) {
+        _requireProjectViewer(projectId);
+        return TaskQueries.page(_core.tasks, _projects.tasks[projectId], TaskQueries.Filter.None, 0, cursor, limit);
+    }
+    
+    /**
+     * @dev Get all tasks carrying one of the caller's labels
+     * @param labelId The ID of the label
+     * @return Task[] An array of the tasks with the label
+     */
+    function fetchTasksByLabel(uint256 labelId) external view returns (Task[] memory) {
+        _requireLabelOwner(labelId);
+        return TaskQueries.collect(_core.tasks, _labels.labelTasks[labelId], TaskQueries.Filter.None, 0);
+    }
+    
+    /**
+     * @dev Get a page of the tasks carrying one of the caller's labels
+     * @param labelId The ID of the label
+     * @param cursor Position in the label's task list to start from (0 for the first page)
+     * @param limit Maximum number of tasks to return (1 to MAX_PAGE_SIZE)
+     * @return Task[] The tasks in this page
+     * @return uint256 The cursor for the next page (0 when there are no more tasks)
+     */
+    function fetchTasksByLabelPage(uint256 labelId, uint256 cursor, uint256 limit) external view returns (Task[] memory, uint256) {
+        _requireLabelOwner(labelId);
+        return TaskQueries.page(_core.tasks, _labels.labelTasks[labelId], TaskQueries.Filter.None, 0, cursor, limit);
+    }
+    
+    /**
+     * @dev Revert unless the caller is a member of a project, in any role
+     * @param projectId The ID of the project
+     */
+    function _requireProjectViewer(uint256 projectId) private view {
+        require(_projects.roles[projectId][_msgSender()] != TaskProjects.ProjectRole.None, "Not a member of this project");
+    }
+    
+    /**
+     * @dev Revert unless the caller owns a label
+     * @param labelId The ID of the label
+     */
+    function _requireLabelOwner(uint256 labelId) private view {
+        require(_labels.labels[labelId].owner == _msgSender(), "Only the label owner can use this label");
+    }
+    
+    /**
+     * @dev Check that a number names a workflow status
+     * @param status The status
+     */
+    function _requireValidStatus(uint8 status) private pure {
+        require(status <= uint8(Status.Cancelled), "Invalid status");
+    }
+    
+    /**
+     * @dev Check that a number names a priority level
+     * @param priority The priority level
+     */
+    function _requireValidPriority(uint8 priority) private pure {
+        require(priority <= uint8(Priority.High), "Invalid priority level");
+    }
+    
+    /**
+     * @dev Check that a batch read asks for at most MAX_PAGE_SIZE tasks
+     * @param size The number of tasks requested
+     */
+    function _requirePageSize(uint256 size) private pure {
+        require(size <= MAX_PAGE_SIZE, "Invalid page size");
+    }
+    
+    /**
+     * @dev Check that a batch call touches at least one and at most MAX_BATCH_SIZE tasks
+     * @param size The number of tasks in the batch
+     */
+    function _requireBatchSize(uint256 size) private pure {
+        require(size > 0 && size <= MAX_BATCH_SIZE, "Invalid batch size");
     }
     
     /**
@@ -398,14 +1278,14 @@ contract TaskManager is Ownable {
      * @return uint256 The number of tasks
      */
     function getTaskCount() external view returns (uint256) {
-        return _userTasks[msg.sender].length;
+        return _core.userTasks[_msgSender()].length;
     }
     
     /**
-     * @dev Admin function to get the total number of tasks in the system
+     * @dev Moderator function to get the total number of tasks in the system
      * @return uint256 The total number of tasks
      */
-    function getTotalTaskCount() external view onlyOwner returns (uint256) {
-        return _taskIdCounter;
+    function getTotalTaskCount() external view onlyRole(MODERATOR_ROLE) returns (uint256) {
+        return _core.idCounter;
     }
 } 
\ No newline at end of file
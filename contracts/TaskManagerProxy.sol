@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+/**
+ * @title TaskManagerProxy
+ * @dev Transparent proxy holding TaskManager's storage and address. Users call it as if it were
+ * TaskManager; only the ProxyAdmin it was deployed with can point it at a new implementation.
+ * The upgrade logic lives here rather than in TaskManager, which is close to the contract size limit.
+ */
+contract TaskManagerProxy is TransparentUpgradeableProxy {
+    /**
+     * @dev Deploy the proxy and run the implementation's initializer in its storage
+     * @param implementation The TaskManager implementation to delegate to
+     * @param admin The ProxyAdmin allowed to upgrade the proxy
+     * @param data Encoded initialize call
+     */
+    constructor(address implementation, address admin, bytes memory data)
+        TransparentUpgradeableProxy(implementation, admin, data)
+    {}
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Types shared by TaskManager and the libraries that read its tasks
+
+// Priority levels for tasks
+enum Priority { Low, Medium, High }
+
+// Workflow states a task can move through
+enum Status { Todo, InProgress, Blocked, InReview, Done, Cancelled }
+
+// How often a recurring task repeats
+enum Frequency { None, Daily, Weekly, Monthly, EveryNDays }
+
+// Repeat rule of a task. Completing an occurrence creates the next one with the due date moved forward.
+struct Recurrence {
+    Frequency frequency;
+    uint8 weekdays; // Weekly: days to repeat on in UTC, bit 0 = Sunday to bit 6 = Saturday (0 means the due date's weekday)
+    uint16 interval; // EveryNDays: number of days between occurrences
+    uint8 monthDay; // Monthly: day of the month occurrences fall on, the last day in shorter months (0 when setting means the due date's day)
+    uint256 endDate; // No occurrence is created past this Unix timestamp (0 means no end date)
+}
+
+// Task struct definition with enhanced features
+struct Task {
+    uint256 id;
+    string title;
+    string description;
+    Status status;
+    address owner;
+    Priority priority;
+    uint256 dueDate; // Unix timestamp for due date (0 means no due date)
+    uint256 createdAt;
+    address assignee; // Address responsible for the task (address(0) means unassigned)
+    uint256 projectId; // Project the task belongs to (0 means a personal task)
+    Recurrence recurrence; // Repeat rule (a frequency of None means the task does not repeat)
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IdList
+ * @dev Helpers for lists of task, project or label IDs that support removal in constant time.
+ * Each list is paired with a mapping from ID to its position in the list, plus one
+ * (stored 1-based so updating an index never writes a zero storage slot).
+ */
+library IdList {
+    /**
+     * @dev Append an ID to a list and record its 1-based position
+     * @param list The list to append to
+     * @param indexes Mapping from ID to 1-based position in the list
+     * @param id The ID to append
+     */
+    function add(uint256[] storage list, mapping(uint256 => uint256) storage indexes, uint256 id) internal {
+        list.push(id);
+        indexes[id] = list.length;
+    }
+    
+    /**
+     * @dev Remove an ID from a list in constant time.
+     * The last ID in the list is moved into the freed slot.
+     * @param list The list to remove from
+     * @param indexes Mapping from ID to 1-based position in the list
+     * @param id The ID to remove (must be in the list)
+     */
+    function remove(uint256[] storage list, mapping(uint256 => uint256) storage indexes, uint256 id) internal {
+        uint256 index = indexes[id] - 1;
+        uint256 lastId = list[list.length - 1];
+        
+        // Replace the element to delete with the last element, then remove the last element
+        list[index] = lastId;
+        indexes[lastId] = index + 1;
+        list.pop();
+        
+        delete indexes[id];
+    }
+}
@@ -0,0 +1,355 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../TaskTypes.sol";
+import "./IdList.sol";
+import "./TaskProjects.sol";
+import "./TaskRecurrence.sol";
+
+/**
+ * @title TaskCore
+ * @dev Task records and the owner and assignee task lists.
+ * The write functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. Callers are
+ * responsible for checking that the caller may change the task.
+ */
+library TaskCore {
+    // All task state, kept in one struct so it can be passed to the library by reference
+    struct Store {
+        // Counter for generating unique task IDs
+        uint256 idCounter;
+        
+        // Mapping from taskId to Task
+        mapping(uint256 => Task) tasks;
+        
+        // Mapping from user address to their task IDs, with 1-based positions
+        mapping(address => uint256[]) userTasks;
+        mapping(uint256 => uint256) userTaskIndex;
+        
+        // Mapping from assignee address to the task IDs assigned to them, with 1-based positions
+        mapping(address => uint256[]) assignedTasks;
+        mapping(uint256 => uint256) assignedTaskIndex;
+    }
+    
+    // The editable fields of a task, as recorded before and after an edit
+    struct TaskContent {
+        string title;
+        string description;
+        Priority priority;
+        uint256 dueDate;
+    }
+    
+    // Events (also declared by TaskManager so they are part of its ABI). The task ID and the account
+    // that made the change are indexed so clients can filter on them, and each event carries the
+    // values it replaced, so a task's timeline can be rebuilt from its logs alone.
+    event TaskAdded(uint256 indexed taskId, address indexed owner, uint256 indexed projectId, TaskContent content, uint256 timestamp);
+    event TaskUpdated(uint256 indexed taskId, address indexed actor, TaskContent previous, TaskContent current, uint256 timestamp);
+    event TaskDeleted(uint256 indexed taskId, address indexed owner, address indexed actor, uint256 timestamp);
+    event TaskStatusChanged(uint256 indexed taskId, address indexed actor, Status oldStatus, Status newStatus, uint256 timestamp);
+    event TaskCompleted(uint256 indexed taskId, bool completed);
+    event TaskAssigned(uint256 indexed taskId, address indexed actor, address previousAssignee, address indexed newAssignee, uint256 timestamp);
+    event TaskTransferred(uint256 indexed taskId, address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+    event TaskRecurrenceChanged(uint256 indexed taskId, address indexed actor, Recurrence previous, Recurrence current, uint256 timestamp);
+    event TaskRecurred(uint256 indexed taskId, uint256 indexed nextTaskId, uint256 dueDate);
+    event TaskRecurrenceSkipped(uint256 indexed taskId, uint256 dueDate);
+    
+    /**
+     * @dev Create a task and add it to its owner's task list
+     * @param self The task store
+     * @param owner The account that will own the task
+     * @param title The title of the task
+     * @param description The description of the task
+     * @param priority The priority level of the task
+     * @param dueDate Unix timestamp for the due date (0 means no due date)
+     * @param projectId The project the task belongs to (0 for a personal task)
+     * @param maxTasks The maximum number of tasks the owner may have
+     * @return taskId The ID of the newly created task
+     */
+    function create(
+        Store storage self,
+        address owner,
+        string calldata title,
+        string calldata description,
+        uint8 priority,
+        uint256 dueDate,
+        uint256 projectId,
+        uint256 maxTasks
+    ) external returns (uint256) {
+        require(priority <= uint8(Priority.High), "Invalid priority level");
+        require(self.userTasks[owner].length < maxTasks, "Maximum number of tasks reached");
+        
+        uint256 taskId = self.idCounter;
+        self.idCounter++;
+        
+        self.tasks[taskId] = Task({
+            id: taskId,
+            title: title,
+            description: description,
+            status: Status.Todo,
+            owner: owner,
+            priority: Priority(priority),
+            dueDate: dueDate,
+            createdAt: block.timestamp,
+            assignee: address(0),
+            projectId: projectId,
+            recurrence: Recurrence(Frequency.None, 0, 0, 0, 0)
+        });
+        
+        IdList.add(self.userTasks[owner], self.userTaskIndex, taskId);
+        
+        emit TaskAdded(taskId, owner, projectId, TaskContent(title, description, Priority(priority), dueDate), block.timestamp);
+        
+        return taskId;
+    }
+    
+    /**
+     * @dev Update the title, description, priority and due date of a task. The task's repeat rule is
+     * checked against the new due date, so a recurring task can't lose its due date or move past the
+     * rule's end date.
+     * @param self The task store
+     * @param taskId The ID of the task to edit
+     * @param actor The account making the change
+     * @param newTitle The new title for the task
+     * @param newDescription The new description for the task
+     * @param priority The new priority level
+     * @param dueDate The new due date
+     */
+    function edit(
+        Store storage self,
+        uint256 taskId,
+        address actor,
+        string calldata newTitle,
+        string calldata newDescription,
+        uint8 priority,
+        uint256 dueDate
+    ) external {
+        require(priority <= uint8(Priority.High), "Invalid priority level");
+        
+        Task storage task = self.tasks[taskId];
+        TaskContent memory previous = TaskContent(task.title, task.description, task.priority, task.dueDate);
+        task.title = newTitle;
+        task.description = newDescription;
+        task.priority = Priority(priority);
+        task.dueDate = dueDate;
+        require(TaskRecurrence.isValid(task.recurrence, dueDate), "Invalid recurrence");
+        
+        emit TaskUpdated(taskId, actor, previous, TaskContent(newTitle, newDescription, Priority(priority), dueDate), block.timestamp);
+    }
+    
+    /**
+     * @dev Move a task to a new status. Callers check that the transition is allowed.
+     * Completing a recurring task creates its next occurrence, which takes over the repeat rule.
+     * @param self The task store
+     * @param projects The project store, whose task lists the next occurrence of a project task joins
+     * @param taskId The ID of the task to update
+     * @param actor The account making the change
+     * @param newStatus The new status
+     * @param maxTasks The maximum number of tasks the owner may have, checked before adding the next occurrence
+     */
+    function setStatus(
+        Store storage self,
+        TaskProjects.Store storage projects,
+        uint256 taskId,
+        address actor,
+        Status newStatus,
+        uint256 maxTasks
+    ) external {
+        Task storage task = self.tasks[taskId];
+        Status oldStatus = task.status;
+        task.status = newStatus;
+        
+        emit TaskStatusChanged(taskId, actor, oldStatus, newStatus, block.timestamp);
+        
+        // Keep emitting completion events for clients that only track done/not done
+        if (oldStatus == Status.Done || newStatus == Status.Done) {
+            emit TaskCompleted(taskId, newStatus == Status.Done);
+        }
+        
+        if (newStatus == Status.Done) {
+            _addNextOccurrence(self, projects, taskId, actor, maxTasks);
+        }
+    }
+    
+    /**
+     * @dev Set, change or clear the repeat rule of a task. An unchanged rule emits no event.
+     * @param self The task store
+     * @param taskId The ID of the task
+     * @param actor The account making the change
+     * @param rule The new repeat rule (a frequency of None stops the task repeating)
+     * @param dueDate The due date the rule is checked against and anchored to, which is the new one
+     * when the task is being edited
+     */
+    function setRecurrence(
+        Store storage self,
+        uint256 taskId,
+        address actor,
+        Recurrence calldata rule,
+        uint256 dueDate
+    ) external {
+        require(TaskRecurrence.isValid(rule, dueDate), "Invalid recurrence");
+        
+        Task storage task = self.tasks[taskId];
+        Recurrence memory previous = task.recurrence;
+        Recurrence memory current = TaskRecurrence.normalize(rule, dueDate);
+        if (keccak256(abi.encode(previous)) == keccak256(abi.encode(current))) {
+            return;
+        }
+        task.recurrence = current;
+        
+        emit TaskRecurrenceChanged(taskId, actor, previous, current, block.timestamp);
+    }
+    
+    /**
+     * @dev Create the next occurrence of a recurring task that was just completed. The occurrence
+     * copies the task's content, owner, assignee and project, and is due one period later. Labels,
+     * collaborators and relations stay with the completed task. The rule moves to the occurrence,
+     * so reopening and completing the task again doesn't create a second one. When the owner is at
+     * the task limit the occurrence is skipped instead, so the task can still be completed; it keeps
+     * its rule, and completing it again once there is room adds the occurrence.
+     * @param self The task store
+     * @param projects The project store
+     * @param taskId The ID of the completed task
+     * @param actor The account that completed the task, recorded as assigning the occurrence
+     * @param maxTasks The maximum number of tasks the owner may have
+     */
+    function _addNextOccurrence(
+        Store storage self,
+        TaskProjects.Store storage projects,
+        uint256 taskId,
+        address actor,
+        uint256 maxTasks
+    ) private {
+        Task storage task = self.tasks[taskId];
+        uint256 dueDate = TaskRecurrence.nextDueDate(task.recurrence, task.dueDate);
+        if (dueDate == 0) {
+            return;
+        }
+        
+        address owner = task.owner;
+        if (self.userTasks[owner].length >= maxTasks) {
+            emit TaskRecurrenceSkipped(taskId, dueDate);
+            return;
+        }
+        
+        uint256 nextTaskId = self.idCounter;
+        self.idCounter++;
+        
+        Task storage next = self.tasks[nextTaskId];
+        next.id = nextTaskId;
+        next.title = task.title;
+        next.description = task.description;
+        next.owner = owner;
+        next.priority = task.priority;
+        next.dueDate = dueDate;
+        next.createdAt = block.timestamp;
+        next.projectId = task.projectId;
+        next.recurrence = task.recurrence;
+        delete task.recurrence;
+        
+        IdList.add(self.userTasks[owner], self.userTaskIndex, nextTaskId);
+        if (task.assignee != address(0)) {
+            next.assignee = task.assignee;
+            IdList.add(self.assignedTasks[task.assignee], self.assignedTaskIndex, nextTaskId);
+        }
+        if (next.projectId != 0) {
+            IdList.add(projects.tasks[next.projectId], projects.taskIndex, nextTaskId);
+        }
+        
+        emit TaskAdded(nextTaskId, owner, next.projectId, TaskContent(next.title, next.description, next.priority, dueDate), block.timestamp);
+        if (next.assignee != address(0)) {
+            emit TaskAssigned(nextTaskId, actor, address(0), next.assignee, block.timestamp);
+        }
+        emit TaskRecurred(taskId, nextTaskId, dueDate);
+    }
+    
+    /**
+     * @dev Assign a task to someone, or unassign it, keeping the assignee lists in sync
+     * @param self The task store
+     * @param taskId The ID of the task to assign
+     * @param actor The account making the change
+     * @param assignee The address to assign the task to (address(0) to unassign)
+     */
+    function assign(Store storage self, uint256 taskId, address actor, address assignee) external {
+        Task storage task = self.tasks[taskId];
+        address previousAssignee = task.assignee;
+        if (previousAssignee == assignee) {
+            return;
+        }
+        
+        if (previousAssignee != address(0)) {
+            IdList.remove(self.assignedTasks[previousAssignee], self.assignedTaskIndex, taskId);
+        }
+        if (assignee != address(0)) {
+            IdList.add(self.assignedTasks[assignee], self.assignedTaskIndex, taskId);
+        }
+        task.assignee = assignee;
+        
+        emit TaskAssigned(taskId, actor, previousAssignee, assignee, block.timestamp);
+    }
+    
+    /**
+     * @dev Move a task to a new owner's task list
+     * @param self The task store
+     * @param taskId The ID of the task to transfer
+     * @param newOwner The address that will own the task
+     * @param maxTasks The maximum number of tasks the new owner may have
+     */
+    function transfer(Store storage self, uint256 taskId, address newOwner, uint256 maxTasks) external {
+        Task storage task = self.tasks[taskId];
+        address previousOwner = task.owner;
+        require(newOwner != address(0) && newOwner != previousOwner, "Invalid new owner");
+        require(self.userTasks[newOwner].length < maxTasks, "Maximum number of tasks reached");
+        
+        IdList.remove(self.userTasks[previousOwner], self.userTaskIndex, taskId);
+        IdList.add(self.userTasks[newOwner], self.userTaskIndex, taskId);
+        task.owner = newOwner;
+        
+        emit TaskTransferred(taskId, previousOwner, newOwner, block.timestamp);
+    }
+    
+    /**
+     * @dev Delete a task and remove it from its owner's and assignee's task lists
+     * @param self The task store
+     * @param taskId The ID of the task to remove (must exist)
+     * @param actor The account deleting the task
+     */
+    function remove(Store storage self, uint256 taskId, address actor) external {
+        Task storage task = self.tasks[taskId];
+        address owner = task.owner;
+        
+        IdList.remove(self.userTasks[owner], self.userTaskIndex, taskId);
+        if (task.assignee != address(0)) {
+            IdList.remove(self.assignedTasks[task.assignee], self.assignedTaskIndex, taskId);
+        }
+        
+        delete self.tasks[taskId];
+        
+        emit TaskDeleted(taskId, owner, actor, block.timestamp);
+    }
+    
+    /**
+     * @dev Check whether a task may move from one status to another
+     * @param current The current status
+     * @param next The requested status
+     * @return bool True if the transition is allowed
+     */
+    function isValidTransition(Status current, Status next) public pure returns (bool) {
+        if (current == Status.Todo) {
+            return next == Status.InProgress || next == Status.Blocked || next == Status.Done || next == Status.Cancelled;
+        }
+        if (current == Status.InProgress) {
+            return next != Status.InProgress;
+        }
+        if (current == Status.Blocked) {
+            return next == Status.Todo || next == Status.InProgress || next == Status.Cancelled;
+        }
+        if (current == Status.InReview) {
+            return next == Status.InProgress || next == Status.Done || next == Status.Cancelled;
+        }
+        if (current == Status.Done) {
+            return next == Status.Todo || next == Status.InProgress;
+        }
+        // Cancelled tasks can only be reopened
+        return next == Status.Todo;
+    }
+}
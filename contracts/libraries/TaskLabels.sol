@@ -0,0 +1,222 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IdList.sol";
+
+/**
+ * @title TaskLabels
+ * @dev Per-user labels that can be attached to tasks.
+ * The write functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. Callers are
+ * responsible for checking that the caller may edit the task being labelled.
+ */
+library TaskLabels {
+    // Label struct definition
+    struct Label {
+        uint256 id;
+        string name;
+        uint24 color; // RGB colour, e.g. 0xff0000 for red
+        address owner;
+    }
+    
+    // All label state, kept in one struct so it can be passed to the library by reference
+    struct Store {
+        // Counter for generating unique label IDs (starts at 1 so 0 is never a valid label)
+        uint256 idCounter;
+        
+        // Mapping from labelId to Label
+        mapping(uint256 => Label) labels;
+        
+        // Mapping from user address to the IDs of the labels they created, with 1-based positions
+        mapping(address => uint256[]) userLabels;
+        mapping(uint256 => uint256) userLabelIndex;
+        
+        // Labels attached to each task, with 1-based positions per task
+        mapping(uint256 => uint256[]) taskLabels;
+        mapping(uint256 => mapping(uint256 => uint256)) taskLabelIndex;
+        
+        // Tasks each label is attached to, with 1-based positions per label
+        mapping(uint256 => uint256[]) labelTasks;
+        mapping(uint256 => mapping(uint256 => uint256)) labelTaskIndex;
+    }
+    
+    // Limits that bound the cleanup done when a task or label is deleted
+    uint256 public constant MAX_LABELS_PER_USER = 50;
+    uint256 public constant MAX_LABELS_PER_TASK = 10;
+    uint256 public constant MAX_TASKS_PER_LABEL = 100;
+    
+    // Events (also declared by TaskManager so they are part of its ABI)
+    event LabelCreated(uint256 indexed labelId, address indexed owner, string name, uint24 color);
+    event LabelUpdated(uint256 indexed labelId, string name, uint24 color);
+    event LabelDeleted(uint256 indexed labelId);
+    event TaskLabelAdded(uint256 indexed taskId, uint256 indexed labelId);
+    event TaskLabelRemoved(uint256 indexed taskId, uint256 indexed labelId);
+    
+    /**
+     * @dev Create a label
+     * @param self The label store
+     * @param owner The account that will own the label
+     * @param name The name of the label
+     * @param color The RGB colour of the label
+     * @return labelId The ID of the newly created label
+     */
+    function create(Store storage self, address owner, string calldata name, uint24 color) external returns (uint256) {
+        require(bytes(name).length > 0, "Label name is required");
+        require(self.userLabels[owner].length < MAX_LABELS_PER_USER, "Maximum number of labels reached");
+        
+        self.idCounter++;
+        uint256 labelId = self.idCounter;
+        
+        self.labels[labelId] = Label({
+            id: labelId,
+            name: name,
+            color: color,
+            owner: owner
+        });
+        IdList.add(self.userLabels[owner], self.userLabelIndex, labelId);
+        
+        emit LabelCreated(labelId, owner, name, color);
+        
+        return labelId;
+    }
+    
+    /**
+     * @dev Rename or recolour a label
+     * @param self The label store
+     * @param caller The account making the change (must own the label)
+     * @param labelId The ID of the label to update
+     * @param name The new name of the label
+     * @param color The new RGB colour of the label
+     */
+    function update(Store storage self, address caller, uint256 labelId, string calldata name, uint24 color) external {
+        Label storage label = self.labels[labelId];
+        require(label.owner == caller, "Only the label owner can change this label");
+        require(bytes(name).length > 0, "Label name is required");
+        
+        label.name = name;
+        label.color = color;
+        
+        emit LabelUpdated(labelId, name, color);
+    }
+    
+    /**
+     * @dev Delete a label and remove it from every task it is attached to
+     * @param self The label store
+     * @param caller The account making the change (must own the label)
+     * @param labelId The ID of the label to delete
+     */
+    function remove(Store storage self, address caller, uint256 labelId) external {
+        require(self.labels[labelId].owner == caller, "Only the label owner can change this label");
+        
+        uint256[] storage taskIds = self.labelTasks[labelId];
+        while (taskIds.length > 0) {
+            detach(self, taskIds[taskIds.length - 1], labelId);
+        }
+        
+        IdList.remove(self.userLabels[caller], self.userLabelIndex, labelId);
+        delete self.labels[labelId];
+        
+        emit LabelDeleted(labelId);
+    }
+    
+    /**
+     * @dev Attach one of the caller's labels to a task, doing nothing if it is already attached
+     * @param self The label store
+     * @param caller The account attaching the label (must own the label)
+     * @param taskId The ID of the task
+     * @param labelId The ID of the label to attach
+     */
+    function attach(Store storage self, address caller, uint256 taskId, uint256 labelId) public {
+        require(self.labels[labelId].owner == caller, "Only the label owner can use this label");
+        
+        if (self.taskLabelIndex[taskId][labelId] != 0) {
+            return;
+        }
+        require(self.taskLabels[taskId].length < MAX_LABELS_PER_TASK, "Maximum number of labels per task reached");
+        require(self.labelTasks[labelId].length < MAX_TASKS_PER_LABEL, "Maximum number of tasks per label reached");
+        
+        IdList.add(self.taskLabels[taskId], self.taskLabelIndex[taskId], labelId);
+        IdList.add(self.labelTasks[labelId], self.labelTaskIndex[labelId], taskId);
+        
+        emit TaskLabelAdded(taskId, labelId);
+    }
+    
+    /**
+     * @dev Remove a label from a task, doing nothing if it is not attached
+     * @param self The label store
+     * @param taskId The ID of the task
+     * @param labelId The ID of the label to remove
+     */
+    function detach(Store storage self, uint256 taskId, uint256 labelId) public {
+        if (self.taskLabelIndex[taskId][labelId] == 0) {
+            return;
+        }
+        
+        IdList.remove(self.taskLabels[taskId], self.taskLabelIndex[taskId], labelId);
+        IdList.remove(self.labelTasks[labelId], self.labelTaskIndex[labelId], taskId);
+        
+        emit TaskLabelRemoved(taskId, labelId);
+    }
+    
+    /**
+     * @dev Replace the labels of a task, attaching and removing labels as needed.
+     * Labels someone else attached can be kept, but only the caller's own labels can be added.
+     * @param self The label store
+     * @param caller The account changing the labels
+     * @param taskId The ID of the task
+     * @param labelIds The IDs of the labels the task should carry
+     */
+    function replace(Store storage self, address caller, uint256 taskId, uint256[] calldata labelIds) external {
+        require(labelIds.length <= MAX_LABELS_PER_TASK, "Maximum number of labels per task reached");
+        
+        // Remove the current labels that are not in the new set, walking backwards as removal reorders the list
+        uint256[] storage current = self.taskLabels[taskId];
+        for (uint256 i = current.length; i > 0; i--) {
+            uint256 labelId = current[i - 1];
+            bool keep = false;
+            for (uint256 j = 0; j < labelIds.length; j++) {
+                if (labelIds[j] == labelId) {
+                    keep = true;
+                    break;
+                }
+            }
+            if (!keep) {
+                detach(self, taskId, labelId);
+            }
+        }
+        
+        for (uint256 i = 0; i < labelIds.length; i++) {
+            if (self.taskLabelIndex[taskId][labelIds[i]] == 0) {
+                attach(self, caller, taskId, labelIds[i]);
+            }
+        }
+    }
+    
+    /**
+     * @dev Forget the labels of a deleted task without emitting removal events
+     * @param self The label store
+     * @param taskId The ID of the deleted task
+     */
+    function clearTask(Store storage self, uint256 taskId) external {
+        uint256[] storage labelIds = self.taskLabels[taskId];
+        for (uint256 i = 0; i < labelIds.length; i++) {
+            IdList.remove(self.labelTasks[labelIds[i]], self.labelTaskIndex[labelIds[i]], taskId);
+            delete self.taskLabelIndex[taskId][labelIds[i]];
+        }
+        delete self.taskLabels[taskId];
+    }
+    
+    /**
+     * @dev Load the labels for a list of label IDs
+     * @param self The label store
+     * @param labelIds The label IDs to load
+     * @return Label[] The labels, in list order
+     */
+    function toLabels(Store storage self, uint256[] storage labelIds) internal view returns (Label[] memory) {
+        Label[] memory labels = new Label[](labelIds.length);
+        for (uint256 i = 0; i < labelIds.length; i++) {
+            labels[i] = self.labels[labelIds[i]];
+        }
+        return labels;
+    }
+}
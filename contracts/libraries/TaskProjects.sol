@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./IdList.sol";
+
+/**
+ * @title TaskProjects
+ * @dev Shared projects with member roles.
+ * The write functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. TaskManager keeps
+ * the project's task list in sync as tasks are added and removed.
+ */
+library TaskProjects {
+    // Roles a project member can hold; each role includes the ones before it
+    enum ProjectRole { None, Viewer, Member, Admin }
+    
+    // Project struct definition
+    struct Project {
+        uint256 id;
+        string name;
+        address owner;
+        uint256 createdAt;
+    }
+    
+    // All project state, kept in one struct so it can be passed to the library by reference
+    struct Store {
+        // Counter for generating unique project IDs (starts at 1 so 0 can mean "no project")
+        uint256 idCounter;
+        
+        // Mapping from projectId to Project
+        mapping(uint256 => Project) projects;
+        
+        // Mapping from projectId to the IDs of the tasks in the project, with 1-based positions
+        mapping(uint256 => uint256[]) tasks;
+        mapping(uint256 => uint256) taskIndex;
+        
+        // Members of each project and the role held by each of them
+        mapping(uint256 => address[]) members;
+        mapping(uint256 => mapping(address => ProjectRole)) roles;
+        
+        // Mapping from user address to the projects they are a member of, with 1-based positions per user
+        mapping(address => uint256[]) memberProjects;
+        mapping(address => mapping(uint256 => uint256)) memberProjectIndex;
+    }
+    
+    // Maximum number of members per project, which bounds the cleanup done on delete
+    uint256 public constant MAX_PROJECT_MEMBERS = 50;
+    
+    // Events (also declared by TaskManager so they are part of its ABI)
+    event ProjectCreated(uint256 indexed projectId, address indexed owner, string name);
+    event ProjectRenamed(uint256 indexed projectId, string newName);
+    event ProjectDeleted(uint256 indexed projectId);
+    event ProjectMemberUpdated(uint256 indexed projectId, address indexed member, ProjectRole role);
+    
+    /**
+     * @dev Create a project whose owner becomes its first admin
+     * @param self The project store
+     * @param owner The account that will own the project
+     * @param name The name of the project
+     * @return projectId The ID of the newly created project
+     */
+    function create(Store storage self, address owner, string calldata name) external returns (uint256) {
+        require(bytes(name).length > 0, "Project name is required");
+        
+        self.idCounter++;
+        uint256 projectId = self.idCounter;
+        
+        self.projects[projectId] = Project({
+            id: projectId,
+            name: name,
+            owner: owner,
+            createdAt: block.timestamp
+        });
+        
+        emit ProjectCreated(projectId, owner, name);
+        
+        _setRole(self, projectId, owner, ProjectRole.Admin);
+        
+        return projectId;
+    }
+    
+    /**
+     * @dev Rename a project
+     * @param self The project store
+     * @param caller The account making the change (must be a project admin)
+     * @param projectId The ID of the project to rename
+     * @param newName The new name for the project
+     */
+    function rename(Store storage self, address caller, uint256 projectId, string calldata newName) external {
+        require(self.roles[projectId][caller] == ProjectRole.Admin, "Only project admins can manage this project");
+        require(bytes(newName).length > 0, "Project name is required");
+        
+        self.projects[projectId].name = newName;
+        
+        emit ProjectRenamed(projectId, newName);
+    }
+    
+    /**
+     * @dev Delete an empty project and remove all of its members
+     * @param self The project store
+     * @param caller The account making the change (must own the project)
+     * @param projectId The ID of the project to delete
+     */
+    function remove(Store storage self, address caller, uint256 projectId) external {
+        require(self.projects[projectId].owner == caller, "Only the project owner can delete this project");
+        require(self.tasks[projectId].length == 0, "Project still has tasks");
+        
+        address[] storage members = self.members[projectId];
+        for (uint256 i = 0; i < members.length; i++) {
+            delete self.roles[projectId][members[i]];
+            IdList.remove(self.memberProjects[members[i]], self.memberProjectIndex[members[i]], projectId);
+        }
+        delete self.members[projectId];
+        delete self.projects[projectId];
+        
+        emit ProjectDeleted(projectId);
+    }
+    
+    /**
+     * @dev Add a project member, change their role or remove them.
+     * Admins can manage anyone but the owner, and any member can remove themselves.
+     * @param self The project store
+     * @param caller The account making the change
+     * @param projectId The ID of the project
+     * @param member The address of the member
+     * @param role The role to give the member (0=None to remove, 1=Viewer, 2=Member, 3=Admin)
+     */
+    function setMember(Store storage self, address caller, uint256 projectId, address member, uint8 role) external {
+        bool isLeaving = member == caller && role == uint8(ProjectRole.None);
+        require(
+            self.roles[projectId][caller] == ProjectRole.Admin || (isLeaving && self.roles[projectId][member] != ProjectRole.None),
+            "Only project admins can manage this project"
+        );
+        require(member != address(0) && member != self.projects[projectId].owner, "Invalid project member");
+        require(role <= uint8(ProjectRole.Admin), "Invalid project role");
+        
+        _setRole(self, projectId, member, ProjectRole(role));
+    }
+    
+    /**
+     * @dev Get the projects an account is a member of
+     * @param self The project store
+     * @param account The account
+     * @return Project[] The account's projects, in the order the account joined them
+     */
+    function projectsOf(Store storage self, address account) external view returns (Project[] memory) {
+        uint256[] storage projectIds = self.memberProjects[account];
+        Project[] memory projects = new Project[](projectIds.length);
+        for (uint256 i = 0; i < projectIds.length; i++) {
+            projects[i] = self.projects[projectIds[i]];
+        }
+        return projects;
+    }
+    
+    /**
+     * @dev Update a member's role and keep the member lists in sync
+     * @param self The project store
+     * @param projectId The ID of the project
+     * @param member The address of the member
+     * @param role The new role (None removes the member)
+     */
+    function _setRole(Store storage self, uint256 projectId, address member, ProjectRole role) private {
+        ProjectRole current = self.roles[projectId][member];
+        if (current == role) {
+            return;
+        }
+        
+        address[] storage members = self.members[projectId];
+        if (current == ProjectRole.None) {
+            require(members.length < MAX_PROJECT_MEMBERS, "Maximum number of project members reached");
+            members.push(member);
+            IdList.add(self.memberProjects[member], self.memberProjectIndex[member], projectId);
+        } else if (role == ProjectRole.None) {
+            // Member lists are short and bounded, so a linear search is fine here
+            for (uint256 i = 0; i < members.length; i++) {
+                if (members[i] == member) {
+                    members[i] = members[members.length - 1];
+                    members.pop();
+                    break;
+                }
+            }
+            IdList.remove(self.memberProjects[member], self.memberProjectIndex[member], projectId);
+        }
+        self.roles[projectId][member] = role;
+        
+        emit ProjectMemberUpdated(projectId, member, role);
+    }
+}
@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../TaskTypes.sol";
+
+/**
+ * @title TaskQueries
+ * @dev Filtered and paginated reads over lists of task IDs.
+ * The query functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. Callers are
+ * responsible for deciding which list the caller may read.
+ */
+library TaskQueries {
+    // Filters supported by the queries
+    enum Filter { None, Status, Priority, DueSoon }
+    
+    // Upper bounds for paginated queries so a single call stays within RPC gas and response limits
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    uint256 public constant MAX_PAGE_SCAN = 500;
+    
+    /**
+     * @dev Collect every task in a list that matches a filter
+     * @param tasks The task storage
+     * @param taskIds The task list to scan
+     * @param filter The filter to apply
+     * @param value The status or priority to match, depending on the filter
+     * @return Task[] The matching tasks, in list order
+     */
+    function collect(
+        mapping(uint256 => Task) storage tasks,
+        uint256[] storage taskIds,
+        Filter filter,
+        uint8 value
+    ) external view returns (Task[] memory) {
+        uint256 tomorrow = block.timestamp + 1 days;
+        uint256[] memory matchingIds = new uint256[](taskIds.length);
+        uint256 count = 0;
+        
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            if (_matches(tasks[taskIds[i]], filter, value, tomorrow)) {
+                matchingIds[count] = taskIds[i];
+                count++;
+            }
+        }
+        
+        Task[] memory matchingTasks = new Task[](count);
+        for (uint256 i = 0; i < count; i++) {
+            matchingTasks[i] = tasks[matchingIds[i]];
+        }
+        
+        return matchingTasks;
+    }
+    
+    /**
+     * @dev Scan a task list from a cursor and collect the tasks matching a filter.
+     * A call scans at most MAX_PAGE_SCAN entries, so a filtered page can hold fewer than
+     * `limit` tasks (or none) while the returned cursor still points at more tasks.
+     * Deleting tasks reorders the list, so pages fetched around a delete may shift.
+     * @param tasks The task storage
+     * @param taskIds The task list to scan
+     * @param filter The filter to apply
+     * @param value The status or priority to match, depending on the filter
+     * @param cursor Position in the task list to start from
+     * @param limit Maximum number of tasks to return
+     * @return matchingTasks The matching tasks
+     * @return nextCursor The cursor for the next page (0 when the end of the list was reached)
+     */
+    function page(
+        mapping(uint256 => Task) storage tasks,
+        uint256[] storage taskIds,
+        Filter filter,
+        uint8 value,
+        uint256 cursor,
+        uint256 limit
+    ) external view returns (Task[] memory matchingTasks, uint256 nextCursor) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+        
+        uint256 length = taskIds.length;
+        if (cursor >= length) {
+            return (new Task[](0), 0);
+        }
+        
+        uint256 scanEnd = cursor + MAX_PAGE_SCAN < length ? cursor + MAX_PAGE_SCAN : length;
+        uint256 tomorrow = block.timestamp + 1 days;
+        uint256[] memory matchingIds = new uint256[](limit);
+        uint256 count = 0;
+        uint256 i = cursor;
+        
+        // Collect matching task IDs until the page is full or the scan budget is spent
+        for (; i < scanEnd && count < limit; i++) {
+            if (_matches(tasks[taskIds[i]], filter, value, tomorrow)) {
+                matchingIds[count] = taskIds[i];
+                count++;
+            }
+        }
+        
+        matchingTasks = new Task[](count);
+        for (uint256 j = 0; j < count; j++) {
+            matchingTasks[j] = tasks[matchingIds[j]];
+        }
+        
+        nextCursor = i < length ? i : 0;
+    }
+    
+    /**
+     * @dev Read one task. Kept here rather than in TaskManager so the code copying a task out of
+     * storage isn't part of the contract's size.
+     * @param tasks The task storage
+     * @param taskId The ID of the task
+     * @return Task The task data
+     */
+    function get(mapping(uint256 => Task) storage tasks, uint256 taskId) external view returns (Task memory) {
+        return tasks[taskId];
+    }
+    
+    /**
+     * @dev Check whether a task matches a filter
+     * @param task The task to check
+     * @param filter The filter to apply
+     * @param value The status or priority to match, depending on the filter
+     * @param dueBefore Cut-off timestamp for the due soon filter
+     * @return bool True if the task matches
+     */
+    function _matches(Task storage task, Filter filter, uint8 value, uint256 dueBefore) private view returns (bool) {
+        if (filter == Filter.Status) {
+            return uint8(task.status) == value;
+        }
+        if (filter == Filter.Priority) {
+            return uint8(task.priority) == value;
+        }
+        if (filter == Filter.DueSoon) {
+            return task.dueDate > 0 && task.dueDate <= dueBefore && isOpen(task.status);
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Check whether a task in the given status still needs work
+     * @param status The status to check
+     * @return bool True unless the task is done or cancelled
+     */
+    function isOpen(Status status) internal pure returns (bool) {
+        return status != Status.Done && status != Status.Cancelled;
+    }
+}
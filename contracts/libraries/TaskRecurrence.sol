@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../TaskTypes.sol";
+
+/**
+ * @title TaskRecurrence
+ * @dev Validation of repeat rules and the date arithmetic that moves a due date to the next occurrence.
+ * Calendar dates are in UTC. The functions are internal, so they are compiled into TaskCore.
+ */
+library TaskRecurrence {
+    uint256 private constant DAY = 1 days;
+    
+    // Days from 0000-03-01 to 1970-01-01 in the proleptic Gregorian calendar
+    uint256 private constant EPOCH_OFFSET = 719468;
+    
+    /**
+     * @dev Check that a repeat rule is complete and can be applied to a task with the given due date
+     * @param rule The repeat rule
+     * @param dueDate Due date of the task (0 means no due date)
+     * @return bool True if the rule is valid; a frequency of None is always valid
+     */
+    function isValid(Recurrence memory rule, uint256 dueDate) internal pure returns (bool) {
+        if (rule.frequency == Frequency.None) {
+            return true;
+        }
+        // Occurrences are scheduled from the due date, so a recurring task needs one
+        if (dueDate == 0 || (rule.endDate != 0 && rule.endDate < dueDate)) {
+            return false;
+        }
+        if (rule.frequency == Frequency.Weekly) {
+            return rule.weekdays < 128;
+        }
+        if (rule.frequency == Frequency.Monthly) {
+            return rule.monthDay <= 31;
+        }
+        if (rule.frequency == Frequency.EveryNDays) {
+            return rule.interval > 0;
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Get a rule in the form it is stored: all zeros when the task doesn't repeat, and with the
+     * day of the month filled in from the due date when a monthly rule leaves it at 0
+     * @param rule A valid repeat rule
+     * @param dueDate Due date of the task
+     * @return Recurrence The rule to store
+     */
+    function normalize(Recurrence memory rule, uint256 dueDate) internal pure returns (Recurrence memory) {
+        if (rule.frequency == Frequency.None) {
+            return Recurrence(Frequency.None, 0, 0, 0, 0);
+        }
+        if (rule.frequency == Frequency.Monthly && rule.monthDay == 0) {
+            (, , uint256 day) = _toDate(dueDate / DAY);
+            rule.monthDay = uint8(day);
+        }
+        return rule;
+    }
+    
+    /**
+     * @dev Get the due date of the occurrence after one due at `dueDate`, keeping the time of day.
+     * A monthly task falls on the rule's day of the month, or on the last day of shorter months.
+     * @param rule The repeat rule
+     * @param dueDate Due date of the current occurrence
+     * @return uint256 Due date of the next occurrence, or 0 if the task doesn't repeat or the series has ended
+     */
+    function nextDueDate(Recurrence storage rule, uint256 dueDate) internal view returns (uint256) {
+        Frequency frequency = rule.frequency;
+        if (frequency == Frequency.None || dueDate == 0) {
+            return 0;
+        }
+        
+        uint256 next;
+        if (frequency == Frequency.Daily) {
+            next = dueDate + DAY;
+        } else if (frequency == Frequency.Weekly) {
+            next = dueDate + _daysToNextWeekday(rule.weekdays, dueDate) * DAY;
+        } else if (frequency == Frequency.Monthly) {
+            next = _addMonth(dueDate, rule.monthDay);
+        } else {
+            next = dueDate + uint256(rule.interval) * DAY;
+        }
+        
+        uint256 endDate = rule.endDate;
+        return endDate != 0 && next > endDate ? 0 : next;
+    }
+    
+    /**
+     * @dev Count the days from a timestamp to the next day whose bit is set in a weekday mask
+     * @param weekdays Bit 0 = Sunday to bit 6 = Saturday; 0 means the same weekday
+     * @param timestamp The starting point
+     * @return uint256 Number of days, from 1 to 7
+     */
+    function _daysToNextWeekday(uint8 weekdays, uint256 timestamp) private pure returns (uint256) {
+        // 1970-01-01 was a Thursday
+        uint256 weekday = (timestamp / DAY + 4) % 7;
+        for (uint256 i = 1; i < 7; i++) {
+            if (weekdays & (1 << ((weekday + i) % 7)) != 0) {
+                return i;
+            }
+        }
+        return 7;
+    }
+    
+    /**
+     * @dev Move a timestamp to a day of the next month at the same time, or to the last day of the
+     * next month if it is shorter. The day comes from the rule rather than the timestamp, so a task
+     * moved to a shorter month's last day goes back to its day the month after.
+     * @param timestamp The timestamp to move
+     * @param monthDay The day of the month to move to (0 keeps the timestamp's day)
+     * @return uint256 The timestamp in the next month
+     */
+    function _addMonth(uint256 timestamp, uint256 monthDay) private pure returns (uint256) {
+        (uint256 year, uint256 month, uint256 day) = _toDate(timestamp / DAY);
+        if (month == 12) {
+            year++;
+            month = 1;
+        } else {
+            month++;
+        }
+        
+        if (monthDay != 0) {
+            day = monthDay;
+        }
+        uint256 lastDay = _daysInMonth(year, month);
+        if (day > lastDay) {
+            day = lastDay;
+        }
+        return _toDays(year, month, day) * DAY + timestamp % DAY;
+    }
+    
+    /**
+     * @dev Get the number of days in a month
+     * @param year The year
+     * @param month The month (1 to 12)
+     * @return uint256 Number of days
+     */
+    function _daysInMonth(uint256 year, uint256 month) private pure returns (uint256) {
+        if (month == 2) {
+            bool isLeapYear = (year % 4 == 0 && year % 100 != 0) || year % 400 == 0;
+            return isLeapYear ? 29 : 28;
+        }
+        return month == 4 || month == 6 || month == 9 || month == 11 ? 30 : 31;
+    }
+    
+    /**
+     * @dev Convert days since 1970-01-01 to a calendar date (Howard Hinnant's civil_from_days)
+     * @param daysSinceEpoch Days since 1970-01-01
+     * @return year The year
+     * @return month The month (1 to 12)
+     * @return day The day of the month (1 to 31)
+     */
+    function _toDate(uint256 daysSinceEpoch) private pure returns (uint256 year, uint256 month, uint256 day) {
+        uint256 z = daysSinceEpoch + EPOCH_OFFSET;
+        uint256 era = z / 146097;
+        uint256 dayOfEra = z - era * 146097;
+        uint256 yearOfEra = (dayOfEra - dayOfEra / 1460 + dayOfEra / 36524 - dayOfEra / 146096) / 365;
+        uint256 dayOfYear = dayOfEra - (365 * yearOfEra + yearOfEra / 4 - yearOfEra / 100);
+        uint256 shiftedMonth = (5 * dayOfYear + 2) / 153; // 0 = March
+        
+        day = dayOfYear - (153 * shiftedMonth + 2) / 5 + 1;
+        month = shiftedMonth < 10 ? shiftedMonth + 3 : shiftedMonth - 9;
+        year = yearOfEra + era * 400 + (month <= 2 ? 1 : 0);
+    }
+    
+    /**
+     * @dev Convert a calendar date to days since 1970-01-01 (Howard Hinnant's days_from_civil)
+     * @param year The year (1970 or later)
+     * @param month The month (1 to 12)
+     * @param day The day of the month (1 to 31)
+     * @return uint256 Days since 1970-01-01
+     */
+    function _toDays(uint256 year, uint256 month, uint256 day) private pure returns (uint256) {
+        if (month <= 2) {
+            year--;
+        }
+        uint256 era = year / 400;
+        uint256 yearOfEra = year - era * 400;
+        uint256 dayOfYear = (153 * (month > 2 ? month - 3 : month + 9) + 2) / 5 + day - 1;
+        uint256 dayOfEra = yearOfEra * 365 + yearOfEra / 4 - yearOfEra / 100 + dayOfYear;
+        
+        return era * 146097 + dayOfEra - EPOCH_OFFSET;
+    }
+}
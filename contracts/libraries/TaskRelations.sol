@@ -0,0 +1,291 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../TaskTypes.sol";
+import "./IdList.sol";
+
+/**
+ * @title TaskRelations
+ * @dev Parent/child subtasks and "blocked by" dependencies between tasks.
+ * The write functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. Callers are
+ * responsible for checking that the tasks exist and that the caller may edit them.
+ */
+library TaskRelations {
+    // All relation state, kept in one struct so it can be passed to the library by reference
+    struct Store {
+        // Parent of each task, stored as parentId + 1 so 0 can mean "no parent" (task IDs start at 0)
+        mapping(uint256 => uint256) parentOf;
+        
+        // Subtasks of each task, with 1-based positions (a task has at most one parent)
+        mapping(uint256 => uint256[]) subtasks;
+        mapping(uint256 => uint256) subtaskIndex;
+        
+        // Tasks that must be closed before each task can be completed, with 1-based positions per task
+        mapping(uint256 => uint256[]) blockers;
+        mapping(uint256 => mapping(uint256 => uint256)) blockerIndex;
+        
+        // Reverse of blockers: the tasks each task is blocking, with 1-based positions per task
+        mapping(uint256 => uint256[]) dependents;
+        mapping(uint256 => mapping(uint256 => uint256)) dependentIndex;
+    }
+    
+    // Relations of a task as shown in list views
+    struct Summary {
+        bool hasParent;
+        uint256 parentId;
+        uint256 subtaskCount; // Subtasks that still count towards completion (cancelled ones do not)
+        uint256 completedSubtasks;
+        uint256[] blockerIds;
+        uint256 openBlockers;
+    }
+    
+    // Limits that bound the cleanup done when a task is deleted and the cycle checks
+    uint256 public constant MAX_SUBTASKS = 20;
+    uint256 public constant MAX_SUBTASK_DEPTH = 8;
+    uint256 public constant MAX_BLOCKERS = 10;
+    uint256 public constant MAX_DEPENDENTS = 20;
+    uint256 public constant MAX_DEPENDENCY_SCAN = 64;
+    
+    // Events (also declared by TaskManager so they are part of its ABI)
+    event SubtaskAdded(uint256 indexed parentId, uint256 indexed taskId);
+    event SubtaskRemoved(uint256 indexed parentId, uint256 indexed taskId);
+    event TaskBlockerAdded(uint256 indexed taskId, uint256 indexed blockerId);
+    event TaskBlockerRemoved(uint256 indexed taskId, uint256 indexed blockerId);
+    
+    /**
+     * @dev Make a task a subtask of another task, moving it if it already has a parent
+     * @param self The relation store
+     * @param taskId The ID of the task that becomes a subtask
+     * @param parentId The ID of the new parent task
+     */
+    function setParent(Store storage self, uint256 taskId, uint256 parentId) external {
+        if (self.parentOf[taskId] == parentId + 1) {
+            return;
+        }
+        require(self.subtasks[parentId].length < MAX_SUBTASKS, "Maximum number of subtasks reached");
+        
+        // Walk up from the new parent: reaching the task itself would create a cycle
+        uint256 ancestor = parentId;
+        for (uint256 depth = 1; ; depth++) {
+            require(ancestor != taskId, "Subtask cycle detected");
+            uint256 next = self.parentOf[ancestor];
+            if (next == 0) {
+                break;
+            }
+            require(depth < MAX_SUBTASK_DEPTH, "Maximum subtask depth reached");
+            ancestor = next - 1;
+        }
+        
+        clearParent(self, taskId);
+        self.parentOf[taskId] = parentId + 1;
+        IdList.add(self.subtasks[parentId], self.subtaskIndex, taskId);
+        
+        emit SubtaskAdded(parentId, taskId);
+    }
+    
+    /**
+     * @dev Detach a subtask from its parent, doing nothing if it has no parent
+     * @param self The relation store
+     * @param taskId The ID of the subtask
+     */
+    function clearParent(Store storage self, uint256 taskId) public {
+        uint256 parent = self.parentOf[taskId];
+        if (parent == 0) {
+            return;
+        }
+        
+        IdList.remove(self.subtasks[parent - 1], self.subtaskIndex, taskId);
+        delete self.parentOf[taskId];
+        
+        emit SubtaskRemoved(parent - 1, taskId);
+    }
+    
+    /**
+     * @dev Mark a task as blocked by another task, doing nothing if it already is
+     * @param self The relation store
+     * @param taskId The ID of the blocked task
+     * @param blockerId The ID of the task that has to be closed first
+     */
+    function addBlocker(Store storage self, uint256 taskId, uint256 blockerId) external {
+        require(taskId != blockerId, "A task cannot block itself");
+        
+        if (self.blockerIndex[taskId][blockerId] != 0) {
+            return;
+        }
+        require(self.blockers[taskId].length < MAX_BLOCKERS, "Maximum number of blockers reached");
+        require(self.dependents[blockerId].length < MAX_DEPENDENTS, "Maximum number of blocked tasks reached");
+        require(!_isBlockedBy(self, blockerId, taskId), "Dependency cycle detected");
+        
+        IdList.add(self.blockers[taskId], self.blockerIndex[taskId], blockerId);
+        IdList.add(self.dependents[blockerId], self.dependentIndex[blockerId], taskId);
+        
+        emit TaskBlockerAdded(taskId, blockerId);
+    }
+    
+    /**
+     * @dev Remove a blocker from a task, doing nothing if it is not blocking it
+     * @param self The relation store
+     * @param taskId The ID of the blocked task
+     * @param blockerId The ID of the blocker to remove
+     */
+    function removeBlocker(Store storage self, uint256 taskId, uint256 blockerId) public {
+        if (self.blockerIndex[taskId][blockerId] == 0) {
+            return;
+        }
+        
+        IdList.remove(self.blockers[taskId], self.blockerIndex[taskId], blockerId);
+        IdList.remove(self.dependents[blockerId], self.dependentIndex[blockerId], taskId);
+        
+        emit TaskBlockerRemoved(taskId, blockerId);
+    }
+    
+    /**
+     * @dev Forget the relations of a deleted task without emitting removal events.
+     * Its subtasks become top-level tasks and the tasks it was blocking are unblocked.
+     * @param self The relation store
+     * @param taskId The ID of the deleted task
+     */
+    function clearTask(Store storage self, uint256 taskId) external {
+        uint256 parent = self.parentOf[taskId];
+        if (parent != 0) {
+            IdList.remove(self.subtasks[parent - 1], self.subtaskIndex, taskId);
+            delete self.parentOf[taskId];
+        }
+        
+        uint256[] storage children = self.subtasks[taskId];
+        for (uint256 i = 0; i < children.length; i++) {
+            delete self.parentOf[children[i]];
+            delete self.subtaskIndex[children[i]];
+        }
+        delete self.subtasks[taskId];
+        
+        uint256[] storage blockerIds = self.blockers[taskId];
+        for (uint256 i = 0; i < blockerIds.length; i++) {
+            IdList.remove(self.dependents[blockerIds[i]], self.dependentIndex[blockerIds[i]], taskId);
+            delete self.blockerIndex[taskId][blockerIds[i]];
+        }
+        delete self.blockers[taskId];
+        
+        uint256[] storage dependentIds = self.dependents[taskId];
+        for (uint256 i = 0; i < dependentIds.length; i++) {
+            IdList.remove(self.blockers[dependentIds[i]], self.blockerIndex[dependentIds[i]], taskId);
+            delete self.dependentIndex[taskId][dependentIds[i]];
+        }
+        delete self.dependents[taskId];
+    }
+    
+    /**
+     * @dev Summarize the relations of several tasks for list views
+     * @param self The relation store
+     * @param tasks The task storage, used to read the status of subtasks and blockers
+     * @param taskIds The IDs of the tasks
+     * @return summaries The relations of each task, in the same order as taskIds
+     */
+    function summarize(
+        Store storage self,
+        mapping(uint256 => Task) storage tasks,
+        uint256[] calldata taskIds
+    ) external view returns (Summary[] memory summaries) {
+        summaries = new Summary[](taskIds.length);
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            uint256 taskId = taskIds[i];
+            uint256 parent = self.parentOf[taskId];
+            uint256[] storage subtaskIds = self.subtasks[taskId];
+            
+            uint256 cancelled = 0;
+            uint256 completed = 0;
+            for (uint256 j = 0; j < subtaskIds.length; j++) {
+                Status status = tasks[subtaskIds[j]].status;
+                if (status == Status.Cancelled) {
+                    cancelled++;
+                } else if (status == Status.Done) {
+                    completed++;
+                }
+            }
+            
+            summaries[i] = Summary({
+                hasParent: parent != 0,
+                parentId: parent != 0 ? parent - 1 : 0,
+                subtaskCount: subtaskIds.length - cancelled,
+                completedSubtasks: completed,
+                blockerIds: self.blockers[taskId],
+                openBlockers: countOpenBlockers(self, tasks, taskId)
+            });
+        }
+    }
+    
+    /**
+     * @dev Count the blockers of a task that are neither done nor cancelled
+     * @param self The relation store
+     * @param tasks The task storage, used to read the status of the blockers
+     * @param taskId The ID of the blocked task
+     * @return count The number of open blockers
+     */
+    function countOpenBlockers(
+        Store storage self,
+        mapping(uint256 => Task) storage tasks,
+        uint256 taskId
+    ) public view returns (uint256 count) {
+        uint256[] storage blockerIds = self.blockers[taskId];
+        for (uint256 i = 0; i < blockerIds.length; i++) {
+            if (tasks[blockerIds[i]].status != Status.Done && tasks[blockerIds[i]].status != Status.Cancelled) {
+                count++;
+            }
+        }
+    }
+    
+    /**
+     * @dev Check whether a task is blocked, directly or through other tasks, by a given task.
+     * Walks the blocker graph depth-first, visiting at most MAX_DEPENDENCY_SCAN tasks.
+     * @param self The relation store
+     * @param taskId The task to start from
+     * @param blockerId The task to look for among its transitive blockers
+     * @return bool True if blockerId is reachable from taskId
+     */
+    function _isBlockedBy(Store storage self, uint256 taskId, uint256 blockerId) private view returns (bool) {
+        uint256[] memory visited = new uint256[](MAX_DEPENDENCY_SCAN);
+        uint256[] memory stack = new uint256[](MAX_DEPENDENCY_SCAN);
+        uint256 visitedCount = 1;
+        uint256 stackSize = 1;
+        visited[0] = taskId;
+        stack[0] = taskId;
+        
+        while (stackSize > 0) {
+            stackSize--;
+            uint256[] storage next = self.blockers[stack[stackSize]];
+            
+            for (uint256 i = 0; i < next.length; i++) {
+                if (next[i] == blockerId) {
+                    return true;
+                }
+                if (_contains(visited, visitedCount, next[i])) {
+                    continue;
+                }
+                require(visitedCount < MAX_DEPENDENCY_SCAN, "Dependency chain too long");
+                visited[visitedCount] = next[i];
+                visitedCount++;
+                stack[stackSize] = next[i];
+                stackSize++;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * @dev Check whether the first `count` entries of an array contain a value
+     * @param values The array to search
+     * @param count The number of entries in use
+     * @param value The value to look for
+     * @return bool True if the value was found
+     */
+    function _contains(uint256[] memory values, uint256 count, uint256 value) private pure returns (bool) {
+        for (uint256 i = 0; i < count; i++) {
+            if (values[i] == value) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title TaskRoles
+ * @dev Admin roles of TaskManager and the accounts holding each of them.
+ * The write functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. Callers are
+ * responsible for checking that the caller holds DEFAULT_ADMIN_ROLE.
+ */
+library TaskRoles {
+    // Grants and revokes every role, including itself
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+    
+    // Pauses and unpauses the contract, for emergencies
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    
+    // Deletes other users' tasks and sees the total task count
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+    
+    // Changes settings such as the maximum number of tasks per user
+    bytes32 public constant CONFIG_ROLE = keccak256("CONFIG_ROLE");
+    
+    // All role state, kept in one struct so it can be passed to the library by reference
+    struct Store {
+        // Accounts holding each role, with 1-based positions per role
+        mapping(bytes32 => address[]) members;
+        mapping(bytes32 => mapping(address => uint256)) memberIndex;
+    }
+    
+    // Events (also declared by TaskManager so they are part of its ABI)
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    
+    /**
+     * @dev Check that a role is one of the roles TaskManager knows
+     * @param role The role
+     * @return bool True if the role exists
+     */
+    function isRole(bytes32 role) internal pure returns (bool) {
+        return role == DEFAULT_ADMIN_ROLE || role == PAUSER_ROLE || role == MODERATOR_ROLE || role == CONFIG_ROLE;
+    }
+    
+    /**
+     * @dev Check whether an account holds a role
+     * @param self The role store
+     * @param role The role
+     * @param account The account to check
+     * @return bool True if the account holds the role
+     */
+    function hasRole(Store storage self, bytes32 role, address account) internal view returns (bool) {
+        return self.memberIndex[role][account] != 0;
+    }
+    
+    /**
+     * @dev Give a role to an account; does nothing if it already holds it
+     * @param self The role store
+     * @param role The role to grant
+     * @param account The account to grant it to
+     * @param sender The admin granting it
+     */
+    function grant(Store storage self, bytes32 role, address account, address sender) external {
+        require(isRole(role), "Unknown role");
+        require(account != address(0), "Invalid account");
+        if (self.memberIndex[role][account] != 0) {
+            return;
+        }
+        
+        self.members[role].push(account);
+        self.memberIndex[role][account] = self.members[role].length;
+        
+        emit RoleGranted(role, account, sender);
+    }
+    
+    /**
+     * @dev Take a role away from an account; does nothing if it does not hold it.
+     * The last admin can't be removed, so roles can always be managed.
+     * @param self The role store
+     * @param role The role to revoke
+     * @param account The account to revoke it from
+     * @param sender The admin revoking it, or the account itself when renouncing
+     */
+    function revoke(Store storage self, bytes32 role, address account, address sender) external {
+        uint256 index = self.memberIndex[role][account];
+        if (index == 0) {
+            return;
+        }
+        
+        address[] storage members = self.members[role];
+        require(role != DEFAULT_ADMIN_ROLE || members.length > 1, "Cannot remove the last admin");
+        
+        // Move the last member into the freed position
+        address last = members[members.length - 1];
+        members[index - 1] = last;
+        self.memberIndex[role][last] = index;
+        members.pop();
+        delete self.memberIndex[role][account];
+        
+        emit RoleRevoked(role, account, sender);
+    }
+}
@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title TaskSharing
+ * @dev Collaborators of a task and the permission granted to each of them.
+ * The write functions are external so their code is deployed once as a linked library
+ * instead of counting towards the TaskManager contract size limit. Callers are
+ * responsible for checking that the caller owns the task being shared.
+ */
+library TaskSharing {
+    // Access levels granted to collaborators; each level includes the ones before it
+    enum Permission { None, View, Complete, Edit }
+    
+    // All sharing state, kept in one struct so it can be passed to the library by reference
+    struct Store {
+        // Collaborators of each task and the permission granted to each of them
+        mapping(uint256 => address[]) collaborators;
+        mapping(uint256 => mapping(address => Permission)) permissions;
+    }
+    
+    // Maximum number of collaborators per task, which bounds the cleanup done on delete
+    uint256 public constant MAX_COLLABORATORS = 20;
+    
+    // Events (also declared by TaskManager so they are part of its ABI)
+    event CollaboratorUpdated(
+        uint256 indexed taskId,
+        address indexed owner,
+        address indexed collaborator,
+        Permission previousPermission,
+        Permission permission,
+        uint256 timestamp
+    );
+    
+    /**
+     * @dev Grant, change or revoke a collaborator's permission on a task
+     * @param self The sharing store
+     * @param owner The owner of the task, who cannot be a collaborator
+     * @param taskId The ID of the task to share
+     * @param collaborator The address to grant the permission to
+     * @param permission The permission level (0=None to revoke, 1=View, 2=Complete, 3=Edit)
+     */
+    function setCollaborator(Store storage self, address owner, uint256 taskId, address collaborator, uint8 permission) external {
+        require(collaborator != address(0) && collaborator != owner, "Invalid collaborator");
+        require(permission <= uint8(Permission.Edit), "Invalid permission");
+        
+        Permission current = self.permissions[taskId][collaborator];
+        Permission next = Permission(permission);
+        if (current == next) {
+            return;
+        }
+        
+        address[] storage collaborators = self.collaborators[taskId];
+        if (current == Permission.None) {
+            require(collaborators.length < MAX_COLLABORATORS, "Maximum number of collaborators reached");
+            collaborators.push(collaborator);
+        } else if (next == Permission.None) {
+            // Collaborator lists are short and bounded, so a linear search is fine here
+            for (uint256 i = 0; i < collaborators.length; i++) {
+                if (collaborators[i] == collaborator) {
+                    collaborators[i] = collaborators[collaborators.length - 1];
+                    collaborators.pop();
+                    break;
+                }
+            }
+        }
+        self.permissions[taskId][collaborator] = next;
+        
+        emit CollaboratorUpdated(taskId, owner, collaborator, current, next, block.timestamp);
+    }
+    
+    /**
+     * @dev Forget the collaborators of a deleted task without emitting events
+     * @param self The sharing store
+     * @param taskId The ID of the deleted task
+     */
+    function clearTask(Store storage self, uint256 taskId) external {
+        address[] storage collaborators = self.collaborators[taskId];
+        for (uint256 i = 0; i < collaborators.length; i++) {
+            delete self.permissions[taskId][collaborators[i]];
+        }
+        delete self.collaborators[taskId];
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../TaskManager.sol";
+
+/**
+ * @title TaskManagerV2
+ * @dev Upgrade target used by the tests: a later version that appends state after TaskManager's
+ * and runs a migration step once when the proxy is upgraded to it
+ */
+contract TaskManagerV2 is TaskManager {
+    // Time the proxy was upgraded to this version, stored after everything the first version declared
+    uint256 private _upgradedAt;
+    
+    /**
+     * @dev Constructor of the implementation
+     * @param trustedForwarder The forwarder allowed to relay signed requests on behalf of users
+     */
+    constructor(address trustedForwarder) TaskManager(trustedForwarder) {}
+    
+    /**
+     * @dev Migration run by ProxyAdmin.upgradeAndCall, once
+     */
+    function initializeV2() external reinitializer(3) {
+        _upgradedAt = block.timestamp;
+    }
+    
+    /**
+     * @dev Get the time the proxy was upgraded to this version
+     * @return uint256 Unix timestamp, 0 if initializeV2 has not run
+     */
+    function getUpgradedAt() external view returns (uint256) {
+        return _upgradedAt;
+    }
+}
@@ -0,0 +1,140 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { Loader2, ShieldAlert } from "lucide-react"
+
+import { AdminSettings, type AdminState } from "@/components/admin-settings"
+import { ModerationPanel } from "@/components/moderation-panel"
+import { NetworkSelector } from "@/components/network-selector"
+import { getAdminRoles, getAdminState, getTotalTaskCount, type AdminRoles } from "@/utils/contract"
+import { getCurrentAccount, isWalletAvailable, setupEventListeners } from "@/utils/ethers"
+import { getPreferredNetwork, subscribeToPreferredNetwork } from "@/utils/networks"
+
+type PageState = "loading" | "no-wallet" | "denied" | "error" | "ready"
+
+// Admin console: contract state, pause and task limit controls, and moderation of every task
+export default function AdminPage() {
+  const [account, setAccount] = useState<string | null>(null)
+  const [networkKey, setNetworkKey] = useState<string | null>(null)
+  const [state, setState] = useState<PageState>("loading")
+  const [roles, setRoles] = useState<AdminRoles | null>(null)
+  const [adminState, setAdminState] = useState<AdminState | null>(null)
+  const [totalTaskCount, setTotalTaskCount] = useState<number | null>(null)
+
+  // Follow the connected account and network, since both decide what there is to administer
+  useEffect(() => {
+    if (!isWalletAvailable()) {
+      setState("no-wallet")
+      return
+    }
+
+    getCurrentAccount()
+      .then((current) => {
+        setAccount(current)
+        if (!current) setState("no-wallet")
+      })
+      .catch((error) => console.error("Error getting current account:", error))
+    return setupEventListeners((accounts: string[]) => {
+      setAccount(accounts[0] || null)
+      if (!accounts[0]) setState("no-wallet")
+    }, null)
+  }, [])
+
+  useEffect(() => {
+    const updateNetwork = () => setNetworkKey(getPreferredNetwork()?.key ?? null)
+    updateNetwork()
+    return subscribeToPreferredNetwork(updateNetwork)
+  }, [])
+
+  const load = useCallback(async (current: string) => {
+    try {
+      const heldRoles = await getAdminRoles(current)
+      if (!Object.values(heldRoles).some(Boolean)) {
+        setState("denied")
+        return
+      }
+
+      const [contractState, taskCount] = await Promise.all([
+        getAdminState(),
+        heldRoles.moderator ? getTotalTaskCount() : Promise.resolve(null),
+      ])
+      setRoles(heldRoles)
+      setAdminState(contractState)
+      setTotalTaskCount(taskCount)
+      setState("ready")
+    } catch (error) {
+      console.error("Error loading the admin console:", error)
+      setState("error")
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!account || networkKey === null) return
+
+    setState("loading")
+    load(account)
+  }, [account, networkKey, load])
+
+  const refresh = () => {
+    if (account) load(account)
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <div className="flex flex-col md:flex-row justify-between items-center mb-8 gap-4">
+        <h1 className="text-3xl font-bold">Admin console</h1>
+        <div className="flex items-center gap-4">
+          <NetworkSelector />
+          <Link href="/" className="text-primary hover:underline">
+            Back to your tasks
+          </Link>
+        </div>
+      </div>
+
+      {state === "loading" && (
+        <div className="flex justify-center items-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <span className="ml-2 text-lg">Loading contract state...</span>
+        </div>
+      )}
+
+      {state === "no-wallet" && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <h3 className="text-xl font-medium mb-2">Connect your wallet</h3>
+          <p className="text-muted-foreground">The admin console needs the account that holds an admin role</p>
+        </div>
+      )}
+
+      {state === "denied" && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <ShieldAlert className="h-8 w-8 mx-auto mb-2 text-muted-foreground" />
+          <h3 className="text-xl font-medium mb-2">No admin rights</h3>
+          <p className="text-muted-foreground">The connected account doesn&apos;t hold any admin role on this network</p>
+        </div>
+      )}
+
+      {state === "error" && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <h3 className="text-xl font-medium mb-2">Couldn&apos;t load the contract state</h3>
+          <p className="text-muted-foreground">Check that TaskManager is deployed on the selected network and try again</p>
+        </div>
+      )}
+
+      {state === "ready" && roles && adminState && (
+        <div className="grid gap-6">
+          <AdminSettings
+            key={`${adminState.isPaused}-${adminState.maxTasksPerUser}`}
+            roles={roles}
+            state={adminState}
+            totalTaskCount={totalTaskCount}
+            onChanged={refresh}
+          />
+          {roles.moderator && totalTaskCount !== null && (
+            <ModerationPanel totalTaskCount={totalTaskCount} onDeleted={refresh} />
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,23 +1,77 @@
 "use client"
 
-import { useState } from "react"
+import { Suspense, useState } from "react"
 import { TaskList } from "@/components/task-list"
-import { AddTask } from "@/components/add-task"
+import { AddTask, type NewTaskOptions } from "@/components/add-task"
+import { AdminLink } from "@/components/admin-link"
 import { EditTaskModal } from "@/components/edit-task-modal"
-import type { Task } from "@/lib/types"
-import { addTask as addTaskToBlockchain, editTask as editTaskOnBlockchain } from "@/utils/contract"
+import { EncryptionUnlock, publishEncryptionKeyIfNeeded } from "@/components/encryption-unlock"
+import { GaslessToggle } from "@/components/gasless-toggle"
+import { NetworkSelector } from "@/components/network-selector"
+import { ProjectSwitcher } from "@/components/project-switcher"
+import { TransactionHistory } from "@/components/transaction-history"
+import { VisibilityToggle } from "@/components/visibility-toggle"
+import { WalletPicker } from "@/components/wallet-picker"
+import type { Label, Project, Recurrence, Task, TaskPriority } from "@/lib/types"
+import { storeTaskContent } from "@/utils/content-store"
+import { getUnlockedKey, resealTaskContent, sealTaskContent, unlockEncryption } from "@/utils/encryption"
+import { getCurrentAccount } from "@/utils/ethers"
+import { submitPendingTransaction } from "@/utils/pending-transactions"
 import { toast } from "sonner"
 
+// Repeat rule in the pending transaction queue, which is kept as JSON
+const toStoredRecurrence = (recurrence: Recurrence | null) =>
+  recurrence && { ...recurrence, endDate: recurrence.endDate?.getTime() ?? null }
+
+// Encrypt a new task for the connected account, asking for the signature that unlocks its key if needed
+const sealForSelf = async (title: string, description: string) => {
+  const account = await getCurrentAccount()
+  if (!account) {
+    throw new Error("Connect a wallet to encrypt tasks")
+  }
+
+  let publicKey = getUnlockedKey(account)
+  if (!publicKey) {
+    const unlocked = await unlockEncryption()
+    publicKey = unlocked.publicKey
+    await publishEncryptionKeyIfNeeded(unlocked.address, publicKey)
+  }
+  return sealTaskContent({ title, description }, [{ address: account, publicKey }])
+}
+
 export default function TaskManager() {
   const [isLoading, setIsLoading] = useState(false)
   const [editingTask, setEditingTask] = useState<Task | null>(null)
+  const [selectedProject, setSelectedProject] = useState<Project | null>(null)
 
-  // Handle adding a new task
-  const handleAddTask = async (title: string, description: string) => {
+  // Handle adding a new task. The task list shows it as pending until the transaction is mined.
+  const handleAddTask = async (
+    title: string,
+    description: string,
+    priority: TaskPriority,
+    dueDate: Date | null,
+    labels: Label[],
+    recurrence: Recurrence | null,
+    options: NewTaskOptions
+  ) => {
     setIsLoading(true)
     try {
-      await addTaskToBlockchain(title, description)
-      toast.success("Task added successfully")
+      // Encrypted tasks keep their title and description together in the title field, while tasks
+      // stored off-chain keep a reference to their description and attachments
+      const content = options.encrypt
+        ? { title: await sealForSelf(title, description), description: "" }
+        : { title, description: options.storeOffchain ? await storeTaskContent(description, [], options.files) : description }
+      await submitPendingTransaction({
+        kind: "add",
+        params: {
+          ...content,
+          priority,
+          dueDate: dueDate?.getTime() ?? null,
+          labels,
+          recurrence: toStoredRecurrence(recurrence),
+          projectId: selectedProject?.id ?? null,
+        },
+      })
     } catch (error) {
       console.error("Error adding task:", error)
       toast.error("Failed to add task")
@@ -26,12 +80,31 @@ export default function TaskManager() {
     }
   }
 
-  // Handle updating a task
-  const handleUpdateTask = async (task: Task) => {
+  // Handle updating a task. The task list shows the new values until the transaction is mined.
+  const handleUpdateTask = async (task: Task, files: File[]) => {
     setIsLoading(true)
     try {
-      await editTaskOnBlockchain(Number(task.id), task.title, task.description)
-      toast.success("Task updated successfully")
+      // A description kept off-chain stays off-chain, with the attachments left in the task
+      const description =
+        task.contentRef || files.length > 0 ? await storeTaskContent(task.description, task.attachments ?? [], files) : task.description
+
+      // An encrypted task stays encrypted for the same readers
+      const content = task.sealed
+        ? { title: await resealTaskContent(task.sealed, { title: task.title, description }), description: "" }
+        : { title: task.title, description }
+      await submitPendingTransaction({
+        kind: "edit",
+        taskId: Number(task.id),
+        params: {
+          ...content,
+          priority: task.priority,
+          dueDate: task.dueDate?.getTime() ?? null,
+          labels: task.labels,
+          previousLabelIds: editingTask?.labels.map((label) => label.id) ?? [],
+          recurrence: toStoredRecurrence(task.recurrence),
+          previousRecurrence: toStoredRecurrence(editingTask?.recurrence ?? null),
+        },
+      })
       setEditingTask(null)
     } catch (error) {
       console.error("Error updating task:", error)
@@ -45,11 +118,25 @@ export default function TaskManager() {
     <div className="container mx-auto px-4 py-8 max-w-4xl">
       <div className="flex flex-col md:flex-row justify-between items-center mb-8 gap-4">
         <h1 className="text-3xl font-bold">Blockchain Task Manager</h1>
+        <div className="flex items-center gap-4">
+          <WalletPicker />
+          <NetworkSelector />
+          <VisibilityToggle />
+          <GaslessToggle />
+          <EncryptionUnlock />
+          <TransactionHistory />
+          <AdminLink />
+        </div>
       </div>
 
+      <ProjectSwitcher selectedProject={selectedProject} onSelect={setSelectedProject} />
+
       <AddTask addTask={handleAddTask} isLoading={isLoading} />
 
-      <TaskList onEdit={setEditingTask} />
+      {/* The task list reads its filters from the query string, which is only known in the browser */}
+      <Suspense>
+        <TaskList project={selectedProject} onEdit={setEditingTask} />
+      </Suspense>
 
       {editingTask && (
         <EditTaskModal
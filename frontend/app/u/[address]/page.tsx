@@ -0,0 +1,135 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { useParams } from "next/navigation"
+import { isAddress } from "ethers"
+import { Loader2, Lock } from "lucide-react"
+
+import { AddressAvatar } from "@/components/address-avatar"
+import { NetworkSelector } from "@/components/network-selector"
+import { PublicTaskItem } from "@/components/public-task-item"
+import type { Task } from "@/lib/types"
+import { formatAddress } from "@/lib/utils"
+import { fetchTasksOf, hasPublicTasks } from "@/utils/contract"
+import { getCurrentAccount, isWalletAvailable } from "@/utils/ethers"
+import { getPreferredNetwork, subscribeToPreferredNetwork } from "@/utils/networks"
+
+type PageState = "loading" | "invalid" | "private" | "error" | "ready"
+
+// Someone's public task list, readable without a wallet
+export default function PublicTasksPage() {
+  const { address } = useParams<{ address: string }>()
+  const [tasks, setTasks] = useState<Task[]>([])
+  const [state, setState] = useState<PageState>("loading")
+  const [networkKey, setNetworkKey] = useState<string | null>(null)
+
+  // Read the list again from whichever network is picked in the selector
+  useEffect(() => {
+    const updateNetwork = () => setNetworkKey(getPreferredNetwork()?.key ?? null)
+    updateNetwork()
+    return subscribeToPreferredNetwork(updateNetwork)
+  }, [])
+
+  useEffect(() => {
+    if (networkKey === null) return
+    if (!isAddress(address)) {
+      setState("invalid")
+      return
+    }
+
+    let cancelled = false
+    const load = async () => {
+      setState("loading")
+      try {
+        // Owners can see their own list while it is private, if their wallet is connected
+        const viewer = isWalletAvailable() ? await getCurrentAccount() : null
+        const isOwnList = viewer !== null && viewer.toLowerCase() === address.toLowerCase()
+        if (!isOwnList && !(await hasPublicTasks(address))) {
+          if (!cancelled) setState("private")
+          return
+        }
+
+        const fetchedTasks = await fetchTasksOf(address, viewer)
+        if (!cancelled) {
+          setTasks(fetchedTasks.map((task) => ({ ...task, id: task.id.toString() })))
+          setState("ready")
+        }
+      } catch (error) {
+        console.error(`Error loading public tasks of ${address}:`, error)
+        if (!cancelled) setState("error")
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [address, networkKey])
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <div className="flex flex-col md:flex-row justify-between items-center mb-8 gap-4">
+        <div className="flex items-center gap-3">
+          {isAddress(address) && <AddressAvatar address={address} className="h-10 w-10" />}
+          <div>
+            <h1 className="text-3xl font-bold">Public tasks</h1>
+            <p className="text-sm text-muted-foreground font-mono" title={address}>
+              {isAddress(address) ? formatAddress(address) : address}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-4">
+          <NetworkSelector />
+          <Link href="/" className="text-primary hover:underline">
+            Open your own tasks
+          </Link>
+        </div>
+      </div>
+
+      {state === "loading" && (
+        <div className="flex justify-center items-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <span className="ml-2 text-lg">Loading tasks from blockchain...</span>
+        </div>
+      )}
+
+      {state === "invalid" && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <h3 className="text-xl font-medium mb-2">Not an address</h3>
+          <p className="text-muted-foreground">Public task lists are found at /u/ followed by an Ethereum address</p>
+        </div>
+      )}
+
+      {state === "private" && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <Lock className="h-8 w-8 mx-auto mb-2 text-muted-foreground" />
+          <h3 className="text-xl font-medium mb-2">This task list is private</h3>
+          <p className="text-muted-foreground">Its owner hasn&apos;t made their tasks public</p>
+        </div>
+      )}
+
+      {state === "error" && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <h3 className="text-xl font-medium mb-2">Couldn&apos;t load the tasks</h3>
+          <p className="text-muted-foreground">Check that TaskManager is deployed on the selected network and try again</p>
+        </div>
+      )}
+
+      {state === "ready" && tasks.length === 0 && (
+        <div className="text-center py-12 bg-muted/50 rounded-lg">
+          <h3 className="text-xl font-medium mb-2">No tasks yet</h3>
+          <p className="text-muted-foreground">This account hasn&apos;t added any tasks</p>
+        </div>
+      )}
+
+      {state === "ready" && tasks.length > 0 && (
+        <div className="grid gap-4">
+          {tasks.map((task) => (
+            <PublicTaskItem key={task.id} task={task} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -7,16 +7,47 @@ import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
 import { Input } from "@/components/ui/input"
 import { Textarea } from "@/components/ui/textarea"
-import { Loader2, Plus } from "lucide-react"
+import { PrioritySelect } from "@/components/priority-select"
+import { DueDatePicker } from "@/components/due-date-picker"
+import { LabelPicker } from "@/components/label-picker"
+import { RecurrencePicker } from "@/components/recurrence-picker"
+import { AttachmentInput } from "@/components/attachment-input"
+import { Label as FieldLabel } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { TaskPriority, type Label, type Recurrence } from "@/lib/types"
+import { HardDrive, Loader2, Lock, Plus } from "lucide-react"
+import { isContentStoreAvailable } from "@/utils/content-store"
+
+// How a new task is stored, beyond its fields
+export interface NewTaskOptions {
+  encrypt: boolean // Encrypt the title and description in the browser
+  storeOffchain: boolean // Keep the description and attachments in the content store
+  files: File[] // Files to attach; only kept off-chain
+}
 
 interface AddTaskProps {
-  addTask: (title: string, description: string) => Promise<void>
+  addTask: (
+    title: string,
+    description: string,
+    priority: TaskPriority,
+    dueDate: Date | null,
+    labels: Label[],
+    recurrence: Recurrence | null,
+    options: NewTaskOptions
+  ) => Promise<void>
   isLoading: boolean
 }
 
 export function AddTask({ addTask, isLoading }: AddTaskProps) {
   const [title, setTitle] = useState("")
   const [description, setDescription] = useState("")
+  const [priority, setPriority] = useState<TaskPriority>(TaskPriority.Medium)
+  const [dueDate, setDueDate] = useState<Date | null>(null)
+  const [labels, setLabels] = useState<Label[]>([])
+  const [recurrence, setRecurrence] = useState<Recurrence | null>(null)
+  const [encrypt, setEncrypt] = useState(false)
+  const [storeOffchain, setStoreOffchain] = useState(false)
+  const [files, setFiles] = useState<File[]>([])
   const [isSubmitting, setIsSubmitting] = useState(false)
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -24,9 +55,20 @@ export function AddTask({ addTask, isLoading }: AddTaskProps) {
     if (!title.trim()) return
 
     setIsSubmitting(true)
-    await addTask(title, description)
+    // Attachments only exist off-chain, and encrypted content is never stored off-chain in plaintext
+    // A task without a due date can't repeat
+    await addTask(title, description, priority, dueDate, labels, dueDate ? recurrence : null, {
+      encrypt,
+      storeOffchain: !encrypt && (storeOffchain || files.length > 0),
+      files: encrypt ? [] : files,
+    })
     setTitle("")
     setDescription("")
+    setPriority(TaskPriority.Medium)
+    setDueDate(null)
+    setLabels([])
+    setRecurrence(null)
+    setFiles([])
     setIsSubmitting(false)
   }
 
@@ -55,6 +97,48 @@ export function AddTask({ addTask, isLoading }: AddTaskProps) {
               rows={3}
             />
           </div>
+          <div className="grid gap-2 sm:grid-cols-2">
+            <PrioritySelect value={priority} onChange={setPriority} disabled={isLoading || isSubmitting} />
+            <DueDatePicker value={dueDate} onChange={setDueDate} disabled={isLoading || isSubmitting} />
+          </div>
+          <RecurrencePicker value={recurrence} onChange={setRecurrence} dueDate={dueDate} disabled={isLoading || isSubmitting} />
+          <LabelPicker value={labels} onChange={setLabels} disabled={isLoading || isSubmitting} />
+          <div
+            className="flex items-center gap-2"
+            title="Encrypt the title and description in your browser so only you and the people you share the key with can read them"
+          >
+            <Switch id="encrypt-task" checked={encrypt} onCheckedChange={setEncrypt} disabled={isLoading || isSubmitting} />
+            <FieldLabel htmlFor="encrypt-task" className="flex items-center gap-1 text-sm">
+              <Lock className="h-3 w-3" />
+              Encrypt title and description
+            </FieldLabel>
+          </div>
+          {isContentStoreAvailable() && !encrypt && (
+            <>
+              <div
+                className="flex items-center gap-2"
+                title="Keep only a hash of the description on-chain and the description itself in the content store, which costs less gas"
+              >
+                <Switch
+                  id="store-offchain"
+                  checked={storeOffchain || files.length > 0}
+                  onCheckedChange={setStoreOffchain}
+                  disabled={isLoading || isSubmitting || files.length > 0}
+                />
+                <FieldLabel htmlFor="store-offchain" className="flex items-center gap-1 text-sm">
+                  <HardDrive className="h-3 w-3" />
+                  Store description off-chain
+                </FieldLabel>
+              </div>
+              <AttachmentInput
+                attachments={[]}
+                onAttachmentsChange={() => {}}
+                files={files}
+                onFilesChange={setFiles}
+                disabled={isLoading || isSubmitting}
+              />
+            </>
+          )}
         </CardContent>
         <CardFooter>
           <Button type="submit" disabled={isLoading || isSubmitting || !title.trim()}>
@@ -0,0 +1,26 @@
+"use client"
+
+import { Avatar, AvatarFallback } from "@/components/ui/avatar"
+import { cn, formatAddress } from "@/lib/utils"
+
+interface AddressAvatarProps {
+  address: string
+  className?: string
+}
+
+// Derive a stable hue from the address so the same account always gets the same colour
+const addressHue = (address: string) => parseInt(address.slice(2, 8), 16) % 360
+
+export function AddressAvatar({ address, className }: AddressAvatarProps) {
+  return (
+    <Avatar className={cn("h-6 w-6", className)} title={address}>
+      <AvatarFallback
+        className="text-[10px] font-medium text-white"
+        style={{ backgroundColor: `hsl(${addressHue(address)}, 55%, 45%)` }}
+      >
+        {address.slice(2, 4).toUpperCase()}
+      </AvatarFallback>
+      <span className="sr-only">{formatAddress(address)}</span>
+    </Avatar>
+  )
+}
@@ -0,0 +1,45 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import Link from "next/link"
+import { ShieldCheck } from "lucide-react"
+
+import { buttonVariants } from "@/components/ui/button"
+import { getAdminRoles } from "@/utils/contract"
+import { getCurrentAccount, isWalletAvailable, setupEventListeners } from "@/utils/ethers"
+
+// Link to the admin console, shown only to accounts holding at least one admin role
+export function AdminLink() {
+  const [account, setAccount] = useState<string | null>(null)
+  const [isAdmin, setIsAdmin] = useState(false)
+
+  // Follow the connected account, since roles are per account
+  useEffect(() => {
+    if (!isWalletAvailable()) return
+
+    getCurrentAccount()
+      .then(setAccount)
+      .catch((error) => console.error("Error getting current account:", error))
+    return setupEventListeners((accounts: string[]) => setAccount(accounts[0] || null), null)
+  }, [])
+
+  useEffect(() => {
+    setIsAdmin(false)
+    if (!account) return
+
+    getAdminRoles(account)
+      .then((roles) => setIsAdmin(Object.values(roles).some(Boolean)))
+      .catch((error) => console.error("Error reading admin roles:", error))
+  }, [account])
+
+  if (!isAdmin) {
+    return null
+  }
+
+  return (
+    <Link href="/admin" className={buttonVariants({ variant: "outline", size: "sm" })}>
+      <ShieldCheck className="h-4 w-4 mr-1" />
+      Admin
+    </Link>
+  )
+}
@@ -0,0 +1,182 @@
+"use client"
+
+import { useState } from "react"
+import { Loader2, Pause, Play, Save } from "lucide-react"
+import { toast } from "sonner"
+
+import { AddressAvatar } from "@/components/address-avatar"
+import { ConfirmDialog } from "@/components/confirm-dialog"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { formatAddress } from "@/lib/utils"
+import { setMaxTasksPerUser, setPaused, type AdminRoles } from "@/utils/contract"
+import { decodeTransactionError } from "@/utils/transactions"
+
+export interface AdminState {
+  isPaused: boolean
+  maxTasksPerUser: number
+  roleMembers: Record<keyof AdminRoles, string[]>
+}
+
+const ROLE_LABELS: Record<keyof AdminRoles, string> = {
+  admin: "Admins",
+  pauser: "Pausers",
+  moderator: "Moderators",
+  config: "Config admins",
+}
+
+interface AdminSettingsProps {
+  roles: AdminRoles
+  state: AdminState
+  totalTaskCount: number | null
+  onChanged: () => void
+}
+
+// Contract-wide state, with the pause and task limit controls for the roles allowed to use them
+export function AdminSettings({ roles, state, totalTaskCount, onChanged }: AdminSettingsProps) {
+  const [confirming, setConfirming] = useState<"pause" | "quota" | null>(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [quota, setQuota] = useState(String(state.maxTasksPerUser))
+
+  const parsedQuota = Number(quota)
+  const isQuotaValid = quota.trim() !== "" && Number.isInteger(parsedQuota) && parsedQuota >= 0
+  const isQuotaChanged = isQuotaValid && parsedQuota !== state.maxTasksPerUser
+
+  const handlePause = async () => {
+    setConfirming(null)
+    setIsSaving(true)
+    try {
+      await setPaused(!state.isPaused)
+      toast.success(state.isPaused ? "Contract unpaused" : "Contract paused")
+      onChanged()
+    } catch (error) {
+      console.error("Error changing paused state:", error)
+      toast.error(state.isPaused ? "Failed to unpause" : "Failed to pause", { description: decodeTransactionError(error) })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleQuota = async () => {
+    setConfirming(null)
+    setIsSaving(true)
+    try {
+      await setMaxTasksPerUser(parsedQuota)
+      toast.success(`Task limit set to ${parsedQuota}`)
+      onChanged()
+    } catch (error) {
+      console.error("Error setting the task limit:", error)
+      toast.error("Failed to set the task limit", { description: decodeTransactionError(error) })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Contract</CardTitle>
+        <CardDescription>Settings that apply to every account</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-6">
+        <div className="grid gap-4 sm:grid-cols-3">
+          <div>
+            <p className="text-sm text-muted-foreground">Status</p>
+            {state.isPaused ? <Badge variant="destructive">Paused</Badge> : <Badge variant="secondary">Running</Badge>}
+          </div>
+          <div>
+            <p className="text-sm text-muted-foreground">Task limit per account</p>
+            <p className="text-lg font-medium">{state.maxTasksPerUser}</p>
+          </div>
+          <div>
+            <p className="text-sm text-muted-foreground">Tasks created</p>
+            <p className="text-lg font-medium" title={totalTaskCount === null ? "Visible to moderators" : undefined}>
+              {totalTaskCount ?? "—"}
+            </p>
+          </div>
+        </div>
+
+        {roles.pauser && (
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <Label>Emergency pause</Label>
+              <p className="text-sm text-muted-foreground">While paused, no task can be added, changed or deleted</p>
+            </div>
+            <Button
+              variant={state.isPaused ? "default" : "destructive"}
+              onClick={() => setConfirming("pause")}
+              disabled={isSaving}
+            >
+              {state.isPaused ? <Play className="h-4 w-4 mr-1" /> : <Pause className="h-4 w-4 mr-1" />}
+              {state.isPaused ? "Unpause" : "Pause"}
+            </Button>
+          </div>
+        )}
+
+        {roles.config && (
+          <div className="grid gap-2">
+            <Label htmlFor="task-limit">Task limit per account</Label>
+            <div className="flex gap-2">
+              <Input
+                id="task-limit"
+                type="number"
+                min={0}
+                value={quota}
+                onChange={(event) => setQuota(event.target.value)}
+                className="max-w-[10rem]"
+              />
+              <Button onClick={() => setConfirming("quota")} disabled={!isQuotaChanged || isSaving}>
+                {isSaving ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Save className="h-4 w-4 mr-1" />}
+                Save
+              </Button>
+            </div>
+            <p className="text-sm text-muted-foreground">
+              Accounts already above the new limit keep their tasks but can&apos;t add more
+            </p>
+          </div>
+        )}
+
+        <div className="grid gap-2">
+          <p className="text-sm font-medium">Roles</p>
+          {(Object.keys(ROLE_LABELS) as (keyof AdminRoles)[]).map((role) => (
+            <div key={role} className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="w-28 text-muted-foreground">{ROLE_LABELS[role]}</span>
+              {state.roleMembers[role].length === 0 && <span className="text-muted-foreground">None</span>}
+              {state.roleMembers[role].map((member) => (
+                <span key={member} className="inline-flex items-center gap-1 font-mono" title={member}>
+                  <AddressAvatar address={member} className="h-5 w-5" />
+                  {formatAddress(member)}
+                </span>
+              ))}
+            </div>
+          ))}
+        </div>
+      </CardContent>
+
+      <ConfirmDialog
+        open={confirming === "pause"}
+        onOpenChange={(open) => !open && setConfirming(null)}
+        title={state.isPaused ? "Unpause the contract?" : "Pause the contract?"}
+        description={
+          state.isPaused
+            ? "Every account will be able to change its tasks again."
+            : "No account will be able to add, change or delete tasks until a pauser unpauses the contract."
+        }
+        confirmLabel={state.isPaused ? "Unpause" : "Pause"}
+        destructive={!state.isPaused}
+        onConfirm={handlePause}
+      />
+      <ConfirmDialog
+        open={confirming === "quota"}
+        onOpenChange={(open) => !open && setConfirming(null)}
+        title="Change the task limit?"
+        description={`Every account will be limited to ${parsedQuota} tasks instead of ${state.maxTasksPerUser}.`}
+        confirmLabel="Change limit"
+        onConfirm={handleQuota}
+      />
+    </Card>
+  )
+}
@@ -0,0 +1,84 @@
+"use client"
+
+import { useRef } from "react"
+import { Paperclip, X } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import { formatFileSize } from "@/lib/utils"
+import { MAX_ATTACHMENT_SIZE, type Attachment } from "@/utils/content-store"
+
+interface AttachmentInputProps {
+  attachments: Attachment[] // Files already in the content store
+  onAttachmentsChange: (attachments: Attachment[]) => void
+  files: File[] // Files picked but not uploaded yet
+  onFilesChange: (files: File[]) => void
+  disabled?: boolean
+}
+
+// Pick files to attach to a task, and remove attached ones
+export function AttachmentInput({ attachments, onAttachmentsChange, files, onFilesChange, disabled }: AttachmentInputProps) {
+  const inputRef = useRef<HTMLInputElement>(null)
+
+  const handlePick = (picked: FileList | null) => {
+    const accepted = Array.from(picked ?? []).filter((file) => {
+      if (file.size > MAX_ATTACHMENT_SIZE) {
+        toast.error(`${file.name} is too large`, { description: `Attachments can be up to ${formatFileSize(MAX_ATTACHMENT_SIZE)}` })
+        return false
+      }
+      return true
+    })
+    onFilesChange([...files, ...accepted])
+    if (inputRef.current) inputRef.current.value = ""
+  }
+
+  const entries = [
+    ...attachments.map((attachment, index) => ({
+      key: `stored-${index}`,
+      name: attachment.name,
+      size: attachment.size,
+      remove: () => onAttachmentsChange(attachments.filter((_, i) => i !== index)),
+    })),
+    ...files.map((file, index) => ({
+      key: `new-${index}`,
+      name: file.name,
+      size: file.size,
+      remove: () => onFilesChange(files.filter((_, i) => i !== index)),
+    })),
+  ]
+
+  return (
+    <div className="grid gap-2">
+      {entries.map((entry) => (
+        <div key={entry.key} className="flex items-center gap-2 text-sm">
+          <Paperclip className="h-4 w-4 text-muted-foreground" />
+          <span className="truncate">{entry.name}</span>
+          <span className="text-xs text-muted-foreground">{formatFileSize(entry.size)}</span>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            className="h-6 w-6"
+            onClick={entry.remove}
+            disabled={disabled}
+            aria-label={`Remove ${entry.name}`}
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <input ref={inputRef} type="file" multiple className="hidden" onChange={(e) => handlePick(e.target.files)} />
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        className="justify-self-start"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+      >
+        <Paperclip className="h-4 w-4 mr-1" />
+        Attach files
+      </Button>
+    </div>
+  )
+}
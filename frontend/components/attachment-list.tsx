@@ -0,0 +1,84 @@
+"use client"
+
+import { useState } from "react"
+import { AlertTriangle, Download, Loader2, Paperclip } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import { formatFileSize } from "@/lib/utils"
+import { ContentIntegrityError, loadAttachment, type Attachment } from "@/utils/content-store"
+import type { StoredContentStatus } from "@/hooks/use-task-content"
+
+// Shown in place of a description kept off-chain until it has been read and checked against its hash
+export function StoredContentNotice({ status }: { status: StoredContentStatus }) {
+  if (status === "loading") {
+    return (
+      <p className="flex items-center gap-1 text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading the description from the content store...
+      </p>
+    )
+  }
+  if (status === "invalid") {
+    return (
+      <p className="flex items-center gap-1 text-sm text-destructive">
+        <AlertTriangle className="h-4 w-4" />
+        The stored description doesn&apos;t match its hash and was not shown.
+      </p>
+    )
+  }
+  if (status === "unavailable") {
+    return <p className="text-sm text-muted-foreground">The description is kept off-chain and the content store is unavailable.</p>
+  }
+  return null
+}
+
+// Files attached to a task; each is downloaded from the content store and checked before it is saved
+export function AttachmentList({ attachments }: { attachments: Attachment[] }) {
+  const [downloading, setDownloading] = useState<number | null>(null)
+
+  if (attachments.length === 0) {
+    return null
+  }
+
+  const handleDownload = async (attachment: Attachment, index: number) => {
+    setDownloading(index)
+    try {
+      const url = URL.createObjectURL(await loadAttachment(attachment))
+      const link = document.createElement("a")
+      link.href = url
+      link.download = attachment.name
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error(`Failed to download ${attachment.name}`, {
+        description:
+          error instanceof ContentIntegrityError ? "The stored file doesn't match its hash" : "The content store is unavailable",
+      })
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  return (
+    <ul className="grid gap-1">
+      {attachments.map((attachment, index) => (
+        <li key={`${attachment.name}-${index}`} className="flex items-center gap-2 text-sm">
+          <Paperclip className="h-4 w-4 text-muted-foreground" />
+          <span className="truncate">{attachment.name}</span>
+          <span className="text-xs text-muted-foreground">{formatFileSize(attachment.size)}</span>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-6 w-6"
+            onClick={() => handleDownload(attachment, index)}
+            disabled={downloading !== null}
+            aria-label={`Download ${attachment.name}`}
+          >
+            {downloading === index ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+          </Button>
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,62 @@
+"use client"
+
+import { CheckCircle, Loader2, RotateCcw, Trash, X } from "lucide-react"
+
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+
+interface BulkActionBarProps {
+  selectedCount: number
+  selectableCount: number
+  isSubmitting: boolean
+  onSelectAll: (selected: boolean) => void
+  onComplete: () => void
+  onReopen: () => void
+  onDelete: () => void
+  onClear: () => void
+}
+
+export function BulkActionBar({
+  selectedCount,
+  selectableCount,
+  isSubmitting,
+  onSelectAll,
+  onComplete,
+  onReopen,
+  onDelete,
+  onClear,
+}: BulkActionBarProps) {
+  const allSelected = selectedCount > 0 && selectedCount === selectableCount
+
+  return (
+    <div className="sticky top-2 z-10 flex flex-wrap items-center gap-2 rounded-lg border bg-background p-2 shadow-sm">
+      <Checkbox
+        checked={allSelected ? true : selectedCount > 0 ? "indeterminate" : false}
+        onCheckedChange={(checked) => onSelectAll(checked === true)}
+        disabled={isSubmitting}
+        aria-label="Select all tasks"
+        className="ml-2"
+      />
+      <span className="text-sm text-muted-foreground mr-auto">
+        {selectedCount === 0 ? "Select tasks to act on several at once" : `${selectedCount} selected`}
+      </span>
+      {isSubmitting && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+      <Button size="sm" onClick={onComplete} disabled={isSubmitting || selectedCount === 0}>
+        <CheckCircle className="h-4 w-4 mr-1" />
+        Complete
+      </Button>
+      <Button variant="outline" size="sm" onClick={onReopen} disabled={isSubmitting || selectedCount === 0}>
+        <RotateCcw className="h-4 w-4 mr-1" />
+        Reopen
+      </Button>
+      <Button variant="destructive" size="sm" onClick={onDelete} disabled={isSubmitting || selectedCount === 0}>
+        <Trash className="h-4 w-4 mr-1" />
+        Delete
+      </Button>
+      <Button variant="ghost" size="sm" onClick={onClear} disabled={isSubmitting || selectedCount === 0}>
+        <X className="h-4 w-4" />
+        <span className="sr-only">Clear selection</span>
+      </Button>
+    </div>
+  )
+}
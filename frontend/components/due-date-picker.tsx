@@ -0,0 +1,63 @@
+"use client"
+
+import { format } from "date-fns"
+import { CalendarIcon, X } from "lucide-react"
+
+import { Button } from "@/components/ui/button"
+import { Calendar } from "@/components/ui/calendar"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import { cn } from "@/lib/utils"
+
+interface DueDatePickerProps {
+  value: Date | null
+  onChange: (date: Date | null) => void
+  disabled?: boolean
+  placeholder?: string
+  fromDate?: Date // Earliest day that can be picked
+}
+
+export function DueDatePicker({ value, onChange, disabled, placeholder = "No due date", fromDate }: DueDatePickerProps) {
+  // Due dates are stored as the end of the selected day so a task due "today" isn't overdue until midnight
+  const handleSelect = (date: Date | undefined) => {
+    if (!date) {
+      onChange(null)
+      return
+    }
+    const endOfDay = new Date(date)
+    endOfDay.setHours(23, 59, 59, 0)
+    onChange(endOfDay)
+  }
+
+  return (
+    <div className="flex gap-2">
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button
+            type="button"
+            variant="outline"
+            className={cn("flex-1 justify-start text-left font-normal", !value && "text-muted-foreground")}
+            disabled={disabled}
+          >
+            <CalendarIcon className="mr-2 h-4 w-4" />
+            {value ? format(value, "PPP") : placeholder}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-auto p-0" align="start">
+          <Calendar
+            mode="single"
+            selected={value ?? undefined}
+            onSelect={handleSelect}
+            disabled={fromDate ? { before: fromDate } : undefined}
+            initialFocus
+          />
+        </PopoverContent>
+      </Popover>
+      {value && (
+        <Button type="button" variant="ghost" size="icon" onClick={() => onChange(null)} disabled={disabled}>
+          <X className="h-4 w-4" />
+          <span className="sr-only">Clear date</span>
+        </Button>
+      )}
+    </div>
+  )
+}
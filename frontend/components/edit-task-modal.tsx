@@ -14,26 +14,44 @@ import {
 } from "@/components/ui/dialog"
 import { Input } from "@/components/ui/input"
 import { Textarea } from "@/components/ui/textarea"
+import { PrioritySelect } from "@/components/priority-select"
+import { DueDatePicker } from "@/components/due-date-picker"
+import { LabelPicker } from "@/components/label-picker"
+import { RecurrencePicker } from "@/components/recurrence-picker"
+import { AttachmentInput } from "@/components/attachment-input"
 import { Loader2 } from "lucide-react"
-import type { Task } from "@/lib/types"
+import { RecurrenceFrequency, type Task } from "@/lib/types"
+import { isContentStoreAvailable } from "@/utils/content-store"
 
 interface EditTaskModalProps {
   task: Task
   isOpen: boolean
   onClose: () => void
-  onUpdate: (task: Task) => Promise<void>
+  onUpdate: (task: Task, files: File[]) => Promise<void>
   isLoading: boolean
 }
 
 export function EditTaskModal({ task, isOpen, onClose, onUpdate, isLoading }: EditTaskModalProps) {
   const [title, setTitle] = useState(task.title)
   const [description, setDescription] = useState(task.description)
+  const [priority, setPriority] = useState(task.priority)
+  const [dueDate, setDueDate] = useState(task.dueDate)
+  const [labels, setLabels] = useState(task.labels)
+  const [recurrence, setRecurrence] = useState(task.recurrence)
+  const [attachments, setAttachments] = useState(task.attachments ?? [])
+  const [files, setFiles] = useState<File[]>([])
   const [isSubmitting, setIsSubmitting] = useState(false)
 
   useEffect(() => {
     if (task) {
       setTitle(task.title)
       setDescription(task.description)
+      setPriority(task.priority)
+      setDueDate(task.dueDate)
+      setLabels(task.labels)
+      setRecurrence(task.recurrence)
+      setAttachments(task.attachments ?? [])
+      setFiles([])
     }
   }, [task])
 
@@ -41,12 +59,24 @@ export function EditTaskModal({ task, isOpen, onClose, onUpdate, isLoading }: Ed
     e.preventDefault()
     if (!title.trim()) return
 
+    // A monthly rule falls on the due date's day, so moving the due date lets the contract pick the day again
+    const rule =
+      recurrence?.frequency === RecurrenceFrequency.Monthly && dueDate?.getTime() !== task.dueDate?.getTime()
+        ? { ...recurrence, monthDay: 0 }
+        : recurrence
+
     setIsSubmitting(true)
     await onUpdate({
       ...task,
       title,
       description,
-    })
+      priority,
+      dueDate,
+      labels,
+      // A task without a due date can't repeat
+      recurrence: dueDate ? rule : null,
+      attachments,
+    }, files)
     setIsSubmitting(false)
     onClose()
   }
@@ -80,6 +110,22 @@ export function EditTaskModal({ task, isOpen, onClose, onUpdate, isLoading }: Ed
                 rows={4}
               />
             </div>
+            <div className="grid gap-2 sm:grid-cols-2">
+              <PrioritySelect value={priority} onChange={setPriority} disabled={isLoading || isSubmitting} />
+              <DueDatePicker value={dueDate} onChange={setDueDate} disabled={isLoading || isSubmitting} />
+            </div>
+            <RecurrencePicker value={recurrence} onChange={setRecurrence} dueDate={dueDate} disabled={isLoading || isSubmitting} />
+            <LabelPicker value={labels} onChange={setLabels} disabled={isLoading || isSubmitting} />
+            {/* Attachments live in the content store, which encrypted tasks don't use */}
+            {isContentStoreAvailable() && !task.sealed && (
+              <AttachmentInput
+                attachments={attachments}
+                onAttachmentsChange={setAttachments}
+                files={files}
+                onFilesChange={setFiles}
+                disabled={isLoading || isSubmitting}
+              />
+            )}
           </div>
           <DialogFooter>
             <Button type="button" variant="outline" onClick={onClose} disabled={isSubmitting}>
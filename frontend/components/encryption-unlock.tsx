@@ -0,0 +1,94 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, Lock, LockOpen } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import { getEncryptionKey, setEncryptionKey } from "@/utils/contract"
+import { getUnlockedKey, lockEncryption, subscribeToEncryption, unlockEncryption } from "@/utils/encryption"
+import { getCurrentAccount, isWalletAvailable, setupEventListeners } from "@/utils/ethers"
+import { decodeTransactionError } from "@/utils/transactions"
+
+// Publish the account's encryption key if the contract has none or an outdated one, so others can share with it
+export const publishEncryptionKeyIfNeeded = async (account: string, publicKey: string) => {
+  const published = await getEncryptionKey(account)
+  if (published?.toLowerCase() === publicKey.toLowerCase()) return
+
+  toast.info("Publish your encryption key so others can share encrypted tasks with you", {
+    action: {
+      label: "Publish",
+      onClick: () =>
+        setEncryptionKey(publicKey)
+          .then(() => toast.success("Encryption key published"))
+          .catch((error) => toast.error("Failed to publish the encryption key", { description: decodeTransactionError(error) })),
+    },
+  })
+}
+
+// Unlock encrypted tasks for the session with a wallet signature, or lock them again
+export function EncryptionUnlock() {
+  const [account, setAccount] = useState<string | null>(null)
+  const [isUnlocked, setIsUnlocked] = useState(false)
+  const [isUnlocking, setIsUnlocking] = useState(false)
+
+  // Follow the connected account, since each account has its own key
+  useEffect(() => {
+    if (!isWalletAvailable()) return
+
+    getCurrentAccount()
+      .then(setAccount)
+      .catch((error) => console.error("Error getting current account:", error))
+    return setupEventListeners((accounts: string[]) => setAccount(accounts[0] || null), null)
+  }, [])
+
+  useEffect(() => {
+    const update = () => setIsUnlocked(account !== null && getUnlockedKey(account) !== null)
+    update()
+    return subscribeToEncryption(update)
+  }, [account])
+
+  if (!account) {
+    return null
+  }
+
+  const handleUnlock = async () => {
+    setIsUnlocking(true)
+    try {
+      const { address, publicKey } = await unlockEncryption()
+      await publishEncryptionKeyIfNeeded(address, publicKey)
+    } catch (error) {
+      console.error("Error unlocking encrypted tasks:", error)
+      toast.error("Failed to unlock encrypted tasks", { description: decodeTransactionError(error) })
+    } finally {
+      setIsUnlocking(false)
+    }
+  }
+
+  if (isUnlocked) {
+    return (
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => lockEncryption(account)}
+        title="Encrypted tasks are readable in this tab. Click to lock them again."
+      >
+        <LockOpen className="h-4 w-4 mr-1" />
+        Unlocked
+      </Button>
+    )
+  }
+
+  return (
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={handleUnlock}
+      disabled={isUnlocking}
+      title="Sign a message to derive your encryption key and read your encrypted tasks. Signing costs no gas."
+    >
+      {isUnlocking ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Lock className="h-4 w-4 mr-1" />}
+      Unlock
+    </Button>
+  )
+}
@@ -0,0 +1,40 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Fuel } from "lucide-react"
+
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { isGaslessAvailable, isGaslessEnabled, setGaslessEnabled } from "@/utils/contract"
+
+// Switch between sending transactions from the wallet and signing requests for the relayer
+export function GaslessToggle() {
+  const [isEnabled, setIsEnabled] = useState(false)
+
+  // localStorage is only available in the browser, so read the saved choice after mounting
+  useEffect(() => {
+    setIsEnabled(isGaslessEnabled())
+  }, [])
+
+  if (!isGaslessAvailable()) {
+    return null
+  }
+
+  const handleChange = (enabled: boolean) => {
+    setGaslessEnabled(enabled)
+    setIsEnabled(enabled)
+  }
+
+  return (
+    <div
+      className="flex items-center gap-2"
+      title="Sign adds, edits, completions and deletes and let the relayer pay the gas"
+    >
+      <Fuel className="h-4 w-4 text-muted-foreground" />
+      <Label htmlFor="gasless-mode" className="text-sm">
+        Gasless
+      </Label>
+      <Switch id="gasless-mode" checked={isEnabled} onCheckedChange={handleChange} />
+    </div>
+  )
+}
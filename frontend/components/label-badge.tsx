@@ -0,0 +1,28 @@
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { cn } from "@/lib/utils"
+import type { Label } from "@/lib/types"
+
+interface LabelBadgeProps {
+  label: Label
+  className?: string
+}
+
+// Pick black or white text depending on how light the label colour is
+const textColor = (color: string) => {
+  const rgb = parseInt(color.slice(1), 16)
+  const luminance = 0.299 * ((rgb >> 16) & 0xff) + 0.587 * ((rgb >> 8) & 0xff) + 0.114 * (rgb & 0xff)
+  return luminance > 150 ? "#000000" : "#ffffff"
+}
+
+export function LabelBadge({ label, className }: LabelBadgeProps) {
+  return (
+    <Badge
+      className={cn("border-transparent", className)}
+      style={{ backgroundColor: label.color, color: textColor(label.color) }}
+    >
+      {label.name}
+    </Badge>
+  )
+}
@@ -0,0 +1,130 @@
+"use client"
+
+import type React from "react"
+
+import { useEffect, useState } from "react"
+import { Loader2, Plus, Tags } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import { Separator } from "@/components/ui/separator"
+import { LabelBadge } from "@/components/label-badge"
+import type { Label } from "@/lib/types"
+import { createLabel, getMyLabels } from "@/utils/contract"
+
+// Mirrors TaskLabels.MAX_LABELS_PER_TASK
+const MAX_LABELS_PER_TASK = 10
+
+const DEFAULT_LABEL_COLOR = "#3b82f6"
+
+interface LabelPickerProps {
+  value: Label[]
+  onChange: (labels: Label[]) => void
+  disabled?: boolean
+}
+
+export function LabelPicker({ value, onChange, disabled }: LabelPickerProps) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [labels, setLabels] = useState<Label[]>([])
+  const [newName, setNewName] = useState("")
+  const [newColor, setNewColor] = useState(DEFAULT_LABEL_COLOR)
+  const [isCreating, setIsCreating] = useState(false)
+
+  // Load the user's labels each time the picker opens
+  useEffect(() => {
+    if (!isOpen) return
+
+    getMyLabels()
+      .then(setLabels)
+      .catch(() => toast.error("Failed to load labels"))
+  }, [isOpen])
+
+  const isSelected = (label: Label) => value.some((selected) => selected.id === label.id)
+
+  const toggleLabel = (label: Label) => {
+    if (isSelected(label)) {
+      onChange(value.filter((selected) => selected.id !== label.id))
+    } else if (value.length < MAX_LABELS_PER_TASK) {
+      onChange([...value, label])
+    } else {
+      toast.error(`A task can carry at most ${MAX_LABELS_PER_TASK} labels`)
+    }
+  }
+
+  const handleCreate = async (e: React.SyntheticEvent) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+
+    setIsCreating(true)
+    try {
+      const labelId = await createLabel(newName.trim(), newColor)
+      const updatedLabels = await getMyLabels()
+      setLabels(updatedLabels)
+
+      // Select the new label straight away
+      const created = updatedLabels.find((label) => label.id === labelId)
+      if (created && value.length < MAX_LABELS_PER_TASK) {
+        onChange([...value, created])
+      }
+      setNewName("")
+    } catch (error) {
+      console.error("Error creating label:", error)
+      toast.error("Failed to create label")
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Popover open={isOpen} onOpenChange={setIsOpen}>
+        <PopoverTrigger asChild>
+          <Button type="button" variant="outline" size="sm" disabled={disabled}>
+            <Tags className="mr-2 h-4 w-4" />
+            Labels
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-72" align="start">
+          <div className="grid gap-2">
+            {labels.length === 0 && <p className="text-sm text-muted-foreground">You have no labels yet.</p>}
+            {labels.map((label) => (
+              <label key={label.id} className="flex items-center gap-2 cursor-pointer">
+                <Checkbox checked={isSelected(label)} onCheckedChange={() => toggleLabel(label)} />
+                <LabelBadge label={label} />
+              </label>
+            ))}
+          </div>
+          <Separator className="my-3" />
+          {/* Not a nested <form>: the picker is rendered inside the task forms */}
+          <div className="flex gap-2">
+            <Input
+              placeholder="New label"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleCreate(e)}
+              disabled={isCreating}
+            />
+            <Input
+              type="color"
+              className="w-12 p-1"
+              value={newColor}
+              onChange={(e) => setNewColor(e.target.value)}
+              disabled={isCreating}
+              aria-label="Label colour"
+            />
+            <Button type="button" size="icon" onClick={handleCreate} disabled={isCreating || !newName.trim()}>
+              {isCreating ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+              <span className="sr-only">Create label</span>
+            </Button>
+          </div>
+        </PopoverContent>
+      </Popover>
+      {value.map((label) => (
+        <LabelBadge key={label.id} label={label} />
+      ))}
+    </div>
+  )
+}
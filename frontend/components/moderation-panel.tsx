@@ -0,0 +1,196 @@
+"use client"
+
+import { useCallback, useEffect, useMemo, useState } from "react"
+import { format } from "date-fns"
+import { Loader2, Search, Trash2 } from "lucide-react"
+import { toast } from "sonner"
+
+import { AddressAvatar } from "@/components/address-avatar"
+import { ConfirmDialog } from "@/components/confirm-dialog"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { STATUS_LABELS, type TaskStatus } from "@/lib/types"
+import { formatAddress } from "@/lib/utils"
+import { TASK_PAGE_SIZE, adminDeleteTask, findTask, getTasksBefore, type ContractTask } from "@/utils/contract"
+import { isContentReference } from "@/utils/content-store"
+import { getDisplayTitle, isEncryptedTask } from "@/utils/encryption"
+import { decodeTransactionError } from "@/utils/transactions"
+
+// Match a task against the search box: its title, description or owner address
+const matchesSearch = (task: ContractTask, query: string) => {
+  const needle = query.trim().toLowerCase()
+  return (
+    task.title.toLowerCase().includes(needle) ||
+    task.description.toLowerCase().includes(needle) ||
+    task.owner.toLowerCase().includes(needle)
+  )
+}
+
+// Every account's tasks, newest first, with search and deletion for moderators
+export function ModerationPanel({ totalTaskCount, onDeleted }: { totalTaskCount: number; onDeleted: () => void }) {
+  const [tasks, setTasks] = useState<ContractTask[]>([])
+  const [nextBeforeId, setNextBeforeId] = useState(totalTaskCount)
+  const [isLoading, setIsLoading] = useState(false)
+  const [query, setQuery] = useState("")
+  const [lookedUp, setLookedUp] = useState<ContractTask | null | undefined>(undefined)
+  const [deleting, setDeleting] = useState<ContractTask | null>(null)
+  const [isDeleting, setIsDeleting] = useState(false)
+
+  const loadMore = useCallback(async (beforeId: number, replace = false) => {
+    setIsLoading(true)
+    try {
+      const page = await getTasksBefore(beforeId, TASK_PAGE_SIZE)
+      setTasks((current) => (replace ? page.tasks : [...current, ...page.tasks]))
+      setNextBeforeId(page.nextBeforeId)
+    } catch (error) {
+      console.error("Error loading tasks for moderation:", error)
+      toast.error("Failed to load tasks")
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadMore(totalTaskCount, true)
+  }, [totalTaskCount, loadMore])
+
+  // A number in the search box looks the task up directly, even if it isn't loaded yet
+  const taskId = /^#?\d+$/.test(query.trim()) ? Number(query.trim().replace("#", "")) : null
+  useEffect(() => {
+    if (taskId === null) {
+      setLookedUp(undefined)
+      return
+    }
+
+    let cancelled = false
+    findTask(taskId)
+      .then((task) => !cancelled && setLookedUp(task))
+      .catch(() => !cancelled && setLookedUp(null))
+    return () => {
+      cancelled = true
+    }
+  }, [taskId])
+
+  const visibleTasks = useMemo(() => {
+    if (taskId !== null) return lookedUp ? [lookedUp] : []
+    return query.trim() ? tasks.filter((task) => matchesSearch(task, query)) : tasks
+  }, [tasks, query, taskId, lookedUp])
+
+  const handleDelete = async () => {
+    if (!deleting) return
+    const task = deleting
+    setDeleting(null)
+    setIsDeleting(true)
+    try {
+      await adminDeleteTask(task.id)
+      setTasks((current) => current.filter((t) => t.id !== task.id))
+      if (lookedUp?.id === task.id) setLookedUp(null)
+      toast.success(`Task #${task.id} deleted`)
+      onDeleted()
+    } catch (error) {
+      console.error(`Error deleting task ${task.id}:`, error)
+      toast.error("Failed to delete the task", { description: decodeTransactionError(error) })
+    } finally {
+      setIsDeleting(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Moderation</CardTitle>
+        <CardDescription>Tasks of every account, newest first</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-4">
+        <div className="relative">
+          <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
+          <Input
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            placeholder="Task ID, or search loaded tasks by title, description or owner"
+            className="pl-8"
+          />
+        </div>
+
+        {visibleTasks.length === 0 && !isLoading ? (
+          <p className="text-sm text-muted-foreground py-4 text-center">
+            {taskId !== null ? `Task #${taskId} doesn't exist or was deleted` : "No tasks found"}
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-16">ID</TableHead>
+                <TableHead>Title</TableHead>
+                <TableHead>Owner</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Created</TableHead>
+                <TableHead className="w-12" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {visibleTasks.map((task) => (
+                <TableRow key={task.id}>
+                  <TableCell className="font-mono">#{task.id}</TableCell>
+                  <TableCell>
+                    <p className="font-medium">{getDisplayTitle(task.title)}</p>
+                    {task.description && !isEncryptedTask(task.title) && !isContentReference(task.description) && (
+                      <p className="text-xs text-muted-foreground line-clamp-1">{task.description}</p>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <span className="inline-flex items-center gap-1 font-mono text-xs" title={task.owner}>
+                      <AddressAvatar address={task.owner} className="h-5 w-5" />
+                      {formatAddress(task.owner)}
+                    </span>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="outline">{STATUS_LABELS[task.status as TaskStatus]}</Badge>
+                  </TableCell>
+                  <TableCell className="text-xs text-muted-foreground">{format(task.createdAt, "MMM d, yyyy")}</TableCell>
+                  <TableCell>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setDeleting(task)}
+                      disabled={isDeleting}
+                      aria-label={`Delete task #${task.id}`}
+                    >
+                      <Trash2 className="h-4 w-4 text-destructive" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {taskId === null && nextBeforeId > 0 && (
+          <Button variant="outline" onClick={() => loadMore(nextBeforeId)} disabled={isLoading}>
+            {isLoading && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+            Load older tasks
+          </Button>
+        )}
+      </CardContent>
+
+      <ConfirmDialog
+        open={deleting !== null}
+        onOpenChange={(open) => !open && setDeleting(null)}
+        title={`Delete task #${deleting?.id}?`}
+        description={
+          <>
+            &ldquo;{deleting && getDisplayTitle(deleting.title)}&rdquo; will be deleted for its owner{" "}
+            <span className="font-mono">{deleting && formatAddress(deleting.owner)}</span> and everyone it is shared
+            with. This can&apos;t be undone.
+          </>
+        }
+        confirmLabel="Delete task"
+        destructive
+        onConfirm={handleDelete}
+      />
+    </Card>
+  )
+}
@@ -0,0 +1,108 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { AlertTriangle, Check, ChevronDown, Loader2, Network as NetworkIcon } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { getCurrentNetwork, isWalletAvailable, setupEventListeners, switchNetwork } from "@/utils/ethers"
+import {
+  getNetworkByChainId,
+  getNetworks,
+  getPreferredNetwork,
+  isDeployed,
+  setPreferredNetwork,
+  subscribeToPreferredNetwork,
+  type Network,
+} from "@/utils/networks"
+import { decodeTransactionError } from "@/utils/transactions"
+
+// Pick the network to use. With a wallet this asks the wallet to switch; without one it picks the
+// network public task lists are read from.
+export function NetworkSelector() {
+  const [hasWallet, setHasWallet] = useState(false)
+  const [walletChainId, setWalletChainId] = useState<string | null>(null)
+  const [preferred, setPreferred] = useState<Network | null>(null)
+  const [isSwitching, setIsSwitching] = useState(false)
+  const chainIdRef = useRef<string | null>(null)
+
+  // Wallets and localStorage are only available in the browser, so read them after mounting
+  useEffect(() => {
+    setPreferred(getPreferredNetwork())
+    const unsubscribe = subscribeToPreferredNetwork(() => setPreferred(getPreferredNetwork()))
+    if (!isWalletAvailable()) return unsubscribe
+
+    setHasWallet(true)
+    getCurrentNetwork()
+      .then((chainId: string) => {
+        chainIdRef.current = chainId
+        setWalletChainId(chainId)
+      })
+      .catch((error) => console.error("Error reading the wallet's network:", error))
+
+    // Tasks, projects and pending changes all belong to one chain, so start over on another one
+    const stopListening = setupEventListeners(null, (chainId: string) => {
+      if (chainIdRef.current !== null && chainId !== chainIdRef.current) {
+        window.location.reload()
+      }
+    })
+    return () => {
+      unsubscribe()
+      stopListening()
+    }
+  }, [])
+
+  const current = hasWallet ? (walletChainId ? getNetworkByChainId(walletChainId) : null) : preferred
+  const isUnsupported = hasWallet && walletChainId !== null && !isDeployed(current)
+
+  const handleSelect = async (network: Network) => {
+    setPreferredNetwork(network.key)
+    if (!hasWallet) return
+
+    setIsSwitching(true)
+    try {
+      // The wallet reports the switch through chainChanged, which reloads the page
+      await switchNetwork(network.key)
+    } catch (error) {
+      console.error(`Error switching to ${network.name}:`, error)
+      toast.error(`Failed to switch to ${network.name}`, { description: decodeTransactionError(error) })
+    } finally {
+      setIsSwitching(false)
+    }
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant={isUnsupported ? "destructive" : "outline"} size="sm" disabled={isSwitching}>
+          {isSwitching ? (
+            <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+          ) : isUnsupported ? (
+            <AlertTriangle className="h-4 w-4 mr-1" />
+          ) : (
+            <NetworkIcon className="h-4 w-4 mr-1" />
+          )}
+          {isUnsupported ? "Wrong network" : (current?.name ?? "Network")}
+          <ChevronDown className="h-4 w-4 ml-1" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>{hasWallet ? "Switch network" : "Read from network"}</DropdownMenuLabel>
+        {getNetworks().map((network) => (
+          <DropdownMenuItem key={network.key} onSelect={() => handleSelect(network)} disabled={!isDeployed(network)}>
+            <span className="flex-1">{network.name}</span>
+            {!isDeployed(network) && <span className="ml-2 text-xs text-muted-foreground">Not deployed</span>}
+            {network.key === current?.key && <Check className="h-4 w-4 ml-2" />}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
@@ -0,0 +1,27 @@
+"use client"
+
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { PRIORITY_LABELS, TaskPriority } from "@/lib/types"
+
+interface PrioritySelectProps {
+  value: TaskPriority
+  onChange: (priority: TaskPriority) => void
+  disabled?: boolean
+}
+
+export function PrioritySelect({ value, onChange, disabled }: PrioritySelectProps) {
+  return (
+    <Select value={value.toString()} onValueChange={(v) => onChange(Number(v) as TaskPriority)} disabled={disabled}>
+      <SelectTrigger aria-label="Priority">
+        <SelectValue placeholder="Priority" />
+      </SelectTrigger>
+      <SelectContent>
+        {[TaskPriority.Low, TaskPriority.Medium, TaskPriority.High].map((priority) => (
+          <SelectItem key={priority} value={priority.toString()}>
+            {PRIORITY_LABELS[priority]} priority
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
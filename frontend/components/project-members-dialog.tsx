@@ -0,0 +1,225 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { ethers } from "ethers"
+import { LogOut, Trash, UserPlus } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Separator } from "@/components/ui/separator"
+import { AddressAvatar } from "@/components/address-avatar"
+import { PROJECT_ROLE_LABELS, ProjectRole, type Project, type ProjectMember } from "@/lib/types"
+import { formatAddress } from "@/lib/utils"
+import { deleteProject, getProjectMembers, setProjectMember } from "@/utils/contract"
+import { getCurrentAccount } from "@/utils/ethers"
+
+const GRANTABLE_ROLES = [ProjectRole.Viewer, ProjectRole.Member, ProjectRole.Admin]
+
+interface ProjectMembersDialogProps {
+  project: Project
+  isOpen: boolean
+  onClose: () => void
+  onLeft: () => void
+}
+
+function RoleSelect({
+  value,
+  onChange,
+  disabled,
+}: {
+  value: ProjectRole
+  onChange: (role: ProjectRole) => void
+  disabled?: boolean
+}) {
+  return (
+    <Select value={value.toString()} onValueChange={(v) => onChange(Number(v) as ProjectRole)} disabled={disabled}>
+      <SelectTrigger className="w-[130px]" aria-label="Role">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {GRANTABLE_ROLES.map((role) => (
+          <SelectItem key={role} value={role.toString()}>
+            {PROJECT_ROLE_LABELS[role]}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+export function ProjectMembersDialog({ project, isOpen, onClose, onLeft }: ProjectMembersDialogProps) {
+  const [members, setMembers] = useState<ProjectMember[]>([])
+  const [account, setAccount] = useState<string | null>(null)
+  const [newMember, setNewMember] = useState("")
+  const [newRole, setNewRole] = useState(ProjectRole.Member)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    getCurrentAccount().then(setAccount)
+    getProjectMembers(project.id)
+      .then(setMembers)
+      .catch(() => toast.error("Failed to load project members"))
+  }, [isOpen, project])
+
+  const isProjectOwner = account !== null && project.owner.toLowerCase() === account.toLowerCase()
+  const isAdmin = members.some(
+    (member) => member.address.toLowerCase() === account?.toLowerCase() && member.role === ProjectRole.Admin
+  )
+
+  // Run a contract write, reporting the outcome with a toast
+  const runAction = async (action: () => Promise<void>, successMessage: string, errorMessage: string) => {
+    setIsSubmitting(true)
+    try {
+      await action()
+      toast.success(successMessage)
+      return true
+    } catch (error) {
+      console.error(errorMessage, error)
+      toast.error(errorMessage)
+      return false
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleSetMember = async (address: string, role: ProjectRole) => {
+    if (!ethers.isAddress(address)) {
+      toast.error("Enter a valid address")
+      return
+    }
+    const updated = await runAction(
+      () => setProjectMember(project.id, address, role),
+      role === ProjectRole.None ? "Member removed" : "Member updated",
+      "Failed to update project member"
+    )
+    if (updated) {
+      setMembers(await getProjectMembers(project.id))
+      setNewMember("")
+    }
+  }
+
+  const handleLeave = async () => {
+    if (!account) return
+
+    const left = await runAction(
+      () => setProjectMember(project.id, account, ProjectRole.None),
+      `You left ${project.name}`,
+      "Failed to leave project"
+    )
+    if (left) {
+      onLeft()
+    }
+  }
+
+  const handleDelete = async () => {
+    const deleted = await runAction(
+      () => deleteProject(project.id),
+      "Project deleted successfully",
+      "Failed to delete project. Move or delete its tasks first."
+    )
+    if (deleted) {
+      onLeft()
+    }
+  }
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle>{project.name} Members</DialogTitle>
+          <DialogDescription>
+            Viewers can see the project&apos;s tasks, members can also add and edit them, and admins manage the team.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-2">
+          {members.map((member) => {
+            const isOwnerRow = member.address.toLowerCase() === project.owner.toLowerCase()
+            return (
+              <div key={member.address} className="flex items-center gap-2">
+                <AddressAvatar address={member.address} />
+                <span className="flex-1 text-sm font-mono">
+                  {formatAddress(member.address)}
+                  {isOwnerRow && <span className="ml-2 font-sans text-muted-foreground">(owner)</span>}
+                </span>
+                {isAdmin && !isOwnerRow ? (
+                  <>
+                    <RoleSelect
+                      value={member.role}
+                      onChange={(role) => handleSetMember(member.address, role)}
+                      disabled={isSubmitting}
+                    />
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleSetMember(member.address, ProjectRole.None)}
+                      disabled={isSubmitting}
+                    >
+                      <Trash className="h-4 w-4" />
+                      <span className="sr-only">Remove member</span>
+                    </Button>
+                  </>
+                ) : (
+                  <span className="text-sm text-muted-foreground">{PROJECT_ROLE_LABELS[member.role]}</span>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {isAdmin && (
+          <div className="flex gap-2">
+            <Input
+              placeholder="Member address"
+              value={newMember}
+              onChange={(e) => setNewMember(e.target.value)}
+              disabled={isSubmitting}
+            />
+            <RoleSelect value={newRole} onChange={setNewRole} disabled={isSubmitting} />
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={() => handleSetMember(newMember.trim(), newRole)}
+              disabled={isSubmitting || !newMember.trim()}
+            >
+              <UserPlus className="h-4 w-4" />
+              <span className="sr-only">Add member</span>
+            </Button>
+          </div>
+        )}
+
+        <Separator />
+
+        <div className="grid gap-2">
+          <Label>{isProjectOwner ? "Delete project" : "Leave project"}</Label>
+          {isProjectOwner ? (
+            <>
+              <Button variant="destructive" onClick={handleDelete} disabled={isSubmitting}>
+                <Trash className="h-4 w-4 mr-1" />
+                Delete Project
+              </Button>
+              <p className="text-xs text-muted-foreground">Only projects without tasks can be deleted.</p>
+            </>
+          ) : (
+            <Button variant="outline" onClick={handleLeave} disabled={isSubmitting}>
+              <LogOut className="h-4 w-4 mr-1" />
+              Leave Project
+            </Button>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,166 @@
+"use client"
+
+import type React from "react"
+
+import { useCallback, useEffect, useState } from "react"
+import { FolderPlus, Loader2, Users } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { ProjectMembersDialog } from "@/components/project-members-dialog"
+import type { Project } from "@/lib/types"
+import { createProject, getMyProjects } from "@/utils/contract"
+import { getCurrentAccount, isWalletAvailable, setupEventListeners } from "@/utils/ethers"
+
+// Select value used for the personal task list
+const PERSONAL = "personal"
+
+interface ProjectSwitcherProps {
+  selectedProject: Project | null
+  onSelect: (project: Project | null) => void
+}
+
+export function ProjectSwitcher({ selectedProject, onSelect }: ProjectSwitcherProps) {
+  const [projects, setProjects] = useState<Project[]>([])
+  const [isCreating, setIsCreating] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [isManagingMembers, setIsManagingMembers] = useState(false)
+  const [newProjectName, setNewProjectName] = useState("")
+
+  const loadProjects = useCallback(async () => {
+    // Only read projects once the wallet is connected, so this never opens a connection prompt
+    if (!(await getCurrentAccount())) return
+
+    try {
+      setProjects(await getMyProjects())
+    } catch (error) {
+      console.error("Error fetching projects:", error)
+      toast.error("Failed to load projects")
+    }
+  }, [])
+
+  // Load projects now and again whenever the connected account changes
+  useEffect(() => {
+    if (!isWalletAvailable()) return
+
+    loadProjects()
+    return setupEventListeners(() => {
+      onSelect(null)
+      loadProjects()
+    })
+  }, [loadProjects, onSelect])
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!newProjectName.trim()) return
+
+    setIsSubmitting(true)
+    try {
+      const projectId = await createProject(newProjectName.trim())
+      toast.success("Project created successfully")
+
+      const updatedProjects = await getMyProjects()
+      setProjects(updatedProjects)
+      onSelect(updatedProjects.find((project) => project.id === projectId) ?? null)
+      setNewProjectName("")
+      setIsCreating(false)
+    } catch (error) {
+      console.error("Error creating project:", error)
+      toast.error("Failed to create project")
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  // Called after the user leaves or deletes the selected project
+  const handleProjectLeft = async () => {
+    setIsManagingMembers(false)
+    onSelect(null)
+    await loadProjects()
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6">
+      <Select
+        value={selectedProject ? selectedProject.id.toString() : PERSONAL}
+        onValueChange={(value) => onSelect(projects.find((project) => project.id.toString() === value) ?? null)}
+      >
+        <SelectTrigger className="w-[240px]" aria-label="Project">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={PERSONAL}>Personal tasks</SelectItem>
+          {projects.map((project) => (
+            <SelectItem key={project.id} value={project.id.toString()}>
+              {project.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Button variant="outline" onClick={() => setIsCreating(true)}>
+        <FolderPlus className="h-4 w-4 mr-1" />
+        New Project
+      </Button>
+      {selectedProject && (
+        <Button variant="outline" onClick={() => setIsManagingMembers(true)}>
+          <Users className="h-4 w-4 mr-1" />
+          Members
+        </Button>
+      )}
+
+      <Dialog open={isCreating} onOpenChange={setIsCreating}>
+        <DialogContent className="sm:max-w-[425px]">
+          <form onSubmit={handleCreate}>
+            <DialogHeader>
+              <DialogTitle>New Project</DialogTitle>
+              <DialogDescription>Projects hold a shared backlog that every member can see.</DialogDescription>
+            </DialogHeader>
+            <div className="py-4">
+              <Input
+                placeholder="Project name"
+                value={newProjectName}
+                onChange={(e) => setNewProjectName(e.target.value)}
+                required
+                disabled={isSubmitting}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIsCreating(false)} disabled={isSubmitting}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSubmitting || !newProjectName.trim()}>
+                {isSubmitting ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Creating...
+                  </>
+                ) : (
+                  "Create Project"
+                )}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {isManagingMembers && selectedProject && (
+        <ProjectMembersDialog
+          project={selectedProject}
+          isOpen={isManagingMembers}
+          onClose={() => setIsManagingMembers(false)}
+          onLeft={handleProjectLeft}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,72 @@
+"use client"
+
+import { PRIORITY_LABELS, STATUS_LABELS, isTaskClosed, type Task } from "@/lib/types"
+import { Badge } from "@/components/ui/badge"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { LabelBadge } from "@/components/label-badge"
+import { PRIORITY_STYLES, STATUS_ICONS, STATUS_VARIANTS } from "@/components/task-item"
+import { AttachmentList, StoredContentNotice } from "@/components/attachment-list"
+import { useTaskContent } from "@/hooks/use-task-content"
+import { AlertTriangle, Calendar, Flag, ListChecks, Lock } from "lucide-react"
+import { format } from "date-fns"
+
+// Read-only card for a task on someone's public task list
+export function PublicTaskItem({ task: storedTask }: { task: Task }) {
+  // Encrypted tasks stay locked unless the viewer holds their key
+  const { task, isEncrypted, isLocked, storedStatus } = useTaskContent(storedTask)
+  const isClosed = isTaskClosed(task)
+  const isOverdue = !isClosed && task.dueDate !== null && task.dueDate.getTime() < Date.now()
+  const StatusIcon = STATUS_ICONS[task.status]
+  const { completed: completedSubtasks, total: totalSubtasks } = task.subtaskProgress
+
+  return (
+    <Card className={isClosed ? "bg-muted/50" : "bg-background"}>
+      <CardHeader className="pb-2">
+        <div className="flex justify-between items-start">
+          <CardTitle className={`${isClosed ? "line-through text-muted-foreground" : ""}`}>{task.title}</CardTitle>
+          <Badge variant={STATUS_VARIANTS[task.status]}>
+            <StatusIcon className="h-4 w-4 mr-1" />
+            {STATUS_LABELS[task.status]}
+          </Badge>
+        </div>
+        <div className="flex flex-wrap gap-2 pt-1">
+          {isEncrypted && (
+            <Badge variant="outline">
+              <Lock className="h-3 w-3 mr-1" />
+              {isLocked ? "Locked" : "Encrypted"}
+            </Badge>
+          )}
+          <Badge variant="outline" className={PRIORITY_STYLES[task.priority]}>
+            <Flag className="h-3 w-3 mr-1" />
+            {PRIORITY_LABELS[task.priority]}
+          </Badge>
+          {task.dueDate && (
+            <Badge variant={isOverdue ? "destructive" : "outline"}>
+              {isOverdue ? <AlertTriangle className="h-3 w-3 mr-1" /> : <Calendar className="h-3 w-3 mr-1" />}
+              {isOverdue ? "Overdue" : "Due"} {format(task.dueDate, "MMM d, yyyy")}
+            </Badge>
+          )}
+          {totalSubtasks > 0 && (
+            <Badge variant={completedSubtasks === totalSubtasks ? "secondary" : "outline"}>
+              <ListChecks className="h-3 w-3 mr-1" />
+              {completedSubtasks}/{totalSubtasks} subtasks
+            </Badge>
+          )}
+          {task.labels.map((label) => (
+            <LabelBadge key={label.id} label={label} />
+          ))}
+        </div>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        {isLocked ? (
+          <p className="text-sm text-muted-foreground">This task is encrypted and only readable by the people its owner shared it with.</p>
+        ) : storedStatus === "none" || storedStatus === "ready" ? (
+          <p className={`text-sm ${isClosed ? "text-muted-foreground" : ""}`}>{task.description}</p>
+        ) : (
+          <StoredContentNotice status={storedStatus} />
+        )}
+        <AttachmentList attachments={task.attachments ?? []} />
+      </CardContent>
+    </Card>
+  )
+}
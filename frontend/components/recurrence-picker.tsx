@@ -0,0 +1,115 @@
+"use client"
+
+import { DueDatePicker } from "@/components/due-date-picker"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group"
+import { FREQUENCY_LABELS, RecurrenceFrequency, type Recurrence } from "@/lib/types"
+import { toLocalWeekdays, toUtcWeekdays, WEEKDAY_NAMES } from "@/lib/recurrence"
+
+// Largest interval the contract stores (uint16)
+const MAX_INTERVAL = 65535
+
+const FREQUENCIES = Object.keys(FREQUENCY_LABELS).map(Number) as RecurrenceFrequency[]
+
+interface RecurrencePickerProps {
+  value: Recurrence | null
+  onChange: (recurrence: Recurrence | null) => void
+  dueDate: Date | null // Occurrences are scheduled from the due date, so a task without one can't repeat
+  disabled?: boolean
+}
+
+export function RecurrencePicker({ value, onChange, dueDate, disabled }: RecurrencePickerProps) {
+  const frequency = dueDate ? (value?.frequency ?? RecurrenceFrequency.None) : RecurrenceFrequency.None
+
+  const handleFrequencyChange = (newFrequency: RecurrenceFrequency) => {
+    if (newFrequency === RecurrenceFrequency.None) {
+      onChange(null)
+      return
+    }
+    onChange({
+      frequency: newFrequency,
+      weekdays: value?.weekdays ?? 0,
+      interval: value?.interval || 2,
+      // The contract takes the day of a monthly rule from the due date
+      monthDay: value?.monthDay ?? 0,
+      endDate: value?.endDate ?? null,
+    })
+  }
+
+  // Weekdays are picked in the user's time zone and stored in UTC
+  const localWeekdays = value && dueDate ? toLocalWeekdays(value.weekdays, dueDate) : 0
+  const handleWeekdaysChange = (days: string[]) => {
+    if (!value || !dueDate) return
+    const weekdays = days.reduce((mask, day) => mask | (1 << Number(day)), 0)
+    onChange({ ...value, weekdays: toUtcWeekdays(weekdays, dueDate) })
+  }
+
+  return (
+    <div className="grid gap-2">
+      <div className="grid gap-2 sm:grid-cols-2">
+        <Select
+          value={frequency.toString()}
+          onValueChange={(v) => handleFrequencyChange(Number(v) as RecurrenceFrequency)}
+          disabled={disabled || !dueDate}
+        >
+          <SelectTrigger aria-label="Repeat" title={dueDate ? undefined : "Set a due date to repeat the task"}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {FREQUENCIES.map((option) => (
+              <SelectItem key={option} value={option.toString()}>
+                {FREQUENCY_LABELS[option]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {value && frequency !== RecurrenceFrequency.None && (
+          <DueDatePicker
+            value={value.endDate}
+            onChange={(endDate) => onChange({ ...value, endDate })}
+            disabled={disabled}
+            placeholder="Repeat forever"
+            fromDate={dueDate ?? undefined}
+          />
+        )}
+      </div>
+
+      {value && frequency === RecurrenceFrequency.Weekly && (
+        <ToggleGroup
+          type="multiple"
+          variant="outline"
+          size="sm"
+          className="justify-start"
+          value={WEEKDAY_NAMES.map((_, day) => day.toString()).filter((day) => localWeekdays & (1 << Number(day)))}
+          onValueChange={handleWeekdaysChange}
+          disabled={disabled}
+          aria-label="Repeat on"
+        >
+          {WEEKDAY_NAMES.map((name, day) => (
+            <ToggleGroupItem key={name} value={day.toString()} aria-label={name}>
+              {name}
+            </ToggleGroupItem>
+          ))}
+        </ToggleGroup>
+      )}
+
+      {value && frequency === RecurrenceFrequency.EveryNDays && (
+        <div className="flex items-center gap-2 text-sm">
+          Every
+          <Input
+            type="number"
+            min={1}
+            max={MAX_INTERVAL}
+            value={value.interval}
+            onChange={(e) => onChange({ ...value, interval: Math.min(Math.max(Number(e.target.value) || 1, 1), MAX_INTERVAL) })}
+            disabled={disabled}
+            className="w-24"
+            aria-label="Days between occurrences"
+          />
+          days
+        </div>
+      )}
+    </div>
+  )
+}
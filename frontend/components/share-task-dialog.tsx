@@ -0,0 +1,352 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { ethers } from "ethers"
+import { KeyRound, Loader2, Trash, UserPlus } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Separator } from "@/components/ui/separator"
+import { AddressAvatar } from "@/components/address-avatar"
+import { CollaboratorPermission, PERMISSION_LABELS, type Collaborator, type Task } from "@/lib/types"
+import { formatAddress } from "@/lib/utils"
+import { assignTask, editTask, getCollaborators, getEncryptionKey, setCollaborator, transferTask } from "@/utils/contract"
+import { addTaskReader, getTaskReaders, getUnlockedKey, sealTaskContent } from "@/utils/encryption"
+import { getCurrentAccount } from "@/utils/ethers"
+
+const GRANTABLE_PERMISSIONS = [CollaboratorPermission.View, CollaboratorPermission.Complete, CollaboratorPermission.Edit]
+
+interface ShareTaskDialogProps {
+  task: Task
+  isOpen: boolean
+  onClose: () => void
+}
+
+function PermissionSelect({
+  value,
+  onChange,
+  disabled,
+}: {
+  value: CollaboratorPermission
+  onChange: (permission: CollaboratorPermission) => void
+  disabled?: boolean
+}) {
+  return (
+    <Select value={value.toString()} onValueChange={(v) => onChange(Number(v) as CollaboratorPermission)} disabled={disabled}>
+      <SelectTrigger className="w-[170px]" aria-label="Permission">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {GRANTABLE_PERMISSIONS.map((permission) => (
+          <SelectItem key={permission} value={permission.toString()}>
+            {PERMISSION_LABELS[permission]}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+export function ShareTaskDialog({ task, isOpen, onClose }: ShareTaskDialogProps) {
+  const [assignee, setAssignee] = useState(task.assignee ?? "")
+  const [collaborators, setCollaborators] = useState<Collaborator[]>([])
+  const [newCollaborator, setNewCollaborator] = useState("")
+  const [newPermission, setNewPermission] = useState(CollaboratorPermission.View)
+  const [newOwner, setNewOwner] = useState("")
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [sealed, setSealed] = useState(task.sealed ?? null)
+  const [newReader, setNewReader] = useState("")
+  const [account, setAccount] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    setAssignee(task.assignee ?? "")
+    setSealed(task.sealed ?? null)
+    getCollaborators(Number(task.id))
+      .then(setCollaborators)
+      .catch(() => toast.error("Failed to load collaborators"))
+    getCurrentAccount()
+      .then(setAccount)
+      .catch((error) => console.error("Error getting current account:", error))
+  }, [isOpen, task])
+
+  // Accounts that can decrypt the task, and the people it is shared with who can't yet
+  const readers = sealed ? getTaskReaders(sealed) : []
+  const isReader = (address: string) => readers.some((reader) => reader.toLowerCase() === address.toLowerCase())
+  const readerSuggestions = [...collaborators.map((collaborator) => collaborator.address), ...(task.assignee ? [task.assignee] : [])]
+    .filter((address, i, all) => !isReader(address) && all.indexOf(address) === i)
+
+  // Run a contract write, reporting the outcome with a toast
+  const runAction = async (action: () => Promise<void>, successMessage: string, errorMessage: string) => {
+    setIsSubmitting(true)
+    try {
+      await action()
+      toast.success(successMessage)
+      return true
+    } catch (error) {
+      console.error(errorMessage, error)
+      toast.error(errorMessage)
+      return false
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleAssign = async (address: string | null) => {
+    if (address && !ethers.isAddress(address)) {
+      toast.error("Enter a valid address")
+      return
+    }
+    await runAction(
+      () => assignTask(Number(task.id), address),
+      address ? "Task assigned successfully" : "Task unassigned successfully",
+      "Failed to assign task"
+    )
+  }
+
+  const handleSetCollaborator = async (address: string, permission: CollaboratorPermission) => {
+    if (!ethers.isAddress(address)) {
+      toast.error("Enter a valid address")
+      return
+    }
+    const updated = await runAction(
+      () => setCollaborator(Number(task.id), address, permission),
+      permission === CollaboratorPermission.None ? "Collaborator removed" : "Collaborator updated",
+      "Failed to update collaborator"
+    )
+    if (updated) {
+      setCollaborators(await getCollaborators(Number(task.id)))
+      setNewCollaborator("")
+    }
+  }
+
+  // Find the published encryption key of an account, or the unlocked one for the connected account
+  const findPublicKey = async (address: string) => {
+    const publicKey = (account?.toLowerCase() === address.toLowerCase() && getUnlockedKey(address)) || (await getEncryptionKey(address))
+    if (!publicKey) {
+      throw new Error(`${formatAddress(address)} hasn't published an encryption key. They can do so by unlocking encrypted tasks once.`)
+    }
+    return publicKey
+  }
+
+  // Store a new sealed payload with the task's current priority and due date
+  const saveSealed = async (newSealed: string) => {
+    await editTask(Number(task.id), newSealed, "", task.priority, task.dueDate)
+    setSealed(newSealed)
+  }
+
+  const handleShareKey = async (address: string) => {
+    if (!sealed) return
+    if (!ethers.isAddress(address)) {
+      toast.error("Enter a valid address")
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const publicKey = await findPublicKey(address)
+      await saveSealed(await addTaskReader(sealed, { address, publicKey }))
+      toast.success(`${formatAddress(address)} can now read this task`)
+      setNewReader("")
+    } catch (error) {
+      console.error("Error sharing the task key:", error)
+      toast.error("Failed to share the key", { description: error instanceof Error ? error.message : undefined })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  // Encrypt the task again under a new key for the remaining readers, so later edits are hidden from the removed one
+  const handleRemoveReader = async (address: string) => {
+    setIsSubmitting(true)
+    try {
+      const remaining = readers.filter((reader) => reader.toLowerCase() !== address.toLowerCase())
+      const remainingReaders = await Promise.all(
+        remaining.map(async (reader) => ({ address: reader, publicKey: await findPublicKey(reader) }))
+      )
+      await saveSealed(await sealTaskContent({ title: task.title, description: task.description }, remainingReaders))
+      toast.success(`${formatAddress(address)} can no longer read changes to this task`)
+    } catch (error) {
+      console.error("Error removing a reader:", error)
+      toast.error("Failed to remove the reader", { description: error instanceof Error ? error.message : undefined })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleTransfer = async () => {
+    if (!ethers.isAddress(newOwner)) {
+      toast.error("Enter a valid address")
+      return
+    }
+    const transferred = await runAction(
+      () => transferTask(Number(task.id), newOwner),
+      "Task transferred successfully",
+      "Failed to transfer task"
+    )
+    if (transferred) {
+      onClose()
+    }
+  }
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle>Share Task</DialogTitle>
+          <DialogDescription>Assign &quot;{task.title}&quot;, add collaborators or hand it over to someone else.</DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-2">
+          <Label htmlFor="assignee">Assignee</Label>
+          <div className="flex gap-2">
+            <Input
+              id="assignee"
+              placeholder="0x..."
+              value={assignee}
+              onChange={(e) => setAssignee(e.target.value)}
+              disabled={isSubmitting}
+            />
+            <Button onClick={() => handleAssign(assignee.trim())} disabled={isSubmitting || !assignee.trim()}>
+              Assign
+            </Button>
+            {task.assignee && (
+              <Button variant="outline" onClick={() => handleAssign(null)} disabled={isSubmitting}>
+                Unassign
+              </Button>
+            )}
+          </div>
+        </div>
+
+        <Separator />
+
+        <div className="grid gap-2">
+          <Label>Collaborators</Label>
+          {collaborators.length === 0 && <p className="text-sm text-muted-foreground">No collaborators yet.</p>}
+          {collaborators.map((collaborator) => (
+            <div key={collaborator.address} className="flex items-center gap-2">
+              <AddressAvatar address={collaborator.address} />
+              <span className="flex-1 text-sm font-mono">{formatAddress(collaborator.address)}</span>
+              <PermissionSelect
+                value={collaborator.permission}
+                onChange={(permission) => handleSetCollaborator(collaborator.address, permission)}
+                disabled={isSubmitting}
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => handleSetCollaborator(collaborator.address, CollaboratorPermission.None)}
+                disabled={isSubmitting}
+              >
+                <Trash className="h-4 w-4" />
+                <span className="sr-only">Remove collaborator</span>
+              </Button>
+            </div>
+          ))}
+          <div className="flex gap-2">
+            <Input
+              placeholder="Collaborator address"
+              value={newCollaborator}
+              onChange={(e) => setNewCollaborator(e.target.value)}
+              disabled={isSubmitting}
+            />
+            <PermissionSelect value={newPermission} onChange={setNewPermission} disabled={isSubmitting} />
+            <Button
+              variant="outline"
+              size="icon"
+              onClick={() => handleSetCollaborator(newCollaborator.trim(), newPermission)}
+              disabled={isSubmitting || !newCollaborator.trim()}
+            >
+              <UserPlus className="h-4 w-4" />
+              <span className="sr-only">Add collaborator</span>
+            </Button>
+          </div>
+        </div>
+
+        {sealed && (
+          <>
+            <Separator />
+
+            <div className="grid gap-2">
+              <Label>Encryption key</Label>
+              <p className="text-xs text-muted-foreground">
+                Only these accounts can read the title and description. Collaborators need the key as well as a permission.
+              </p>
+              {readers.map((reader) => (
+                <div key={reader} className="flex items-center gap-2">
+                  <AddressAvatar address={reader} />
+                  <span className="flex-1 text-sm font-mono">
+                    {formatAddress(reader)}
+                    {reader.toLowerCase() === account?.toLowerCase() && " (you)"}
+                  </span>
+                  {reader.toLowerCase() !== account?.toLowerCase() && (
+                    <Button variant="ghost" size="icon" onClick={() => handleRemoveReader(reader)} disabled={isSubmitting}>
+                      <Trash className="h-4 w-4" />
+                      <span className="sr-only">Remove reader</span>
+                    </Button>
+                  )}
+                </div>
+              ))}
+              {readerSuggestions.map((address) => (
+                <div key={address} className="flex items-center gap-2">
+                  <AddressAvatar address={address} />
+                  <span className="flex-1 text-sm font-mono text-muted-foreground">{formatAddress(address)}</span>
+                  <Button variant="outline" size="sm" onClick={() => handleShareKey(address)} disabled={isSubmitting}>
+                    <KeyRound className="h-4 w-4 mr-1" />
+                    Share key
+                  </Button>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Reader address"
+                  value={newReader}
+                  onChange={(e) => setNewReader(e.target.value)}
+                  disabled={isSubmitting}
+                />
+                <Button variant="outline" onClick={() => handleShareKey(newReader.trim())} disabled={isSubmitting || !newReader.trim()}>
+                  <KeyRound className="h-4 w-4 mr-1" />
+                  Share key
+                </Button>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                Removing a reader encrypts the task again under a new key. Earlier versions stay in the chain&apos;s history,
+                readable with the old key.
+              </p>
+            </div>
+          </>
+        )}
+
+        <Separator />
+
+        <div className="grid gap-2">
+          <Label htmlFor="new-owner">Transfer ownership</Label>
+          <div className="flex gap-2">
+            <Input
+              id="new-owner"
+              placeholder="New owner address"
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value)}
+              disabled={isSubmitting}
+            />
+            <Button variant="destructive" onClick={handleTransfer} disabled={isSubmitting || !newOwner.trim()}>
+              {isSubmitting ? <Loader2 className="h-4 w-4 animate-spin" /> : "Transfer"}
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">You will no longer own this task once the transfer is confirmed.</p>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,216 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { format } from "date-fns"
+import { Loader2 } from "lucide-react"
+
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { AddressAvatar } from "@/components/address-avatar"
+import {
+  CollaboratorPermission,
+  PERMISSION_LABELS,
+  PRIORITY_LABELS,
+  STATUS_LABELS,
+  TaskPriority,
+  TaskStatus,
+  type Recurrence,
+  type Task,
+} from "@/lib/types"
+import { describeRecurrence } from "@/lib/recurrence"
+import { formatAddress } from "@/lib/utils"
+import { getTaskHistory, type TaskHistoryEntry } from "@/utils/contract"
+import { isContentReference } from "@/utils/content-store"
+import { getDisplayTitle, isEncryptedTask } from "@/utils/encryption"
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+interface TaskContentValues {
+  title: string
+  description: string
+  priority: TaskPriority
+  dueDate: number
+}
+
+interface TaskHistoryDialogProps {
+  task: Task
+  isOpen: boolean
+  onClose: () => void
+}
+
+const formatDueDate = (dueDate: number) => (dueDate > 0 ? format(new Date(dueDate * 1000), "MMM d, yyyy") : "none")
+
+// Describe a repeat rule as recorded by TaskRecurrenceChanged, whose end date is in Unix seconds
+const formatRecurrence = (rule: Omit<Recurrence, "endDate"> & { endDate: number }, dueDate: Date | null) =>
+  describeRecurrence({ ...rule, endDate: rule.endDate > 0 ? new Date(rule.endDate * 1000) : null }, dueDate)
+
+// List what an edit changed, without showing encrypted payloads or off-chain references
+function describeEdit(previous: TaskContentValues, current: TaskContentValues) {
+  const changes: string[] = []
+  if (isEncryptedTask(previous.title) || isEncryptedTask(current.title)) {
+    if (previous.title !== current.title) changes.push("Changed the encrypted title and description")
+  } else {
+    if (previous.title !== current.title) changes.push(`Title: "${previous.title}" → "${current.title}"`)
+    if (previous.description !== current.description) {
+      changes.push(isContentReference(current.description) ? "Changed the description or attachments" : "Changed the description")
+    }
+  }
+  if (previous.priority !== current.priority) {
+    changes.push(`Priority: ${PRIORITY_LABELS[previous.priority]} → ${PRIORITY_LABELS[current.priority]}`)
+  }
+  if (previous.dueDate !== current.dueDate) {
+    changes.push(`Due date: ${formatDueDate(previous.dueDate)} → ${formatDueDate(current.dueDate)}`)
+  }
+  return changes
+}
+
+// Summarise a change, and list its details, from the point of view of the task the history is for
+function describeEntry(entry: TaskHistoryEntry, task: Task): { summary: string; details: string[] } {
+  const { args } = entry
+  const taskId = Number(task.id)
+  const labelName = (labelId: number) => task.labels.find((label) => label.id === labelId)?.name ?? `#${labelId}`
+
+  switch (entry.name) {
+    case "TaskAdded":
+      return {
+        summary: `Created "${getDisplayTitle(args.content.title)}"`,
+        details: [`Priority: ${PRIORITY_LABELS[args.content.priority as TaskPriority]}`, `Due date: ${formatDueDate(args.content.dueDate)}`],
+      }
+    case "TaskUpdated": {
+      const details = describeEdit(args.previous, args.current)
+      return { summary: details.length > 0 ? "Edited the task" : "Saved the task without changes", details }
+    }
+    case "TaskStatusChanged":
+      return {
+        summary: `Moved from ${STATUS_LABELS[args.oldStatus as TaskStatus]} to ${STATUS_LABELS[args.newStatus as TaskStatus]}`,
+        details: [],
+      }
+    case "TaskAssigned":
+      return {
+        summary:
+          args.newAssignee === ZERO_ADDRESS ? `Unassigned ${formatAddress(args.previousAssignee)}` : `Assigned to ${formatAddress(args.newAssignee)}`,
+        details: [],
+      }
+    case "TaskTransferred":
+      return { summary: `Transferred to ${formatAddress(args.newOwner)}`, details: [] }
+    case "TaskRecurrenceChanged":
+      return {
+        summary: args.current.frequency === 0 ? "Stopped repeating the task" : "Changed how the task repeats",
+        details: [`${formatRecurrence(args.previous, task.dueDate)} → ${formatRecurrence(args.current, task.dueDate)}`],
+      }
+    case "TaskRecurred":
+      return {
+        summary: args.taskId === taskId ? `Added the next occurrence #${args.nextTaskId}` : `Added as the next occurrence of #${args.taskId}`,
+        details: [`Due date: ${formatDueDate(args.dueDate)}`],
+      }
+    case "TaskRecurrenceSkipped":
+      return {
+        summary: "Skipped the next occurrence, the owner is at the task limit",
+        details: [`Due date: ${formatDueDate(args.dueDate)}`],
+      }
+    case "CollaboratorUpdated":
+      return {
+        summary:
+          args.permission === CollaboratorPermission.None
+            ? `Removed ${formatAddress(args.collaborator)} as a collaborator`
+            : `Shared with ${formatAddress(args.collaborator)}`,
+        details: [
+          `${PERMISSION_LABELS[args.previousPermission as CollaboratorPermission]} → ${PERMISSION_LABELS[args.permission as CollaboratorPermission]}`,
+        ],
+      }
+    case "TaskLabelAdded":
+      return { summary: `Added the label ${labelName(args.labelId)}`, details: [] }
+    case "TaskLabelRemoved":
+      return { summary: `Removed the label ${labelName(args.labelId)}`, details: [] }
+    case "SubtaskAdded":
+      return {
+        summary: args.parentId === taskId ? `Added subtask #${args.taskId}` : `Made a subtask of #${args.parentId}`,
+        details: [],
+      }
+    case "SubtaskRemoved":
+      return {
+        summary: args.parentId === taskId ? `Removed subtask #${args.taskId}` : `Detached from parent #${args.parentId}`,
+        details: [],
+      }
+    case "TaskBlockerAdded":
+      return {
+        summary: args.taskId === taskId ? `Blocked by #${args.blockerId}` : `Now blocks #${args.taskId}`,
+        details: [],
+      }
+    case "TaskBlockerRemoved":
+      return {
+        summary: args.taskId === taskId ? `No longer blocked by #${args.blockerId}` : `No longer blocks #${args.taskId}`,
+        details: [],
+      }
+    case "TaskDeleted":
+      return { summary: "Deleted the task", details: [] }
+    default:
+      return { summary: entry.name, details: [] }
+  }
+}
+
+// Timeline of a task rebuilt from the contract's events: who changed what, when, and what it was before
+export function TaskHistoryDialog({ task, isOpen, onClose }: TaskHistoryDialogProps) {
+  const [history, setHistory] = useState<TaskHistoryEntry[] | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    let cancelled = false
+    setHistory(null)
+    setError(null)
+    getTaskHistory(Number(task.id))
+      .then((entries) => !cancelled && setHistory(entries))
+      .catch((error) => !cancelled && setError(error instanceof Error ? error.message : "Failed to load the history"))
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, task.id])
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px]">
+        <DialogHeader>
+          <DialogTitle>Task History</DialogTitle>
+          <DialogDescription>Every change made to &quot;{task.title}&quot;, oldest first.</DialogDescription>
+        </DialogHeader>
+
+        {error ? (
+          <p className="text-sm text-destructive">{error}</p>
+        ) : history === null ? (
+          <p className="flex items-center gap-1 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Reading the task&apos;s events...
+          </p>
+        ) : history.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No changes found for this task.</p>
+        ) : (
+          <div className="max-h-[60vh] overflow-y-auto pr-3">
+            <ol className="grid gap-4 border-l pl-4">
+              {history.map((entry) => {
+                const { summary, details } = describeEntry(entry, task)
+                return (
+                  <li key={`${entry.transactionHash}-${entry.logIndex}`} className="grid gap-1">
+                    <div className="flex items-center gap-2 text-sm">
+                      {entry.actor && <AddressAvatar address={entry.actor} />}
+                      <span className="font-medium">{summary}</span>
+                    </div>
+                    {details.map((detail) => (
+                      <p key={detail} className="text-sm text-muted-foreground">
+                        {detail}
+                      </p>
+                    ))}
+                    <p className="text-xs text-muted-foreground">
+                      {format(entry.timestamp, "MMM d, yyyy HH:mm")}
+                      {entry.actor && ` by ${formatAddress(entry.actor)}`} · block {entry.blockNumber}
+                    </p>
+                  </li>
+                )
+              })}
+            </ol>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
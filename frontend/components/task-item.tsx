@@ -1,23 +1,136 @@
 "use client"
 
-import type { Task } from "@/lib/types"
+import {
+  PENDING_LABELS,
+  PRIORITY_LABELS,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  TaskPriority,
+  TaskStatus,
+  isTaskClosed,
+  type Task,
+} from "@/lib/types"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
-import { CheckCircle, Edit, Loader2, Trash, XCircle } from "lucide-react"
+import { Checkbox } from "@/components/ui/checkbox"
+import { AddressAvatar } from "@/components/address-avatar"
+import { LabelBadge } from "@/components/label-badge"
+import { ShareTaskDialog } from "@/components/share-task-dialog"
+import { TaskHistoryDialog } from "@/components/task-history-dialog"
+import { TaskRelationsPanel } from "@/components/task-relations"
+import { AttachmentList, StoredContentNotice } from "@/components/attachment-list"
+import { useTaskContent } from "@/hooks/use-task-content"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import {
+  AlertTriangle,
+  Ban,
+  Calendar,
+  CheckCircle,
+  ChevronDown,
+  ChevronRight,
+  Circle,
+  CircleDot,
+  Edit,
+  Eye,
+  Flag,
+  History,
+  ListChecks,
+  Loader2,
+  Lock,
+  OctagonX,
+  Repeat,
+  RotateCcw,
+  Share2,
+  Trash,
+} from "lucide-react"
+import { format } from "date-fns"
+import { describeRecurrence } from "@/lib/recurrence"
 import { useState } from "react"
 
+export const PRIORITY_STYLES: Record<TaskPriority, string> = {
+  [TaskPriority.Low]: "border-slate-300 text-slate-600",
+  [TaskPriority.Medium]: "border-amber-300 text-amber-700",
+  [TaskPriority.High]: "border-red-300 text-red-700",
+}
+
+export const STATUS_ICONS: Record<TaskStatus, typeof Circle> = {
+  [TaskStatus.Todo]: Circle,
+  [TaskStatus.InProgress]: CircleDot,
+  [TaskStatus.Blocked]: OctagonX,
+  [TaskStatus.InReview]: Eye,
+  [TaskStatus.Done]: CheckCircle,
+  [TaskStatus.Cancelled]: Ban,
+}
+
+export const STATUS_VARIANTS: Record<TaskStatus, "default" | "secondary" | "destructive" | "outline"> = {
+  [TaskStatus.Todo]: "outline",
+  [TaskStatus.InProgress]: "default",
+  [TaskStatus.Blocked]: "destructive",
+  [TaskStatus.InReview]: "default",
+  [TaskStatus.Done]: "secondary",
+  [TaskStatus.Cancelled]: "secondary",
+}
+
 interface TaskItemProps {
   task: Task
   onEdit: (task: Task) => void
   onDelete: (id: string) => Promise<void>
-  onToggleComplete: (id: string) => Promise<void>
+  onStatusChange: (id: string, status: TaskStatus) => Promise<void>
+  currentAccount: string | null
+  candidateBlockers: Task[]
+  isSelected: boolean
+  onSelectChange: (id: string, selected: boolean) => void
   isLoading: boolean
 }
 
-export function TaskItem({ task, onEdit, onDelete, onToggleComplete, isLoading }: TaskItemProps) {
+export function TaskItem({
+  task: storedTask,
+  onEdit,
+  onDelete,
+  onStatusChange,
+  currentAccount,
+  candidateBlockers,
+  isSelected,
+  onSelectChange,
+  isLoading: isListLoading,
+}: TaskItemProps) {
   const [isDeleting, setIsDeleting] = useState(false)
-  const [isToggling, setIsToggling] = useState(false)
+  const [isChangingStatus, setIsChangingStatus] = useState(false)
+  const [isSharing, setIsSharing] = useState(false)
+  const [isShowingHistory, setIsShowingHistory] = useState(false)
+  const [isExpanded, setIsExpanded] = useState(false)
+
+  // Encrypted tasks show their decrypted content, or a placeholder until the key is unlocked, and
+  // descriptions kept off-chain are read from the content store
+  const { task, isEncrypted, isLocked, storedStatus } = useTaskContent(storedTask)
+  // Editing needs the whole description, so it waits until off-chain content has been read
+  const isReadable = !isLocked && (storedStatus === "none" || storedStatus === "ready")
+
+  // A task with a change waiting to be mined can't be changed again until it settles
+  const isPending = task.pending !== undefined
+  const isLoading = isListLoading || isPending
+
+  const isOwner = currentAccount !== null && task.owner.toLowerCase() === currentAccount.toLowerCase()
+
+  const isClosed = isTaskClosed(task)
+  const isOverdue = !isClosed && task.dueDate !== null && task.dueDate.getTime() < Date.now()
+  const nextStatuses = STATUS_TRANSITIONS[task.status]
+  const StatusIcon = STATUS_ICONS[task.status]
+
+  // The quick action completes open tasks and reopens closed ones, when the workflow allows it
+  const quickStatus = isClosed ? TaskStatus.Todo : TaskStatus.Done
+  const canQuickChange = nextStatuses.includes(quickStatus)
+
+  // The contract refuses to complete a task while any of its blockers is still open
+  const isBlocked = task.openBlockers > 0
+  const { completed: completedSubtasks, total: totalSubtasks } = task.subtaskProgress
 
   const handleDelete = async () => {
     setIsDeleting(true)
@@ -25,54 +138,186 @@ export function TaskItem({ task, onEdit, onDelete, onToggleComplete, isLoading }
     setIsDeleting(false)
   }
 
-  const handleToggleComplete = async () => {
-    setIsToggling(true)
-    await onToggleComplete(task.id)
-    setIsToggling(false)
+  const handleStatusChange = async (status: TaskStatus) => {
+    setIsChangingStatus(true)
+    await onStatusChange(task.id, status)
+    setIsChangingStatus(false)
   }
 
   return (
-    <Card className={`transition-all ${task.completed ? "bg-muted/50" : "bg-background"}`}>
+    <Card
+      className={`transition-all ${isClosed ? "bg-muted/50" : "bg-background"} ${isSelected ? "ring-2 ring-primary" : ""} ${
+        task.pending === "delete" ? "opacity-60" : ""
+      }`}
+    >
       <CardHeader className="pb-2">
         <div className="flex justify-between items-start">
-          <CardTitle className={`${task.completed ? "line-through text-muted-foreground" : ""}`}>
-            {task.title}
-          </CardTitle>
-          <Badge variant={task.completed ? "secondary" : "default"}>
-            {task.completed ? <CheckCircle className="h-4 w-4 mr-1" /> : <XCircle className="h-4 w-4 mr-1" />}
-            {task.completed ? "Completed" : "Pending"}
+          <div className="flex items-center gap-3">
+            <Checkbox
+              checked={isSelected}
+              onCheckedChange={(checked) => onSelectChange(task.id, checked === true)}
+              disabled={isPending}
+              aria-label={`Select ${task.title}`}
+            />
+            <CardTitle className={`${isClosed ? "line-through text-muted-foreground" : ""}`}>
+              {task.title}
+            </CardTitle>
+          </div>
+          <Badge variant={STATUS_VARIANTS[task.status]}>
+            <StatusIcon className="h-4 w-4 mr-1" />
+            {STATUS_LABELS[task.status]}
           </Badge>
         </div>
+        <div className="flex flex-wrap gap-2 pt-1">
+          {isEncrypted && (
+            <Badge
+              variant="outline"
+              title={isLocked ? "Unlock encrypted tasks to read this task" : "Only readers holding the key can see the title and description"}
+            >
+              <Lock className="h-3 w-3 mr-1" />
+              {isLocked ? "Locked" : "Encrypted"}
+            </Badge>
+          )}
+          {task.pending && (
+            <Badge variant="secondary">
+              <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+              {PENDING_LABELS[task.pending]}
+            </Badge>
+          )}
+          <Badge variant="outline" className={PRIORITY_STYLES[task.priority]}>
+            <Flag className="h-3 w-3 mr-1" />
+            {PRIORITY_LABELS[task.priority]}
+          </Badge>
+          {task.dueDate && (
+            <Badge variant={isOverdue ? "destructive" : "outline"}>
+              {isOverdue ? <AlertTriangle className="h-3 w-3 mr-1" /> : <Calendar className="h-3 w-3 mr-1" />}
+              {isOverdue ? "Overdue" : "Due"} {format(task.dueDate, "MMM d, yyyy")}
+            </Badge>
+          )}
+          {task.recurrence && (
+            <Badge variant="outline" title="Completing the task adds its next occurrence">
+              <Repeat className="h-3 w-3 mr-1" />
+              {describeRecurrence(task.recurrence, task.dueDate)}
+            </Badge>
+          )}
+          {task.assignee && (
+            <div className="flex items-center gap-1 text-xs text-muted-foreground">
+              <AddressAvatar address={task.assignee} />
+              {task.assignee.toLowerCase() === currentAccount?.toLowerCase() ? "Assigned to you" : "Assigned"}
+            </div>
+          )}
+          {totalSubtasks > 0 && (
+            <Badge variant={completedSubtasks === totalSubtasks ? "secondary" : "outline"}>
+              <ListChecks className="h-3 w-3 mr-1" />
+              {completedSubtasks}/{totalSubtasks} subtasks
+            </Badge>
+          )}
+          {isBlocked && (
+            <Badge variant="destructive">
+              <OctagonX className="h-3 w-3 mr-1" />
+              Blocked by {task.openBlockers} open {task.openBlockers === 1 ? "task" : "tasks"}
+            </Badge>
+          )}
+          {task.labels.map((label) => (
+            <LabelBadge key={label.id} label={label} />
+          ))}
+        </div>
       </CardHeader>
-      <CardContent>
-        <p className={`text-sm ${task.completed ? "text-muted-foreground" : ""}`}>{task.description}</p>
+      <CardContent className="grid gap-3">
+        {isLocked ? (
+          <p className="text-sm text-muted-foreground">
+            This task is encrypted. Unlock encrypted tasks to read it, or ask its owner to share the key with you.
+          </p>
+        ) : storedStatus === "none" || storedStatus === "ready" ? (
+          <p className={`text-sm ${isClosed ? "text-muted-foreground" : ""}`}>{task.description}</p>
+        ) : (
+          <StoredContentNotice status={storedStatus} />
+        )}
+        <AttachmentList attachments={task.attachments ?? []} />
+        {/* A task that is still being added has no ID to link subtasks and blockers to */}
+        {task.pending !== "add" && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="justify-self-start px-0"
+            onClick={() => setIsExpanded(!isExpanded)}
+            aria-expanded={isExpanded}
+          >
+            {isExpanded ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+            Subtasks and blockers
+          </Button>
+        )}
+        {isExpanded && task.pending !== "add" && <TaskRelationsPanel task={task} candidates={candidateBlockers} />}
       </CardContent>
       <CardFooter className="flex justify-end gap-2">
-        <Button variant="outline" size="sm" onClick={() => onEdit(task)} disabled={isLoading}>
+        {task.pending !== "add" && (
+          <Button variant="ghost" size="sm" onClick={() => setIsShowingHistory(true)}>
+            <History className="h-4 w-4 mr-1" />
+            History
+          </Button>
+        )}
+        <Button variant="outline" size="sm" onClick={() => onEdit(task)} disabled={isLoading || !isReadable}>
           <Edit className="h-4 w-4 mr-1" />
           Edit
         </Button>
-        <Button
-          variant={task.completed ? "outline" : "default"}
-          size="sm"
-          onClick={handleToggleComplete}
-          disabled={isLoading || isToggling}
-        >
-          {isToggling ? (
-            <Loader2 className="h-4 w-4 mr-1 animate-spin" />
-          ) : task.completed ? (
-            <XCircle className="h-4 w-4 mr-1" />
-          ) : (
-            <CheckCircle className="h-4 w-4 mr-1" />
-          )}
-          {task.completed ? "Mark Incomplete" : "Mark Complete"}
-        </Button>
-        <Button variant="destructive" size="sm" onClick={handleDelete} disabled={isLoading || isDeleting}>
-          {isDeleting ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Trash className="h-4 w-4 mr-1" />}
-          Delete
-        </Button>
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="outline" size="sm" disabled={isLoading || isChangingStatus}>
+              Move to
+              <ChevronDown className="h-4 w-4 ml-1" />
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuLabel>Change status</DropdownMenuLabel>
+            {nextStatuses.map((status) => {
+              const Icon = STATUS_ICONS[status]
+              return (
+                <DropdownMenuItem
+                  key={status}
+                  onSelect={() => handleStatusChange(status)}
+                  disabled={status === TaskStatus.Done && isBlocked}
+                >
+                  <Icon className="h-4 w-4 mr-2" />
+                  {STATUS_LABELS[status]}
+                </DropdownMenuItem>
+              )
+            })}
+          </DropdownMenuContent>
+        </DropdownMenu>
+        {canQuickChange && (
+          <Button
+            variant={isClosed ? "outline" : "default"}
+            size="sm"
+            onClick={() => handleStatusChange(quickStatus)}
+            disabled={isLoading || isChangingStatus || (quickStatus === TaskStatus.Done && isBlocked)}
+          >
+            {isChangingStatus ? (
+              <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+            ) : isClosed ? (
+              <RotateCcw className="h-4 w-4 mr-1" />
+            ) : (
+              <CheckCircle className="h-4 w-4 mr-1" />
+            )}
+            {isClosed ? "Reopen" : "Mark Complete"}
+          </Button>
+        )}
+        {isOwner && (
+          <Button variant="outline" size="sm" onClick={() => setIsSharing(true)} disabled={isLoading}>
+            <Share2 className="h-4 w-4 mr-1" />
+            Share
+          </Button>
+        )}
+        {isOwner && (
+          <Button variant="destructive" size="sm" onClick={handleDelete} disabled={isLoading || isDeleting}>
+            {isDeleting ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Trash className="h-4 w-4 mr-1" />}
+            Delete
+          </Button>
+        )}
       </CardFooter>
+      {isSharing && <ShareTaskDialog task={task} isOpen={isSharing} onClose={() => setIsSharing(false)} />}
+      {isShowingHistory && (
+        <TaskHistoryDialog task={task} isOpen={isShowingHistory} onClose={() => setIsShowingHistory(false)} />
+      )}
     </Card>
   )
 }
-
@@ -1,59 +1,362 @@
 "use client"
 
-import React, { useEffect, useState } from "react"
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
+import { usePathname, useRouter, useSearchParams } from "next/navigation"
+import { isAddress } from "ethers"
 import { Loader2 } from "lucide-react"
 import { toast } from "sonner"
 
-import type { Task } from "@/lib/types"
+import { TaskStatus, type PendingAction, type Project, type Recurrence, type Task } from "@/lib/types"
+import { BulkActionBar } from "@/components/bulk-action-bar"
 import { TaskItem } from "@/components/task-item"
-import { getAllTasks, completeTask, deleteTask } from "@/utils/contract"
-import { isMetaMaskInstalled, connectWallet } from "@/utils/ethers"
+import { TaskToolbar } from "@/components/task-toolbar"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import {
+  hasActiveFilters,
+  matchesTaskFilters,
+  parseTaskFilters,
+  serializeTaskFilters,
+  sortTasks,
+  toIndexerQuery,
+  type TaskFilters,
+} from "@/lib/task-filters"
+import {
+  getTask,
+  getIndexedTasksPage,
+  getTasksPage,
+  getTasksByStatusPage,
+  getTasksByPriorityPage,
+  getTasksDueSoonPage,
+  getAssignedTasks,
+  getProjectTasksPage,
+  setTasksCompletion,
+  deleteTasks,
+  subscribeToTasks,
+  MAX_BATCH_SIZE,
+} from "@/utils/contract"
+import { getDisplayTitle } from "@/utils/encryption"
+import { decodeTransactionError } from "@/utils/transactions"
+import {
+  getPendingTransactions,
+  resumePendingTransactions,
+  retryPendingTransaction,
+  submitPendingTransaction,
+  subscribePendingTransactions,
+  type PendingTransaction,
+  type PendingTransactionOutcome,
+} from "@/utils/pending-transactions"
+import { isWalletAvailable, connectWallet, getBlockNumber } from "@/utils/ethers"
+import { getSelectedWallet, subscribeToWallets } from "@/utils/wallets"
 
-export function TaskList({ onEdit }: { onEdit: (task: Task) => void }) {
+// Convert a task returned by the contract utilities to the format expected by the UI
+const toUiTask = (task: Awaited<ReturnType<typeof getTasksPage>>["tasks"][number]): Task => ({
+  ...task,
+  id: task.id.toString()
+})
+
+// Append tasks to the list, skipping any that live updates already added
+const appendTasks = (prevTasks: Task[], newTasks: Task[]) => {
+  const knownIds = new Set(prevTasks.map((task) => task.id))
+  return [...prevTasks, ...newTasks.filter((task) => !knownIds.has(task.id))]
+}
+
+// Replace a task in the list with its latest state, or add it if it is new
+const upsertTask = (prevTasks: Task[], updatedTask: Task) =>
+  prevTasks.some((task) => task.id === updatedTask.id)
+    ? prevTasks.map((task) => (task.id === updatedTask.id ? updatedTask : task))
+    : [...prevTasks, updatedTask]
+
+const CONFIRMED_MESSAGES: Record<PendingAction, string> = {
+  add: "Task added successfully",
+  edit: "Task updated successfully",
+  labels: "Task labels updated successfully",
+  status: "Task status updated successfully",
+  delete: "Task deleted successfully",
+}
+
+const FAILED_MESSAGES: Record<PendingAction, string> = {
+  add: "Failed to add task",
+  edit: "Failed to update task",
+  labels: "Failed to update task labels",
+  status: "Failed to update task status",
+  delete: "Failed to delete task",
+}
+
+// Read a repeat rule back from the queue, where its end date is kept in Unix milliseconds
+const toRecurrence = (recurrence: PendingTransaction["params"]["recurrence"]): Recurrence | null =>
+  recurrence ? { ...recurrence, endDate: recurrence.endDate !== null ? new Date(recurrence.endDate) : null } : null
+
+// Apply a queued edit, label or status change to a task, as the task will be once the transaction is mined
+const applyChange = (task: Task, change: PendingTransaction): Task => {
+  if (change.kind === "status") {
+    return { ...task, status: change.params.status }
+  }
+  if (change.kind === "labels") {
+    return { ...task, labels: change.params.labels }
+  }
+  if (change.kind === "edit") {
+    const { title, description, priority, dueDate, labels, recurrence } = change.params
+    return {
+      ...task,
+      title,
+      description,
+      priority,
+      dueDate: dueDate !== null ? new Date(dueDate) : null,
+      labels,
+      recurrence: toRecurrence(recurrence),
+    }
+  }
+  return task
+}
+
+// Placeholder for a task whose creation is not mined yet
+const toPendingTask = (change: PendingTransaction): Task => {
+  const { title, description, priority, dueDate, labels, recurrence, projectId } = change.params
+  return {
+    id: `pending-${change.id}`,
+    title,
+    description,
+    status: TaskStatus.Todo,
+    owner: change.account,
+    priority,
+    dueDate: dueDate !== null ? new Date(dueDate) : null,
+    createdAt: new Date(change.createdAt),
+    assignee: null,
+    projectId,
+    labels,
+    parentId: null,
+    subtaskProgress: { completed: 0, total: 0 },
+    blockedBy: [],
+    openBlockers: 0,
+    recurrence: toRecurrence(recurrence),
+    pending: "add",
+  }
+}
+
+// Remove task IDs from a selection
+const withoutIds = (ids: Set<string>, removed: string[]) => {
+  const remaining = new Set(ids)
+  removed.forEach((id) => remaining.delete(id))
+  return remaining
+}
+
+type TaskView = "mine" | "assigned"
+
+interface TaskListProps {
+  project: Project | null
+  onEdit: (task: Task) => void
+}
+
+export function TaskList({ project, onEdit }: TaskListProps) {
   const [tasks, setTasks] = useState<Task[]>([])
   const [isLoading, setIsLoading] = useState(true)
   const [isConnected, setIsConnected] = useState(false)
-  const [isMetaMaskAvailable, setIsMetaMaskAvailable] = useState(false)
+  const [account, setAccount] = useState<string | null>(null)
+  const [view, setView] = useState<TaskView>("mine")
+  const projectId = project?.id ?? null
+  // Which tasks the list shows, as the contract utilities name it
+  const scope = projectId !== null ? "project" : view === "assigned" ? "assigned" : "owned"
+  const [isWalletDetected, setIsWalletDetected] = useState(false)
+  const [walletId, setWalletId] = useState<string | null>(null)
+  const [syncedBlock, setSyncedBlock] = useState<number | null>(null)
+  const [nextCursor, setNextCursor] = useState(0)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set())
+  const [isBulkSubmitting, setIsBulkSubmitting] = useState(false)
+  const [pendingChanges, setPendingChanges] = useState<PendingTransaction[]>([])
+  const [lookupAddress, setLookupAddress] = useState("")
+  const loadMoreRef = useRef<HTMLDivElement>(null)
+  const router = useRouter()
+  const pathname = usePathname()
+  const searchParams = useSearchParams()
+  // Filters live in the query string, so a filtered view can be bookmarked and shared
+  const filters = useMemo(() => parseTaskFilters(searchParams), [searchParams])
+  const filterKey = serializeTaskFilters(filters).toString()
 
-  // Check if MetaMask is installed
+  // Find the installed wallets, and connect again whenever another one is picked
   useEffect(() => {
-    setIsMetaMaskAvailable(isMetaMaskInstalled())
+    const updateWallet = () => {
+      setIsWalletDetected(isWalletAvailable())
+      setWalletId(getSelectedWallet()?.info.rdns ?? null)
+    }
+
+    updateWallet()
+    return subscribeToWallets(updateWallet)
   }, [])
 
   // Connect to wallet and fetch tasks on component mount
   useEffect(() => {
     const initializeWallet = async () => {
-      if (!isMetaMaskAvailable) return
+      if (!isWalletDetected) return
 
       try {
-        await connectWallet()
+        setAccount(await connectWallet())
         setIsConnected(true)
-        await fetchTasks()
       } catch (error) {
         console.error("Failed to connect wallet:", error)
-        toast.error("Failed to connect to wallet. Please make sure MetaMask is unlocked.")
+        toast.error("Failed to connect to wallet. Please make sure it is unlocked.")
+        setIsConnected(false)
         setIsLoading(false)
       }
     }
 
     initializeWallet()
-  }, [isMetaMaskAvailable])
+  }, [isWalletDetected, walletId])
+
+  // Fetch tasks once connected and again whenever the account, view, project or filters change
+  useEffect(() => {
+    if (isConnected) {
+      fetchTasks()
+    }
+  }, [isConnected, account, view, projectId, filterKey])
+
+  // Keep the list up to date from contract events once the initial fetch is done
+  useEffect(() => {
+    if (!isConnected || syncedBlock === null) return
+
+    let unsubscribe: (() => void) | null = null
+    let cancelled = false
 
-  // Function to fetch tasks from the blockchain
+    subscribeToTasks(
+      {
+        onTaskChanged: (task) => {
+          setTasks((prevTasks: Task[]) => upsertTask(prevTasks, toUiTask(task)))
+        },
+        onTaskRemoved: (taskId) => {
+          setTasks((prevTasks: Task[]) => prevTasks.filter((t) => t.id !== taskId.toString()))
+          setSelectedIds((prevIds) => withoutIds(prevIds, [taskId.toString()]))
+        },
+      },
+      {
+        fromBlock: syncedBlock + 1,
+        scope,
+        projectId: projectId ?? undefined,
+      }
+    )
+      .then((stop) => {
+        if (cancelled) {
+          stop()
+        } else {
+          unsubscribe = stop
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to subscribe to task events:", error)
+        toast.error("Live updates are unavailable. Refresh the page to see new changes.")
+      })
+
+    return () => {
+      cancelled = true
+      if (unsubscribe) unsubscribe()
+    }
+  }, [isConnected, syncedBlock, view, projectId])
+
+  // Settle the changes queued in earlier visits; the queue lives in localStorage so it survives reloads
+  useEffect(() => {
+    if (!isWalletDetected) return
+
+    setPendingChanges(getPendingTransactions())
+    resumePendingTransactions()
+  }, [isWalletDetected])
+
+  // New tasks of the current project, or personal tasks in the "mine" view, belong in this list
+  const isAddedHere = (change: PendingTransaction) =>
+    change.params.projectId === projectId && (projectId !== null || view === "mine")
+
+  // Follow the queue, and keep confirmed changes in the list until live updates bring the new state
+  useEffect(() => {
+    if (!isWalletDetected) return
+
+    const handleSettled = ({ entry, status, result, error }: PendingTransactionOutcome) => {
+      if (status !== "confirmed") {
+        // The change left the queue, which rolls it back in the list
+        toast.error(FAILED_MESSAGES[entry.kind], {
+          description: status === "dropped" ? "The transaction was dropped" : decodeTransactionError(error),
+          action: { label: "Retry", onClick: () => handleRetry(entry) },
+        })
+        return
+      }
+
+      toast.success(CONFIRMED_MESSAGES[entry.kind])
+      if (entry.kind === "add") {
+        // The task ID is only known when this tab sent the transaction; otherwise live updates add the task
+        if (typeof result === "number" && isAddedHere(entry)) {
+          getTask(result)
+            .then((task) => setTasks((prevTasks: Task[]) => upsertTask(prevTasks, toUiTask(task))))
+            .catch((error) => console.error(`Error fetching task ${result}:`, error))
+        }
+      } else if (entry.kind === "delete") {
+        setTasks((prevTasks: Task[]) => prevTasks.filter((task) => task.id !== String(entry.taskId)))
+        setSelectedIds((prevIds) => withoutIds(prevIds, [String(entry.taskId)]))
+      } else {
+        // The labels of an edit follow in their own change, which rolls them back by itself if it fails
+        const keepLabels = entry.kind === "edit"
+        setTasks((prevTasks: Task[]) =>
+          prevTasks.map((task) =>
+            task.id === String(entry.taskId) ? { ...applyChange(task, entry), ...(keepLabels && { labels: task.labels }) } : task
+          )
+        )
+      }
+    }
+
+    return subscribePendingTransactions({ onChange: setPendingChanges, onSettled: handleSettled })
+  }, [isWalletDetected, projectId, view])
+
+  const handleFiltersChange = (nextFilters: TaskFilters) => {
+    const query = serializeTaskFilters(nextFilters).toString()
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false })
+  }
+
+  // Read a page of the personal or project list from the contract. The contract's filtered views
+  // only cover the caller's own tasks; they narrow what is read, and the list filters the rest.
+  const fetchContractPage = (cursor: number) => {
+    if (projectId !== null) return getProjectTasksPage(projectId, cursor)
+    // Tasks due soon include the overdue ones and every open task due by the end of today
+    if (filters.due === "overdue" || filters.due === "today") return getTasksDueSoonPage(cursor)
+    if (filters.statuses.length === 1) return getTasksByStatusPage(filters.statuses[0], cursor)
+    if (filters.priorities.length === 1) return getTasksByPriorityPage(filters.priorities[0], cursor)
+    return getTasksPage(cursor)
+  }
+
+  // Function to fetch the first page of tasks from the blockchain
   const fetchTasks = async () => {
     setIsLoading(true)
+    setTasks([])
+    setSelectedIds(new Set())
+    setSyncedBlock(null)
     try {
-      const blockchainTasks = await getAllTasks()
-      
-      // Convert blockchain tasks to the format expected by the UI
-      const formattedTasks: Task[] = blockchainTasks.map(task => ({
-        id: task.id.toString(),
-        title: task.title,
-        description: task.description,
-        completed: task.completed
-      }))
+      // Prefer the indexer; the subscription then replays whatever it hasn't indexed yet
+      const indexed = await getIndexedTasksPage(scope, projectId, toIndexerQuery(filters, new Date()))
+      if (indexed) {
+        setTasks(indexed.tasks.map(toUiTask))
+        setNextCursor(indexed.nextCursor)
+        setSyncedBlock(indexed.blockNumber)
+        return
+      }
+
+      // Read the block first so the subscription replays anything mined during the fetch
+      const blockNumber = await getBlockNumber()
       
-      setTasks(formattedTasks)
+      if (scope === "assigned") {
+        // Assigned tasks are bounded by the assignees' workload, so they are fetched in one call
+        const assignedTasks = await getAssignedTasks()
+        setTasks(assignedTasks.map(toUiTask))
+        setNextCursor(0)
+      } else {
+        // Deleting, transferring and repeating tasks reorders the contract's lists, so every page
+        // is read before sorting, or tasks of a later page would land in the middle of the list.
+        let page = await fetchContractPage(0)
+        let loadedTasks = page.tasks
+        while (page.nextCursor !== 0) {
+          page = await fetchContractPage(page.nextCursor)
+          loadedTasks = [...loadedTasks, ...page.tasks]
+        }
+        setTasks(loadedTasks.map(toUiTask))
+        setNextCursor(page.nextCursor)
+      }
+      setSyncedBlock(blockNumber)
     } catch (error) {
       console.error("Error fetching tasks:", error)
       toast.error("Failed to fetch tasks from the blockchain")
@@ -62,59 +365,212 @@ export function TaskList({ onEdit }: { onEdit: (task: Task) => void }) {
     }
   }
 
-  // Handle task completion toggle
-  const handleToggleComplete = async (id: string) => {
+  // Function to fetch the next page of tasks when the user scrolls to the end of the list.
+  // Only the indexer's lists are paged; the contract's pages are all read up front.
+  const loadMoreTasks = useCallback(async () => {
+    if (nextCursor === 0 || isLoadingMore) return
+
+    setIsLoadingMore(true)
     try {
-      await completeTask(Number(id))
-      toast.success("Task status updated successfully")
-      
-      // Update the local state to reflect the change
-      setTasks((prevTasks: Task[]) => 
-        prevTasks.map((task: Task) => 
-          task.id === id ? { ...task, completed: !task.completed } : task
-        )
-      )
-      
-      // Refresh tasks from blockchain to ensure we have the latest state
-      await fetchTasks()
+      const indexed = await getIndexedTasksPage(scope, projectId, toIndexerQuery(filters, new Date()), nextCursor)
+      if (!indexed) {
+        // The indexer went away mid-list; the contract's pages start over
+        fetchTasks()
+        return
+      }
+      setTasks((prevTasks: Task[]) => appendTasks(prevTasks, indexed.tasks.map(toUiTask)))
+      setNextCursor(indexed.nextCursor)
+    } catch (error) {
+      console.error("Error fetching more tasks:", error)
+      toast.error("Failed to load more tasks")
+    } finally {
+      setIsLoadingMore(false)
+    }
+  }, [nextCursor, isLoadingMore, projectId, scope, filterKey])
+
+  // Load the next page once the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || nextCursor === 0) return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreTasks()
+      }
+    }, { rootMargin: "200px" })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [loadMoreTasks, nextCursor])
+
+  // Handle task status changes. The change shows right away and is rolled back if its transaction fails.
+  const handleStatusChange = async (id: string, status: TaskStatus) => {
+    try {
+      await submitPendingTransaction({ kind: "status", taskId: Number(id), params: { status } })
     } catch (error) {
-      console.error(`Error toggling task completion for task ${id}:`, error)
+      console.error(`Error changing status for task ${id}:`, error)
       toast.error("Failed to update task status")
     }
   }
 
-  // Handle task deletion
+  // Handle task deletion. The task stays in the list, marked as deleting, until the transaction is mined.
   const handleDelete = async (id: string) => {
     try {
-      await deleteTask(Number(id))
-      toast.success("Task deleted successfully")
-      
-      // Update the local state to remove the deleted task
-      setTasks((prevTasks: Task[]) => prevTasks.filter((task: Task) => task.id !== id))
-      
-      // Refresh tasks from blockchain to ensure we have the latest state
-      await fetchTasks()
+      await submitPendingTransaction({ kind: "delete", taskId: Number(id), params: {} })
+      setSelectedIds((prevIds) => withoutIds(prevIds, [id]))
     } catch (error) {
       console.error(`Error deleting task ${id}:`, error)
       toast.error("Failed to delete task")
     }
   }
 
-  // Show MetaMask not installed message
-  if (!isMetaMaskAvailable) {
+  // Send a failed or dropped change again
+  const handleRetry = async (change: PendingTransaction) => {
+    try {
+      await retryPendingTransaction(change)
+    } catch (error) {
+      console.error("Error retrying transaction:", error)
+      toast.error(FAILED_MESSAGES[change.kind])
+    }
+  }
+
+  // Show the queued changes of the connected account on top of the tasks read from the chain
+  const ownChanges = pendingChanges.filter((change) => change.account === account?.toLowerCase())
+  const shownTasks = [
+    ...tasks.map((task) =>
+      ownChanges.reduce(
+        (shown, change) => (String(change.taskId) === task.id ? { ...applyChange(shown, change), pending: change.kind } : shown),
+        task
+      )
+    ),
+    ...ownChanges.filter((change) => change.kind === "add" && isAddedHere(change)).map(toPendingTask),
+  ]
+
+  // Filter and sort on top of what was read, which also covers queued changes, live updates and contract reads
+  const now = new Date()
+  const filteredTasks = sortTasks(
+    shownTasks.filter((task) => matchesTaskFilters(task, `${getDisplayTitle(task.title)} ${task.description}`, filters, now)),
+    filters.sort,
+    filters.order
+  )
+
+  // Subtasks are shown inside their parent when the parent is in the list
+  const listedIds = new Set(filteredTasks.map((task) => Number(task.id)))
+  const topLevelTasks = filteredTasks.filter((task) => task.parentId === null || !listedIds.has(task.parentId))
+  const selectableTasks = topLevelTasks.filter((task) => task.pending === undefined)
+
+  // Select or deselect a task for a bulk action; a batch touches at most MAX_BATCH_SIZE tasks
+  const handleSelectChange = (id: string, selected: boolean) => {
+    if (selected && selectedIds.size >= MAX_BATCH_SIZE) {
+      toast.error(`You can select up to ${MAX_BATCH_SIZE} tasks at once`)
+      return
+    }
+    setSelectedIds((prevIds) => (selected ? new Set(prevIds).add(id) : withoutIds(prevIds, [id])))
+  }
+
+  const handleSelectAll = (selected: boolean) => {
+    setSelectedIds(selected ? new Set(selectableTasks.slice(0, MAX_BATCH_SIZE).map((task) => task.id)) : new Set())
+  }
+
+  // Run one batch transaction for the selected tasks and apply the result to the local state
+  const runBulkAction = async (
+    action: (taskIds: number[]) => Promise<void>,
+    selectedTasks: Task[],
+    update: (prevTasks: Task[], ids: Set<string>) => Task[],
+    successMessage: string,
+    errorMessage: string
+  ) => {
+    if (selectedTasks.length === 0) return
+
+    const ids = new Set(selectedTasks.map((task) => task.id))
+    setIsBulkSubmitting(true)
+    try {
+      await action(selectedTasks.map((task) => Number(task.id)))
+      toast.success(successMessage)
+      setTasks((prevTasks: Task[]) => update(prevTasks, ids))
+      setSelectedIds(new Set())
+    } catch (error) {
+      console.error(errorMessage, error)
+      toast.error(errorMessage)
+    } finally {
+      setIsBulkSubmitting(false)
+    }
+  }
+
+  const selectedTasks = tasks.filter((task) => selectedIds.has(task.id))
+
+  const handleBulkComplete = () => {
+    const pending = selectedTasks.filter((task) => task.status !== TaskStatus.Done)
+    // The batch reverts as a whole, so check up front that every task can move to Done
+    const blocked = pending.filter(
+      (task) => task.openBlockers > 0 || task.status === TaskStatus.Blocked || task.status === TaskStatus.Cancelled
+    )
+    if (blocked.length > 0) {
+      toast.error(`${blocked.length} of the selected tasks cannot be completed yet`)
+      return
+    }
+
+    runBulkAction(
+      (taskIds) => setTasksCompletion(taskIds, true),
+      pending,
+      (prevTasks, ids) => prevTasks.map((task) => (ids.has(task.id) ? { ...task, status: TaskStatus.Done } : task)),
+      `${pending.length} ${pending.length === 1 ? "task" : "tasks"} completed`,
+      "Failed to complete the selected tasks"
+    )
+  }
+
+  const handleBulkReopen = () => {
+    const done = selectedTasks.filter((task) => task.status === TaskStatus.Done)
+    runBulkAction(
+      (taskIds) => setTasksCompletion(taskIds, false),
+      done,
+      (prevTasks, ids) => prevTasks.map((task) => (ids.has(task.id) ? { ...task, status: TaskStatus.Todo } : task)),
+      `${done.length} ${done.length === 1 ? "task" : "tasks"} reopened`,
+      "Failed to reopen the selected tasks"
+    )
+  }
+
+  const handleBulkDelete = () => {
+    runBulkAction(
+      deleteTasks,
+      selectedTasks,
+      (prevTasks, ids) => prevTasks.filter((task) => !ids.has(task.id)),
+      `${selectedTasks.length} ${selectedTasks.length === 1 ? "task" : "tasks"} deleted`,
+      "Failed to delete the selected tasks. Only tasks you may delete can be removed together."
+    )
+  }
+
+  const handleLookup = (e: React.FormEvent) => {
+    e.preventDefault()
+    router.push(`/u/${lookupAddress.trim()}`)
+  }
+
+  // Without a wallet the app is read-only, so offer to open someone's public task list instead
+  if (!isWalletDetected) {
     return (
       <div className="text-center py-12 bg-muted/50 rounded-lg">
-        <h3 className="text-xl font-medium mb-2">MetaMask Not Detected</h3>
+        <h3 className="text-xl font-medium mb-2">No Wallet Detected</h3>
         <p className="text-muted-foreground">
-          Please install MetaMask browser extension to use this application.
+          Install a browser wallet to manage your own tasks, or look up someone&apos;s public task list.
         </p>
+        <form onSubmit={handleLookup} className="flex gap-2 max-w-md mx-auto mt-4">
+          <Input
+            value={lookupAddress}
+            onChange={(e) => setLookupAddress(e.target.value)}
+            placeholder="0x..."
+            aria-label="Address of a public task list"
+          />
+          <Button type="submit" disabled={!isAddress(lookupAddress.trim())}>
+            View tasks
+          </Button>
+        </form>
         <a 
-          href="https://metamask.io/download/" 
+          href="https://ethereum.org/en/wallets/find-wallet/" 
           target="_blank" 
           rel="noopener noreferrer"
           className="text-primary hover:underline mt-4 inline-block"
         >
-          Download MetaMask
+          Find a wallet
         </a>
       </div>
     )
@@ -126,46 +582,120 @@ export function TaskList({ onEdit }: { onEdit: (task: Task) => void }) {
       <div className="text-center py-12 bg-muted/50 rounded-lg">
         <h3 className="text-xl font-medium mb-2">Wallet Not Connected</h3>
         <p className="text-muted-foreground">
-          Please connect your MetaMask wallet to view your tasks.
+          Please connect your wallet to view your tasks.
         </p>
       </div>
     )
   }
 
+  // Projects have a single shared list, so the personal views only apply outside of them
+  const viewTabs = projectId === null && (
+    <Tabs value={view} onValueChange={(value) => setView(value as TaskView)} className="mt-8">
+      <TabsList>
+        <TabsTrigger value="mine">My tasks</TabsTrigger>
+        <TabsTrigger value="assigned">Assigned to me</TabsTrigger>
+      </TabsList>
+    </Tabs>
+  )
+  const header = (
+    <>
+      {viewTabs}
+      <div className={viewTabs ? "mt-4" : "mt-8"}>
+        <TaskToolbar filters={filters} onChange={handleFiltersChange} />
+      </div>
+    </>
+  )
+
+  // Filters can hide a whole page, so keep loading while later pages may hold matching tasks
+  const loadMoreSentinel = nextCursor !== 0 && (
+    <div ref={loadMoreRef} className="flex justify-center items-center py-4 text-muted-foreground">
+      {isLoadingMore && (
+        <>
+          <Loader2 className="h-5 w-5 animate-spin" />
+          <span className="ml-2">Loading more tasks...</span>
+        </>
+      )}
+    </div>
+  )
+
   // Show loading indicator
-  if (isLoading && tasks.length === 0) {
+  if (isLoading && filteredTasks.length === 0) {
     return (
-      <div className="flex justify-center items-center py-12">
-        <Loader2 className="h-8 w-8 animate-spin text-primary" />
-        <span className="ml-2 text-lg">Loading tasks from blockchain...</span>
-      </div>
+      <>
+        {header}
+        <div className="flex justify-center items-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-primary" />
+          <span className="ml-2 text-lg">Loading tasks from blockchain...</span>
+        </div>
+      </>
     )
   }
 
   // Show empty state
-  if (tasks.length === 0) {
+  if (filteredTasks.length === 0) {
     return (
-      <div className="text-center py-12 bg-muted/50 rounded-lg">
-        <h3 className="text-xl font-medium mb-2">No tasks found</h3>
-        <p className="text-muted-foreground">Add a new task to get started with your blockchain task manager</p>
-      </div>
+      <>
+        {header}
+        <div className="text-center py-12 mt-4 bg-muted/50 rounded-lg">
+          {hasActiveFilters(filters) ? (
+            <>
+              <h3 className="text-xl font-medium mb-2">No matching tasks</h3>
+              <p className="text-muted-foreground">Try other filters, or clear them to see every task</p>
+            </>
+          ) : projectId !== null ? (
+            <>
+              <h3 className="text-xl font-medium mb-2">No tasks in {project?.name}</h3>
+              <p className="text-muted-foreground">Add a task to start the project&apos;s shared backlog</p>
+            </>
+          ) : view === "assigned" ? (
+            <>
+              <h3 className="text-xl font-medium mb-2">Nothing assigned to you</h3>
+              <p className="text-muted-foreground">Tasks other people assign to you will show up here</p>
+            </>
+          ) : (
+            <>
+              <h3 className="text-xl font-medium mb-2">No tasks found</h3>
+              <p className="text-muted-foreground">Add a new task to get started with your blockchain task manager</p>
+            </>
+          )}
+        </div>
+        {loadMoreSentinel}
+      </>
     )
   }
 
   // Show tasks
   return (
-    <div className="grid gap-4 mt-8">
-      {tasks.map((task) => (
-        <TaskItem
-          key={task.id}
-          task={task}
-          onEdit={onEdit}
-          onDelete={handleDelete}
-          onToggleComplete={handleToggleComplete}
-          isLoading={isLoading}
+    <>
+      {header}
+      <div className="grid gap-4 mt-4">
+        <BulkActionBar
+          selectedCount={selectedIds.size}
+          selectableCount={Math.min(selectableTasks.length, MAX_BATCH_SIZE)}
+          isSubmitting={isBulkSubmitting}
+          onSelectAll={handleSelectAll}
+          onComplete={handleBulkComplete}
+          onReopen={handleBulkReopen}
+          onDelete={handleBulkDelete}
+          onClear={() => setSelectedIds(new Set())}
         />
-      ))}
-    </div>
+        {topLevelTasks.map((task) => (
+          <TaskItem
+            key={task.id}
+            task={task}
+            onEdit={onEdit}
+            onDelete={handleDelete}
+            onStatusChange={handleStatusChange}
+            currentAccount={account}
+            candidateBlockers={tasks}
+            isSelected={selectedIds.has(task.id)}
+            onSelectChange={handleSelectChange}
+            isLoading={isLoading || isBulkSubmitting}
+          />
+        ))}
+        {loadMoreSentinel}
+      </div>
+    </>
   )
 }
 
@@ -0,0 +1,224 @@
+"use client"
+
+import type React from "react"
+
+import { useCallback, useEffect, useState } from "react"
+import { CheckCircle, Circle, Loader2, OctagonX, Plus, X } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { STATUS_LABELS, TaskPriority, TaskStatus, isTaskClosed, type Task } from "@/lib/types"
+import {
+  addSubtask,
+  addTaskBlocker,
+  getBlockers,
+  getSubtasks,
+  removeTaskBlocker,
+  setTaskStatus,
+} from "@/utils/contract"
+import { getDisplayTitle } from "@/utils/encryption"
+
+// Mirrors TaskRelations.MAX_SUBTASKS and TaskRelations.MAX_BLOCKERS
+const MAX_SUBTASKS = 20
+const MAX_BLOCKERS = 10
+
+type RelatedTask = Awaited<ReturnType<typeof getBlockers>>[number]
+
+interface TaskRelationsPanelProps {
+  task: Task
+  candidates: Task[] // Tasks that can be picked as blockers
+}
+
+export function TaskRelationsPanel({ task, candidates }: TaskRelationsPanelProps) {
+  const [subtasks, setSubtasks] = useState<RelatedTask[]>([])
+  const [blockers, setBlockers] = useState<RelatedTask[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [newSubtask, setNewSubtask] = useState("")
+  const [newBlocker, setNewBlocker] = useState("")
+  const taskId = Number(task.id)
+
+  const loadRelations = useCallback(async () => {
+    try {
+      const [loadedSubtasks, loadedBlockers] = await Promise.all([getSubtasks(taskId), getBlockers(taskId)])
+      setSubtasks(loadedSubtasks)
+      setBlockers(loadedBlockers)
+    } catch (error) {
+      console.error(`Error fetching relations of task ${taskId}:`, error)
+      toast.error("Failed to load subtasks and blockers")
+    } finally {
+      setIsLoading(false)
+    }
+  }, [taskId])
+
+  // Reload whenever live updates change the task's rollup or blockers
+  useEffect(() => {
+    loadRelations()
+  }, [loadRelations, task.subtaskProgress.completed, task.subtaskProgress.total, task.blockedBy.join(",")])
+
+  // Run a contract write, reporting failures with a toast and reloading the relations afterwards
+  const runAction = async (action: () => Promise<unknown>, errorMessage: string) => {
+    setIsSubmitting(true)
+    try {
+      await action()
+      await loadRelations()
+      return true
+    } catch (error) {
+      console.error(errorMessage, error)
+      toast.error(errorMessage)
+      return false
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleAddSubtask = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!newSubtask.trim()) return
+
+    const added = await runAction(
+      () => addSubtask(taskId, newSubtask.trim(), "", TaskPriority.Medium),
+      "Failed to add subtask"
+    )
+    if (added) {
+      setNewSubtask("")
+    }
+  }
+
+  const handleToggleSubtask = (subtask: RelatedTask) => {
+    const status = subtask.status === TaskStatus.Done ? TaskStatus.Todo : TaskStatus.Done
+    runAction(
+      () => setTaskStatus(subtask.id, status),
+      subtask.openBlockers > 0 ? "This subtask is blocked by open tasks" : "Failed to update subtask"
+    )
+  }
+
+  const handleAddBlocker = async () => {
+    if (!newBlocker) return
+
+    const added = await runAction(
+      () => addTaskBlocker(taskId, Number(newBlocker)),
+      "Failed to add blocker. Tasks cannot block each other in a cycle."
+    )
+    if (added) {
+      setNewBlocker("")
+    }
+  }
+
+  const blockerIds = new Set(blockers.map((blocker) => blocker.id))
+  const blockerOptions = candidates.filter(
+    (candidate) => candidate.id !== task.id && !blockerIds.has(Number(candidate.id))
+  )
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Loading subtasks...
+      </div>
+    )
+  }
+
+  return (
+    <div className="grid gap-4 text-sm">
+      <div className="grid gap-2">
+        <span className="font-medium">Subtasks</span>
+        {subtasks.length === 0 && <span className="text-muted-foreground">No subtasks yet</span>}
+        {subtasks.map((subtask) => {
+          const isClosed = subtask.status === TaskStatus.Done || subtask.status === TaskStatus.Cancelled
+          return (
+            <div key={subtask.id} className="flex items-center gap-2">
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6"
+                onClick={() => handleToggleSubtask(subtask)}
+                disabled={isSubmitting || subtask.status === TaskStatus.Cancelled}
+              >
+                {subtask.status === TaskStatus.Done ? (
+                  <CheckCircle className="h-4 w-4 text-primary" />
+                ) : (
+                  <Circle className="h-4 w-4" />
+                )}
+                <span className="sr-only">{subtask.status === TaskStatus.Done ? "Reopen" : "Complete"} subtask</span>
+              </Button>
+              <span className={isClosed ? "line-through text-muted-foreground" : ""}>{getDisplayTitle(subtask.title)}</span>
+              {subtask.subtaskProgress.total > 0 && (
+                <span className="text-xs text-muted-foreground">
+                  {subtask.subtaskProgress.completed}/{subtask.subtaskProgress.total}
+                </span>
+              )}
+            </div>
+          )
+        })}
+        {subtasks.length < MAX_SUBTASKS && (
+          <form onSubmit={handleAddSubtask} className="flex gap-2">
+            <Input
+              placeholder="Add a subtask"
+              value={newSubtask}
+              onChange={(e) => setNewSubtask(e.target.value)}
+              disabled={isSubmitting}
+              className="h-8"
+            />
+            <Button type="submit" variant="outline" size="sm" disabled={isSubmitting || !newSubtask.trim()}>
+              <Plus className="h-4 w-4" />
+              <span className="sr-only">Add subtask</span>
+            </Button>
+          </form>
+        )}
+      </div>
+
+      <div className="grid gap-2">
+        <span className="font-medium">Blocked by</span>
+        {blockers.length === 0 && <span className="text-muted-foreground">Nothing is blocking this task</span>}
+        {blockers.map((blocker) => {
+          const isOpen = blocker.status !== TaskStatus.Done && blocker.status !== TaskStatus.Cancelled
+          return (
+            <div key={blocker.id} className="flex items-center gap-2">
+              {isOpen ? (
+                <OctagonX className="h-4 w-4 text-destructive" />
+              ) : (
+                <CheckCircle className="h-4 w-4 text-muted-foreground" />
+              )}
+              <span className={isOpen ? "" : "line-through text-muted-foreground"}>{getDisplayTitle(blocker.title)}</span>
+              <span className="text-xs text-muted-foreground">{STATUS_LABELS[blocker.status as TaskStatus]}</span>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6 ml-auto"
+                onClick={() => runAction(() => removeTaskBlocker(taskId, blocker.id), "Failed to remove blocker")}
+                disabled={isSubmitting}
+              >
+                <X className="h-4 w-4" />
+                <span className="sr-only">Remove blocker</span>
+              </Button>
+            </div>
+          )
+        })}
+        {blockers.length < MAX_BLOCKERS && blockerOptions.length > 0 && (
+          <div className="flex gap-2">
+            <Select value={newBlocker} onValueChange={setNewBlocker} disabled={isSubmitting}>
+              <SelectTrigger className="h-8" aria-label="Blocking task">
+                <SelectValue placeholder="Pick a blocking task" />
+              </SelectTrigger>
+              <SelectContent>
+                {blockerOptions.map((candidate) => (
+                  <SelectItem key={candidate.id} value={candidate.id}>
+                    {getDisplayTitle(candidate.title)}
+                    {isTaskClosed(candidate) && " (closed)"}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button variant="outline" size="sm" onClick={handleAddBlocker} disabled={isSubmitting || !newBlocker}>
+              <Plus className="h-4 w-4" />
+              <span className="sr-only">Add blocker</span>
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,168 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { ArrowDownWideNarrow, ArrowUpNarrowWide, ChevronDown, Search, X } from "lucide-react"
+
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { PRIORITY_LABELS, STATUS_LABELS, TaskPriority, TaskStatus } from "@/lib/types"
+import {
+  DEFAULT_FILTERS,
+  DUE_RANGE_LABELS,
+  SORT_LABELS,
+  hasActiveFilters,
+  type DueRange,
+  type TaskFilters,
+  type TaskSort,
+} from "@/lib/task-filters"
+
+// Wait for a pause in typing before searching, since every search rewrites the URL and may query the indexer
+const SEARCH_DELAY = 300
+
+const ANY_DUE_DATE = "any"
+
+const STATUSES = Object.keys(STATUS_LABELS).map(Number) as TaskStatus[]
+const PRIORITIES = Object.keys(PRIORITY_LABELS).map(Number) as TaskPriority[]
+
+interface TaskToolbarProps {
+  filters: TaskFilters
+  onChange: (filters: TaskFilters) => void
+}
+
+// Add or remove a value from a multi-select filter
+const toggle = <T,>(values: T[], value: T, checked: boolean) =>
+  checked ? [...values, value] : values.filter((item) => item !== value)
+
+// Label of a multi-select filter: its name, the only selected value, or how many are selected
+const summarize = <T extends number>(name: string, values: T[], labels: Record<T, string>) =>
+  values.length === 0 ? name : values.length === 1 ? labels[values[0]] : `${name} (${values.length})`
+
+export function TaskToolbar({ filters, onChange }: TaskToolbarProps) {
+  const [search, setSearch] = useState(filters.search)
+
+  // Follow the URL when it changes from outside, e.g. on back navigation or when the filters are cleared
+  useEffect(() => {
+    setSearch(filters.search)
+  }, [filters.search])
+
+  useEffect(() => {
+    if (search === filters.search) return
+
+    const timeout = setTimeout(() => onChange({ ...filters, search }), SEARCH_DELAY)
+    return () => clearTimeout(timeout)
+  }, [search, filters])
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="relative min-w-48 flex-1">
+        <Search className="absolute left-2 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+        <Input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search tasks..."
+          aria-label="Search tasks"
+          className="pl-8"
+        />
+      </div>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm">
+            {summarize("Status", filters.statuses, STATUS_LABELS)}
+            <ChevronDown className="h-4 w-4 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          {STATUSES.map((status) => (
+            <DropdownMenuCheckboxItem
+              key={status}
+              checked={filters.statuses.includes(status)}
+              onCheckedChange={(checked) => onChange({ ...filters, statuses: toggle(filters.statuses, status, checked) })}
+              onSelect={(e) => e.preventDefault()}
+            >
+              {STATUS_LABELS[status]}
+            </DropdownMenuCheckboxItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm">
+            {summarize("Priority", filters.priorities, PRIORITY_LABELS)}
+            <ChevronDown className="h-4 w-4 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          {PRIORITIES.map((priority) => (
+            <DropdownMenuCheckboxItem
+              key={priority}
+              checked={filters.priorities.includes(priority)}
+              onCheckedChange={(checked) =>
+                onChange({ ...filters, priorities: toggle(filters.priorities, priority, checked) })
+              }
+              onSelect={(e) => e.preventDefault()}
+            >
+              {PRIORITY_LABELS[priority]}
+            </DropdownMenuCheckboxItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Select
+        value={filters.due ?? ANY_DUE_DATE}
+        onValueChange={(value) => onChange({ ...filters, due: value === ANY_DUE_DATE ? null : (value as DueRange) })}
+      >
+        <SelectTrigger className="h-9 w-[150px]" aria-label="Due date">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ANY_DUE_DATE}>Any due date</SelectItem>
+          {(Object.keys(DUE_RANGE_LABELS) as DueRange[]).map((due) => (
+            <SelectItem key={due} value={due}>
+              {DUE_RANGE_LABELS[due]}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <div className="flex items-center gap-1">
+        <Select value={filters.sort} onValueChange={(value) => onChange({ ...filters, sort: value as TaskSort })}>
+          <SelectTrigger className="h-9 w-[130px]" aria-label="Sort by">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {(Object.keys(SORT_LABELS) as TaskSort[]).map((sort) => (
+              <SelectItem key={sort} value={sort}>
+                {SORT_LABELS[sort]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange({ ...filters, order: filters.order === "asc" ? "desc" : "asc" })}
+          title={filters.order === "asc" ? "Ascending" : "Descending"}
+        >
+          {filters.order === "asc" ? <ArrowUpNarrowWide className="h-4 w-4" /> : <ArrowDownWideNarrow className="h-4 w-4" />}
+          <span className="sr-only">Reverse the sort order</span>
+        </Button>
+      </div>
+
+      {hasActiveFilters(filters) && (
+        <Button variant="ghost" size="sm" onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, order: filters.order })}>
+          <X className="h-4 w-4 mr-1" />
+          Clear filters
+        </Button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,193 @@
+"use client"
+
+import { useEffect, useRef, useState } from "react"
+import { formatDistanceToNow } from "date-fns"
+import { Ban, CheckCircle, ExternalLink, FastForward, History, Loader2, XCircle } from "lucide-react"
+import { toast } from "sonner"
+
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle, SheetTrigger } from "@/components/ui/sheet"
+import {
+  cancelTransaction,
+  decodeTransactionError,
+  getTransactionHistory,
+  getTransactionUrl,
+  refreshTransactionHistory,
+  speedUpTransaction,
+  subscribeToTransactions,
+  type TrackedTransaction,
+} from "@/utils/transactions"
+
+const shortHash = (hash: string) => `${hash.slice(0, 10)}…${hash.slice(-8)}`
+
+function TransactionStatus({ transaction }: { transaction: TrackedTransaction }) {
+  if (transaction.status === "confirmed") {
+    return (
+      <Badge variant="secondary">
+        <CheckCircle className="h-3 w-3 mr-1" />
+        Confirmed
+      </Badge>
+    )
+  }
+  if (transaction.status === "failed") {
+    return (
+      <Badge variant="destructive">
+        <XCircle className="h-3 w-3 mr-1" />
+        Failed
+      </Badge>
+    )
+  }
+  return (
+    <Badge variant="outline">
+      <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+      Pending
+    </Badge>
+  )
+}
+
+// Drawer listing recent transactions with their receipts, block explorer links and speed-up/cancel for stuck ones
+export function TransactionHistory() {
+  const [transactions, setTransactions] = useState<TrackedTransaction[]>([])
+  const [isOpen, setIsOpen] = useState(false)
+  const [replacingHash, setReplacingHash] = useState<string | null>(null)
+  const knownHashes = useRef<Set<string> | null>(null)
+
+  // localStorage is only available in the browser, so read the history after mounting
+  useEffect(() => {
+    setTransactions(getTransactionHistory())
+    return subscribeToTransactions(setTransactions)
+  }, [])
+
+  // Announce each newly sent transaction with its hash, so a slow one can be looked up right away
+  useEffect(() => {
+    if (knownHashes.current !== null) {
+      transactions
+        .filter((transaction) => !knownHashes.current?.has(transaction.hash))
+        .forEach((transaction) =>
+          toast(`${transaction.description}: submitted`, {
+            description: shortHash(transaction.hash),
+            action: { label: "Details", onClick: () => setIsOpen(true) },
+          })
+        )
+    }
+    knownHashes.current = new Set(transactions.map((transaction) => transaction.hash))
+  }, [transactions])
+
+  // Pick up transactions that were mined while the page was closed
+  useEffect(() => {
+    if (!isOpen) return
+
+    refreshTransactionHistory().catch((error) => console.error("Error refreshing transaction history:", error))
+  }, [isOpen])
+
+  const handleReplace = async (hash: string, cancel: boolean) => {
+    setReplacingHash(hash)
+    try {
+      if (cancel) {
+        await cancelTransaction(hash)
+        toast.success("Cancellation sent")
+      } else {
+        await speedUpTransaction(hash)
+        toast.success("Speed-up sent")
+      }
+    } catch (error) {
+      console.error(`Error replacing transaction ${hash}:`, error)
+      toast.error(cancel ? "Failed to cancel the transaction" : "Failed to speed up the transaction", {
+        description: decodeTransactionError(error),
+      })
+    } finally {
+      setReplacingHash(null)
+    }
+  }
+
+  const pendingCount = transactions.filter((transaction) => transaction.status === "pending").length
+
+  return (
+    <Sheet open={isOpen} onOpenChange={setIsOpen}>
+      <SheetTrigger asChild>
+        <Button variant="outline" size="sm">
+          {pendingCount > 0 ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <History className="h-4 w-4 mr-1" />}
+          Transactions
+          {pendingCount > 0 && <Badge className="ml-2">{pendingCount}</Badge>}
+        </Button>
+      </SheetTrigger>
+      <SheetContent className="overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Transactions</SheetTitle>
+          <SheetDescription>Your most recent transactions, kept in this browser</SheetDescription>
+        </SheetHeader>
+        {transactions.length === 0 ? (
+          <p className="text-sm text-muted-foreground mt-6">No transactions yet</p>
+        ) : (
+          <ul className="grid gap-3 mt-6">
+            {transactions.map((transaction) => {
+              const url = getTransactionUrl(transaction)
+              const canReplace = transaction.status === "pending" && !transaction.relayed && !transaction.replacedBy
+              return (
+                <li key={transaction.hash} className="rounded-lg border p-3 grid gap-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <span className="text-sm font-medium">{transaction.description}</span>
+                    <TransactionStatus transaction={transaction} />
+                  </div>
+                  <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-muted-foreground">
+                    {url ? (
+                      <a
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center font-mono text-primary hover:underline"
+                      >
+                        {shortHash(transaction.hash)}
+                        <ExternalLink className="h-3 w-3 ml-1" />
+                      </a>
+                    ) : (
+                      <span className="font-mono">{shortHash(transaction.hash)}</span>
+                    )}
+                    <span>{formatDistanceToNow(transaction.submittedAt, { addSuffix: true })}</span>
+                    {transaction.status === "confirmed" && (
+                      <span>
+                        Block {transaction.blockNumber} · {Number(transaction.gasUsed).toLocaleString()} gas
+                      </span>
+                    )}
+                    {transaction.relayed && <span>Relayed</span>}
+                  </div>
+                  {transaction.status === "failed" && transaction.reason && (
+                    <p className="text-xs text-destructive">{transaction.reason}</p>
+                  )}
+                  {transaction.replacedBy && (
+                    <p className="text-xs text-muted-foreground">
+                      {transaction.cancelled ? "Cancelled by" : "Sped up by"} {shortHash(transaction.replacedBy)}
+                    </p>
+                  )}
+                  {canReplace && (
+                    <div className="flex gap-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReplace(transaction.hash, false)}
+                        disabled={replacingHash !== null}
+                      >
+                        <FastForward className="h-4 w-4 mr-1" />
+                        Speed up
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleReplace(transaction.hash, true)}
+                        disabled={replacingHash !== null}
+                      >
+                        <Ban className="h-4 w-4 mr-1" />
+                        Cancel
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </SheetContent>
+    </Sheet>
+  )
+}
@@ -0,0 +1,78 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Globe, Link2 } from "lucide-react"
+import { toast } from "sonner"
+
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { hasPublicTasks, setTasksPublic } from "@/utils/contract"
+import { getCurrentAccount, isWalletAvailable, setupEventListeners } from "@/utils/ethers"
+import { decodeTransactionError } from "@/utils/transactions"
+
+// Let the connected account publish its task list at /u/<address> and copy the link
+export function VisibilityToggle() {
+  const [account, setAccount] = useState<string | null>(null)
+  const [isPublic, setIsPublic] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Follow the connected account, since the flag is per account
+  useEffect(() => {
+    if (!isWalletAvailable()) return
+
+    getCurrentAccount()
+      .then(setAccount)
+      .catch((error) => console.error("Error getting current account:", error))
+    return setupEventListeners((accounts: string[]) => setAccount(accounts[0] || null), null)
+  }, [])
+
+  useEffect(() => {
+    if (!account) return
+
+    hasPublicTasks(account)
+      .then(setIsPublic)
+      .catch((error) => console.error("Error reading task list visibility:", error))
+  }, [account])
+
+  if (!account) {
+    return null
+  }
+
+  const handleChange = async (checked: boolean) => {
+    setIsSaving(true)
+    try {
+      await setTasksPublic(checked)
+      setIsPublic(checked)
+      toast.success(checked ? "Your task list is public" : "Your task list is private")
+    } catch (error) {
+      console.error("Error changing task list visibility:", error)
+      toast.error("Failed to change task list visibility", { description: decodeTransactionError(error) })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(`${window.location.origin}/u/${account}`)
+    toast.success("Link copied")
+  }
+
+  return (
+    <div
+      className="flex items-center gap-2"
+      title="Let anyone read your task list, even without a wallet. Task data is on-chain and public either way."
+    >
+      <Globe className="h-4 w-4 text-muted-foreground" />
+      <Label htmlFor="public-tasks" className="text-sm">
+        Public
+      </Label>
+      <Switch id="public-tasks" checked={isPublic} onCheckedChange={handleChange} disabled={isSaving} />
+      {isPublic && (
+        <Button variant="ghost" size="icon" onClick={handleCopyLink} aria-label="Copy link to your public tasks">
+          <Link2 className="h-4 w-4" />
+        </Button>
+      )}
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 "use client"
 
 import { Button } from "@/components/ui/button"
+import { formatAddress } from "@/lib/utils"
 import { Loader2 } from "lucide-react"
 import { useState } from "react"
 
@@ -24,10 +25,6 @@ export function WalletConnect({ isConnected, account, connectWallet }: WalletCon
     }
   }
 
-  const formatAddress = (address: string) => {
-    return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`
-  }
-
   return (
     <div className="flex items-center">
       {isConnected && account ? (
@@ -0,0 +1,66 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Check, ChevronDown, Wallet as WalletIcon } from "lucide-react"
+
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { getSelectedWallet, getWallets, selectWallet, subscribeToWallets, type Wallet } from "@/utils/wallets"
+
+function WalletLogo({ wallet }: { wallet: Wallet }) {
+  // Icons are data URIs supplied by the wallet, so a plain img is enough
+  return wallet.info.icon ? (
+    <img src={wallet.info.icon} alt="" className="h-4 w-4" />
+  ) : (
+    <WalletIcon className="h-4 w-4" />
+  )
+}
+
+// Choose which of the installed wallets the app talks to; hidden unless there is a choice to make
+export function WalletPicker() {
+  const [wallets, setWallets] = useState<Wallet[]>([])
+  const [selected, setSelected] = useState<Wallet | null>(null)
+
+  // Wallets announce themselves in the browser, so look for them after mounting
+  useEffect(() => {
+    const update = () => {
+      setWallets(getWallets())
+      setSelected(getSelectedWallet())
+    }
+
+    update()
+    return subscribeToWallets(update)
+  }, [])
+
+  if (wallets.length < 2 || !selected) {
+    return null
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm">
+          <WalletLogo wallet={selected} />
+          <span className="ml-2">{selected.info.name}</span>
+          <ChevronDown className="h-4 w-4 ml-1" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>Use wallet</DropdownMenuLabel>
+        {wallets.map((wallet) => (
+          <DropdownMenuItem key={wallet.info.rdns} onSelect={() => selectWallet(wallet.info.rdns)}>
+            <WalletLogo wallet={wallet} />
+            <span className="ml-2 flex-1">{wallet.info.name}</span>
+            {wallet.info.rdns === selected.info.rdns && <Check className="h-4 w-4 ml-2" />}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react"
+
+import type { Task } from "@/lib/types"
+import {
+  ContentIntegrityError,
+  isContentReference,
+  loadTaskContent,
+  type StoredContent,
+} from "@/utils/content-store"
+import {
+  LOCKED_TITLE,
+  isEncryptedTask,
+  openTaskContent,
+  peekTaskContent,
+  subscribeToEncryption,
+  type TaskContent,
+} from "@/utils/encryption"
+
+// State of a description kept off-chain: not off-chain at all, being read, read and verified,
+// read but not matching its hash, or not readable from the store
+export type StoredContentStatus = "none" | "loading" | "ready" | "invalid" | "unavailable"
+
+// Resolve what a task says: decrypt an encrypted task with the keys unlocked in this session, again
+// whenever one is unlocked, and read a description kept off-chain. Plain tasks are returned as they are.
+export function useTaskContent(task: Task) {
+  const isEncrypted = isEncryptedTask(task.title)
+  const [content, setContent] = useState<TaskContent | null>(() => (isEncrypted ? peekTaskContent(task.title) : null))
+  const [stored, setStored] = useState<StoredContent | null>(null)
+  const [storedStatus, setStoredStatus] = useState<StoredContentStatus>("none")
+
+  useEffect(() => {
+    if (!isEncrypted) return
+
+    let cancelled = false
+    const open = () => {
+      openTaskContent(task.title)
+        .then((opened) => !cancelled && setContent(opened))
+        .catch((error) => {
+          console.error(`Error decrypting task ${task.id}:`, error)
+          if (!cancelled) setContent(null)
+        })
+    }
+
+    open()
+    const unsubscribe = subscribeToEncryption(open)
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [task.id, task.title, isEncrypted])
+
+  const decrypted: Task = !isEncrypted
+    ? task
+    : content
+      ? { ...task, ...content, sealed: task.title }
+      : { ...task, title: LOCKED_TITLE, description: "" }
+  const reference = isContentReference(decrypted.description) ? decrypted.description : null
+
+  useEffect(() => {
+    setStored(null)
+    if (!reference) {
+      setStoredStatus("none")
+      return
+    }
+
+    let cancelled = false
+    setStoredStatus("loading")
+    loadTaskContent(reference)
+      .then((loaded) => {
+        if (cancelled) return
+        setStored(loaded)
+        setStoredStatus("ready")
+      })
+      .catch((error) => {
+        if (!cancelled) setStoredStatus(error instanceof ContentIntegrityError ? "invalid" : "unavailable")
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [reference])
+
+  const resolved: Task = reference
+    ? { ...decrypted, description: stored?.description ?? "", contentRef: reference, attachments: stored?.attachments ?? [] }
+    : decrypted
+  return { task: resolved, isEncrypted, isLocked: isEncrypted && !content, storedStatus }
+}
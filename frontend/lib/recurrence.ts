@@ -0,0 +1,76 @@
+import { format } from "date-fns"
+
+import { RecurrenceFrequency, type Recurrence } from "@/lib/types"
+
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+const ALL_WEEKDAYS = 0x7f
+
+// Rotate a weekday mask by a number of days, wrapping Saturday around to Sunday
+const rotateWeekdays = (weekdays: number, days: number) =>
+  ((weekdays << days) | (weekdays >> (7 - days))) & ALL_WEEKDAYS
+
+// Days the local calendar is ahead of UTC at the due date; every occurrence keeps the due date's time of day
+const weekdayShift = (dueDate: Date) => (dueDate.getDay() - dueDate.getUTCDay() + 7) % 7
+
+/**
+ * Convert the weekdays of a weekly rule, which the contract counts in UTC, to the user's time zone
+ */
+export const toLocalWeekdays = (weekdays: number, dueDate: Date) => rotateWeekdays(weekdays, weekdayShift(dueDate))
+
+/**
+ * Convert weekdays picked in the user's time zone to the UTC weekdays the contract counts in
+ */
+export const toUtcWeekdays = (weekdays: number, dueDate: Date) => rotateWeekdays(weekdays, (7 - weekdayShift(dueDate)) % 7)
+
+/**
+ * Convert the day of a monthly rule, which the contract counts in UTC, to the user's time zone
+ */
+const toLocalMonthDay = (monthDay: number, dueDate: Date) => {
+  const shift = weekdayShift(dueDate)
+  return monthDay + (shift === 6 ? -1 : shift)
+}
+
+/**
+ * Check whether two repeat rules schedule the same occurrences, so an unchanged rule isn't sent again
+ */
+export function isSameRecurrence(a: Recurrence | null, b: Recurrence | null) {
+  if (!a || !b) return a === b
+  return (
+    a.frequency === b.frequency &&
+    a.weekdays === b.weekdays &&
+    a.interval === b.interval &&
+    a.monthDay === b.monthDay &&
+    (a.endDate?.getTime() ?? null) === (b.endDate?.getTime() ?? null)
+  )
+}
+
+/**
+ * Describe a repeat rule in words, e.g. "Every week on Mon, Thu until Mar 1, 2027"
+ * @param dueDate - Due date of the task, which the weekdays of a weekly rule and the day of a monthly one are relative to
+ */
+export function describeRecurrence(recurrence: Recurrence, dueDate: Date | null) {
+  let summary: string
+  switch (recurrence.frequency) {
+    case RecurrenceFrequency.Daily:
+      summary = "Every day"
+      break
+    case RecurrenceFrequency.Weekly: {
+      const weekdays = dueDate ? toLocalWeekdays(recurrence.weekdays, dueDate) : recurrence.weekdays
+      const names = WEEKDAY_NAMES.filter((_, day) => weekdays & (1 << day))
+      summary = names.length > 0 ? `Every week on ${names.join(", ")}` : "Every week"
+      break
+    }
+    case RecurrenceFrequency.Monthly: {
+      const day = recurrence.monthDay > 0 && dueDate ? toLocalMonthDay(recurrence.monthDay, dueDate) : 0
+      summary = day >= 1 && day <= 31 ? `Every month on day ${day}` : "Every month"
+      break
+    }
+    case RecurrenceFrequency.EveryNDays:
+      summary = recurrence.interval === 1 ? "Every day" : `Every ${recurrence.interval} days`
+      break
+    default:
+      return "Does not repeat"
+  }
+  return recurrence.endDate ? `${summary} until ${format(recurrence.endDate, "MMM d, yyyy")}` : summary
+}
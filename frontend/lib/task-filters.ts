@@ -0,0 +1,191 @@
+import { endOfDay, endOfWeek, startOfDay } from "date-fns"
+
+import { isTaskClosed, TaskPriority, TaskStatus, type Task } from "@/lib/types"
+
+export type DueRange = "overdue" | "today" | "week"
+export type TaskSort = "created" | "due" | "priority" | "title"
+export type SortOrder = "asc" | "desc"
+
+export interface TaskFilters {
+  statuses: TaskStatus[]
+  priorities: TaskPriority[]
+  due: DueRange | null // Due ranges only match open tasks
+  search: string
+  sort: TaskSort
+  order: SortOrder
+}
+
+export const DEFAULT_FILTERS: TaskFilters = {
+  statuses: [],
+  priorities: [],
+  due: null,
+  search: "",
+  sort: "created",
+  order: "asc",
+}
+
+export const DUE_RANGE_LABELS: Record<DueRange, string> = {
+  overdue: "Overdue",
+  today: "Due today",
+  week: "Due this week",
+}
+
+export const SORT_LABELS: Record<TaskSort, string> = {
+  created: "Created",
+  due: "Due date",
+  priority: "Priority",
+  title: "Title",
+}
+
+// Names of the statuses and priorities in the query string, so shared links stay readable
+const STATUS_PARAMS: Record<TaskStatus, string> = {
+  [TaskStatus.Todo]: "todo",
+  [TaskStatus.InProgress]: "in-progress",
+  [TaskStatus.Blocked]: "blocked",
+  [TaskStatus.InReview]: "in-review",
+  [TaskStatus.Done]: "done",
+  [TaskStatus.Cancelled]: "cancelled",
+}
+
+const PRIORITY_PARAMS: Record<TaskPriority, string> = {
+  [TaskPriority.Low]: "low",
+  [TaskPriority.Medium]: "medium",
+  [TaskPriority.High]: "high",
+}
+
+// Sort columns of the indexer by toolbar option
+const INDEXER_SORTS: Record<TaskSort, string> = {
+  created: "createdAt",
+  due: "dueDate",
+  priority: "priority",
+  title: "title",
+}
+
+const OPEN_STATUSES = [TaskStatus.Todo, TaskStatus.InProgress, TaskStatus.Blocked, TaskStatus.InReview]
+
+// Read a comma-separated list of names back into enum values, ignoring unknown names
+const readList = <T extends number>(value: string | null, names: Record<T, string>): T[] => {
+  const entries = Object.entries(names) as [string, string][]
+  return (value ?? "")
+    .split(",")
+    .map((name) => entries.find(([, param]) => param === name))
+    .filter((entry): entry is [string, string] => entry !== undefined)
+    .map(([key]) => Number(key) as T)
+}
+
+const isOneOf = <T extends string>(value: string | null, options: Record<T, string>): value is T =>
+  value !== null && Object.prototype.hasOwnProperty.call(options, value)
+
+/**
+ * Read the filters of the task list from the query string; missing or unknown values fall back to the defaults
+ */
+export function parseTaskFilters(params: URLSearchParams): TaskFilters {
+  const due = params.get("due")
+  const sort = params.get("sort")
+  return {
+    statuses: readList(params.get("status"), STATUS_PARAMS),
+    priorities: readList(params.get("priority"), PRIORITY_PARAMS),
+    due: isOneOf(due, DUE_RANGE_LABELS) ? due : null,
+    search: params.get("q") ?? "",
+    sort: isOneOf(sort, SORT_LABELS) ? sort : DEFAULT_FILTERS.sort,
+    order: params.get("order") === "desc" ? "desc" : "asc",
+  }
+}
+
+/**
+ * Write the filters into a query string, leaving out the defaults so plain links stay short
+ */
+export function serializeTaskFilters(filters: TaskFilters): URLSearchParams {
+  const params = new URLSearchParams()
+  if (filters.statuses.length > 0) params.set("status", filters.statuses.map((status) => STATUS_PARAMS[status]).join(","))
+  if (filters.priorities.length > 0) params.set("priority", filters.priorities.map((priority) => PRIORITY_PARAMS[priority]).join(","))
+  if (filters.due) params.set("due", filters.due)
+  if (filters.search.trim()) params.set("q", filters.search.trim())
+  if (filters.sort !== DEFAULT_FILTERS.sort) params.set("sort", filters.sort)
+  if (filters.order !== DEFAULT_FILTERS.order) params.set("order", filters.order)
+  return params
+}
+
+export const hasActiveFilters = (filters: TaskFilters) =>
+  filters.statuses.length > 0 || filters.priorities.length > 0 || filters.due !== null || filters.search.trim() !== ""
+
+/**
+ * Get the window a due range covers at a given time, as Unix times in seconds
+ */
+export function getDueWindow(due: DueRange, now: Date): { after: number | null; before: number } {
+  const toSeconds = (date: Date) => Math.floor(date.getTime() / 1000)
+  switch (due) {
+    case "overdue":
+      return { after: null, before: toSeconds(now) - 1 }
+    case "today":
+      return { after: toSeconds(startOfDay(now)), before: toSeconds(endOfDay(now)) }
+    case "week":
+      return { after: toSeconds(startOfDay(now)), before: toSeconds(endOfWeek(now)) }
+  }
+}
+
+/**
+ * Check whether a task is shown under the filters
+ * @param text - Title and description as shown to the user, which is what the search looks at
+ */
+export function matchesTaskFilters(task: Task, text: string, filters: TaskFilters, now: Date) {
+  if (filters.statuses.length > 0 && !filters.statuses.includes(task.status)) return false
+  if (filters.priorities.length > 0 && !filters.priorities.includes(task.priority)) return false
+
+  if (filters.due) {
+    if (!task.dueDate || isTaskClosed(task)) return false
+    const { after, before } = getDueWindow(filters.due, now)
+    const dueDate = Math.floor(task.dueDate.getTime() / 1000)
+    if (dueDate > before || (after !== null && dueDate < after)) return false
+  }
+
+  const words = filters.search.toLowerCase().split(/\s+/).filter(Boolean)
+  const haystack = text.toLowerCase()
+  return words.every((word) => haystack.includes(word))
+}
+
+/**
+ * Sort tasks for display. Tasks without a due date come last when sorting by due date, in either direction.
+ */
+export function sortTasks(tasks: Task[], sort: TaskSort, order: SortOrder) {
+  const direction = order === "desc" ? -1 : 1
+  const compare = (a: Task, b: Task) => {
+    switch (sort) {
+      case "due":
+        if (!a.dueDate || !b.dueDate) return 0
+        return a.dueDate.getTime() - b.dueDate.getTime()
+      case "priority":
+        return a.priority - b.priority
+      case "title":
+        return a.title.localeCompare(b.title, undefined, { sensitivity: "base" })
+      case "created":
+        return a.createdAt.getTime() - b.createdAt.getTime()
+    }
+  }
+
+  return [...tasks].sort((a, b) => {
+    if (sort === "due" && !a.dueDate !== !b.dueDate) return a.dueDate ? -1 : 1
+    return compare(a, b) * direction
+  })
+}
+
+/**
+ * Translate the filters into a query of the indexer, which applies them to every task rather than the loaded ones
+ */
+export function toIndexerQuery(filters: TaskFilters, now: Date) {
+  const window = filters.due ? getDueWindow(filters.due, now) : null
+  // Due ranges only match open tasks, so narrow the statuses to the open ones
+  const statuses = window
+    ? (filters.statuses.length > 0 ? filters.statuses : OPEN_STATUSES).filter((status) => OPEN_STATUSES.includes(status))
+    : filters.statuses
+  // An empty intersection means nothing matches, which no status list can express; the client-side filter hides the rest
+  return {
+    statuses: statuses.length > 0 ? statuses : filters.statuses,
+    priorities: filters.priorities,
+    dueAfter: window?.after ?? undefined,
+    dueBefore: window?.before,
+    search: filters.search.trim() || undefined,
+    sort: INDEXER_SORTS[filters.sort],
+    order: filters.order,
+  }
+}
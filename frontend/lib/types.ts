@@ -1,7 +1,160 @@
+import type { Attachment } from "@/utils/content-store"
+
+export enum TaskPriority {
+  Low = 0,
+  Medium = 1,
+  High = 2,
+}
+
+export const PRIORITY_LABELS: Record<TaskPriority, string> = {
+  [TaskPriority.Low]: "Low",
+  [TaskPriority.Medium]: "Medium",
+  [TaskPriority.High]: "High",
+}
+
+export enum TaskStatus {
+  Todo = 0,
+  InProgress = 1,
+  Blocked = 2,
+  InReview = 3,
+  Done = 4,
+  Cancelled = 5,
+}
+
+export const STATUS_LABELS: Record<TaskStatus, string> = {
+  [TaskStatus.Todo]: "To Do",
+  [TaskStatus.InProgress]: "In Progress",
+  [TaskStatus.Blocked]: "Blocked",
+  [TaskStatus.InReview]: "In Review",
+  [TaskStatus.Done]: "Done",
+  [TaskStatus.Cancelled]: "Cancelled",
+}
+
+// Mirrors TaskManager.isValidStatusTransition so the UI only offers moves the contract accepts
+export const STATUS_TRANSITIONS: Record<TaskStatus, TaskStatus[]> = {
+  [TaskStatus.Todo]: [TaskStatus.InProgress, TaskStatus.Blocked, TaskStatus.Done, TaskStatus.Cancelled],
+  [TaskStatus.InProgress]: [TaskStatus.Todo, TaskStatus.Blocked, TaskStatus.InReview, TaskStatus.Done, TaskStatus.Cancelled],
+  [TaskStatus.Blocked]: [TaskStatus.Todo, TaskStatus.InProgress, TaskStatus.Cancelled],
+  [TaskStatus.InReview]: [TaskStatus.InProgress, TaskStatus.Done, TaskStatus.Cancelled],
+  [TaskStatus.Done]: [TaskStatus.Todo, TaskStatus.InProgress],
+  [TaskStatus.Cancelled]: [TaskStatus.Todo],
+}
+
+export enum CollaboratorPermission {
+  None = 0,
+  View = 1,
+  Complete = 2,
+  Edit = 3,
+}
+
+export const PERMISSION_LABELS: Record<CollaboratorPermission, string> = {
+  [CollaboratorPermission.None]: "No access",
+  [CollaboratorPermission.View]: "Can view",
+  [CollaboratorPermission.Complete]: "Can change status",
+  [CollaboratorPermission.Edit]: "Can edit",
+}
+
+export interface Collaborator {
+  address: string
+  permission: CollaboratorPermission
+}
+
+export enum ProjectRole {
+  None = 0,
+  Viewer = 1,
+  Member = 2,
+  Admin = 3,
+}
+
+export const PROJECT_ROLE_LABELS: Record<ProjectRole, string> = {
+  [ProjectRole.None]: "Not a member",
+  [ProjectRole.Viewer]: "Viewer",
+  [ProjectRole.Member]: "Member",
+  [ProjectRole.Admin]: "Admin",
+}
+
+export interface Project {
+  id: number
+  name: string
+  owner: string
+  createdAt: Date
+}
+
+export interface ProjectMember {
+  address: string
+  role: ProjectRole
+}
+
+export interface Label {
+  id: number
+  name: string
+  color: string // CSS hex colour, e.g. "#ff0000"
+  owner: string
+}
+
+// Completion rollup of a task's subtasks; cancelled subtasks are left out of the total
+export interface SubtaskProgress {
+  completed: number
+  total: number
+}
+
+export enum RecurrenceFrequency {
+  None = 0,
+  Daily = 1,
+  Weekly = 2,
+  Monthly = 3,
+  EveryNDays = 4,
+}
+
+export const FREQUENCY_LABELS: Record<RecurrenceFrequency, string> = {
+  [RecurrenceFrequency.None]: "Does not repeat",
+  [RecurrenceFrequency.Daily]: "Daily",
+  [RecurrenceFrequency.Weekly]: "Weekly",
+  [RecurrenceFrequency.Monthly]: "Monthly",
+  [RecurrenceFrequency.EveryNDays]: "Every few days",
+}
+
+// Repeat rule of a task; completing the task adds a copy due at the next occurrence
+export interface Recurrence {
+  frequency: RecurrenceFrequency
+  weekdays: number // Weekly: days to repeat on in UTC, bit 0 = Sunday; 0 repeats on the due date's weekday
+  interval: number // EveryNDays: days between occurrences
+  monthDay: number // Monthly: day of the month in UTC, the last day in shorter months; 0 takes the due date's day
+  endDate: Date | null // No occurrence is added after this time
+}
+
+// Kind of change a task has waiting to be mined, see utils/pending-transactions.js
+export type PendingAction = "add" | "edit" | "labels" | "status" | "delete"
+
+export const PENDING_LABELS: Record<PendingAction, string> = {
+  add: "Adding",
+  edit: "Saving",
+  labels: "Labeling",
+  status: "Updating",
+  delete: "Deleting",
+}
+
+export const isTaskClosed = (task: Task) => task.status === TaskStatus.Done || task.status === TaskStatus.Cancelled
+
 export interface Task {
   id: string
   title: string
   description: string
-  completed: boolean
+  status: TaskStatus
+  owner: string
+  priority: TaskPriority
+  dueDate: Date | null
+  createdAt: Date
+  assignee: string | null
+  projectId: number | null
+  labels: Label[]
+  parentId: number | null
+  subtaskProgress: SubtaskProgress
+  blockedBy: number[] // IDs of the tasks that have to be closed before this one can be completed
+  openBlockers: number
+  recurrence: Recurrence | null
+  pending?: PendingAction // Set while the task shows a change that is not mined yet
+  sealed?: string // Encrypted payload stored as the title, set when title and description were decrypted from it
+  contentRef?: string // Off-chain content reference stored as the description, set when the description was loaded from it
+  attachments?: Attachment[] // Files attached through the content store
 }
-
@@ -1,3 +1,8 @@
+import { createRequire } from 'module'
+
+const require = createRequire(import.meta.url)
+const { NETWORKS, loadDeployment } = require('../networks.js')
+
 let userConfig = undefined
 try {
   userConfig = await import('./v0-user-next.config')
@@ -5,8 +10,33 @@ try {
   // ignore error
 }
 
+// Networks the app can use: the registry in ../networks.js with the addresses from ../deployments/<network>.json.
+// NEXT_PUBLIC_TASK_MANAGER_CONTRACT_<NETWORK>, NEXT_PUBLIC_TASK_FORWARDER_CONTRACT_<NETWORK> and
+// NEXT_PUBLIC_RPC_URL_<NETWORK> override them, e.g. for hosted builds that have no deployment files.
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+const addressOrNull = (...candidates) => candidates.find((address) => address && address !== ZERO_ADDRESS) || null
+
+const networks = Object.entries(NETWORKS).map(([key, network]) => {
+  const deployment = loadDeployment(key)
+  const envName = key.toUpperCase()
+  return {
+    key,
+    chainId: `0x${network.chainId.toString(16)}`,
+    name: network.name,
+    currency: network.currency,
+    rpcUrl: process.env[`NEXT_PUBLIC_RPC_URL_${envName}`] || network.rpcUrl,
+    blockExplorer: network.blockExplorer,
+    contractAddress: addressOrNull(process.env[`NEXT_PUBLIC_TASK_MANAGER_CONTRACT_${envName}`], deployment?.contractAddress),
+    forwarderAddress: addressOrNull(process.env[`NEXT_PUBLIC_TASK_FORWARDER_CONTRACT_${envName}`], deployment?.forwarderAddress),
+    deploymentBlock: deployment?.blockNumber ?? 0,
+  }
+})
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  env: {
+    TASK_MANAGER_NETWORKS: JSON.stringify(networks),
+  },
   eslint: {
     ignoreDuringBuilds: true,
   },
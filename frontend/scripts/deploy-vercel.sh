@@ -19,12 +19,10 @@ if [ ! -f .env.local ]; then
     exit 1
 fi
 
-# Check if contract addresses are set
-SEPOLIA_CONTRACT=$(grep NEXT_PUBLIC_TASK_MANAGER_CONTRACT_SEPOLIA .env.local | cut -d '=' -f2)
-MUMBAI_CONTRACT=$(grep NEXT_PUBLIC_TASK_MANAGER_CONTRACT_MUMBAI .env.local | cut -d '=' -f2)
-
-if [[ "$SEPOLIA_CONTRACT" == *"0x0000000000000000000000000000000000000000"* ]] && [[ "$MUMBAI_CONTRACT" == *"0x0000000000000000000000000000000000000000"* ]]; then
-    echo "Error: Please set at least one contract address in .env.local"
+# Check if a contract address is set. Hosted builds usually lack the local ../deployments files,
+# so the addresses come from NEXT_PUBLIC_TASK_MANAGER_CONTRACT_<NETWORK>
+if ! grep -qE '^NEXT_PUBLIC_TASK_MANAGER_CONTRACT_[A-Z]+=0x[0-9a-fA-F]{40}' .env.local; then
+    echo "Error: Please set at least one NEXT_PUBLIC_TASK_MANAGER_CONTRACT_<NETWORK> address in .env.local"
     exit 1
 fi
 
@@ -0,0 +1,201 @@
+// Task descriptions and attachments kept off-chain in a content-addressed store.
+//
+// Instead of the description itself, the task stores `ipfs://<cid>` pointing at a JSON manifest
+// with the description and the attachments, each attachment split into blocks of CHUNK_SIZE.
+// Every block is addressed by the SHA-256 of its bytes (a CIDv1 with the raw codec), and every
+// block read is checked against its CID, so a store or gateway can't change what a task says.
+//
+// Blocks are written through the block API of an IPFS node (NEXT_PUBLIC_CONTENT_STORE_URL), or of
+// the filesystem stand-in in content-store/ during development, and read through a gateway.
+import { ethers } from 'ethers';
+
+const STORE_URL = process.env.NEXT_PUBLIC_CONTENT_STORE_URL || null;
+const GATEWAY_URL = process.env.NEXT_PUBLIC_CONTENT_GATEWAY_URL || STORE_URL || 'https://ipfs.io';
+
+const REFERENCE_PREFIX = 'ipfs://';
+const MANIFEST_VERSION = 1;
+
+// Size of the blocks attachments are split into, the chunk size IPFS itself uses
+const CHUNK_SIZE = 256 * 1024;
+
+// Largest attachment accepted, to keep uploads and the number of blocks reasonable
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// CIDv1 prefix: version 1, raw codec, sha2-256 multihash of 32 bytes
+const CID_PREFIX = new Uint8Array([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * A file attached to a task, stored as a list of blocks
+ * @typedef {Object} Attachment
+ * @property {string} name - File name
+ * @property {string} type - MIME type, empty if unknown
+ * @property {number} size - Size in bytes
+ * @property {string[]} blocks - CIDs of the file's blocks, in order
+ */
+
+/**
+ * Task content read from the store
+ * @typedef {Object} StoredContent
+ * @property {string} description - Task description
+ * @property {Attachment[]} attachments - Attached files
+ */
+
+// Thrown when content read from the store doesn't match the hash it was requested by
+export class ContentIntegrityError extends Error {}
+
+// Manifests already read, by reference; they never change since they are addressed by content
+const manifests = new Map();
+
+// RFC 4648 base32, lower case and without padding, as used by the "b" multibase prefix
+const toBase32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// CID of a block, matching getCid in content-store/stores.js
+const getCid = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return 'b' + toBase32(ethers.getBytes(ethers.concat([CID_PREFIX, digest])));
+};
+
+const putBlock = async (bytes) => {
+  const form = new FormData();
+  form.append('file', new Blob([bytes]));
+  const response = await fetch(`${STORE_URL}/api/v0/block/put?cid-codec=raw&mhtype=sha2-256&pin=true`, {
+    method: 'POST',
+    body: form
+  });
+  if (!response.ok) {
+    throw new Error(`The content store refused a block (status ${response.status})`);
+  }
+
+  const { Key } = await response.json();
+  const cid = await getCid(bytes);
+  if (Key !== cid) {
+    throw new ContentIntegrityError(`The content store saved a block as ${Key} instead of ${cid}`);
+  }
+  return cid;
+};
+
+const getBlock = async (cid) => {
+  const response = await fetch(`${GATEWAY_URL}/ipfs/${cid}`);
+  if (!response.ok) {
+    throw new Error(`Couldn't read ${cid} from the content store (status ${response.status})`);
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if ((await getCid(bytes)) !== cid) {
+    throw new ContentIntegrityError(`Content of ${cid} does not match its hash`);
+  }
+  return bytes;
+};
+
+// Store a file as blocks
+const storeFile = async (file) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`);
+  }
+
+  const blocks = [];
+  for (let offset = 0; offset < file.size || blocks.length === 0; offset += CHUNK_SIZE) {
+    const chunk = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    blocks.push(await putBlock(chunk));
+  }
+  return { name: file.name, type: file.type, size: file.size, blocks };
+};
+
+/**
+ * Check whether tasks can be stored off-chain, i.e. a content store is configured to write to
+ * @returns {boolean} True if NEXT_PUBLIC_CONTENT_STORE_URL is set
+ */
+export const isContentStoreAvailable = () => STORE_URL !== null;
+
+/**
+ * Check whether a task description is a reference to off-chain content
+ * @param {string} description - Description as stored on-chain
+ * @returns {boolean} True if the description points at the content store
+ */
+export const isContentReference = (description) =>
+  typeof description === 'string' && description.startsWith(REFERENCE_PREFIX);
+
+/**
+ * Store a description and attachments off-chain
+ * @param {string} description - Task description
+ * @param {Attachment[]} attachments - Attachments already in the store to keep
+ * @param {File[]} [files] - New files to attach
+ * @returns {Promise<string>} Reference to store on-chain as the description
+ */
+export const storeTaskContent = async (description, attachments, files = []) => {
+  try {
+    const added = [];
+    for (const file of files) {
+      added.push(await storeFile(file));
+    }
+
+    const manifest = { version: MANIFEST_VERSION, description, attachments: [...attachments, ...added] };
+    const cid = await putBlock(ethers.toUtf8Bytes(JSON.stringify(manifest)));
+    const reference = REFERENCE_PREFIX + cid;
+    manifests.set(reference, { description: manifest.description, attachments: manifest.attachments });
+    return reference;
+  } catch (error) {
+    console.error("Error storing task content:", error);
+    throw error;
+  }
+};
+
+/**
+ * Read off-chain task content, checking it against its hash
+ * @param {string} reference - Reference stored as the task description
+ * @returns {Promise<StoredContent>} The description and attachments
+ */
+export const loadTaskContent = async (reference) => {
+  if (manifests.has(reference)) {
+    return manifests.get(reference);
+  }
+
+  try {
+    const manifest = JSON.parse(ethers.toUtf8String(await getBlock(reference.slice(REFERENCE_PREFIX.length))));
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported task content version ${manifest.version}`);
+    }
+
+    const content = { description: String(manifest.description ?? ''), attachments: manifest.attachments ?? [] };
+    manifests.set(reference, content);
+    return content;
+  } catch (error) {
+    console.error(`Error loading task content from ${reference}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Download an attachment, checking every block against its hash
+ * @param {Attachment} attachment - Attachment to download
+ * @returns {Promise<Blob>} The file
+ */
+export const loadAttachment = async (attachment) => {
+  try {
+    const blocks = [];
+    for (const cid of attachment.blocks) {
+      blocks.push(await getBlock(cid));
+    }
+    return new Blob(blocks, { type: attachment.type || 'application/octet-stream' });
+  } catch (error) {
+    console.error(`Error loading attachment ${attachment.name}:`, error);
+    throw error;
+  }
+};
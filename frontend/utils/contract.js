@@ -1,39 +1,223 @@
 import { ethers } from 'ethers';
-import { getSigner, getCurrentNetwork, switchNetwork } from './ethers';
+import { getProvider, getReadOnlyProvider, getSigner, getCurrentNetwork } from './ethers';
+import { getNetworkByChainId, getPreferredNetwork, isDeployed } from './networks';
+import { trackTransaction } from './transactions';
+import { getIndexedTaskHistory, isIndexerConfigured, queryIndexedTasks } from './indexer';
+
+/** @typedef {import('./transactions').TransactionCallbacks} TransactionCallbacks */
+
+// Repeat rule of a task
+const RECURRENCE_TUPLE = "tuple(uint8 frequency, uint8 weekdays, uint16 interval, uint8 monthDay, uint256 endDate)";
+
+// Task struct as returned by the contract
+const TASK_TUPLE = `tuple(uint256 id, string title, string description, uint8 status, address owner, uint8 priority, uint256 dueDate, uint256 createdAt, address assignee, uint256 projectId, ${RECURRENCE_TUPLE} recurrence)`;
+
+// Project struct as returned by the contract
+const PROJECT_TUPLE = "tuple(uint256 id, string name, address owner, uint256 createdAt)";
+
+// Label struct as returned by the contract
+const LABEL_TUPLE = "tuple(uint256 id, string name, uint24 color, address owner)";
+
+// Editable fields of a task as recorded by TaskAdded and TaskUpdated
+const CONTENT_TUPLE = "tuple(string title, string description, uint8 priority, uint256 dueDate)";
+
+// Relations of a task as returned by getTaskRelationsBatch
+const RELATIONS_TUPLE = "tuple(bool hasParent, uint256 parentId, uint256 subtaskCount, uint256 completedSubtasks, uint256[] blockerIds, uint256 openBlockers)";
 
 // TaskManager contract ABI - includes only the functions we need
 const TaskManagerABI = [
   // Read functions
-  "function fetchAllTasks() external view returns (tuple(uint256 id, string title, string description, bool completed, address owner, uint8 priority, uint256 dueDate, uint256 createdAt)[] memory)",
-  "function getTask(uint256 taskId) external view returns (tuple(uint256 id, string title, string description, bool completed, address owner, uint8 priority, uint256 dueDate, uint256 createdAt) memory)",
+  `function fetchAllTasks() external view returns (${TASK_TUPLE}[] memory)`,
+  `function fetchTasksPage(uint256 cursor, uint256 limit) external view returns (${TASK_TUPLE}[] memory, uint256)`,
+  `function fetchTasksByStatusPage(uint8 status, uint256 cursor, uint256 limit) external view returns (${TASK_TUPLE}[] memory, uint256)`,
+  `function fetchTasksByPriorityPage(uint8 priority, uint256 cursor, uint256 limit) external view returns (${TASK_TUPLE}[] memory, uint256)`,
+  `function fetchTasksDueSoonPage(uint256 cursor, uint256 limit) external view returns (${TASK_TUPLE}[] memory, uint256)`,
+  `function getTask(uint256 taskId) external view returns (${TASK_TUPLE} memory)`,
+  `function fetchAssignedTasks() external view returns (${TASK_TUPLE}[] memory)`,
+  "function getCollaborators(uint256 taskId) external view returns (address[] memory collaborators, uint8[] memory permissions)",
+  "function getPermission(uint256 taskId, address account) external view returns (uint8)",
+  `function fetchMyProjects() external view returns (${PROJECT_TUPLE}[] memory)`,
+  `function fetchProjectTasks(uint256 projectId) external view returns (${TASK_TUPLE}[] memory)`,
+  `function fetchProjectTasksPage(uint256 projectId, uint256 cursor, uint256 limit) external view returns (${TASK_TUPLE}[] memory, uint256)`,
+  "function getProjectMembers(uint256 projectId) external view returns (address[] memory members, uint8[] memory roles)",
+  `function fetchMyLabels() external view returns (${LABEL_TUPLE}[] memory)`,
+  `function getTaskLabels(uint256 taskId) external view returns (${LABEL_TUPLE}[] memory)`,
+  `function getTaskLabelsBatch(uint256[] calldata taskIds) external view returns (${LABEL_TUPLE}[][] memory)`,
+  `function fetchTasksByLabel(uint256 labelId) external view returns (${TASK_TUPLE}[] memory)`,
+  `function getSubtasks(uint256 taskId) external view returns (${TASK_TUPLE}[] memory)`,
+  `function getBlockers(uint256 taskId) external view returns (${TASK_TUPLE}[] memory)`,
+  `function getTaskRelationsBatch(uint256[] calldata taskIds) external view returns (${RELATIONS_TUPLE}[] memory)`,
+  `function fetchTasksOf(address user) external view returns (${TASK_TUPLE}[] memory)`,
+  "function hasPublicTasks(address user) external view returns (bool)",
+  "function getEncryptionKey(address account) external view returns (bytes32)",
+  "function isPaused() external view returns (bool)",
+  "function getMaxTasksPerUser() external view returns (uint256)",
+  "function getTotalTaskCount() external view returns (uint256)",
+  "function hasRole(bytes32 role, address account) external view returns (bool)",
+  "function getRoleMembers(bytes32 role) external view returns (address[] memory)",
   
   // Write functions
   "function addTask(string calldata title, string calldata description) external returns (uint256)",
+  "function addTask(string calldata title, string calldata description, uint8 priority, uint256 dueDate) external returns (uint256)",
+  `function addTask(string calldata title, string calldata description, uint8 priority, uint256 dueDate, uint256 projectId, ${RECURRENCE_TUPLE} calldata rule) external returns (uint256)`,
+  "function addTasks(tuple(string title, string description, uint8 priority, uint256 dueDate)[] calldata tasks) external returns (uint256[] memory)",
   "function editTask(uint256 taskId, string calldata newTitle, string calldata newDescription) external",
+  "function editTask(uint256 taskId, string calldata newTitle, string calldata newDescription, uint8 priority, uint256 dueDate) external",
+  `function editTask(uint256 taskId, string calldata newTitle, string calldata newDescription, uint8 priority, uint256 dueDate, ${RECURRENCE_TUPLE} calldata rule) external`,
   "function completeTask(uint256 taskId) external",
+  "function setTaskStatus(uint256 taskId, uint8 status) external",
   "function deleteTask(uint256 taskId) external",
+  "function setTasksCompletion(uint256[] calldata taskIds, bool completed) external",
+  "function deleteTasks(uint256[] calldata taskIds) external",
+  "function assignTask(uint256 taskId, address assignee) external",
+  "function transferTask(uint256 taskId, address newOwner) external",
+  "function setCollaborator(uint256 taskId, address collaborator, uint8 permission) external",
+  "function addProjectTask(uint256 projectId, string calldata title, string calldata description, uint8 priority, uint256 dueDate) external returns (uint256)",
+  "function createProject(string calldata name) external returns (uint256)",
+  "function renameProject(uint256 projectId, string calldata newName) external",
+  "function deleteProject(uint256 projectId) external",
+  "function setProjectMember(uint256 projectId, address member, uint8 role) external",
+  "function createLabel(string calldata name, uint24 color) external returns (uint256)",
+  "function updateLabel(uint256 labelId, string calldata name, uint24 color) external",
+  "function deleteLabel(uint256 labelId) external",
+  "function setTaskLabels(uint256 taskId, uint256[] calldata labelIds) external",
+  "function addSubtask(uint256 parentId, string calldata title, string calldata description, uint8 priority, uint256 dueDate) external returns (uint256)",
+  "function setParentTask(uint256 taskId, uint256 parentId) external",
+  "function removeParentTask(uint256 taskId) external",
+  "function addTaskBlocker(uint256 taskId, uint256 blockerId) external",
+  "function removeTaskBlocker(uint256 taskId, uint256 blockerId) external",
+  "function setTasksPublic(bool isPublic) external",
+  "function setEncryptionKey(bytes32 publicKey) external",
+  "function setPaused(bool paused) external",
+  "function setMaxTasksPerUser(uint256 maxTasks) external",
+  "function adminDeleteTask(uint256 taskId) external",
   
   // Events
-  "event TaskAdded(uint256 taskId, address owner, string title, uint8 priority, uint256 dueDate)",
-  "event TaskUpdated(uint256 taskId, string newTitle, string newDescription, uint8 priority, uint256 dueDate)",
-  "event TaskCompleted(uint256 taskId, bool completed)",
-  "event TaskDeleted(uint256 taskId)"
+  `event TaskAdded(uint256 indexed taskId, address indexed owner, uint256 indexed projectId, ${CONTENT_TUPLE} content, uint256 timestamp)`,
+  `event TaskUpdated(uint256 indexed taskId, address indexed actor, ${CONTENT_TUPLE} previous, ${CONTENT_TUPLE} current, uint256 timestamp)`,
+  "event TaskCompleted(uint256 indexed taskId, bool completed)",
+  "event TaskStatusChanged(uint256 indexed taskId, address indexed actor, uint8 oldStatus, uint8 newStatus, uint256 timestamp)",
+  "event TaskDeleted(uint256 indexed taskId, address indexed owner, address indexed actor, uint256 timestamp)",
+  "event TaskAssigned(uint256 indexed taskId, address indexed actor, address previousAssignee, address indexed newAssignee, uint256 timestamp)",
+  "event TaskTransferred(uint256 indexed taskId, address indexed previousOwner, address indexed newOwner, uint256 timestamp)",
+  `event TaskRecurrenceChanged(uint256 indexed taskId, address indexed actor, ${RECURRENCE_TUPLE} previous, ${RECURRENCE_TUPLE} current, uint256 timestamp)`,
+  "event TaskRecurred(uint256 indexed taskId, uint256 indexed nextTaskId, uint256 dueDate)",
+  "event TaskRecurrenceSkipped(uint256 indexed taskId, uint256 dueDate)",
+  "event CollaboratorUpdated(uint256 indexed taskId, address indexed owner, address indexed collaborator, uint8 previousPermission, uint8 permission, uint256 timestamp)",
+  "event ProjectCreated(uint256 indexed projectId, address indexed owner, string name)",
+  "event ProjectRenamed(uint256 indexed projectId, string newName)",
+  "event ProjectDeleted(uint256 indexed projectId)",
+  "event ProjectMemberUpdated(uint256 indexed projectId, address indexed member, uint8 role)",
+  "event LabelCreated(uint256 indexed labelId, address indexed owner, string name, uint24 color)",
+  "event LabelUpdated(uint256 indexed labelId, string name, uint24 color)",
+  "event LabelDeleted(uint256 indexed labelId)",
+  "event TaskLabelAdded(uint256 indexed taskId, uint256 indexed labelId)",
+  "event TaskLabelRemoved(uint256 indexed taskId, uint256 indexed labelId)",
+  "event SubtaskAdded(uint256 indexed parentId, uint256 indexed taskId)",
+  "event SubtaskRemoved(uint256 indexed parentId, uint256 indexed taskId)",
+  "event TaskBlockerAdded(uint256 indexed taskId, uint256 indexed blockerId)",
+  "event TaskBlockerRemoved(uint256 indexed taskId, uint256 indexed blockerId)",
+  "event TaskVisibilityChanged(address indexed user, bool isPublic)",
+  "event EncryptionKeyChanged(address indexed account, bytes32 publicKey)",
+  "event ContractPaused(bool paused)",
+  "event MaxTasksPerUserChanged(uint256 maxTasks)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
 ];
 
-// Network configuration
-const NETWORKS = {
-  SEPOLIA: {
-    chainId: '0xaa36a7', // 11155111 in hex
-    contractAddress: process.env.NEXT_PUBLIC_TASK_MANAGER_CONTRACT_SEPOLIA
-  },
-  MUMBAI: {
-    chainId: '0x13881', // 80001 in hex
-    contractAddress: process.env.NEXT_PUBLIC_TASK_MANAGER_CONTRACT_MUMBAI
-  }
+// TaskForwarder contract ABI - includes only the functions gasless mode needs
+const TaskForwarderABI = [
+  "function getNonce(address from) external view returns (uint256)"
+];
+
+// EIP-712 type of a request relayed through the TaskForwarder
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Events that change the state of a task, used by the live subscription
+const TASK_EVENTS = [
+  'TaskAdded', 'TaskUpdated', 'TaskCompleted', 'TaskStatusChanged', 'TaskDeleted', 'TaskAssigned', 'TaskTransferred', 'TaskRecurrenceChanged',
+  'TaskRecurred', 'TaskLabelAdded', 'TaskLabelRemoved', 'SubtaskAdded', 'SubtaskRemoved', 'TaskBlockerAdded', 'TaskBlockerRemoved'
+];
+
+// Events shown in the history of a task; TaskCompleted repeats TaskStatusChanged and is left out
+const HISTORY_EVENTS = [
+  'TaskAdded', 'TaskUpdated', 'TaskStatusChanged', 'TaskDeleted', 'TaskAssigned', 'TaskTransferred', 'CollaboratorUpdated',
+  'TaskRecurrenceChanged', 'TaskRecurred', 'TaskRecurrenceSkipped', 'TaskLabelAdded', 'TaskLabelRemoved', 'SubtaskAdded', 'SubtaskRemoved',
+  'TaskBlockerAdded', 'TaskBlockerRemoved'
+];
+
+// Events linking two tasks, which index the second task too and so belong to its history as well
+const LINK_EVENTS = ['TaskRecurred', 'SubtaskAdded', 'SubtaskRemoved', 'TaskBlockerAdded', 'TaskBlockerRemoved'];
+
+// Subscription tuning: how far back a reorg is tracked and how many blocks a single log query may span
+const REORG_DEPTH = 12;
+const MAX_LOG_RANGE = 2000;
+const MAX_POLL_BACKOFF = 60000;
+
+// Number of tasks requested per page by the paginated queries (the contract allows up to 100)
+export const TASK_PAGE_SIZE = 25;
+
+// Maximum number of tasks whose labels or relations can be read in one batch call
+const MAX_DETAILS_BATCH = 100;
+
+// Maximum number of tasks a single batch call may touch (mirrors TaskManager.MAX_BATCH_SIZE)
+export const MAX_BATCH_SIZE = 50;
+
+// Admin roles of TaskManager (mirrors the role constants of the contract)
+export const ADMIN_ROLES = {
+  admin: ethers.ZeroHash,
+  pauser: ethers.id('PAUSER_ROLE'),
+  moderator: ethers.id('MODERATOR_ROLE'),
+  config: ethers.id('CONFIG_ROLE')
 };
 
-// Default network from environment variable
-const DEFAULT_NETWORK = process.env.NEXT_PUBLIC_DEFAULT_NETWORK?.toUpperCase() || 'SEPOLIA';
+// Relayer that submits signed requests in gasless mode (gasless mode is unavailable when unset)
+const RELAYER_URL = process.env.NEXT_PUBLIC_RELAYER_URL;
+
+// localStorage key remembering whether gasless mode is on
+const GASLESS_STORAGE_KEY = 'taskManager.gasless';
+
+// How long a signed request stays valid, in seconds
+const RELAYED_REQUEST_TTL = 10 * 60;
+
+// Overloads that add or edit a task together with its repeat rule
+const ADD_RECURRING_TASK = 'addTask(string,string,uint8,uint256,uint256,(uint8,uint8,uint16,uint8,uint256))';
+const EDIT_RECURRING_TASK = 'editTask(uint256,string,string,uint8,uint256,(uint8,uint8,uint16,uint8,uint256))';
+
+// Calls the TaskForwarder relays (mirrors TaskForwarder.isRelayable)
+const RELAYABLE_METHODS = new Set([
+  'addTask(string,string)', 'addTask(string,string,uint8,uint256)', ADD_RECURRING_TASK,
+  'editTask(uint256,string,string)', 'editTask(uint256,string,string,uint8,uint256)', EDIT_RECURRING_TASK,
+  'setTaskCompletion', 'completeTask', 'uncompleteTask', 'deleteTask'
+]);
+
+// Done status, the only status change gasless mode can relay
+const DONE_STATUS = 4;
+
+/**
+ * Get the network the wallet is on. The wallet is never switched silently; the network selector
+ * in the header asks it to switch.
+ * @returns {Promise<import('./networks').Network>} Network from the registry
+ */
+const getWalletNetwork = async () => {
+  const chainId = await getCurrentNetwork();
+  const network = getNetworkByChainId(chainId);
+  
+  if (!network) {
+    throw new Error(`Unsupported network with chainId ${chainId}. Pick a supported network in the network selector.`);
+  }
+  
+  return network;
+};
 
 /**
  * Get the contract address for the current network
@@ -41,35 +225,123 @@ const DEFAULT_NETWORK = process.env.NEXT_PUBLIC_DEFAULT_NETWORK?.toUpperCase() |
  */
 const getContractAddress = async () => {
   try {
-    // Get current network
-    const chainId = await getCurrentNetwork();
-    
-    // Determine which network we're on
-    let networkName;
-    if (chainId === NETWORKS.SEPOLIA.chainId) {
-      networkName = 'SEPOLIA';
-    } else if (chainId === NETWORKS.MUMBAI.chainId) {
-      networkName = 'MUMBAI';
-    } else {
-      // If we're on an unsupported network, try to switch to the default
-      console.warn(`Unsupported network with chainId ${chainId}. Attempting to switch to ${DEFAULT_NETWORK}.`);
-      await switchNetwork(DEFAULT_NETWORK);
-      networkName = DEFAULT_NETWORK;
-    }
-    
-    const contractAddress = NETWORKS[networkName].contractAddress;
+    const network = await getWalletNetwork();
     
-    if (!contractAddress || contractAddress === '0x0000000000000000000000000000000000000000') {
-      throw new Error(`Contract address not configured for ${networkName} network`);
+    if (!isDeployed(network)) {
+      throw new Error(`TaskManager is not deployed on ${network.name}`);
     }
     
-    return contractAddress;
+    return network.contractAddress;
   } catch (error) {
     console.error("Error getting contract address:", error);
     throw error;
   }
 };
 
+/**
+ * Get the TaskForwarder address for the current network
+ * @returns {Promise<string>} Forwarder address
+ */
+const getForwarderAddress = async () => {
+  const network = await getWalletNetwork();
+  
+  if (!network.forwarderAddress) {
+    throw new Error(`TaskForwarder is not deployed on ${network.name}`);
+  }
+  
+  return network.forwarderAddress;
+};
+
+/**
+ * Check whether gasless mode can be used, i.e. a relayer is configured
+ * @returns {boolean} True if gasless mode is available
+ */
+export const isGaslessAvailable = () => {
+  return Boolean(RELAYER_URL);
+};
+
+/**
+ * Check whether gasless mode is on. In gasless mode adding, editing, completing and deleting
+ * tasks is signed and submitted by the relayer instead of being sent from the wallet.
+ * @returns {boolean} True if gasless mode is on
+ */
+export const isGaslessEnabled = () => {
+  return isGaslessAvailable() && typeof window !== 'undefined' && window.localStorage.getItem(GASLESS_STORAGE_KEY) === 'true';
+};
+
+/**
+ * Turn gasless mode on or off and remember the choice
+ * @param {boolean} enabled - True to sign requests for the relayer
+ */
+export const setGaslessEnabled = (enabled) => {
+  window.localStorage.setItem(GASLESS_STORAGE_KEY, String(enabled));
+};
+
+/**
+ * Sign a contract call as an EIP-712 request and have the relayer submit it
+ * @param {ethers.Contract} contract - Contract with signer
+ * @param {string} method - Name or signature of the function to call
+ * @param {Array} args - Arguments of the call
+ * @returns {Promise<{hash: string, from: string, relayed: boolean, wait: () => Promise<Object>}>} The relayed transaction, in the shape trackTransaction expects
+ */
+const relayTransaction = async (contract, method, args) => {
+  const signer = contract.runner;
+  const from = await signer.getAddress();
+  const forwarderAddress = await getForwarderAddress();
+  const forwarder = new ethers.Contract(forwarderAddress, TaskForwarderABI, signer);
+  const { chainId } = await signer.provider.getNetwork();
+  
+  // The relayed call runs with the signer's permissions, so a direct estimate is a good bound
+  const gas = await contract[method].estimateGas(...args);
+  const request = {
+    from,
+    to: await contract.getAddress(),
+    gas: (gas * 12n / 10n).toString(),
+    nonce: (await forwarder.getNonce(from)).toString(),
+    deadline: Math.floor(Date.now() / 1000) + RELAYED_REQUEST_TTL,
+    data: contract.interface.encodeFunctionData(method, args)
+  };
+  
+  // Sign the request instead of sending a transaction
+  const domain = { name: 'TaskForwarder', version: '1', chainId, verifyingContract: forwarderAddress };
+  const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+  
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ request, signature })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Relayer responded with status ${response.status}`);
+  }
+  
+  return {
+    hash: result.transactionHash,
+    from,
+    relayed: true,
+    wait: () => signer.provider.waitForTransaction(result.transactionHash)
+  };
+};
+
+/**
+ * Send a contract call from the wallet, or relay it when gasless mode is on and the call can be relayed
+ * @param {ethers.Contract} contract - Contract with signer
+ * @param {string} method - Name or signature of the function to call
+ * @param {Array} args - Arguments of the call
+ * @param {string} description - What the transaction does, shown in the transaction history
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
+ * @returns {Promise<Object>} Mined transaction receipt
+ */
+const sendOrRelay = async (contract, method, args, description, callbacks) => {
+  if (isGaslessEnabled() && RELAYABLE_METHODS.has(method)) {
+    return trackTransaction(() => relayTransaction(contract, method, args), description, callbacks);
+  }
+  
+  // Send the transaction and wait for it to be mined
+  return trackTransaction(() => contract[method](...args), description, callbacks);
+};
+
 /**
  * Get contract instance with connected signer
  * @returns {Promise<ethers.Contract>} Contract instance with signer
@@ -85,6 +357,196 @@ const getContractWithSigner = async () => {
   }
 };
 
+/**
+ * Get a contract instance for views that works without a wallet. It reads the network picked
+ * in the network selector over its JSON-RPC endpoint.
+ * @returns {Promise<ethers.Contract>} Read-only contract instance
+ */
+const getReadOnlyContract = async () => {
+  try {
+    const network = getPreferredNetwork();
+    if (!isDeployed(network)) {
+      throw new Error(`TaskManager is not deployed on ${network?.name ?? 'any configured network'}`);
+    }
+    
+    return new ethers.Contract(network.contractAddress, TaskManagerABI, getReadOnlyProvider(network.key));
+  } catch (error) {
+    console.error("Error getting read-only contract:", error);
+    throw error;
+  }
+};
+
+/**
+ * A task as read from the contract
+ * @typedef {Object} ContractTask
+ * @property {number} id - Task ID
+ * @property {string} title - Task title
+ * @property {string} description - Task description
+ * @property {number} status - TaskStatus value
+ * @property {string} owner - Address of the owner
+ * @property {number} priority - TaskPriority value
+ * @property {Date|null} dueDate - Due date, or null if there is none
+ * @property {Date} createdAt - Creation time
+ * @property {string|null} assignee - Assigned account, or null if unassigned
+ * @property {number|null} projectId - Project the task belongs to, or null
+ * @property {TaskRecurrence|null} recurrence - Repeat rule, or null if the task doesn't repeat
+ */
+
+/**
+ * Repeat rule of a task. Completing the task creates a copy due at the next occurrence.
+ * @typedef {Object} TaskRecurrence
+ * @property {number} frequency - RecurrenceFrequency value
+ * @property {number} weekdays - Weekly: days to repeat on in UTC, bit 0 = Sunday; 0 repeats on the due date's weekday
+ * @property {number} interval - EveryNDays: number of days between occurrences
+ * @property {number} monthDay - Monthly: day of the month to repeat on, the last day in shorter months; 0 when adding uses the due date's day
+ * @property {Date|null} endDate - Last time an occurrence may be due, or null to repeat forever
+ */
+
+/**
+ * Convert a task tuple returned by the contract into a plain object
+ * @param {Object} task - Raw task struct from the contract
+ * @returns {ContractTask} Task object
+ */
+const formatTask = (task) => ({
+  id: Number(task.id),
+  title: task.title,
+  description: task.description,
+  status: Number(task.status),
+  owner: task.owner,
+  priority: Number(task.priority),
+  dueDate: task.dueDate > 0 ? new Date(Number(task.dueDate) * 1000) : null,
+  createdAt: new Date(Number(task.createdAt) * 1000),
+  assignee: task.assignee === ethers.ZeroAddress ? null : task.assignee,
+  projectId: task.projectId > 0 ? Number(task.projectId) : null,
+  recurrence: Number(task.recurrence.frequency) > 0 ? {
+    frequency: Number(task.recurrence.frequency),
+    weekdays: Number(task.recurrence.weekdays),
+    interval: Number(task.recurrence.interval),
+    monthDay: Number(task.recurrence.monthDay),
+    endDate: task.recurrence.endDate > 0 ? new Date(Number(task.recurrence.endDate) * 1000) : null
+  } : null
+});
+
+/**
+ * Convert a project tuple returned by the contract into a plain object
+ * @param {Object} project - Raw project struct from the contract
+ * @returns {Object} Project object
+ */
+const formatProject = (project) => ({
+  id: Number(project.id),
+  name: project.name,
+  owner: project.owner,
+  createdAt: new Date(Number(project.createdAt) * 1000)
+});
+
+/**
+ * Convert a label tuple returned by the contract into a plain object
+ * @param {Object} label - Raw label struct from the contract
+ * @returns {{id: number, name: string, color: string, owner: string}} Label object with a CSS hex colour
+ */
+const formatLabel = (label) => ({
+  id: Number(label.id),
+  name: label.name,
+  color: `#${Number(label.color).toString(16).padStart(6, '0')}`,
+  owner: label.owner
+});
+
+/**
+ * Convert a CSS hex colour into the RGB value stored by the contract
+ * @param {string} color - Colour such as '#ff0000'
+ * @returns {number} RGB value
+ */
+const toRgb = (color) => parseInt(color.replace('#', ''), 16);
+
+/**
+ * Convert the relations returned by getTaskRelationsBatch into task fields
+ * @param {Object} relations - Raw relation summary from the contract
+ * @returns {{parentId: number|null, subtaskProgress: {completed: number, total: number}, blockedBy: number[], openBlockers: number}} Relation fields
+ */
+const formatRelations = (relations) => ({
+  parentId: relations.hasParent ? Number(relations.parentId) : null,
+  subtaskProgress: {
+    completed: Number(relations.completedSubtasks),
+    total: Number(relations.subtaskCount)
+  },
+  blockedBy: relations.blockerIds.map(Number),
+  openBlockers: Number(relations.openBlockers)
+});
+
+/**
+ * Read the labels and relations of formatted tasks and add them to each task
+ * @param {ethers.Contract} contract - TaskManager contract instance
+ * @param {Array<ContractTask>} tasks - Formatted tasks
+ * @returns {Promise<Array>} The tasks with a `labels` array and their relation fields
+ */
+const withDetails = async (contract, tasks) => {
+  const detailed = [];
+  for (let i = 0; i < tasks.length; i += MAX_DETAILS_BATCH) {
+    const batch = tasks.slice(i, i + MAX_DETAILS_BATCH);
+    const taskIds = batch.map(task => task.id);
+    const [labels, relations] = await Promise.all([
+      contract.getTaskLabelsBatch(taskIds),
+      contract.getTaskRelationsBatch(taskIds)
+    ]);
+    batch.forEach((task, j) => detailed.push({
+      ...task,
+      labels: labels[j].map(formatLabel),
+      ...formatRelations(relations[j])
+    }));
+  }
+  return detailed;
+};
+
+/**
+ * Find an event emitted by the contract in a transaction receipt
+ * @param {ethers.Contract} contract - Contract that emitted the event
+ * @param {Object} receipt - Mined transaction receipt
+ * @param {string} eventName - Name of the event to look for
+ * @returns {Object|null} Parsed event, or null if the transaction did not emit it
+ */
+const findEvent = (contract, receipt, eventName) => {
+  return findEvents(contract, receipt, eventName)[0] || null;
+};
+
+/**
+ * Find every event with a given name emitted by the contract in a transaction receipt
+ * @param {ethers.Contract} contract - Contract that emitted the events
+ * @param {Object} receipt - Mined transaction receipt
+ * @param {string} eventName - Name of the events to look for
+ * @returns {Array<Object>} Parsed events, in log order
+ */
+const findEvents = (contract, receipt, eventName) => {
+  return receipt.logs
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(event => event && event.name === eventName);
+};
+
+/**
+ * Convert a due date into the Unix timestamp expected by the contract
+ * @param {Date|null} dueDate - Due date, or null for no due date
+ * @returns {number} Unix timestamp in seconds (0 means no due date)
+ */
+const toUnixTimestamp = (dueDate) => {
+  return dueDate ? Math.floor(dueDate.getTime() / 1000) : 0;
+};
+
+/**
+ * Convert a repeat rule into the tuple expected by the contract
+ * @param {TaskRecurrence|null} recurrence - Repeat rule, or null for a task that doesn't repeat
+ * @returns {Object} Rule with its end date in Unix seconds (a frequency of 0 means no repeat)
+ */
+const toContractRecurrence = (recurrence) => {
+  return recurrence
+    ? { ...recurrence, endDate: toUnixTimestamp(recurrence.endDate) }
+    : { frequency: 0, weekdays: 0, interval: 0, monthDay: 0, endDate: 0 };
+};
+
 /**
  * Fetch all tasks from the blockchain
  * @returns {Promise<Array>} Array of task objects
@@ -95,53 +557,197 @@ export const getAllTasks = async () => {
     const tasks = await contract.fetchAllTasks();
     
     // Transform the tasks array to a more usable format
-    return tasks.map(task => ({
-      id: Number(task.id),
-      title: task.title,
-      description: task.description,
-      completed: task.completed,
-      owner: task.owner,
-      priority: Number(task.priority),
-      dueDate: task.dueDate > 0 ? new Date(Number(task.dueDate) * 1000) : null,
-      createdAt: new Date(Number(task.createdAt) * 1000)
-    }));
+    return withDetails(contract, tasks.map(formatTask));
   } catch (error) {
     console.error("Error fetching all tasks:", error);
     throw error;
   }
 };
 
+/**
+ * Fetch one page of tasks from the blockchain
+ * @param {number} [cursor=0] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [limit=TASK_PAGE_SIZE] - Maximum number of tasks to return
+ * @returns {Promise<{tasks: Array, nextCursor: number}>} Tasks in the page and the cursor for the next one (0 when done)
+ */
+export const getTasksPage = async (cursor = 0, limit = TASK_PAGE_SIZE) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [tasks, nextCursor] = await contract.fetchTasksPage(cursor, limit);
+    
+    return {
+      tasks: await withDetails(contract, tasks.map(formatTask)),
+      nextCursor: Number(nextCursor)
+    };
+  } catch (error) {
+    console.error(`Error fetching tasks page at cursor ${cursor}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch one page of the caller's tasks that have a given status
+ * @param {number} status - Status to match (0=Todo, 1=InProgress, 2=Blocked, 3=InReview, 4=Done, 5=Cancelled)
+ * @param {number} [cursor=0] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [limit=TASK_PAGE_SIZE] - Maximum number of tasks to return
+ * @returns {Promise<{tasks: Array, nextCursor: number}>} Matching tasks in the page and the cursor for the next one (0 when done)
+ */
+export const getTasksByStatusPage = async (status, cursor = 0, limit = TASK_PAGE_SIZE) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [tasks, nextCursor] = await contract.fetchTasksByStatusPage(status, cursor, limit);
+    
+    return {
+      tasks: await withDetails(contract, tasks.map(formatTask)),
+      nextCursor: Number(nextCursor)
+    };
+  } catch (error) {
+    console.error(`Error fetching tasks with status ${status} at cursor ${cursor}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch one page of the caller's tasks that have a given priority
+ * @param {number} priority - Priority to match (0=Low, 1=Medium, 2=High)
+ * @param {number} [cursor=0] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [limit=TASK_PAGE_SIZE] - Maximum number of tasks to return
+ * @returns {Promise<{tasks: Array, nextCursor: number}>} Matching tasks in the page and the cursor for the next one (0 when done)
+ */
+export const getTasksByPriorityPage = async (priority, cursor = 0, limit = TASK_PAGE_SIZE) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [tasks, nextCursor] = await contract.fetchTasksByPriorityPage(priority, cursor, limit);
+    
+    return {
+      tasks: await withDetails(contract, tasks.map(formatTask)),
+      nextCursor: Number(nextCursor)
+    };
+  } catch (error) {
+    console.error(`Error fetching tasks with priority ${priority} at cursor ${cursor}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch one page of the caller's open tasks that are overdue or due within the next 24 hours
+ * @param {number} [cursor=0] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [limit=TASK_PAGE_SIZE] - Maximum number of tasks to return
+ * @returns {Promise<{tasks: Array, nextCursor: number}>} Matching tasks in the page and the cursor for the next one (0 when done)
+ */
+export const getTasksDueSoonPage = async (cursor = 0, limit = TASK_PAGE_SIZE) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [tasks, nextCursor] = await contract.fetchTasksDueSoonPage(cursor, limit);
+    
+    return {
+      tasks: await withDetails(contract, tasks.map(formatTask)),
+      nextCursor: Number(nextCursor)
+    };
+  } catch (error) {
+    console.error(`Error fetching tasks due soon at cursor ${cursor}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the deployment the wallet is on, which the indexer must follow for its answers to be used
+ * @returns {Promise<import('./indexer').IndexedDeployment>} Chain ID and TaskManager address
+ */
+export const getIndexedDeployment = async () => {
+  const network = await getWalletNetwork();
+  return { chainId: Number(network.chainId), contractAddress: await getContractAddress() };
+};
+
+/**
+ * Fetch one page of a task list from the indexer instead of the contract. Cursors of the indexer
+ * and the contract differ, so a list should read every page from the source of its first page.
+ * The indexer only lists public task lists, so it can serve the connected account's own list once
+ * it is public, but not a private list nor the assigned and project scopes, which mix owners.
+ * @param {'owned'|'assigned'|'project'} scope - The connected account's tasks, the tasks assigned to it, or a project's tasks
+ * @param {number|null} projectId - Project to read when the scope is 'project'
+ * @param {Object} [query={}] - Filters and ordering of the list, as taken by queryIndexedTasks
+ * @param {number} [cursor=0] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [limit=TASK_PAGE_SIZE] - Maximum number of tasks to return
+ * @returns {Promise<{tasks: Array, nextCursor: number, blockNumber: number}|null>} The page and the last block the indexer has seen, or null if no indexer is configured or it can't answer for this list
+ */
+export const getIndexedTasksPage = async (scope, projectId, query = {}, cursor = 0, limit = TASK_PAGE_SIZE) => {
+  if (!isIndexerConfigured()) {
+    return null;
+  }
+  
+  try {
+    const account = await (await getSigner()).getAddress();
+    if (scope !== 'owned' || !(await hasPublicTasks(account))) {
+      return null;
+    }
+    const { tasks, nextCursor, blockNumber } = await queryIndexedTasks(await getIndexedDeployment(), { ...query, owner: account, cursor, limit });
+    return { tasks, nextCursor, blockNumber };
+  } catch (error) {
+    console.warn("The indexer is unavailable, reading tasks from the contract:", error);
+    return null;
+  }
+};
+
 /**
  * Add a new task to the blockchain
  * @param {string} title - Task title
  * @param {string} description - Task description
+ * @param {number} [priority] - Priority level (0=Low, 1=Medium, 2=High)
+ * @param {Date|null} [dueDate] - Due date, or null for no due date
+ * @param {TaskRecurrence|null} [recurrence] - Repeat rule, set in the same transaction (needs a priority and a due date)
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
  * @returns {Promise<number>} ID of the newly created task
  */
-export const addTask = async (title, description) => {
+export const addTask = async (title, description, priority, dueDate = null, recurrence = null, callbacks = {}) => {
   try {
     const contract = await getContractWithSigner();
     
-    // Send the transaction
-    const tx = await contract.addTask(title, description);
+    // Send or relay the transaction, falling back to the contract defaults when no priority is given
+    let receipt;
+    if (recurrence) {
+      receipt = await sendOrRelay(contract, ADD_RECURRING_TASK, [title, description, priority, toUnixTimestamp(dueDate), 0, toContractRecurrence(recurrence)], `Add task "${title}"`, callbacks);
+    } else if (priority === undefined) {
+      receipt = await sendOrRelay(contract, "addTask(string,string)", [title, description], `Add task "${title}"`, callbacks);
+    } else {
+      receipt = await sendOrRelay(contract, "addTask(string,string,uint8,uint256)", [title, description, priority, toUnixTimestamp(dueDate)], `Add task "${title}"`, callbacks);
+    }
     
-    // Wait for the transaction to be mined
-    const receipt = await tx.wait();
+    // Return the task ID from the TaskAdded event
+    const event = findEvent(contract, receipt, 'TaskAdded');
+    return event ? Number(event.args.taskId) : null;
+  } catch (error) {
+    console.error("Error adding task:", error);
+    throw error;
+  }
+};
+
+/**
+ * Add a new task to a project
+ * @param {number} projectId - ID of the project to add the task to
+ * @param {string} title - Task title
+ * @param {string} description - Task description
+ * @param {number} priority - Priority level (0=Low, 1=Medium, 2=High)
+ * @param {Date|null} [dueDate] - Due date, or null for no due date
+ * @param {TaskRecurrence|null} [recurrence] - Repeat rule, set in the same transaction (needs a due date)
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
+ * @returns {Promise<number>} ID of the newly created task
+ */
+export const addProjectTask = async (projectId, title, description, priority, dueDate = null, recurrence = null, callbacks = {}) => {
+  try {
+    const contract = await getContractWithSigner();
+    const summary = `Add task "${title}" to project #${projectId}`;
     
-    // Find the TaskAdded event in the transaction logs
-    const event = receipt.logs
-      .map(log => {
-        try {
-          return contract.interface.parseLog(log);
-        } catch (e) {
-          return null;
-        }
-      })
-      .find(event => event && event.name === 'TaskAdded');
+    // A recurring task goes through the overload that takes the rule, which can also be relayed
+    const receipt = recurrence
+      ? await sendOrRelay(contract, ADD_RECURRING_TASK, [title, description, priority, toUnixTimestamp(dueDate), projectId, toContractRecurrence(recurrence)], summary, callbacks)
+      : await trackTransaction(() => contract.addProjectTask(projectId, title, description, priority, toUnixTimestamp(dueDate)), summary, callbacks);
     
-    // Return the task ID from the event
+    // Return the task ID from the TaskAdded event
+    const event = findEvent(contract, receipt, 'TaskAdded');
     return event ? Number(event.args.taskId) : null;
   } catch (error) {
-    console.error("Error adding task:", error);
+    console.error(`Error adding task to project ${projectId}:`, error);
     throw error;
   }
 };
@@ -151,17 +757,24 @@ export const addTask = async (title, description) => {
  * @param {number} taskId - ID of the task to edit
  * @param {string} newTitle - New task title
  * @param {string} newDescription - New task description
+ * @param {number} [priority] - New priority level (0=Low, 1=Medium, 2=High)
+ * @param {Date|null} [dueDate] - New due date, or null for no due date
+ * @param {TaskRecurrence|null} [recurrence] - New repeat rule, null to stop repeating, or undefined to keep the current one (changing it needs a priority)
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
  * @returns {Promise<void>}
  */
-export const editTask = async (taskId, newTitle, newDescription) => {
+export const editTask = async (taskId, newTitle, newDescription, priority, dueDate = null, recurrence = undefined, callbacks = {}) => {
   try {
     const contract = await getContractWithSigner();
     
-    // Send the transaction
-    const tx = await contract.editTask(taskId, newTitle, newDescription);
-    
-    // Wait for the transaction to be mined
-    await tx.wait();
+    // Send or relay the transaction, leaving priority and due date untouched when no priority is given
+    if (recurrence !== undefined) {
+      await sendOrRelay(contract, EDIT_RECURRING_TASK, [taskId, newTitle, newDescription, priority, toUnixTimestamp(dueDate), toContractRecurrence(recurrence)], `Edit task #${taskId}`, callbacks);
+    } else if (priority === undefined) {
+      await sendOrRelay(contract, "editTask(uint256,string,string)", [taskId, newTitle, newDescription], `Edit task #${taskId}`, callbacks);
+    } else {
+      await sendOrRelay(contract, "editTask(uint256,string,string,uint8,uint256)", [taskId, newTitle, newDescription, priority, toUnixTimestamp(dueDate)], `Edit task #${taskId}`, callbacks);
+    }
   } catch (error) {
     console.error(`Error editing task ${taskId}:`, error);
     throw error;
@@ -171,37 +784,58 @@ export const editTask = async (taskId, newTitle, newDescription) => {
 /**
  * Mark a task as completed on the blockchain
  * @param {number} taskId - ID of the task to complete
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
  * @returns {Promise<void>}
  */
-export const completeTask = async (taskId) => {
+export const completeTask = async (taskId, callbacks = {}) => {
   try {
     const contract = await getContractWithSigner();
     
-    // Send the transaction
-    const tx = await contract.completeTask(taskId);
-    
-    // Wait for the transaction to be mined
-    await tx.wait();
+    // Send or relay the transaction and wait for it to be mined
+    await sendOrRelay(contract, 'completeTask', [taskId], `Complete task #${taskId}`, callbacks);
   } catch (error) {
     console.error(`Error completing task ${taskId}:`, error);
     throw error;
   }
 };
 
+/**
+ * Move a task to a new workflow status on the blockchain
+ * @param {number} taskId - ID of the task to update
+ * @param {number} status - New status (0=Todo, 1=InProgress, 2=Blocked, 3=InReview, 4=Done, 5=Cancelled)
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
+ * @returns {Promise<void>}
+ */
+export const setTaskStatus = async (taskId, status, callbacks = {}) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Gasless mode can only relay completion, so completing goes through completeTask there
+    if (status === DONE_STATUS && isGaslessEnabled()) {
+      await sendOrRelay(contract, 'completeTask', [taskId], `Complete task #${taskId}`, callbacks);
+      return;
+    }
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setTaskStatus(taskId, status), `Change status of task #${taskId}`, callbacks);
+  } catch (error) {
+    console.error(`Error changing status of task ${taskId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Delete a task from the blockchain
  * @param {number} taskId - ID of the task to delete
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
  * @returns {Promise<void>}
  */
-export const deleteTask = async (taskId) => {
+export const deleteTask = async (taskId, callbacks = {}) => {
   try {
     const contract = await getContractWithSigner();
     
-    // Send the transaction
-    const tx = await contract.deleteTask(taskId);
-    
-    // Wait for the transaction to be mined
-    await tx.wait();
+    // Send or relay the transaction and wait for it to be mined
+    await sendOrRelay(contract, 'deleteTask', [taskId], `Delete task #${taskId}`, callbacks);
   } catch (error) {
     console.error(`Error deleting task ${taskId}:`, error);
     throw error;
@@ -209,27 +843,1065 @@ export const deleteTask = async (taskId) => {
 };
 
 /**
- * Get a single task by ID
- * @param {number} taskId - ID of the task to fetch
- * @returns {Promise<Object>} Task object
+ * Add several tasks in a single transaction. Either all tasks are created or none are.
+ * @param {Array<{title: string, description: string, priority: number, dueDate?: Date|null}>} tasks - Tasks to create (at most MAX_BATCH_SIZE)
+ * @returns {Promise<number[]>} IDs of the newly created tasks, in input order
  */
-export const getTask = async (taskId) => {
+export const addTasks = async (tasks) => {
   try {
     const contract = await getContractWithSigner();
-    const task = await contract.getTask(taskId);
     
-    return {
-      id: Number(task.id),
+    // Send the transaction and wait for it to be mined
+    const receipt = await trackTransaction(() => contract.addTasks(tasks.map(task => ({
       title: task.title,
       description: task.description,
-      completed: task.completed,
-      owner: task.owner,
-      priority: Number(task.priority),
-      dueDate: task.dueDate > 0 ? new Date(Number(task.dueDate) * 1000) : null,
-      createdAt: new Date(Number(task.createdAt) * 1000)
-    };
+      priority: task.priority,
+      dueDate: toUnixTimestamp(task.dueDate ?? null)
+    }))), `Add ${tasks.length} tasks`);
+    
+    // Return the task IDs from the TaskAdded events, one per task
+    return findEvents(contract, receipt, 'TaskAdded').map(event => Number(event.args.taskId));
   } catch (error) {
-    console.error(`Error fetching task ${taskId}:`, error);
+    console.error(`Error adding ${tasks.length} tasks:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Mark several tasks as completed or not completed in a single transaction.
+ * The transaction reverts as a whole if any of the tasks cannot be changed.
+ * @param {number[]} taskIds - IDs of the tasks (at most MAX_BATCH_SIZE)
+ * @param {boolean} completed - True to complete the tasks, false to reopen done tasks
+ * @returns {Promise<void>}
+ */
+export const setTasksCompletion = async (taskIds, completed) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setTasksCompletion(taskIds, completed), `${completed ? 'Complete' : 'Reopen'} ${taskIds.length} tasks`);
+  } catch (error) {
+    console.error(`Error ${completed ? 'completing' : 'reopening'} tasks ${taskIds.join(', ')}:`, error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Delete several tasks in a single transaction. Either all tasks are deleted or none are.
+ * @param {number[]} taskIds - IDs of the tasks to delete (at most MAX_BATCH_SIZE)
+ * @returns {Promise<void>}
+ */
+export const deleteTasks = async (taskIds) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.deleteTasks(taskIds), `Delete ${taskIds.length} tasks`);
+  } catch (error) {
+    console.error(`Error deleting tasks ${taskIds.join(', ')}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single task by ID
+ * @param {number} taskId - ID of the task to fetch
+ * @returns {Promise<Object>} Task object
+ */
+export const getTask = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const task = await contract.getTask(taskId);
+    const [detailed] = await withDetails(contract, [formatTask(task)]);
+    
+    return detailed;
+  } catch (error) {
+    console.error(`Error fetching task ${taskId}:`, error);
+    throw error;
+  }
+}; 
+
+/**
+ * Fetch the tasks assigned to the connected account
+ * @returns {Promise<Array>} Array of task objects
+ */
+export const getAssignedTasks = async () => {
+  try {
+    const contract = await getContractWithSigner();
+    const tasks = await contract.fetchAssignedTasks();
+    return withDetails(contract, tasks.map(formatTask));
+  } catch (error) {
+    console.error("Error fetching assigned tasks:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the tasks of any account that made its task list public. Works without a wallet.
+ * @param {string} user - Address whose tasks to fetch
+ * @param {string|null} [viewer] - Account reading the list; owners can read their own list while it is private
+ * @returns {Promise<Array>} Array of task objects
+ */
+export const fetchTasksOf = async (user, viewer = null) => {
+  try {
+    const contract = await getReadOnlyContract();
+    const tasks = await contract.fetchTasksOf(user, viewer ? { from: viewer } : {});
+    return withDetails(contract, tasks.map(formatTask));
+  } catch (error) {
+    console.error(`Error fetching tasks of ${user}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether an account's task list can be read by anyone. Works without a wallet.
+ * @param {string} user - Address to check
+ * @returns {Promise<boolean>} True if the task list is public
+ */
+export const hasPublicTasks = async (user) => {
+  try {
+    const contract = await getReadOnlyContract();
+    return await contract.hasPublicTasks(user);
+  } catch (error) {
+    console.error(`Error checking task visibility of ${user}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Make the connected account's task list public or private. The task data itself is always
+ * readable on-chain; this only controls whether fetchTasksOf serves it to others.
+ * @param {boolean} isPublic - True to let anyone read the list
+ * @returns {Promise<void>}
+ */
+export const setTasksPublic = async (isPublic) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setTasksPublic(isPublic), isPublic ? 'Make task list public' : 'Make task list private');
+  } catch (error) {
+    console.error("Error changing task list visibility:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the encryption public key an account published, see utils/encryption.js
+ * @param {string} account - Address of the account
+ * @returns {Promise<string|null>} x-only public key as a hex string, or null if the account has not published one
+ */
+export const getEncryptionKey = async (account) => {
+  try {
+    const contract = await getReadOnlyContract();
+    const publicKey = await contract.getEncryptionKey(account);
+    return publicKey === ethers.ZeroHash ? null : publicKey;
+  } catch (error) {
+    console.error(`Error reading the encryption key of ${account}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Publish the connected account's encryption public key, so others can share encrypted tasks with it
+ * @param {string} publicKey - x-only public key as a hex string
+ * @returns {Promise<void>}
+ */
+export const setEncryptionKey = async (publicKey) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setEncryptionKey(publicKey), 'Publish encryption key');
+  } catch (error) {
+    console.error("Error publishing the encryption key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Assign a task to someone, or unassign it
+ * @param {number} taskId - ID of the task to assign
+ * @param {string|null} assignee - Address to assign the task to, or null to unassign
+ * @returns {Promise<void>}
+ */
+export const assignTask = async (taskId, assignee) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.assignTask(taskId, assignee || ethers.ZeroAddress), assignee ? `Assign task #${taskId}` : `Unassign task #${taskId}`);
+  } catch (error) {
+    console.error(`Error assigning task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Hand a task over to a new owner
+ * @param {number} taskId - ID of the task to transfer
+ * @param {string} newOwner - Address of the new owner
+ * @returns {Promise<void>}
+ */
+export const transferTask = async (taskId, newOwner) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.transferTask(taskId, newOwner), `Transfer task #${taskId}`);
+  } catch (error) {
+    console.error(`Error transferring task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Grant, change or revoke a collaborator's permission on a task
+ * @param {number} taskId - ID of the task to share
+ * @param {string} collaborator - Address of the collaborator
+ * @param {number} permission - Permission level (0=None to revoke, 1=View, 2=Complete, 3=Edit)
+ * @returns {Promise<void>}
+ */
+export const setCollaborator = async (taskId, collaborator, permission) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setCollaborator(taskId, collaborator, permission), `Share task #${taskId}`);
+  } catch (error) {
+    console.error(`Error updating collaborator on task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the collaborators of a task
+ * @param {number} taskId - ID of the task
+ * @returns {Promise<Array<{address: string, permission: number}>>} Collaborators and their permissions
+ */
+export const getCollaborators = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [collaborators, permissions] = await contract.getCollaborators(taskId);
+    
+    return collaborators.map((address, i) => ({
+      address,
+      permission: Number(permissions[i])
+    }));
+  } catch (error) {
+    console.error(`Error fetching collaborators of task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the projects the connected account is a member of
+ * @returns {Promise<Array>} Array of project objects
+ */
+export const getMyProjects = async () => {
+  try {
+    const contract = await getContractWithSigner();
+    const projects = await contract.fetchMyProjects();
+    return projects.map(formatProject);
+  } catch (error) {
+    console.error("Error fetching projects:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch all tasks in a project
+ * @param {number} projectId - ID of the project
+ * @returns {Promise<Array>} Array of task objects
+ */
+export const fetchProjectTasks = async (projectId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tasks = await contract.fetchProjectTasks(projectId);
+    return withDetails(contract, tasks.map(formatTask));
+  } catch (error) {
+    console.error(`Error fetching tasks of project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch one page of a project's tasks
+ * @param {number} projectId - ID of the project
+ * @param {number} [cursor=0] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [limit=TASK_PAGE_SIZE] - Maximum number of tasks to return
+ * @returns {Promise<{tasks: Array, nextCursor: number}>} Tasks in the page and the cursor for the next one (0 when done)
+ */
+export const getProjectTasksPage = async (projectId, cursor = 0, limit = TASK_PAGE_SIZE) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [tasks, nextCursor] = await contract.fetchProjectTasksPage(projectId, cursor, limit);
+    
+    return {
+      tasks: await withDetails(contract, tasks.map(formatTask)),
+      nextCursor: Number(nextCursor)
+    };
+  } catch (error) {
+    console.error(`Error fetching tasks page of project ${projectId} at cursor ${cursor}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create a project owned by the connected account
+ * @param {string} name - Project name
+ * @returns {Promise<number>} ID of the newly created project
+ */
+export const createProject = async (name) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    const receipt = await trackTransaction(() => contract.createProject(name), `Create project "${name}"`);
+    
+    // Return the project ID from the ProjectCreated event
+    const event = findEvent(contract, receipt, 'ProjectCreated');
+    return event ? Number(event.args.projectId) : null;
+  } catch (error) {
+    console.error("Error creating project:", error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a project
+ * @param {number} projectId - ID of the project to rename
+ * @param {string} newName - New project name
+ * @returns {Promise<void>}
+ */
+export const renameProject = async (projectId, newName) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.renameProject(projectId, newName), `Rename project #${projectId}`);
+  } catch (error) {
+    console.error(`Error renaming project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an empty project
+ * @param {number} projectId - ID of the project to delete
+ * @returns {Promise<void>}
+ */
+export const deleteProject = async (projectId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.deleteProject(projectId), `Delete project #${projectId}`);
+  } catch (error) {
+    console.error(`Error deleting project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Add a project member, change their role or remove them
+ * @param {number} projectId - ID of the project
+ * @param {string} member - Address of the member
+ * @param {number} role - Project role (0=None to remove, 1=Viewer, 2=Member, 3=Admin)
+ * @returns {Promise<void>}
+ */
+export const setProjectMember = async (projectId, member, role) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setProjectMember(projectId, member, role), `Change a member of project #${projectId}`);
+  } catch (error) {
+    console.error(`Error updating member of project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the members of a project
+ * @param {number} projectId - ID of the project
+ * @returns {Promise<Array<{address: string, role: number}>>} Members and their roles
+ */
+export const getProjectMembers = async (projectId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const [members, roles] = await contract.getProjectMembers(projectId);
+    
+    return members.map((address, i) => ({
+      address,
+      role: Number(roles[i])
+    }));
+  } catch (error) {
+    console.error(`Error fetching members of project ${projectId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the labels created by the connected account
+ * @returns {Promise<Array<{id: number, name: string, color: string, owner: string}>>} Array of label objects
+ */
+export const getMyLabels = async () => {
+  try {
+    const contract = await getContractWithSigner();
+    const labels = await contract.fetchMyLabels();
+    return labels.map(formatLabel);
+  } catch (error) {
+    console.error("Error fetching labels:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the tasks carrying one of the connected account's labels
+ * @param {number} labelId - ID of the label
+ * @returns {Promise<Array>} Array of task objects
+ */
+export const getTasksByLabel = async (labelId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tasks = await contract.fetchTasksByLabel(labelId);
+    return withDetails(contract, tasks.map(formatTask));
+  } catch (error) {
+    console.error(`Error fetching tasks with label ${labelId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create a label owned by the connected account
+ * @param {string} name - Label name
+ * @param {string} color - CSS hex colour such as '#ff0000'
+ * @returns {Promise<number>} ID of the newly created label
+ */
+export const createLabel = async (name, color) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    const receipt = await trackTransaction(() => contract.createLabel(name, toRgb(color)), `Create label "${name}"`);
+    
+    // Return the label ID from the LabelCreated event
+    const event = findEvent(contract, receipt, 'LabelCreated');
+    return event ? Number(event.args.labelId) : null;
+  } catch (error) {
+    console.error("Error creating label:", error);
+    throw error;
+  }
+};
+
+/**
+ * Rename or recolour a label
+ * @param {number} labelId - ID of the label to update
+ * @param {string} name - New label name
+ * @param {string} color - New CSS hex colour
+ * @returns {Promise<void>}
+ */
+export const updateLabel = async (labelId, name, color) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.updateLabel(labelId, name, toRgb(color)), `Update label #${labelId}`);
+  } catch (error) {
+    console.error(`Error updating label ${labelId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a label and remove it from all tasks
+ * @param {number} labelId - ID of the label to delete
+ * @returns {Promise<void>}
+ */
+export const deleteLabel = async (labelId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.deleteLabel(labelId), `Delete label #${labelId}`);
+  } catch (error) {
+    console.error(`Error deleting label ${labelId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the labels of a task
+ * @param {number} taskId - ID of the task
+ * @param {number[]} labelIds - IDs of the labels the task should carry
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks of the transaction
+ * @returns {Promise<void>}
+ */
+export const setTaskLabels = async (taskId, labelIds, callbacks = {}) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setTaskLabels(taskId, labelIds), `Set labels of task #${taskId}`, callbacks);
+  } catch (error) {
+    console.error(`Error setting labels of task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Add a subtask to a task. The subtask belongs to the same project as its parent.
+ * @param {number} parentId - ID of the parent task
+ * @param {string} title - Subtask title
+ * @param {string} description - Subtask description
+ * @param {number} priority - Priority level (0=Low, 1=Medium, 2=High)
+ * @param {Date|null} [dueDate] - Due date, or null for no due date
+ * @returns {Promise<number>} ID of the newly created subtask
+ */
+export const addSubtask = async (parentId, title, description, priority, dueDate = null) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    const receipt = await trackTransaction(() => contract.addSubtask(parentId, title, description, priority, toUnixTimestamp(dueDate)), `Add subtask "${title}" to task #${parentId}`);
+    
+    // Return the task ID from the TaskAdded event
+    const event = findEvent(contract, receipt, 'TaskAdded');
+    return event ? Number(event.args.taskId) : null;
+  } catch (error) {
+    console.error(`Error adding subtask to task ${parentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the subtasks of a task
+ * @param {number} taskId - ID of the parent task
+ * @returns {Promise<Array>} Array of task objects
+ */
+export const getSubtasks = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tasks = await contract.getSubtasks(taskId);
+    return withDetails(contract, tasks.map(formatTask));
+  } catch (error) {
+    console.error(`Error fetching subtasks of task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the tasks blocking a task, including blockers that are already closed
+ * @param {number} taskId - ID of the blocked task
+ * @returns {Promise<Array>} Array of task objects
+ */
+export const getBlockers = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tasks = await contract.getBlockers(taskId);
+    return tasks.map(formatTask);
+  } catch (error) {
+    console.error(`Error fetching blockers of task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Make a task a subtask of another task, moving it if it already has a parent
+ * @param {number} taskId - ID of the task that becomes a subtask
+ * @param {number} parentId - ID of the new parent task
+ * @returns {Promise<void>}
+ */
+export const setParentTask = async (taskId, parentId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setParentTask(taskId, parentId), `Make task #${taskId} a subtask of #${parentId}`);
+  } catch (error) {
+    console.error(`Error moving task ${taskId} under task ${parentId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Turn a subtask back into a top-level task
+ * @param {number} taskId - ID of the subtask
+ * @returns {Promise<void>}
+ */
+export const removeParentTask = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.removeParentTask(taskId), `Detach task #${taskId} from its parent`);
+  } catch (error) {
+    console.error(`Error detaching task ${taskId} from its parent:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a task as blocked by another task. The contract rejects dependency cycles.
+ * @param {number} taskId - ID of the blocked task
+ * @param {number} blockerId - ID of the task that has to be closed first
+ * @returns {Promise<void>}
+ */
+export const addTaskBlocker = async (taskId, blockerId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.addTaskBlocker(taskId, blockerId), `Block task #${taskId} on #${blockerId}`);
+  } catch (error) {
+    console.error(`Error adding blocker ${blockerId} to task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a blocker from a task
+ * @param {number} taskId - ID of the blocked task
+ * @param {number} blockerId - ID of the blocker to remove
+ * @returns {Promise<void>}
+ */
+export const removeTaskBlocker = async (taskId, blockerId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.removeTaskBlocker(taskId, blockerId), `Unblock task #${taskId} from #${blockerId}`);
+  } catch (error) {
+    console.error(`Error removing blocker ${blockerId} from task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Admin roles held by an account
+ * @typedef {Object} AdminRoles
+ * @property {boolean} admin - Can grant and revoke roles
+ * @property {boolean} pauser - Can pause and unpause the contract
+ * @property {boolean} moderator - Can delete any task and read the total task count
+ * @property {boolean} config - Can change the maximum number of tasks per user
+ */
+
+/**
+ * Check which admin roles an account holds
+ * @param {string} account - Address to check
+ * @returns {Promise<AdminRoles>} Roles held by the account
+ */
+export const getAdminRoles = async (account) => {
+  try {
+    const contract = await getContractWithSigner();
+    const names = Object.keys(ADMIN_ROLES);
+    const held = await Promise.all(names.map(name => contract.hasRole(ADMIN_ROLES[name], account)));
+    return /** @type {AdminRoles} */ (Object.fromEntries(names.map((name, i) => [name, held[i]])));
+  } catch (error) {
+    console.error(`Error reading admin roles of ${account}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read the contract-wide settings and who holds each admin role
+ * @returns {Promise<{isPaused: boolean, maxTasksPerUser: number, roleMembers: Record<keyof AdminRoles, string[]>}>} Contract state
+ */
+export const getAdminState = async () => {
+  try {
+    const contract = await getContractWithSigner();
+    const names = Object.keys(ADMIN_ROLES);
+    const [isPaused, maxTasksPerUser, ...members] = await Promise.all([
+      contract.isPaused(),
+      contract.getMaxTasksPerUser(),
+      ...names.map(name => contract.getRoleMembers(ADMIN_ROLES[name]))
+    ]);
+    
+    return {
+      isPaused,
+      maxTasksPerUser: Number(maxTasksPerUser),
+      roleMembers: /** @type {Record<keyof AdminRoles, string[]>} */ (Object.fromEntries(names.map((name, i) => [name, [...members[i]]])))
+    };
+  } catch (error) {
+    console.error("Error reading contract state:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the number of tasks ever created, which is also the next task ID (moderators only)
+ * @returns {Promise<number>} Total task count
+ */
+export const getTotalTaskCount = async () => {
+  try {
+    const contract = await getContractWithSigner();
+    return Number(await contract.getTotalTaskCount());
+  } catch (error) {
+    console.error("Error fetching total task count:", error);
+    throw error;
+  }
+};
+
+/**
+ * Read tasks of any account by ID, newest first, for moderation. Deleted IDs are skipped.
+ * @param {number} beforeId - Read IDs below this one
+ * @param {number} [limit=TASK_PAGE_SIZE] - Number of IDs to read
+ * @returns {Promise<{tasks: Array<ContractTask>, nextBeforeId: number}>} Tasks found and the ID to continue from (0 when done)
+ */
+export const getTasksBefore = async (beforeId, limit = TASK_PAGE_SIZE) => {
+  try {
+    const contract = await getContractWithSigner();
+    const firstId = Math.max(0, beforeId - limit);
+    const ids = Array.from({ length: beforeId - firstId }, (_, i) => beforeId - 1 - i);
+    const tasks = await Promise.all(ids.map(id => contract.getTask(id)));
+    
+    return {
+      tasks: tasks.filter(task => task.owner !== ethers.ZeroAddress).map(formatTask),
+      nextBeforeId: firstId
+    };
+  } catch (error) {
+    console.error(`Error fetching tasks before ${beforeId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read any task by ID, for moderation
+ * @param {number} taskId - ID of the task
+ * @returns {Promise<ContractTask|null>} The task, or null if it doesn't exist
+ */
+export const findTask = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const task = await contract.getTask(taskId);
+    return task.owner === ethers.ZeroAddress ? null : formatTask(task);
+  } catch (error) {
+    console.error(`Error finding task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Pause or unpause the contract (pausers only). While paused, no task can be changed.
+ * @param {boolean} paused - New paused state
+ * @returns {Promise<void>}
+ */
+export const setPaused = async (paused) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setPaused(paused), paused ? 'Pause contract' : 'Unpause contract');
+  } catch (error) {
+    console.error("Error changing paused state:", error);
+    throw error;
+  }
+};
+
+/**
+ * Set how many tasks each account may own (config admins only)
+ * @param {number} maxTasks - New limit
+ * @returns {Promise<void>}
+ */
+export const setMaxTasksPerUser = async (maxTasks) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.setMaxTasksPerUser(maxTasks), `Set task limit to ${maxTasks}`);
+  } catch (error) {
+    console.error("Error setting max tasks per user:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete any account's task (moderators only)
+ * @param {number} taskId - ID of the task to delete
+ * @returns {Promise<void>}
+ */
+export const adminDeleteTask = async (taskId) => {
+  try {
+    const contract = await getContractWithSigner();
+    
+    // Send the transaction and wait for it to be mined
+    await trackTransaction(() => contract.adminDeleteTask(taskId), `Moderate: delete task #${taskId}`);
+  } catch (error) {
+    console.error(`Error deleting task ${taskId} as moderator:`, error);
+    throw error;
+  }
+};
+
+/**
+ * A change in the history of a task
+ * @typedef {Object} TaskHistoryEntry
+ * @property {string} name - Event name, e.g. "TaskUpdated"
+ * @property {number} blockNumber - Block the change was made in
+ * @property {number} logIndex - Position of the event in the block
+ * @property {string} transactionHash - Transaction that made the change
+ * @property {Date} timestamp - Time of the change
+ * @property {string|null} actor - Account that made the change, if the event records it
+ * @property {Object<string, any>} args - Event arguments by name, with integers as numbers and structs as objects
+ */
+
+// Convert a decoded event argument into the plain value the indexer stores for it
+const toPlainValue = (value, param) => {
+  if (param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map(component => [component.name, toPlainValue(value[component.name], component)]));
+  }
+  if (typeof value === 'bigint') {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+  }
+  return value;
+};
+
+// Account that made a change; transfers and sharing are always made by the task's (previous) owner
+const getActor = (name, args) => args.actor ?? (name === 'TaskTransferred' ? args.previousOwner : args.owner) ?? null;
+
+// Read logs over a block range, in MAX_LOG_RANGE chunks when the provider refuses the whole range at once
+const getLogsInRange = async (provider, filter, fromBlock, toBlock) => {
+  try {
+    return await provider.getLogs({ ...filter, fromBlock, toBlock });
+  } catch (error) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += MAX_LOG_RANGE) {
+      logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: Math.min(start + MAX_LOG_RANGE - 1, toBlock) }));
+    }
+    return logs;
+  }
+};
+
+/**
+ * Get the history of a task, oldest first: every change with the account that made it and the
+ * values it replaced. Read from the indexer when it follows the wallet's network, and rebuilt from
+ * the contract's logs otherwise, filtered on the indexed task ID.
+ * @param {number} taskId - Task ID
+ * @returns {Promise<TaskHistoryEntry[]>} The changes
+ */
+export const getTaskHistory = async (taskId) => {
+  if (isIndexerConfigured()) {
+    try {
+      const events = await getIndexedTaskHistory(await getIndexedDeployment(), taskId);
+      return events
+        .filter(event => HISTORY_EVENTS.includes(event.name))
+        .map(({ name, blockNumber, logIndex, transactionHash, timestamp, args }) => ({
+          name, blockNumber, logIndex, transactionHash, timestamp, actor: getActor(name, args), args
+        }));
+    } catch (error) {
+      console.warn("The indexer is unavailable, reading the task history from the contract:", error);
+    }
+  }
+
+  try {
+    const provider = getProvider();
+    const network = await getWalletNetwork();
+    const address = await getContractAddress();
+    const contract = new ethers.Contract(address, TaskManagerABI, provider);
+    const topicsOf = (names) => names.map(name => contract.interface.getEvent(name).topicHash);
+    const taskTopic = ethers.zeroPadValue(ethers.toBeHex(taskId), 32);
+
+    // Events about the task, and links made from other tasks to it. The latest block is read from the
+    // node, as getBlockNumber may answer from a cache and miss a change that was just made.
+    const toBlock = (await provider.getBlock('latest')).number;
+    const [own, linked] = await Promise.all([
+      getLogsInRange(provider, { address, topics: [topicsOf(HISTORY_EVENTS), taskTopic] }, network.deploymentBlock, toBlock),
+      getLogsInRange(provider, { address, topics: [topicsOf(LINK_EVENTS), null, taskTopic] }, network.deploymentBlock, toBlock)
+    ]);
+    const logs = [...own, ...linked].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blockTimes = new Map();
+    const history = [];
+    for (const log of logs) {
+      const event = contract.interface.parseLog(log);
+      const args = Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name, toPlainValue(event.args[i], input)]));
+      // Label and relation events carry no timestamp of their own
+      if (args.timestamp === undefined && !blockTimes.has(log.blockNumber)) {
+        blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      history.push({
+        name: event.name,
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        timestamp: new Date((args.timestamp ?? blockTimes.get(log.blockNumber)) * 1000),
+        actor: getActor(event.name, args),
+        args
+      });
+    }
+    return history;
+  } catch (error) {
+    console.error(`Error reading the history of task ${taskId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to live task changes for the connected account.
+ *
+ * Contract logs are polled from the last processed block, so changes made in another
+ * tab or on another device are picked up, and after a dropped connection the
+ * subscription catches up from where it stopped. Every task touched by a log is
+ * re-read with getTask, which keeps patches idempotent and lets a chain reorg be
+ * undone by re-reading the tasks touched in the orphaned blocks.
+ *
+ * @param {Object} handlers - Callbacks for task changes
+ * @param {(task: ReturnType<typeof formatTask> & ReturnType<typeof formatRelations> & {labels: Array<ReturnType<typeof formatLabel>>}) => void} handlers.onTaskChanged - Called with the latest state of an added or updated task
+ * @param {(taskId: number) => void} handlers.onTaskRemoved - Called with the ID of a task that was deleted or left the scope
+ * @param {(error: Error) => void} [handlers.onError] - Called when a poll fails; the subscription keeps retrying with backoff
+ * @param {Object} [options] - Subscription options
+ * @param {number} [options.fromBlock] - First block to process (defaults to the next block)
+ * @param {number} [options.pollInterval=4000] - Milliseconds between polls
+ * @param {'owned'|'assigned'|'project'} [options.scope='owned'] - Follow the tasks the account owns, the tasks assigned to it or the tasks in a project
+ * @param {number} [options.projectId] - Project to follow when the scope is 'project'
+ * @returns {Promise<() => void>} Function that stops the subscription
+ */
+export const subscribeToTasks = async ({ onTaskChanged, onTaskRemoved, onError }, { fromBlock, pollInterval = 4000, scope = 'owned', projectId } = {}) => {
+  const provider = getProvider();
+  const contractAddress = await getContractAddress();
+  const contract = new ethers.Contract(contractAddress, TaskManagerABI, provider);
+  const signer = await getSigner();
+  const account = (await signer.getAddress()).toLowerCase();
+  const topics = TASK_EVENTS.map(name => contract.interface.getEvent(name).topicHash);
+
+  let lastBlock = fromBlock !== undefined ? fromBlock - 1 : await provider.getBlockNumber();
+  // Hashes of recently processed blocks and the task IDs touched in them, for reorg detection
+  const blockHashes = new Map();
+  const touchedTasks = new Map();
+  // Tasks whose events were read but whose state wasn't handed to the caller yet. They are kept
+  // across polls, so a failed read is retried by the next poll instead of being lost.
+  const unrefreshed = new Set();
+  let failures = 0;
+  let timer = null;
+  let stopped = false;
+
+  // Forget blocks that are too deep to be reorganised
+  const prune = () => {
+    for (const blockNumber of blockHashes.keys()) {
+      if (blockNumber <= lastBlock - REORG_DEPTH) {
+        blockHashes.delete(blockNumber);
+        touchedTasks.delete(blockNumber);
+      }
+    }
+  };
+
+  // Rewind to the last block that is still canonical and return the task IDs touched after it
+  const rewindReorg = async () => {
+    const affected = new Set();
+    const knownBlocks = [...blockHashes.keys()].sort((a, b) => b - a);
+    
+    for (const blockNumber of knownBlocks) {
+      const block = await provider.getBlock(blockNumber);
+      if (block && block.hash === blockHashes.get(blockNumber)) {
+        break;
+      }
+      
+      (touchedTasks.get(blockNumber) || []).forEach(taskId => affected.add(taskId));
+      blockHashes.delete(blockNumber);
+      touchedTasks.delete(blockNumber);
+      lastBlock = blockNumber - 1;
+    }
+    
+    return affected;
+  };
+
+  // Check whether a task belongs to the subscribed scope
+  const inScope = (task) => {
+    if (scope === 'project') {
+      return task.owner !== ethers.ZeroAddress && Number(task.projectId) === projectId;
+    }
+    const member = scope === 'assigned' ? task.assignee : task.owner;
+    return member !== ethers.ZeroAddress && member.toLowerCase() === account;
+  };
+
+  // Re-read each task and hand the current state to the caller, forgetting the ones that were handed over
+  const refreshTasks = async (taskIds) => {
+    for (const taskId of taskIds) {
+      if (stopped) return;
+      const task = await contract.getTask(taskId);
+      if (inScope(task)) {
+        const [detailed] = await withDetails(contract, [formatTask(task)]);
+        onTaskChanged(detailed);
+        // A subtask changing state changes its parent's completion rollup
+        if (detailed.parentId !== null) {
+          taskIds.add(detailed.parentId);
+        }
+      } else {
+        onTaskRemoved(taskId);
+      }
+      taskIds.delete(taskId);
+    }
+  };
+
+  const poll = async () => {
+    (await rewindReorg()).forEach(taskId => unrefreshed.add(taskId));
+    const latestBlock = await provider.getBlockNumber();
+    
+    while (lastBlock < latestBlock) {
+      const toBlock = Math.min(lastBlock + MAX_LOG_RANGE, latestBlock);
+      const logs = await provider.getLogs({
+        address: contractAddress,
+        topics: [topics],
+        fromBlock: lastBlock + 1,
+        toBlock
+      });
+      
+      for (const log of logs) {
+        const event = contract.interface.parseLog(log);
+        // Tasks are added unassigned and owned by their creator, so most can be skipped without a lookup. The next
+        // occurrence of a recurring task keeps its assignee, and is picked up through TaskRecurred below.
+        if (!event || (event.name === 'TaskAdded' && scope !== 'project' && (scope === 'assigned' || event.args.owner.toLowerCase() !== account))) {
+          continue;
+        }
+        
+        const taskIds = [Number(event.args.taskId)];
+        if (event.name === 'SubtaskAdded' || event.name === 'SubtaskRemoved') {
+          taskIds.push(Number(event.args.parentId));
+        } else if (event.name === 'TaskRecurred') {
+          taskIds.push(Number(event.args.nextTaskId));
+        }
+        blockHashes.set(log.blockNumber, log.blockHash);
+        if (!touchedTasks.has(log.blockNumber)) {
+          touchedTasks.set(log.blockNumber, new Set());
+        }
+        for (const taskId of taskIds) {
+          unrefreshed.add(taskId);
+          touchedTasks.get(log.blockNumber).add(taskId);
+        }
+      }
+      
+      const block = await provider.getBlock(toBlock);
+      if (block) {
+        blockHashes.set(toBlock, block.hash);
+      }
+      lastBlock = toBlock;
+    }
+    
+    prune();
+    await refreshTasks(unrefreshed);
+  };
+
+  const schedule = () => {
+    if (stopped) return;
+    // Back off exponentially while the provider keeps failing
+    const delay = Math.min(pollInterval * 2 ** failures, MAX_POLL_BACKOFF);
+    timer = setTimeout(async () => {
+      try {
+        await poll();
+        failures = 0;
+      } catch (error) {
+        failures++;
+        console.error("Error polling task events:", error);
+        if (onError) onError(error);
+      }
+      schedule();
+    }, delay);
+  };
+
+  schedule();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
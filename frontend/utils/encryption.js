@@ -0,0 +1,307 @@
+// Client-side encryption of task titles and descriptions.
+//
+// Every encrypted task has its own random AES-256-GCM content key. The title and description are
+// encrypted together with it and stored in the task's title field as a sealed payload, leaving the
+// description field empty, so the contract only ever sees ciphertext. The content key is wrapped
+// once per reader: with AES-KW under a key agreed by ECDH between a one-off secp256k1 key and the
+// reader's encryption key.
+//
+// An account's encryption key is derived from its wallet's signature of a fixed message, so the
+// same wallet gets the same key in any browser without storing anything. Accounts publish the
+// public half with TaskManager.setEncryptionKey so others can add them as readers. Unlocked keys
+// are only kept in memory and are gone on reload.
+import { ethers } from 'ethers';
+import { getSigner } from './ethers';
+
+// Prefix of the sealed payload in the title field; the rest is base64
+const SEALED_PREFIX = 'enc:v1:';
+const FORMAT_VERSION = 1;
+
+// Sizes in bytes of the parts of a sealed payload
+const ADDRESS_SIZE = 20;
+const PUBLIC_KEY_SIZE = 32;
+const WRAPPED_KEY_SIZE = 40;
+const READER_SIZE = ADDRESS_SIZE + PUBLIC_KEY_SIZE + WRAPPED_KEY_SIZE;
+const IV_SIZE = 12;
+
+// Order of the secp256k1 group, for turning derived bytes into a private key
+const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+// Shown in place of the title of a task that can't be decrypted
+export const LOCKED_TITLE = 'Encrypted task';
+
+/**
+ * Title and description of a task, as the owner wrote them
+ * @typedef {Object} TaskContent
+ * @property {string} title - Task title
+ * @property {string} description - Task description
+ */
+
+/**
+ * An account that can decrypt a task
+ * @typedef {Object} TaskReader
+ * @property {string} address - Account address
+ * @property {string} publicKey - The account's x-only encryption public key as a hex string
+ */
+
+// Unlocked key pairs by lower-case account
+const unlockedKeys = new Map();
+
+// Decrypted content by sealed payload, so each payload is only decrypted once
+const openedContent = new Map();
+
+const listeners = new Set();
+
+// The message an account signs to derive its encryption key. Changing it changes every key.
+const getKeyMessage = (account) =>
+  'Unlock encrypted tasks in Blockchain Task Manager\n\n' +
+  `Account: ${account}\n\n` +
+  'Signing this message derives your encryption key. It costs no gas and is never sent anywhere. ' +
+  'Only sign it in this app: anyone holding this signature can read your encrypted tasks.';
+
+// Derive key material from a secret with HKDF-SHA256
+const hkdf = async (secret, info) => {
+  const key = await crypto.subtle.importKey('raw', ethers.getBytes(secret), 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: ethers.toUtf8Bytes(info) },
+    key,
+    256
+  );
+  return new Uint8Array(bits);
+};
+
+// Turn 32 bytes into a key pair whose public key has an even y coordinate, so the x coordinate
+// alone identifies it and fits the bytes32 the contract stores
+const toKeyPair = (seed) => {
+  const d = BigInt(ethers.hexlify(seed)) % (CURVE_ORDER - BigInt(1)) + BigInt(1);
+  let signingKey = new ethers.SigningKey(ethers.toBeHex(d, 32));
+  if (signingKey.compressedPublicKey.startsWith('0x03')) {
+    signingKey = new ethers.SigningKey(ethers.toBeHex(CURVE_ORDER - d, 32));
+  }
+  return { signingKey, publicKey: ethers.dataSlice(signingKey.compressedPublicKey, 1) };
+};
+
+// AES-KW key shared by a private key and an x-only public key
+const getWrappingKey = async (signingKey, publicKey) => {
+  const sharedPoint = signingKey.computeSharedSecret(ethers.concat(['0x02', publicKey]));
+  const secret = await hkdf(ethers.dataSlice(sharedPoint, 1, 33), 'task-key-wrap');
+  return crypto.subtle.importKey('raw', secret, 'AES-KW', false, ['wrapKey', 'unwrapKey']);
+};
+
+// Wrap a content key for one reader with a fresh one-off key pair
+const wrapFor = async (contentKey, reader) => {
+  const ephemeral = toKeyPair(crypto.getRandomValues(new Uint8Array(32)));
+  const wrappingKey = await getWrappingKey(ephemeral.signingKey, reader.publicKey);
+  const wrapped = await crypto.subtle.wrapKey('raw', contentKey, wrappingKey, 'AES-KW');
+  return ethers.concat([ethers.getAddress(reader.address), ephemeral.publicKey, new Uint8Array(wrapped)]);
+};
+
+// Split a sealed payload into its readers and the encrypted content
+const parseSealed = (sealed) => {
+  const bytes = ethers.decodeBase64(sealed.slice(SEALED_PREFIX.length));
+  if (bytes[0] !== FORMAT_VERSION) {
+    throw new Error(`Unsupported encrypted task format ${bytes[0]}`);
+  }
+
+  const count = bytes[1];
+  const readers = [];
+  for (let i = 0; i < count; i++) {
+    const entry = bytes.slice(2 + i * READER_SIZE, 2 + (i + 1) * READER_SIZE);
+    readers.push({
+      address: ethers.getAddress(ethers.hexlify(entry.slice(0, ADDRESS_SIZE))),
+      ephemeralKey: ethers.hexlify(entry.slice(ADDRESS_SIZE, ADDRESS_SIZE + PUBLIC_KEY_SIZE)),
+      wrappedKey: entry.slice(ADDRESS_SIZE + PUBLIC_KEY_SIZE),
+      entry,
+    });
+  }
+  const body = bytes.slice(2 + count * READER_SIZE);
+  return { readers, iv: body.slice(0, IV_SIZE), ciphertext: body.slice(IV_SIZE) };
+};
+
+// Assemble a sealed payload
+const formatSealed = (readerEntries, iv, ciphertext) => {
+  if (readerEntries.length > 255) {
+    throw new Error('An encrypted task can have at most 255 readers');
+  }
+  const bytes = ethers.concat([new Uint8Array([FORMAT_VERSION, readerEntries.length]), ...readerEntries, iv, ciphertext]);
+  return SEALED_PREFIX + ethers.encodeBase64(bytes);
+};
+
+// Encrypt task content under a content key
+const encryptContent = async (contentKey, content) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_SIZE));
+  const plaintext = ethers.toUtf8Bytes(JSON.stringify({ title: content.title, description: content.description }));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, contentKey, plaintext));
+  return { iv, ciphertext };
+};
+
+// Recover the content key of a sealed payload with any unlocked key that is one of its readers
+const unwrapContentKey = async (readers) => {
+  for (const reader of readers) {
+    const keyPair = unlockedKeys.get(reader.address.toLowerCase());
+    if (!keyPair) continue;
+
+    const wrappingKey = await getWrappingKey(keyPair.signingKey, reader.ephemeralKey);
+    return crypto.subtle.unwrapKey('raw', reader.wrappedKey, wrappingKey, 'AES-KW', 'AES-GCM', true, ['encrypt', 'decrypt']);
+  }
+  return null;
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * Check whether a task title holds encrypted content
+ * @param {string} title - Title as stored on-chain
+ * @returns {boolean} True if the task is encrypted
+ */
+export const isEncryptedTask = (title) => typeof title === 'string' && title.startsWith(SEALED_PREFIX);
+
+/**
+ * Derive the connected account's encryption key from a wallet signature and keep it for this session.
+ * The wallet asks the user to sign; the same wallet always yields the same key.
+ * @returns {Promise<TaskReader>} The account and its public key, to publish with setEncryptionKey
+ */
+export const unlockEncryption = async () => {
+  try {
+    const signer = await getSigner();
+    const account = await signer.getAddress();
+    const signature = await signer.signMessage(getKeyMessage(account));
+    const keyPair = toKeyPair(await hkdf(signature, 'task-encryption-key'));
+
+    unlockedKeys.set(account.toLowerCase(), keyPair);
+    notify();
+    return { address: account, publicKey: keyPair.publicKey };
+  } catch (error) {
+    console.error("Error unlocking encryption:", error);
+    throw error;
+  }
+};
+
+/**
+ * Forget an account's unlocked key and everything decrypted with it
+ * @param {string} account - Account to lock
+ */
+export const lockEncryption = (account) => {
+  unlockedKeys.delete(account.toLowerCase());
+  openedContent.clear();
+  notify();
+};
+
+/**
+ * Get the public key of an account unlocked in this session
+ * @param {string} account - Account address
+ * @returns {string|null} x-only public key, or null if the account is locked
+ */
+export const getUnlockedKey = (account) => unlockedKeys.get(account.toLowerCase())?.publicKey ?? null;
+
+/**
+ * Listen for accounts being unlocked or locked
+ * @param {() => void} listener - Called after every change
+ * @returns {() => void} Function that removes the listener
+ */
+export const subscribeToEncryption = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Encrypt task content for a set of readers under a new content key
+ * @param {TaskContent} content - Title and description to encrypt
+ * @param {TaskReader[]} readers - Accounts that may decrypt it, normally including the owner
+ * @returns {Promise<string>} Sealed payload to store as the task title, with an empty description
+ */
+export const sealTaskContent = async (content, readers) => {
+  const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const entries = await Promise.all(readers.map(reader => wrapFor(contentKey, reader)));
+  const { iv, ciphertext } = await encryptContent(contentKey, content);
+
+  const sealed = formatSealed(entries, iv, ciphertext);
+  openedContent.set(sealed, content);
+  return sealed;
+};
+
+/**
+ * Decrypt a sealed payload with the keys unlocked in this session
+ * @param {string} sealed - Sealed payload from a task title
+ * @returns {Promise<TaskContent|null>} The content, or null if no unlocked account is one of its readers
+ */
+export const openTaskContent = async (sealed) => {
+  if (openedContent.has(sealed)) {
+    return openedContent.get(sealed);
+  }
+
+  const { readers, iv, ciphertext } = parseSealed(sealed);
+  const contentKey = await unwrapContentKey(readers);
+  if (!contentKey) {
+    return null;
+  }
+
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, contentKey, ciphertext);
+  const content = JSON.parse(ethers.toUtf8String(new Uint8Array(plaintext)));
+  openedContent.set(sealed, content);
+  return content;
+};
+
+/**
+ * Get the content of a sealed payload if it was already decrypted in this session, without decrypting
+ * @param {string} sealed - Sealed payload from a task title
+ * @returns {TaskContent|null} The content, or null if it hasn't been decrypted
+ */
+export const peekTaskContent = (sealed) => openedContent.get(sealed) ?? null;
+
+/**
+ * Get the title to show for a task, decrypted when it is encrypted and already opened
+ * @param {string} title - Title as stored on-chain
+ * @returns {string} Title to show
+ */
+export const getDisplayTitle = (title) =>
+  isEncryptedTask(title) ? peekTaskContent(title)?.title ?? LOCKED_TITLE : title;
+
+/**
+ * Encrypt new content for the readers of an existing sealed payload, keeping its content key,
+ * so every reader keeps access. Used when editing an encrypted task.
+ * @param {string} sealed - Current sealed payload
+ * @param {TaskContent} content - New title and description
+ * @returns {Promise<string>} New sealed payload
+ */
+export const resealTaskContent = async (sealed, content) => {
+  const { readers } = parseSealed(sealed);
+  const contentKey = await unwrapContentKey(readers);
+  if (!contentKey) {
+    throw new Error('Unlock encrypted tasks to edit this task');
+  }
+
+  const { iv, ciphertext } = await encryptContent(contentKey, content);
+  const resealed = formatSealed(readers.map(reader => reader.entry), iv, ciphertext);
+  openedContent.set(resealed, content);
+  return resealed;
+};
+
+/**
+ * List the accounts that can decrypt a sealed payload
+ * @param {string} sealed - Sealed payload from a task title
+ * @returns {string[]} Reader addresses, checksummed
+ */
+export const getTaskReaders = (sealed) => parseSealed(sealed).readers.map(reader => reader.address);
+
+/**
+ * Let another account decrypt a task by wrapping its content key for that account. The content
+ * stays the same, so the new payload can be stored without re-encrypting it.
+ * @param {string} sealed - Current sealed payload
+ * @param {TaskReader} reader - Account to add, with its published public key
+ * @returns {Promise<string>} New sealed payload
+ */
+export const addTaskReader = async (sealed, reader) => {
+  const { readers, iv, ciphertext } = parseSealed(sealed);
+  const contentKey = await unwrapContentKey(readers);
+  if (!contentKey) {
+    throw new Error('Unlock encrypted tasks to share this task');
+  }
+
+  const others = readers.filter(existing => existing.address.toLowerCase() !== reader.address.toLowerCase());
+  const entries = [...others.map(existing => existing.entry), await wrapFor(contentKey, reader)];
+  const shared = formatSealed(entries, iv, ciphertext);
+  const content = peekTaskContent(sealed);
+  if (content) openedContent.set(shared, content);
+  return shared;
+};
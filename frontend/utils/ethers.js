@@ -1,69 +1,58 @@
 import { ethers } from 'ethers';
+import { getNetwork, getNetworkByChainId } from './networks';
+import { getSelectedWallet, subscribeToWallets } from './wallets';
 
-// Network configurations
-const NETWORKS = {
-  SEPOLIA: {
-    chainId: '0xaa36a7', // 11155111 in hex
-    chainName: 'Sepolia Testnet',
-    nativeCurrency: {
-      name: 'Sepolia Ether',
-      symbol: 'ETH',
-      decimals: 18,
-    },
-    rpcUrls: ['https://sepolia.infura.io/v3/'],
-    blockExplorerUrls: ['https://sepolia.etherscan.io/'],
-  },
-  MUMBAI: {
-    chainId: '0x13881', // 80001 in hex
-    chainName: 'Mumbai Testnet',
-    nativeCurrency: {
-      name: 'MATIC',
-      symbol: 'MATIC',
-      decimals: 18,
-    },
-    rpcUrls: ['https://rpc-mumbai.maticvigil.com/'],
-    blockExplorerUrls: ['https://mumbai.polygonscan.com/'],
-  },
+// Check if any wallet is installed
+export const isWalletAvailable = () => {
+  return getSelectedWallet() !== null;
 };
 
-// Check if MetaMask is installed
-export const isMetaMaskInstalled = () => {
-  return typeof window !== 'undefined' && window.ethereum && window.ethereum.isMetaMask;
+// Get the EIP-1193 provider of the selected wallet, see utils/wallets.js
+const getWalletProvider = () => {
+  const wallet = getSelectedWallet();
+  if (!wallet) {
+    throw new Error('No wallet is installed!');
+  }
+  
+  return wallet.provider;
 };
 
 // Initialize provider
 export const getProvider = () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed!');
+  return new ethers.BrowserProvider(getWalletProvider());
+};
+
+// Initialize a provider that reads a network over plain JSON-RPC. It works without a wallet
+// but can't sign, so it is only used for views.
+export const getReadOnlyProvider = (networkName) => {
+  const network = getNetwork(networkName);
+  if (!network) {
+    throw new Error(`Network ${networkName} not supported`);
   }
-  
-  return new ethers.BrowserProvider(window.ethereum);
+
+  return new ethers.JsonRpcProvider(network.rpcUrl, Number(network.chainId), { staticNetwork: true });
 };
 
 // Request account connection
 export const connectWallet = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed!');
-  }
+  const wallet = getWalletProvider();
   
   try {
     // Request account access
-    const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    const accounts = await wallet.request({ method: 'eth_requestAccounts' });
     return accounts[0];
   } catch (error) {
-    console.error('Error connecting to MetaMask:', error);
+    console.error('Error connecting to wallet:', error);
     throw error;
   }
 };
 
 // Get current account
 export const getCurrentAccount = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed!');
-  }
+  const wallet = getWalletProvider();
   
   try {
-    const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+    const accounts = await wallet.request({ method: 'eth_accounts' });
     return accounts[0] || null;
   } catch (error) {
     console.error('Error getting current account:', error);
@@ -73,34 +62,32 @@ export const getCurrentAccount = async () => {
 
 // Switch network
 export const switchNetwork = async (networkName) => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed!');
-  }
+  const wallet = getWalletProvider();
   
-  const network = NETWORKS[networkName.toUpperCase()];
+  const network = getNetwork(networkName);
   if (!network) {
     throw new Error(`Network ${networkName} not supported`);
   }
   
   try {
     // Try to switch to the network
-    await window.ethereum.request({
+    await wallet.request({
       method: 'wallet_switchEthereumChain',
       params: [{ chainId: network.chainId }],
     });
   } catch (switchError) {
-    // This error code indicates that the chain has not been added to MetaMask
+    // This error code indicates that the chain has not been added to the wallet
     if (switchError.code === 4902) {
       try {
-        await window.ethereum.request({
+        await wallet.request({
           method: 'wallet_addEthereumChain',
           params: [
             {
               chainId: network.chainId,
-              chainName: network.chainName,
-              nativeCurrency: network.nativeCurrency,
-              rpcUrls: network.rpcUrls,
-              blockExplorerUrls: network.blockExplorerUrls,
+              chainName: network.name,
+              nativeCurrency: network.currency,
+              rpcUrls: [network.rpcUrl],
+              blockExplorerUrls: network.blockExplorer ? [network.blockExplorer] : undefined,
             },
           ],
         });
@@ -117,12 +104,10 @@ export const switchNetwork = async (networkName) => {
 
 // Get current network
 export const getCurrentNetwork = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed!');
-  }
+  const wallet = getWalletProvider();
   
   try {
-    const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+    const chainId = await wallet.request({ method: 'eth_chainId' });
     return chainId;
   } catch (error) {
     console.error('Error getting current network:', error);
@@ -130,31 +115,64 @@ export const getCurrentNetwork = async () => {
   }
 };
 
-// Setup event listeners for account and network changes
+// Setup event listeners for account and network changes. The listeners follow the selected
+// wallet: picking another one moves them over and reports its accounts and chain.
 export const setupEventListeners = (onAccountsChanged, onChainChanged) => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed!');
-  }
+  let wallet = getWalletProvider();
   
-  // Listen for account changes
-  if (onAccountsChanged) {
-    window.ethereum.on('accountsChanged', onAccountsChanged);
-  }
-  
-  // Listen for chain changes
-  if (onChainChanged) {
-    window.ethereum.on('chainChanged', onChainChanged);
-  }
+  const attach = () => {
+    // Listen for account changes
+    if (onAccountsChanged) {
+      wallet.on('accountsChanged', onAccountsChanged);
+    }
+    
+    // Listen for chain changes
+    if (onChainChanged) {
+      wallet.on('chainChanged', onChainChanged);
+    }
+  };
   
-  // Return a cleanup function
-  return () => {
+  const detach = () => {
     if (onAccountsChanged) {
-      window.ethereum.removeListener('accountsChanged', onAccountsChanged);
+      wallet.removeListener('accountsChanged', onAccountsChanged);
     }
     if (onChainChanged) {
-      window.ethereum.removeListener('chainChanged', onChainChanged);
+      wallet.removeListener('chainChanged', onChainChanged);
     }
   };
+  
+  attach();
+  const unsubscribe = subscribeToWallets(async () => {
+    const selected = getSelectedWallet();
+    if (!selected || selected.provider === wallet) return;
+    
+    detach();
+    wallet = selected.provider;
+    attach();
+    try {
+      if (onAccountsChanged) onAccountsChanged(await wallet.request({ method: 'eth_accounts' }));
+      if (onChainChanged) onChainChanged(await wallet.request({ method: 'eth_chainId' }));
+    } catch (error) {
+      console.error('Error reading the selected wallet:', error);
+    }
+  });
+  
+  // Return a cleanup function
+  return () => {
+    unsubscribe();
+    detach();
+  };
+};
+
+// Get the block explorer of a network, or null for networks without one
+export const getBlockExplorerUrl = (chainId) => {
+  return getNetworkByChainId(chainId)?.blockExplorer ?? null;
+};
+
+// Get the latest block number
+export const getBlockNumber = async () => {
+  const provider = getProvider();
+  return await provider.getBlockNumber();
 };
 
 // Get signer
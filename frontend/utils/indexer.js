@@ -0,0 +1,139 @@
+// Client for the event indexer (indexer/ at the repository root).
+//
+// The indexer serves what the contract's views can't: search, filtering and sorting across all
+// tasks, global stats and per-task history. It is optional; callers fall back to reading the
+// contract when it is not configured (NEXT_PUBLIC_INDEXER_URL), unreachable, or indexing another
+// deployment than the one the wallet is on.
+
+const INDEXER_URL = process.env.NEXT_PUBLIC_INDEXER_URL || null;
+
+// Give up on a slow indexer quickly, since the contract can answer instead
+const REQUEST_TIMEOUT = 5000;
+
+// Deployments the indexer was checked against, by "chainId:address"; only successful checks are kept
+const checkedDeployments = new Map();
+
+/**
+ * A task event recorded by the indexer
+ * @typedef {Object} IndexedEvent
+ * @property {string} name - Event name, e.g. "TaskUpdated"
+ * @property {number} blockNumber - Block the event was emitted in
+ * @property {number} logIndex - Position of the event in the block
+ * @property {string} transactionHash - Transaction that emitted the event
+ * @property {Date} timestamp - Time of the block
+ * @property {number|null} taskId - Task the event is about
+ * @property {number|null} relatedTaskId - Parent, blocker or next occurrence the event links the task to
+ * @property {Object} args - Event arguments by name
+ */
+
+/**
+ * Deployment the indexer must be following for its answers to be used
+ * @typedef {Object} IndexedDeployment
+ * @property {number} chainId - Chain ID
+ * @property {string} contractAddress - TaskManager address
+ */
+
+const request = async (route) => {
+  const response = await fetch(`${INDEXER_URL}${route}`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(error || `The indexer answered with status ${response.status}`);
+  }
+  return response.json();
+};
+
+// Make sure the indexer follows the deployment the caller reads from
+const checkDeployment = async ({ chainId, contractAddress }) => {
+  const key = `${chainId}:${contractAddress.toLowerCase()}`;
+  if (checkedDeployments.has(key)) return;
+
+  const health = await request('/health');
+  if (health.chainId !== chainId || health.taskManager.toLowerCase() !== contractAddress.toLowerCase()) {
+    throw new Error(`The indexer follows ${health.taskManager} on chain ${health.chainId}`);
+  }
+  checkedDeployments.set(key, true);
+};
+
+// Convert a task from the indexer into the format of the contract utilities
+const toTask = (task) => ({
+  ...task,
+  dueDate: task.dueDate !== null ? new Date(task.dueDate * 1000) : null,
+  createdAt: new Date(task.createdAt * 1000),
+  updatedAt: new Date(task.updatedAt * 1000),
+  recurrence: task.recurrence && {
+    ...task.recurrence,
+    endDate: task.recurrence.endDate !== null ? new Date(task.recurrence.endDate * 1000) : null
+  }
+});
+
+/**
+ * Check whether an indexer is configured
+ * @returns {boolean} True if NEXT_PUBLIC_INDEXER_URL is set
+ */
+export const isIndexerConfigured = () => INDEXER_URL !== null;
+
+/**
+ * Find tasks in the indexer
+ * @param {IndexedDeployment} deployment - Deployment the answer must come from
+ * @param {Object} query - Filters, ordering and page
+ * @param {string} [query.owner] - Only tasks owned by this address
+ * @param {string} [query.assignee] - Only tasks assigned to this address
+ * @param {number} [query.projectId] - Only tasks in this project
+ * @param {number} [query.labelId] - Only tasks carrying this label
+ * @param {number[]} [query.statuses] - Only tasks with one of these statuses
+ * @param {number[]} [query.priorities] - Only tasks with one of these priorities
+ * @param {boolean} [query.overdue] - Only open tasks past their due date
+ * @param {number} [query.dueAfter] - Only tasks due at or after this Unix time
+ * @param {number} [query.dueBefore] - Only tasks due at or before this Unix time
+ * @param {string} [query.search] - Full-text search over titles and descriptions
+ * @param {string} [query.sort] - id, createdAt, updatedAt, dueDate, priority, status or title
+ * @param {'asc'|'desc'} [query.order] - Sort direction
+ * @param {number} [query.cursor] - Cursor returned by the previous page (0 for the first page)
+ * @param {number} [query.limit] - Page size (at most 100)
+ * @returns {Promise<{tasks: Array, total: number, nextCursor: number, blockNumber: number}>} Matching tasks, their number, the cursor for the next page (0 when done) and the last indexed block
+ */
+export const queryIndexedTasks = async (deployment, query) => {
+  await checkDeployment(deployment);
+
+  const params = new URLSearchParams();
+  const set = (name, value) => value !== undefined && value !== null && value !== '' && params.set(name, String(value));
+  set('owner', query.owner);
+  set('assignee', query.assignee);
+  set('project', query.projectId);
+  set('label', query.labelId);
+  set('status', query.statuses?.join(','));
+  set('priority', query.priorities?.join(','));
+  set('overdue', query.overdue ? 'true' : undefined);
+  set('dueAfter', query.dueAfter);
+  set('dueBefore', query.dueBefore);
+  set('q', query.search);
+  set('sort', query.sort);
+  set('order', query.order);
+  set('cursor', query.cursor);
+  set('limit', query.limit);
+
+  const result = await request(`/tasks?${params}`);
+  return { ...result, tasks: result.tasks.map(toTask) };
+};
+
+/**
+ * Get the events that touched a task, oldest first
+ * @param {IndexedDeployment} deployment - Deployment the answer must come from
+ * @param {number} taskId - Task ID
+ * @returns {Promise<IndexedEvent[]>} The task's history
+ */
+export const getIndexedTaskHistory = async (deployment, taskId) => {
+  await checkDeployment(deployment);
+  const { events } = await request(`/tasks/${taskId}/history`);
+  return events.map(event => ({ ...event, timestamp: new Date(event.timestamp * 1000) }));
+};
+
+/**
+ * Get task counts across all accounts
+ * @param {IndexedDeployment} deployment - Deployment the answer must come from
+ * @returns {Promise<{tasks: number, owners: number, overdue: number, deleted: number, byStatus: Object<string, number>, byPriority: Object<string, number>, events: number, blockNumber: number}>} The stats
+ */
+export const getIndexerStats = async (deployment) => {
+  await checkDeployment(deployment);
+  return request('/stats');
+};
@@ -0,0 +1,178 @@
+// In-memory EIP-1193 provider for exercising wallet flows without a browser extension.
+//
+// Account, chain and permission requests are answered from memory. Everything else is passed
+// to a custom handler or forwarded to a JSON-RPC node, so pointing it at `npx hardhat node`
+// lets transactions and EIP-712 signatures go through with the node's unlocked accounts.
+
+/**
+ * Error with an EIP-1193 error code, as wallets reject requests
+ * @param {number} code - EIP-1193 or JSON-RPC error code, e.g. 4001 for a user rejection
+ * @param {string} message - Error message
+ * @returns {Error & {code: number}} Provider error
+ */
+const providerError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Options of a mock provider
+ * @typedef {Object} MockProviderOptions
+ * @property {string[]} [accounts] - Accounts of the wallet; read from the node's eth_accounts when omitted
+ * @property {string} [chainId] - Chain the wallet starts on, as a hex string (default 0x7a69, the Hardhat chain)
+ * @property {string[]} [chains] - Chains the wallet knows, as hex strings; switching to any other fails with code 4902 until it is added
+ * @property {boolean} [connected] - Whether the site is already connected, so eth_accounts returns the accounts without asking
+ * @property {boolean} [rejectRequests] - Reject connection, signing and transaction requests as if the user declined them
+ * @property {string} [rpcUrl] - JSON-RPC node that answers the requests the mock does not handle itself
+ * @property {Object<string, (params: Array) => any>} [handlers] - Answers for specific methods, checked before the node
+ */
+
+/**
+ * A mock provider with helpers to drive it from a test
+ * @typedef {Object} MockProvider
+ * @property {(args: {method: string, params?: Array}) => Promise<any>} request - EIP-1193 request
+ * @property {(event: string, listener: Function) => MockProvider} on - Add an event listener
+ * @property {(event: string, listener: Function) => MockProvider} removeListener - Remove an event listener
+ * @property {Array<{method: string, params: Array}>} requests - Every request received, oldest first
+ * @property {(accounts: string[]) => void} setAccounts - Change the accounts and emit accountsChanged
+ * @property {(chainId: string) => void} setChainId - Change the chain and emit chainChanged
+ * @property {(reject: boolean) => void} setRejectRequests - Start or stop declining requests
+ * @property {() => void} disconnect - Forget the connection and emit accountsChanged with no accounts
+ */
+
+// Requests a real wallet asks the user to confirm
+const CONFIRMED_METHODS = new Set([
+  'eth_requestAccounts', 'eth_sendTransaction', 'personal_sign', 'eth_sign', 'eth_signTypedData_v4'
+]);
+
+/**
+ * Create an in-memory EIP-1193 provider
+ * @param {MockProviderOptions} [options] - Accounts, chain and where to send the remaining requests
+ * @returns {MockProvider} The provider
+ */
+export const createMockProvider = ({
+  accounts = null,
+  chainId = '0x7a69',
+  chains = null,
+  connected = false,
+  rejectRequests = false,
+  rpcUrl = null,
+  handlers = {}
+} = {}) => {
+  const listeners = new Map();
+  const knownChains = new Set(chains || [chainId]);
+  let currentAccounts = accounts;
+  let currentChainId = chainId;
+  let isConnected = connected;
+  let isRejecting = rejectRequests;
+  let nextId = 1;
+
+  const emit = (event, ...args) => {
+    (listeners.get(event) || []).forEach(listener => listener(...args));
+  };
+
+  // Send a request to the node
+  const forward = async (method, params) => {
+    if (!rpcUrl) {
+      throw providerError(4200, `The mock provider does not support ${method}`);
+    }
+
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params })
+    });
+    const body = await response.json();
+    if (body.error) {
+      throw Object.assign(providerError(body.error.code, body.error.message), { data: body.error.data });
+    }
+    return body.result;
+  };
+
+  const getAccounts = async () => {
+    if (currentAccounts === null) {
+      currentAccounts = await forward('eth_accounts', []);
+    }
+    return currentAccounts;
+  };
+
+  const provider = {
+    requests: [],
+
+    async request({ method, params = [] }) {
+      provider.requests.push({ method, params });
+
+      if (isRejecting && CONFIRMED_METHODS.has(method)) {
+        throw providerError(4001, 'User rejected the request.');
+      }
+      if (handlers[method]) {
+        return handlers[method](params);
+      }
+
+      switch (method) {
+        case 'eth_requestAccounts': {
+          const wasConnected = isConnected;
+          isConnected = true;
+          const connectedAccounts = await getAccounts();
+          if (!wasConnected) emit('accountsChanged', connectedAccounts);
+          return connectedAccounts;
+        }
+        case 'eth_accounts':
+          return isConnected ? getAccounts() : [];
+        case 'eth_chainId':
+          return currentChainId;
+        case 'net_version':
+          return String(parseInt(currentChainId, 16));
+        case 'wallet_switchEthereumChain': {
+          const [{ chainId: requested }] = params;
+          if (!knownChains.has(requested)) {
+            throw providerError(4902, `Unrecognized chain ID ${requested}`);
+          }
+          provider.setChainId(requested);
+          return null;
+        }
+        case 'wallet_addEthereumChain':
+          knownChains.add(params[0].chainId);
+          return null;
+        default:
+          if (!isConnected && CONFIRMED_METHODS.has(method)) {
+            throw providerError(4100, 'The site is not connected to the wallet.');
+          }
+          return forward(method, params);
+      }
+    },
+
+    on(event, listener) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+      listeners.get(event).add(listener);
+      return provider;
+    },
+
+    removeListener(event, listener) {
+      listeners.get(event)?.delete(listener);
+      return provider;
+    },
+
+    setAccounts(newAccounts) {
+      currentAccounts = newAccounts;
+      if (isConnected) emit('accountsChanged', newAccounts);
+    },
+
+    setChainId(newChainId) {
+      knownChains.add(newChainId);
+      if (newChainId === currentChainId) return;
+      currentChainId = newChainId;
+      emit('chainChanged', newChainId);
+    },
+
+    setRejectRequests(reject) {
+      isRejecting = reject;
+    },
+
+    disconnect() {
+      isConnected = false;
+      emit('accountsChanged', []);
+    }
+  };
+
+  return provider;
+};
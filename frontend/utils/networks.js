@@ -0,0 +1,86 @@
+// Networks the app can use, read from the registry in networks.js at the repository root and the
+// deployments/<network>.json manifests. next.config.mjs combines them when the app starts or is built.
+
+// localStorage key remembering the network picked while no wallet is connected
+const STORAGE_KEY = 'taskManager.network';
+
+/**
+ * A network from the registry
+ * @typedef {Object} Network
+ * @property {string} key - Registry name, e.g. "sepolia"
+ * @property {string} chainId - Chain ID as a hex string
+ * @property {string} name - Name to show, e.g. "Sepolia Testnet"
+ * @property {{name: string, symbol: string, decimals: number}} currency - Native currency
+ * @property {string} rpcUrl - JSON-RPC endpoint for reading without a wallet
+ * @property {string|null} blockExplorer - Block explorer URL with a trailing slash
+ * @property {string|null} contractAddress - TaskManager address, null if it is not deployed there
+ * @property {string|null} forwarderAddress - TaskForwarder address, null if it is not deployed there
+ * @property {number} deploymentBlock - Block TaskManager was deployed in, where reading its logs starts (0 if unknown)
+ */
+
+/** @type {Network[]} */
+const NETWORKS = JSON.parse(process.env.TASK_MANAGER_NETWORKS || '[]');
+
+// Network used until the user picks one
+const DEFAULT_NETWORK = process.env.NEXT_PUBLIC_DEFAULT_NETWORK?.toLowerCase() || 'sepolia';
+
+const listeners = new Set();
+
+/**
+ * Get every network in the registry
+ * @returns {Network[]} Networks, in registry order
+ */
+export const getNetworks = () => NETWORKS;
+
+/**
+ * Get a network by its registry name
+ * @param {string} key - Registry name, e.g. "sepolia"
+ * @returns {Network|null} The network, or null if it is not in the registry
+ */
+export const getNetwork = (key) => NETWORKS.find(network => network.key === key.toLowerCase()) || null;
+
+/**
+ * Get the network with a chain ID
+ * @param {string} chainId - Chain ID as a hex string, as wallets report it
+ * @returns {Network|null} The network, or null if it is not in the registry
+ */
+export const getNetworkByChainId = (chainId) => {
+  return NETWORKS.find(network => network.chainId === chainId.toLowerCase()) || null;
+};
+
+/**
+ * Check whether TaskManager is deployed on a network
+ * @param {Network|null} network - The network
+ * @returns {boolean} True if the network has a TaskManager address
+ */
+export const isDeployed = (network) => Boolean(network?.contractAddress);
+
+/**
+ * Get the network to read from when no wallet decides it: the one the user picked, or the default
+ * @returns {Network|null} The network, or null if the registry is empty
+ */
+export const getPreferredNetwork = () => {
+  const picked = typeof window !== 'undefined' ? window.localStorage.getItem(STORAGE_KEY) : null;
+  return (picked && getNetwork(picked)) || getNetwork(DEFAULT_NETWORK) || NETWORKS.find(isDeployed) || null;
+};
+
+/**
+ * Remember the network to read from when no wallet is connected
+ * @param {string} key - Registry name
+ */
+export const setPreferredNetwork = (key) => {
+  window.localStorage.setItem(STORAGE_KEY, key);
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Listen to the preferred network changing
+ * @param {() => void} listener - Called after every change
+ * @returns {() => void} Function that removes the listener
+ */
+export const subscribeToPreferredNetwork = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
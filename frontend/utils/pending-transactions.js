@@ -0,0 +1,295 @@
+import { addTask, addProjectTask, editTask, setTaskStatus, deleteTask, setTaskLabels } from './contract';
+import { getProvider, getCurrentAccount } from './ethers';
+import { getCurrentTransactionHash } from './transactions';
+
+// localStorage key holding the queue of task changes that are not mined yet
+const STORAGE_KEY = 'taskManager.pendingTransactions';
+
+// Milliseconds between receipt checks of a pending transaction
+const POLL_INTERVAL = 4000;
+
+// A transaction the node no longer knows about after this many milliseconds is considered dropped
+const DROP_TIMEOUT = 10 * 60 * 1000;
+
+// A change still waiting for its hash after this many milliseconds was abandoned, e.g. the page
+// was closed while the wallet asked to confirm it
+const UNSUBMITTED_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * A task change shown in the UI before its transaction is mined
+ * @typedef {Object} PendingTransaction
+ * @property {string} id - Local ID of the change
+ * @property {'add'|'edit'|'labels'|'status'|'delete'} kind - What the transaction does
+ * @property {string} account - Account that sent the transaction, in lower case
+ * @property {number|null} taskId - Task the change applies to (null when adding)
+ * @property {Object<string, any>} params - Values the change sets: title, description, priority, dueDate (Unix milliseconds or null), labels and recurrence (with its endDate in Unix milliseconds, or null) for adds and edits, plus projectId for adds and previousLabelIds and previousRecurrence for edits; labels for label changes; status for status changes
+ * @property {string|null} hash - Transaction hash, null until the wallet or relayer has submitted it
+ * @property {number} createdAt - Unix milliseconds when the change was made
+ */
+
+/**
+ * Outcome of a pending transaction, passed to settle listeners
+ * @typedef {Object} PendingTransactionOutcome
+ * @property {PendingTransaction} entry - The change that settled
+ * @property {'confirmed'|'failed'|'dropped'} status - Mined successfully, reverted or rejected, or never mined
+ * @property {*} [result] - Value returned by the contract helper (the new task ID for adds), when known
+ * @property {Error} [error] - Why the transaction failed
+ */
+
+// Listeners of queue changes and of settled transactions in this tab
+const changeListeners = new Set();
+const settleListeners = new Set();
+
+// IDs of the changes this tab is sending or watching, so a change is never watched twice
+const tracked = new Set();
+
+// Convert a queued repeat rule back into the form the contract helpers take
+const toRecurrence = (recurrence) => recurrence && {
+  ...recurrence,
+  endDate: recurrence.endDate !== null ? new Date(recurrence.endDate) : null
+};
+
+// Run the contract helpers for a change; each helper reports the hash before it waits for mining
+const SENDERS = {
+  add: async (entry, onSubmitted) => {
+    const { title, description, priority, dueDate, recurrence, projectId } = entry.params;
+    const due = dueDate !== null ? new Date(dueDate) : null;
+    const taskId = projectId !== null
+      ? await addProjectTask(projectId, title, description, priority, due, toRecurrence(recurrence), { onSubmitted })
+      : await addTask(title, description, priority, due, toRecurrence(recurrence), { onSubmitted });
+
+    return taskId;
+  },
+  edit: async (entry, onSubmitted) => {
+    const { title, description, priority, dueDate, recurrence, previousRecurrence } = entry.params;
+    // A changed repeat rule goes in the same transaction, so it is checked against the new due date
+    const rule = JSON.stringify(recurrence) !== JSON.stringify(previousRecurrence) ? toRecurrence(recurrence) : undefined;
+    await editTask(entry.taskId, title, description, priority, dueDate !== null ? new Date(dueDate) : null, rule, { onSubmitted });
+  },
+  labels: (entry, onSubmitted) => setTaskLabels(entry.taskId, entry.params.labels.map(label => label.id), { onSubmitted }),
+  status: (entry, onSubmitted) => setTaskStatus(entry.taskId, entry.params.status, { onSubmitted }),
+  delete: (entry, onSubmitted) => deleteTask(entry.taskId, { onSubmitted })
+};
+
+// Changes that have to wait for a mined add or edit, such as labels, which need the ID of a new
+// task. Each is queued as its own change, so if it fails the add or edit stays confirmed and a
+// retry only sends the follow-up. Changes watched after a reload don't know the new task ID, so
+// their follow-ups are lost.
+const FOLLOW_UPS = {
+  add: (entry, taskId) => {
+    const { labels } = entry.params;
+    return labels.length > 0 && typeof taskId === 'number' ? [{ kind: 'labels', taskId, params: { labels } }] : [];
+  },
+  edit: (entry) => {
+    const { labels, previousLabelIds } = entry.params;
+    const changed = labels.map(label => label.id).join() !== previousLabelIds.join();
+    return changed ? [{ kind: 'labels', taskId: entry.taskId, params: { labels } }] : [];
+  }
+};
+
+/**
+ * Get every queued change, oldest first. Changes of all accounts are kept, so the queue
+ * survives switching or disconnecting the wallet.
+ * @returns {PendingTransaction[]} Queued changes
+ */
+export const getPendingTransactions = () => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error("Error reading pending transactions:", error);
+    return [];
+  }
+};
+
+// Store the queue and tell the listeners of this tab; other tabs hear about it through the storage event
+const savePendingTransactions = (entries) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  changeListeners.forEach(listener => listener(entries));
+};
+
+const updatePendingTransaction = (id, changes) => {
+  savePendingTransactions(getPendingTransactions().map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+};
+
+const isQueued = (id) => getPendingTransactions().some(entry => entry.id === id);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Take a change out of the queue, which rolls it back in the UI unless it was confirmed, and report the outcome
+const settle = (outcome) => {
+  tracked.delete(outcome.entry.id);
+  if (!isQueued(outcome.entry.id)) return;
+
+  savePendingTransactions(getPendingTransactions().filter(entry => entry.id !== outcome.entry.id));
+  settleListeners.forEach(listener => listener(outcome));
+};
+
+/**
+ * Wait until a transaction is mined, reverted or dropped. A transaction is dropped when
+ * another transaction with its nonce was mined instead, or when the node has not known
+ * it for DROP_TIMEOUT. Speed-ups sent from the transaction history are followed, while
+ * a cancellation counts as dropping the transaction.
+ * @param {string} id - Local ID of the change, watching stops once it leaves the queue
+ * @param {string} hash - Transaction hash
+ * @param {number} submittedAt - Unix milliseconds when the transaction was sent
+ * @returns {Promise<'confirmed'|'failed'|'dropped'|null>} Outcome, or null if the change left the queue first
+ */
+const waitForTransaction = async (id, hash, submittedAt) => {
+  const provider = getProvider();
+
+  while (isQueued(id)) {
+    const currentHash = getCurrentTransactionHash(hash);
+    const receipt = await provider.getTransactionReceipt(currentHash);
+    if (receipt) {
+      return receipt.status === 1 ? 'confirmed' : 'failed';
+    }
+
+    const tx = await provider.getTransaction(currentHash);
+    if (tx) {
+      // The nonce was used by a replacement; check once more in case the transaction itself was just mined
+      if (tx.nonce < await provider.getTransactionCount(tx.from, 'latest')) {
+        const lateReceipt = await provider.getTransactionReceipt(getCurrentTransactionHash(hash));
+        return lateReceipt ? (lateReceipt.status === 1 ? 'confirmed' : 'failed') : 'dropped';
+      }
+    } else if (Date.now() - submittedAt > DROP_TIMEOUT) {
+      return 'dropped';
+    }
+
+    await sleep(POLL_INTERVAL);
+  }
+  return null;
+};
+
+// Watch a queued change until it settles, retrying after provider errors. A change without a
+// hash may still be waiting for the wallet in another tab, so it gets UNSUBMITTED_TIMEOUT to get one.
+const watch = async (id) => {
+  for (;;) {
+    const entry = getPendingTransactions().find(queued => queued.id === id);
+    if (!entry) {
+      tracked.delete(id);
+      return;
+    }
+
+    try {
+      if (!entry.hash) {
+        if (Date.now() - entry.createdAt > UNSUBMITTED_TIMEOUT) {
+          settle({ entry, status: 'dropped' });
+          return;
+        }
+        await sleep(POLL_INTERVAL);
+        continue;
+      }
+
+      const status = await waitForTransaction(id, entry.hash, entry.createdAt);
+      if (status) {
+        settle({ entry, status });
+      }
+      tracked.delete(id);
+      return;
+    } catch (error) {
+      console.error(`Error checking transaction ${entry.hash}:`, error);
+      await sleep(POLL_INTERVAL);
+    }
+  }
+};
+
+/**
+ * Queue a task change and send its transaction. The change is in the queue, and so shown
+ * in the UI, as soon as this resolves; settle listeners hear whether it was mined.
+ * @param {Object} change - The change to make
+ * @param {'add'|'edit'|'labels'|'status'|'delete'} change.kind - What the transaction does
+ * @param {number|null} [change.taskId] - Task the change applies to (omit when adding)
+ * @param {Object<string, any>} change.params - Values the change sets, see PendingTransaction
+ * @returns {Promise<PendingTransaction>} The queued change
+ */
+export const submitPendingTransaction = async ({ kind, taskId = null, params }) => {
+  const account = await getCurrentAccount();
+  if (!account) {
+    throw new Error('Connect a wallet to change tasks');
+  }
+
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    kind,
+    account: account.toLowerCase(),
+    taskId,
+    params,
+    hash: null,
+    createdAt: Date.now()
+  };
+  tracked.add(entry.id);
+  savePendingTransactions([...getPendingTransactions(), entry]);
+
+  // Watch the submitted transaction as well, since a dropped transaction never settles the helper's wait
+  const onSubmitted = (hash) => {
+    updatePendingTransaction(entry.id, { hash });
+    waitForTransaction(entry.id, hash, Date.now())
+      .then(status => {
+        if (status === 'dropped') settle({ entry, status });
+      })
+      .catch(error => console.error(`Error checking transaction ${hash}:`, error));
+  };
+
+  SENDERS[kind](entry, onSubmitted).then(
+    async (result) => {
+      // Queue the follow-ups first, so the list never shows the change without them
+      for (const followUp of FOLLOW_UPS[kind]?.(entry, result) ?? []) {
+        await submitPendingTransaction(followUp).catch(error => console.error("Error queueing follow-up change:", error));
+      }
+      settle({ entry, status: 'confirmed', result });
+    },
+    error => settle({ entry, status: 'failed', error })
+  );
+
+  return entry;
+};
+
+/**
+ * Send a failed or dropped change again as a new transaction
+ * @param {PendingTransaction} entry - The change to retry
+ * @returns {Promise<PendingTransaction>} The queued change
+ */
+export const retryPendingTransaction = (entry) => {
+  return submitPendingTransaction({ kind: entry.kind, taskId: entry.taskId, params: entry.params });
+};
+
+/**
+ * Watch the changes left in the queue by an earlier visit or another tab until they settle
+ */
+export const resumePendingTransactions = () => {
+  for (const entry of getPendingTransactions()) {
+    if (tracked.has(entry.id)) continue;
+
+    tracked.add(entry.id);
+    watch(entry.id);
+  }
+};
+
+/**
+ * Listen to the queue
+ * @param {Object} listeners
+ * @param {(entries: PendingTransaction[]) => void} [listeners.onChange] - Called with the queue whenever it changes, in this tab or another
+ * @param {(outcome: PendingTransactionOutcome) => void} [listeners.onSettled] - Called when a change watched by this tab is confirmed, fails or is dropped
+ * @returns {() => void} Function that removes the listeners
+ */
+export const subscribePendingTransactions = ({ onChange, onSettled }) => {
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEY && onChange) {
+      onChange(getPendingTransactions());
+    }
+  };
+
+  if (onChange) changeListeners.add(onChange);
+  if (onSettled) settleListeners.add(onSettled);
+  window.addEventListener('storage', onStorage);
+
+  return () => {
+    if (onChange) changeListeners.delete(onChange);
+    if (onSettled) settleListeners.delete(onSettled);
+    window.removeEventListener('storage', onStorage);
+  };
+};
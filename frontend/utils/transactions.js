@@ -0,0 +1,287 @@
+import { isError } from 'ethers';
+import { getProvider, getSigner, getBlockExplorerUrl } from './ethers';
+
+// localStorage key holding the recent transaction history
+const STORAGE_KEY = 'taskManager.transactions';
+
+// Number of transactions kept in the history
+const MAX_HISTORY = 50;
+
+// Replacement fees are raised by at least this percentage; nodes refuse replacements below a 10% bump
+const FEE_BUMP_PERCENT = 125n;
+
+/**
+ * A transaction sent by the app
+ * @typedef {Object} TrackedTransaction
+ * @property {string} hash - Transaction hash
+ * @property {string} description - What the transaction does, e.g. "Delete task #3"
+ * @property {string} chainId - Chain the transaction was sent on, as a hex string
+ * @property {string} from - Account that sent it, or that signed it for relayed requests
+ * @property {boolean} relayed - True if the relayer sent it for a signed request, so it can't be sped up or cancelled from the wallet
+ * @property {'pending'|'confirmed'|'failed'} status - Lifecycle state
+ * @property {number} submittedAt - Unix milliseconds when it was sent
+ * @property {number|null} blockNumber - Block it was mined in
+ * @property {string|null} gasUsed - Gas it used, as a decimal string
+ * @property {string|null} reason - Why it failed
+ * @property {string|null} replacedBy - Hash of the transaction that sped it up or cancelled it
+ * @property {boolean} cancelled - True if replacedBy cancels it rather than speeding it up
+ */
+
+/**
+ * Callbacks reporting the lifecycle of a transaction
+ * @typedef {Object} TransactionCallbacks
+ * @property {(hash: string) => void} [onSubmitted] - Called with the hash once the transaction is sent
+ * @property {(details: {hash: string, blockNumber: number, gasUsed: bigint}) => void} [onConfirmed] - Called once it is mined successfully
+ * @property {(details: {hash: string|null, reason: string}) => void} [onFailed] - Called if it is rejected, reverts or is cancelled; hash is null when it was never sent
+ */
+
+const listeners = new Set();
+
+/**
+ * Get the recent transactions, newest first
+ * @returns {TrackedTransaction[]} Transaction history
+ */
+export const getTransactionHistory = () => {
+  if (typeof window === 'undefined') {
+    return [];
+  }
+
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error("Error reading transaction history:", error);
+    return [];
+  }
+};
+
+const saveTransactionHistory = (history) => {
+  const trimmed = history.slice(0, MAX_HISTORY);
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
+  listeners.forEach(listener => listener(trimmed));
+};
+
+const updateTransaction = (hash, changes) => {
+  saveTransactionHistory(getTransactionHistory().map(entry => entry.hash === hash ? { ...entry, ...changes } : entry));
+};
+
+/**
+ * Follow speed-ups from a transaction to the one that replaced it last. Cancellations are not
+ * followed, since the cancelling transaction does not do what the original did.
+ * @param {string} hash - Transaction hash
+ * @returns {string} Hash of the transaction currently standing in for it
+ */
+export const getCurrentTransactionHash = (hash) => {
+  const history = getTransactionHistory();
+  let current = hash;
+  for (;;) {
+    const entry = history.find(tx => tx.hash === current);
+    if (!entry || !entry.replacedBy || entry.cancelled) {
+      return current;
+    }
+    current = entry.replacedBy;
+  }
+};
+
+/**
+ * Get the block explorer page of a transaction
+ * @param {TrackedTransaction} transaction - The transaction
+ * @returns {string|null} URL, or null if the network has no block explorer
+ */
+export const getTransactionUrl = (transaction) => {
+  const explorerUrl = getBlockExplorerUrl(transaction.chainId);
+  return explorerUrl ? `${explorerUrl}tx/${transaction.hash}` : null;
+};
+
+/**
+ * Turn an error thrown while sending or waiting for a transaction into a readable reason
+ * @param {unknown} error - Error from ethers, the wallet or the relayer
+ * @returns {string} Reason, e.g. the contract's revert string
+ */
+export const decodeTransactionError = (error) => {
+  if (isError(error, 'ACTION_REJECTED')) {
+    return 'Rejected in the wallet';
+  }
+  if (isError(error, 'INSUFFICIENT_FUNDS')) {
+    return 'Not enough funds to pay for gas';
+  }
+  if (error?.reason) {
+    return error.reason;
+  }
+  if (error?.revert) {
+    return `${error.revert.name}(${error.revert.args.join(', ')})`;
+  }
+  return error?.shortMessage || error?.info?.error?.message || error?.message || 'Unknown error';
+};
+
+// Find out why a mined transaction reverted by running it again on the state before its block
+const replayRevertReason = async (provider, hash, blockNumber) => {
+  try {
+    const tx = await provider.getTransaction(hash);
+    await provider.call({ to: tx.to, from: tx.from, data: tx.data, value: tx.value, blockTag: blockNumber - 1 });
+    // The call succeeds on the earlier state, so an earlier transaction in the block changed the outcome
+    return 'Transaction reverted';
+  } catch (error) {
+    return decodeTransactionError(error);
+  }
+};
+
+/**
+ * Send a transaction, record it in the history and wait for it to be mined.
+ * A speed-up counts as the original transaction being mined; a cancellation as it failing.
+ * @param {() => Promise<{hash: string, from: string, wait: () => Promise<Object>}>} send - Sends the transaction; relayed requests resolve to an object with the hash, the relayer address and a wait function
+ * @param {string} description - What the transaction does, shown in the history
+ * @param {TransactionCallbacks} [callbacks] - Lifecycle callbacks
+ * @returns {Promise<Object>} Mined transaction receipt
+ */
+export const trackTransaction = async (send, description, { onSubmitted, onConfirmed, onFailed } = {}) => {
+  let tx;
+  try {
+    tx = await send();
+  } catch (error) {
+    onFailed?.({ hash: null, reason: decodeTransactionError(error) });
+    throw error;
+  }
+
+  const provider = getProvider();
+  const { chainId } = await provider.getNetwork();
+  saveTransactionHistory([
+    {
+      hash: tx.hash,
+      description,
+      chainId: `0x${chainId.toString(16)}`,
+      from: tx.from,
+      relayed: Boolean(tx.relayed),
+      status: 'pending',
+      submittedAt: Date.now(),
+      blockNumber: null,
+      gasUsed: null,
+      reason: null,
+      replacedBy: null,
+      cancelled: false
+    },
+    ...getTransactionHistory()
+  ]);
+  onSubmitted?.(tx.hash);
+
+  const fail = (reason, error) => {
+    updateTransaction(tx.hash, { status: 'failed', reason });
+    onFailed?.({ hash: tx.hash, reason });
+    throw error;
+  };
+
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (error) {
+    if (isError(error, 'TRANSACTION_REPLACED') && !error.cancelled) {
+      // Sped up: the replacement did the same work
+      receipt = error.receipt;
+    } else if (isError(error, 'TRANSACTION_REPLACED')) {
+      fail(error.reason === 'cancelled' ? 'Cancelled' : 'Replaced by another transaction', error);
+    } else if (isError(error, 'CALL_EXCEPTION') && error.receipt) {
+      fail(await replayRevertReason(provider, tx.hash, error.receipt.blockNumber), error);
+    } else {
+      fail(decodeTransactionError(error), error);
+    }
+  }
+
+  // Relayed transactions are waited for with the provider, which does not throw on a revert
+  if (receipt.status === 0) {
+    fail(await replayRevertReason(provider, receipt.hash, receipt.blockNumber), new Error('Transaction reverted'));
+  }
+
+  updateTransaction(tx.hash, { status: 'confirmed', blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+  onConfirmed?.({ hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+  return receipt;
+};
+
+/**
+ * Check the transactions still pending in the history, e.g. ones sent before the page was reloaded
+ * @returns {Promise<void>}
+ */
+export const refreshTransactionHistory = async () => {
+  const provider = getProvider();
+  for (const entry of getTransactionHistory().filter(tx => tx.status === 'pending')) {
+    const receipt = await provider.getTransactionReceipt(entry.hash);
+    if (receipt) {
+      updateTransaction(entry.hash, receipt.status === 1
+        ? { status: 'confirmed', blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() }
+        : { status: 'failed', blockNumber: receipt.blockNumber, reason: await replayRevertReason(provider, entry.hash, receipt.blockNumber) });
+    }
+  }
+};
+
+// Raise a fee by FEE_BUMP_PERCENT, or to the current network fee if that is higher
+const bumpFee = (fee, currentFee) => {
+  const bumped = fee * FEE_BUMP_PERCENT / 100n;
+  return currentFee !== null && currentFee > bumped ? currentFee : bumped;
+};
+
+// Send a transaction with the same nonce and higher fees, either repeating the call or sending nothing to cancel it
+const replaceTransaction = async (hash, cancel) => {
+  const entry = getTransactionHistory().find(tx => tx.hash === hash);
+  if (!entry || entry.relayed) {
+    throw new Error('Only transactions sent from your wallet can be replaced');
+  }
+
+  const provider = getProvider();
+  const tx = await provider.getTransaction(hash);
+  if (!tx || tx.blockNumber !== null) {
+    throw new Error('The transaction is no longer pending');
+  }
+
+  const signer = await getSigner();
+  if ((await signer.getAddress()).toLowerCase() !== tx.from.toLowerCase()) {
+    throw new Error('Switch to the account that sent the transaction');
+  }
+
+  const feeData = await provider.getFeeData();
+  const fees = tx.maxFeePerGas !== null
+    ? {
+        maxFeePerGas: bumpFee(tx.maxFeePerGas, feeData.maxFeePerGas),
+        maxPriorityFeePerGas: bumpFee(tx.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
+      }
+    : { gasPrice: bumpFee(tx.gasPrice, feeData.gasPrice) };
+
+  // Send the replacement; a transfer of nothing to yourself is the conventional cancellation
+  const replacement = await signer.sendTransaction(cancel
+    ? { to: tx.from, value: 0, nonce: tx.nonce, ...fees }
+    : { to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, nonce: tx.nonce, ...fees });
+  updateTransaction(hash, { replacedBy: replacement.hash, cancelled: cancel });
+
+  // The original's wait reports the outcome to its caller; this only keeps the replacement's history entry current
+  trackTransaction(async () => replacement, cancel ? `Cancel: ${entry.description}` : `Speed up: ${entry.description}`)
+    .catch(error => console.error(`Error waiting for replacement ${replacement.hash}:`, error));
+
+  return replacement.hash;
+};
+
+/**
+ * Resend a pending transaction with higher fees so it is mined sooner
+ * @param {string} hash - Hash of the pending transaction
+ * @returns {Promise<string>} Hash of the replacement transaction
+ */
+export const speedUpTransaction = (hash) => {
+  return replaceTransaction(hash, false);
+};
+
+/**
+ * Cancel a pending transaction by replacing it with an empty transaction with higher fees
+ * @param {string} hash - Hash of the pending transaction
+ * @returns {Promise<string>} Hash of the cancelling transaction
+ */
+export const cancelTransaction = (hash) => {
+  return replaceTransaction(hash, true);
+};
+
+/**
+ * Listen to changes of the transaction history in this tab
+ * @param {(history: TrackedTransaction[]) => void} listener - Called with the history whenever it changes
+ * @returns {() => void} Function that removes the listener
+ */
+export const subscribeToTransactions = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,139 @@
+import { createMockProvider } from './mock-provider';
+
+// Discovery of injected wallets through EIP-6963, with the legacy window.ethereum as a fallback.
+// The wallet the user picks is remembered and every wallet call in utils/ethers.js goes through it.
+
+// localStorage key remembering the chosen wallet
+const STORAGE_KEY = 'taskManager.wallet';
+
+// rdns of the wallet found through window.ethereum, for wallets that don't announce themselves
+const LEGACY_RDNS = 'injected';
+
+// rdns of the in-memory mock wallet
+const MOCK_RDNS = 'local.mock';
+
+// Registers a mock wallet backed by this JSON-RPC node, e.g. http://127.0.0.1:8545 (off when unset)
+const MOCK_WALLET_RPC_URL = process.env.NEXT_PUBLIC_MOCK_WALLET_RPC_URL;
+
+/**
+ * Metadata a wallet announces about itself (EIP-6963)
+ * @typedef {Object} WalletInfo
+ * @property {string} uuid - ID of this announcement
+ * @property {string} name - Name to show, e.g. "Rabby Wallet"
+ * @property {string} icon - Icon as a data URI
+ * @property {string} rdns - Reverse domain name that identifies the wallet, e.g. "io.metamask"
+ */
+
+/**
+ * An injected wallet
+ * @typedef {Object} Wallet
+ * @property {WalletInfo} info - Wallet metadata
+ * @property {import('ethers').Eip1193Provider & {on?: Function, removeListener?: Function}} provider - EIP-1193 provider of the wallet
+ */
+
+// Wallets by rdns, in the order they were found
+const wallets = new Map();
+const listeners = new Set();
+let isDiscovering = false;
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Add a wallet to the list, replacing an earlier one with the same rdns
+ * @param {WalletInfo} info - Wallet metadata
+ * @param {Wallet['provider']} provider - EIP-1193 provider of the wallet
+ */
+export const registerWallet = (info, provider) => {
+  wallets.set(info.rdns, { info, provider });
+  notify();
+};
+
+// Wallets that predate EIP-6963 only inject window.ethereum. Most that announce themselves
+// inject it too, so it is only listed when it is not one of the announced providers.
+const getLegacyWallet = () => {
+  const injected = typeof window !== 'undefined' ? window.ethereum : undefined;
+  if (!injected || [...wallets.values()].some(wallet => wallet.provider === injected)) {
+    return null;
+  }
+
+  return {
+    info: {
+      uuid: LEGACY_RDNS,
+      name: injected.isMetaMask ? 'MetaMask' : 'Browser wallet',
+      icon: '',
+      rdns: LEGACY_RDNS
+    },
+    provider: injected
+  };
+};
+
+/**
+ * Start listening for EIP-6963 announcements and ask the installed wallets to announce
+ * themselves. Safe to call more than once; only the first call does anything.
+ */
+export const discoverWallets = () => {
+  if (isDiscovering || typeof window === 'undefined') return;
+  isDiscovering = true;
+
+  window.addEventListener('eip6963:announceProvider', (event) => {
+    const { info, provider } = /** @type {CustomEvent<Wallet>} */ (event).detail;
+    registerWallet(info, provider);
+  });
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  if (MOCK_WALLET_RPC_URL) {
+    registerWallet(
+      { uuid: MOCK_RDNS, name: 'Mock wallet', icon: '', rdns: MOCK_RDNS },
+      createMockProvider({ rpcUrl: MOCK_WALLET_RPC_URL })
+    );
+  }
+};
+
+/**
+ * Get the wallets found so far
+ * @returns {Wallet[]} Announced wallets, followed by the legacy injected one if it is separate
+ */
+export const getWallets = () => {
+  discoverWallets();
+  const legacy = getLegacyWallet();
+  return legacy ? [...wallets.values(), legacy] : [...wallets.values()];
+};
+
+/**
+ * Get the wallet the user chose, or the first wallet found if they haven't chosen one
+ * or the chosen one is no longer installed
+ * @returns {Wallet|null} Selected wallet, or null if there is none
+ */
+export const getSelectedWallet = () => {
+  const available = getWallets();
+  const chosen = typeof window !== 'undefined' ? window.localStorage.getItem(STORAGE_KEY) : null;
+  return available.find(wallet => wallet.info.rdns === chosen) || available[0] || null;
+};
+
+/**
+ * Choose the wallet to use and remember the choice
+ * @param {string} rdns - rdns of the wallet
+ */
+export const selectWallet = (rdns) => {
+  if (!getWallets().some(wallet => wallet.info.rdns === rdns)) {
+    throw new Error(`Wallet ${rdns} is not available`);
+  }
+
+  window.localStorage.setItem(STORAGE_KEY, rdns);
+  notify();
+};
+
+/**
+ * Listen to wallets being found and to the selected wallet changing
+ * @param {() => void} listener - Called after every change
+ * @returns {() => void} Function that removes the listener
+ */
+export const subscribeToWallets = (listener) => {
+  discoverWallets();
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -1,6 +1,7 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-etherscan");
 require("dotenv").config();
+const { NETWORKS, getRpcUrl } = require("./networks");
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
@@ -14,16 +15,31 @@ task("accounts", "Prints the list of accounts", async (taskArgs, hre) => {
 
 // Ensure environment variables are set
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0000000000000000000000000000000000000000000000000000000000000000";
-const SEPOLIA_RPC_URL = process.env.SEPOLIA_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_KEY";
-const MUMBAI_RPC_URL = process.env.MUMBAI_URL || "https://polygon-mumbai.infura.io/v3/YOUR_INFURA_KEY";
-const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
-const POLYGONSCAN_API_KEY = process.env.POLYGONSCAN_API_KEY || "";
 
 // Show warning if using default private key
 if (PRIVATE_KEY === "0000000000000000000000000000000000000000000000000000000000000000") {
   console.warn("WARNING: Using default private key. Create a .env file with your PRIVATE_KEY to use your own wallet.");
 }
 
+// Hardhat networks for every chain in the registry; local chains use the node's own accounts
+const networks = { hardhat: { chainId: 31337 } };
+for (const [name, network] of Object.entries(NETWORKS)) {
+  networks[name] = network.local
+    ? { url: getRpcUrl(name), chainId: network.chainId }
+    : { url: getRpcUrl(name), accounts: [PRIVATE_KEY], chainId: network.chainId, gasPrice: network.gasPrice || "auto" };
+}
+
+// Block explorer API keys and endpoints of the networks that support verification
+const verifiable = Object.values(NETWORKS).filter((network) => network.verify);
+const etherscan = {
+  apiKey: Object.fromEntries(verifiable.map(({ verify }) => [verify.network, process.env[verify.apiKeyEnv] || ""])),
+  customChains: verifiable.map(({ chainId, blockExplorer, verify }) => ({
+    network: verify.network,
+    chainId,
+    urls: { apiURL: verify.apiUrl, browserURL: blockExplorer.replace(/\/$/, "") },
+  })),
+};
+
 // You need to export an object to set up your config
 // Go to https://hardhat.org/config/ to learn more
 
@@ -38,48 +54,16 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
-    },
-  },
-  networks: {
-    hardhat: {
-      chainId: 31337,
-    },
-    localhost: {
-      chainId: 31337,
-    },
-    sepolia: {
-      url: SEPOLIA_RPC_URL,
-      accounts: [PRIVATE_KEY],
-      chainId: 11155111,
-      gasPrice: 3000000000, // 3 gwei
-      blockConfirmations: 5,
-    },
-    mumbai: {
-      url: MUMBAI_RPC_URL,
-      accounts: [PRIVATE_KEY],
-      chainId: 80001,
-      gasPrice: 2000000000, // 2 gwei
-      blockConfirmations: 5,
-    },
-  },
-  etherscan: {
-    // Your API key for Etherscan/Polygonscan
-    // Obtain one at https://etherscan.io/ or https://polygonscan.com/
-    apiKey: {
-      sepolia: ETHERSCAN_API_KEY,
-      polygonMumbai: POLYGONSCAN_API_KEY,
-    },
-    customChains: [
-      {
-        network: "sepolia",
-        chainId: 11155111,
-        urls: {
-          apiURL: "https://api-sepolia.etherscan.io/api",
-          browserURL: "https://sepolia.etherscan.io",
+      // scripts/upgrade.js compares the storage layout of the deployed and the new implementation
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
         },
       },
-    ],
+    },
   },
+  networks,
+  etherscan,
   paths: {
     sources: "./contracts",
     tests: "./test",
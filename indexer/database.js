@@ -0,0 +1,555 @@
+// SQLite storage for the event indexer.
+//
+// `events` keeps every TaskManager event in chain order, `tasks` the latest state of every task
+// touched by one, with a full-text index over titles and descriptions, `accounts` whose task lists
+// are public, and `blocks` the hashes of recently indexed blocks so a reorg can be detected and
+// rolled back. Everything the indexer
+// writes for a block range goes in one transaction with the cursor in `meta`, so a restart
+// resumes exactly where the last committed range ended.
+const Database = require("better-sqlite3");
+
+// Bumped whenever the schema changes; an older database has to be deleted and rebuilt from the chain
+const SCHEMA_VERSION = 3;
+
+// Largest page the API serves
+const MAX_QUERY_LIMIT = 100;
+
+const DONE_STATUS = 4;
+const CANCELLED_STATUS = 5;
+
+const STATUS_NAMES = ["todo", "inProgress", "blocked", "inReview", "done", "cancelled"];
+const PRIORITY_NAMES = ["low", "medium", "high"];
+
+// Columns the task list can be sorted by, by API name
+const SORT_COLUMNS = {
+  id: "id",
+  createdAt: "created_at",
+  updatedAt: "updated_at",
+  // Tasks without a due date sort after the ones with one, in either direction
+  dueDate: "due_date = 0 ASC, due_date",
+  priority: "priority",
+  status: "status",
+  title: "title COLLATE NOCASE",
+};
+
+const SCHEMA = `
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    task_id INTEGER,
+    related_task_id INTEGER,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX events_by_task ON events (task_id, block_number, log_index);
+  CREATE INDEX events_by_related_task ON events (related_task_id, block_number, log_index);
+
+  CREATE TABLE tasks (
+    id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    priority INTEGER NOT NULL,
+    due_date INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    assignee TEXT,
+    project_id INTEGER,
+    parent_id INTEGER,
+    subtask_count INTEGER NOT NULL,
+    completed_subtasks INTEGER NOT NULL,
+    blocked_by TEXT NOT NULL,
+    open_blockers INTEGER NOT NULL,
+    labels TEXT NOT NULL,
+    recurrence TEXT,
+    updated_at INTEGER NOT NULL,
+    deleted INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX tasks_by_owner ON tasks (owner, id);
+  CREATE INDEX tasks_by_assignee ON tasks (assignee, id);
+  CREATE INDEX tasks_by_project ON tasks (project_id, id);
+  CREATE INDEX tasks_by_parent ON tasks (parent_id);
+
+  CREATE TABLE accounts (
+    address TEXT PRIMARY KEY COLLATE NOCASE,
+    public_tasks INTEGER NOT NULL
+  );
+
+  CREATE VIRTUAL TABLE task_search USING fts5(title, description, content='tasks', content_rowid='id');
+  CREATE TRIGGER tasks_search_insert AFTER INSERT ON tasks BEGIN
+    INSERT INTO task_search (rowid, title, description) VALUES (new.id, new.title, new.description);
+  END;
+  CREATE TRIGGER tasks_search_delete AFTER DELETE ON tasks BEGIN
+    INSERT INTO task_search (task_search, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+  END;
+  CREATE TRIGGER tasks_search_update AFTER UPDATE OF title, description ON tasks BEGIN
+    INSERT INTO task_search (task_search, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+    INSERT INTO task_search (rowid, title, description) VALUES (new.id, new.title, new.description);
+  END;
+`;
+
+/**
+ * A task as stored by the indexer and served by its API
+ * @typedef {Object} IndexedTask
+ * @property {number} id - Task ID
+ * @property {string} title - Task title
+ * @property {string} description - Task description
+ * @property {number} status - Status enum value
+ * @property {string} owner - Owner address (checksummed)
+ * @property {number} priority - Priority enum value
+ * @property {number|null} dueDate - Due date as a Unix timestamp, or null
+ * @property {number} createdAt - Creation time as a Unix timestamp
+ * @property {string|null} assignee - Assigned account, or null
+ * @property {number|null} projectId - Project the task belongs to, or null
+ * @property {number|null} parentId - Parent task, or null
+ * @property {{completed: number, total: number}} subtaskProgress - Completion rollup of the subtasks
+ * @property {number[]} blockedBy - IDs of the tasks blocking this one
+ * @property {number} openBlockers - Number of blockers that are still open
+ * @property {Array<{id: number, name: string, color: string, owner: string}>} labels - Labels, with CSS hex colours
+ * @property {{frequency: number, weekdays: number, interval: number, monthDay: number, endDate: number|null}|null} recurrence - Repeat rule, or null if the task doesn't repeat
+ * @property {number} updatedAt - Time of the last event that touched the task, as a Unix timestamp
+ * @property {boolean} deleted - Whether the task has been deleted
+ */
+
+/**
+ * An indexed contract event
+ * @typedef {Object} IndexedEvent
+ * @property {string} name - Event name
+ * @property {number} blockNumber - Block the event was emitted in
+ * @property {string} blockHash - Hash of that block
+ * @property {number} logIndex - Position of the log in the block
+ * @property {string} transactionHash - Transaction that emitted the event
+ * @property {number} timestamp - Block time as a Unix timestamp
+ * @property {number|null} taskId - Task the event is about, if any
+ * @property {number|null} relatedTaskId - Parent, blocker or next occurrence the event links the task to, if any
+ * @property {Object} args - Event arguments by name
+ */
+
+/**
+ * Filters and ordering of a task query. Only tasks of accounts that made their task list public
+ * are listed, as the contract's fetchTasksOf only lists those for anyone but the owner.
+ * @typedef {Object} TaskQuery
+ * @property {string} [owner] - Only tasks owned by this address
+ * @property {string} [assignee] - Only tasks assigned to this address
+ * @property {number} [projectId] - Only tasks in this project
+ * @property {number} [parentId] - Only subtasks of this task
+ * @property {number} [labelId] - Only tasks carrying this label
+ * @property {number[]} [statuses] - Only tasks with one of these statuses
+ * @property {number[]} [priorities] - Only tasks with one of these priorities
+ * @property {boolean} [overdue] - Only open tasks past their due date
+ * @property {number} [dueAfter] - Only tasks due at or after this Unix time
+ * @property {number} [dueBefore] - Only tasks due at or before this Unix time
+ * @property {string} [search] - Full-text search over titles and descriptions
+ * @property {boolean} [includeDeleted] - Include deleted tasks
+ * @property {string} [sort] - One of the keys of SORT_COLUMNS (default "id")
+ * @property {"asc"|"desc"} [order] - Sort direction (default "asc")
+ * @property {number} [cursor] - Offset returned as nextCursor by the previous page (0 for the first page)
+ * @property {number} [limit] - Page size, at most MAX_QUERY_LIMIT
+ * @property {number} [now] - Current Unix time, for the overdue filter
+ */
+
+// Turn free text into an FTS5 query matching every word as a prefix, so user input can't inject FTS syntax
+function toSearchQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+  return words.map((word) => `"${word}"*`).join(" ");
+}
+
+function toTask(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    status: row.status,
+    owner: row.owner,
+    priority: row.priority,
+    dueDate: row.due_date > 0 ? row.due_date : null,
+    createdAt: row.created_at,
+    assignee: row.assignee,
+    projectId: row.project_id,
+    parentId: row.parent_id,
+    subtaskProgress: { completed: row.completed_subtasks, total: row.subtask_count },
+    blockedBy: JSON.parse(row.blocked_by),
+    openBlockers: row.open_blockers,
+    labels: JSON.parse(row.labels),
+    recurrence: row.recurrence !== null ? JSON.parse(row.recurrence) : null,
+    updatedAt: row.updated_at,
+    deleted: row.deleted === 1,
+  };
+}
+
+function toEvent(row) {
+  return {
+    name: row.name,
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    logIndex: row.log_index,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+    taskId: row.task_id,
+    relatedTaskId: row.related_task_id,
+    args: JSON.parse(row.args),
+  };
+}
+
+/**
+ * Open (and create if needed) the indexer database
+ * @param {string} file - Path of the SQLite file, or ":memory:"
+ * @returns {Object} Database with the read and write operations used by the indexer and its API
+ */
+function openDatabase(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+
+  const version = db.pragma("user_version", { simple: true });
+  if (version === 0) {
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  } else if (version !== SCHEMA_VERSION) {
+    db.close();
+    throw new Error(`${file} was created by another version of the indexer. Delete it to index the chain again.`);
+  }
+
+  const statements = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+    recentBlocks: db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC"),
+    addBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"),
+    pruneBlocks: db.prepare("DELETE FROM blocks WHERE number < ?"),
+    removeBlocksFrom: db.prepare("DELETE FROM blocks WHERE number >= ?"),
+    tasksTouchedFrom: db.prepare(
+      "SELECT task_id AS id FROM events WHERE block_number >= ? AND task_id IS NOT NULL " +
+        "UNION SELECT related_task_id FROM events WHERE block_number >= ? AND related_task_id IS NOT NULL"
+    ),
+    visibilityChangedFrom: db.prepare(
+      "SELECT DISTINCT json_extract(args, '$.user') AS address FROM events WHERE block_number >= ? AND name = 'TaskVisibilityChanged'"
+    ),
+    lastVisibility: db.prepare(
+      "SELECT json_extract(args, '$.isPublic') AS isPublic FROM events " +
+        "WHERE name = 'TaskVisibilityChanged' AND json_extract(args, '$.user') = ? ORDER BY block_number DESC, log_index DESC LIMIT 1"
+    ),
+    setVisibility: db.prepare(
+      "INSERT INTO accounts (address, public_tasks) VALUES (?, ?) ON CONFLICT (address) DO UPDATE SET public_tasks = excluded.public_tasks"
+    ),
+    removeEventsFrom: db.prepare("DELETE FROM events WHERE block_number >= ?"),
+    addEvent: db.prepare(
+      "INSERT OR REPLACE INTO events (block_number, log_index, block_hash, transaction_hash, timestamp, name, task_id, related_task_id, args) " +
+        "VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @name, @taskId, @relatedTaskId, @args)"
+    ),
+    upsertTask: db.prepare(`
+      INSERT INTO tasks (id, title, description, status, owner, priority, due_date, created_at, assignee, project_id,
+        parent_id, subtask_count, completed_subtasks, blocked_by, open_blockers, labels, recurrence, updated_at, deleted)
+      VALUES (@id, @title, @description, @status, @owner, @priority, @dueDate, @createdAt, @assignee, @projectId,
+        @parentId, @subtaskCount, @completedSubtasks, @blockedBy, @openBlockers, @labels, @recurrence, @updatedAt, 0)
+      ON CONFLICT (id) DO UPDATE SET
+        title = excluded.title, description = excluded.description, status = excluded.status, owner = excluded.owner,
+        priority = excluded.priority, due_date = excluded.due_date, created_at = excluded.created_at,
+        assignee = excluded.assignee, project_id = excluded.project_id, parent_id = excluded.parent_id,
+        subtask_count = excluded.subtask_count, completed_subtasks = excluded.completed_subtasks,
+        blocked_by = excluded.blocked_by, open_blockers = excluded.open_blockers, labels = excluded.labels,
+        recurrence = excluded.recurrence, updated_at = excluded.updated_at, deleted = 0
+    `),
+    markDeleted: db.prepare("UPDATE tasks SET deleted = 1, updated_at = ? WHERE id = ?"),
+    removeTask: db.prepare("DELETE FROM tasks WHERE id = ?"),
+    hasEvents: db.prepare("SELECT 1 FROM events WHERE task_id = ? LIMIT 1"),
+    getTask: db.prepare("SELECT * FROM tasks WHERE id = ?"),
+    getHistory: db.prepare(
+      "SELECT * FROM events WHERE task_id = ? OR related_task_id = ? ORDER BY block_number, log_index"
+    ),
+    dependentsOf: db.prepare(
+      "SELECT tasks.id FROM tasks, json_each(tasks.blocked_by) WHERE json_each.value = ? AND tasks.deleted = 0"
+    ),
+    tasksWithLabel: db.prepare(
+      "SELECT tasks.id FROM tasks, json_each(tasks.labels) WHERE json_extract(json_each.value, '$.id') = ?"
+    ),
+    countEvents: db.prepare("SELECT COUNT(*) AS count FROM events"),
+    countTasks: db.prepare(
+      "SELECT COUNT(*) AS total, COUNT(DISTINCT owner) AS owners, " +
+        `SUM(due_date > 0 AND due_date < ? AND status NOT IN (${DONE_STATUS}, ${CANCELLED_STATUS})) AS overdue ` +
+        "FROM tasks WHERE deleted = 0"
+    ),
+    countByStatus: db.prepare("SELECT status, COUNT(*) AS count FROM tasks WHERE deleted = 0 GROUP BY status"),
+    countByPriority: db.prepare("SELECT priority, COUNT(*) AS count FROM tasks WHERE deleted = 0 GROUP BY priority"),
+    countDeleted: db.prepare("SELECT COUNT(*) AS count FROM tasks WHERE deleted = 1"),
+  };
+
+  const getMeta = (key) => statements.getMeta.get(key)?.value ?? null;
+
+  return {
+    /**
+     * Bind the database to a deployment, or check that it already indexes that deployment
+     * @param {Object} deployment
+     * @param {number} deployment.chainId - Chain the contract lives on
+     * @param {string} deployment.contractAddress - TaskManager (proxy) address
+     * @param {number} deployment.startBlock - First block to index
+     */
+    bind({ chainId, contractAddress, startBlock }) {
+      const boundChain = getMeta("chainId");
+      const boundContract = getMeta("contractAddress");
+      if (boundChain === null) {
+        db.transaction(() => {
+          statements.setMeta.run("chainId", String(chainId));
+          statements.setMeta.run("contractAddress", contractAddress.toLowerCase());
+          statements.setMeta.run("lastBlock", String(startBlock - 1));
+        })();
+      } else if (Number(boundChain) !== chainId || boundContract !== contractAddress.toLowerCase()) {
+        throw new Error(
+          `The database indexes ${boundContract} on chain ${boundChain}, not ${contractAddress} on chain ${chainId}. ` +
+            "Use another database file for this deployment."
+        );
+      }
+    },
+
+    /**
+     * Get the last block whose events are in the database
+     * @returns {number|null} Block number, or null before bind()
+     */
+    getLastBlock() {
+      const lastBlock = getMeta("lastBlock");
+      return lastBlock === null ? null : Number(lastBlock);
+    },
+
+    /**
+     * Get the hashes of the recently indexed blocks, newest first
+     * @returns {Array<{number: number, hash: string}>} Blocks that can still be checked for a reorg
+     */
+    getRecentBlocks() {
+      return statements.recentBlocks.all();
+    },
+
+    /**
+     * Drop everything indexed from a block on, after a reorg replaced it
+     * @param {number} blockNumber - First block that is no longer canonical
+     * @returns {number[]} IDs of the tasks touched by the dropped events
+     */
+    rewind(blockNumber) {
+      return db.transaction(() => {
+        const taskIds = statements.tasksTouchedFrom.all(blockNumber, blockNumber).map((row) => row.id);
+        const accounts = statements.visibilityChangedFrom.all(blockNumber).map((row) => row.address);
+        statements.removeEventsFrom.run(blockNumber);
+        // Each change carries the new visibility, so the last one left says what it is now
+        for (const address of accounts) {
+          statements.setVisibility.run(address, statements.lastVisibility.get(address)?.isPublic ?? 0);
+        }
+        statements.removeBlocksFrom.run(blockNumber);
+        statements.setMeta.run("lastBlock", String(blockNumber - 1));
+        return taskIds;
+      })();
+    },
+
+    /**
+     * Store the events and task states of an indexed block range and move the cursor past it
+     * @param {Object} range
+     * @param {IndexedEvent[]} range.events - Events in the range
+     * @param {Array<{id: number, task: Object|null, lastKnown?: Object|null, updatedAt: number}>} range.tasks - Latest state of each touched task: null for deleted ones, with what the range's events said about it in lastKnown
+     * @param {Array<{number: number, hash: string}>} range.blocks - Hashes of indexed blocks, for reorg detection
+     * @param {number} range.lastBlock - Last block of the range
+     * @param {number} range.keepBlocksFrom - Oldest block whose hash is still worth keeping
+     */
+    commit({ events, tasks, blocks, lastBlock, keepBlocksFrom }) {
+      db.transaction(() => {
+        for (const event of events) {
+          statements.addEvent.run({ ...event, args: JSON.stringify(event.args) });
+          if (event.name === "TaskVisibilityChanged") {
+            statements.setVisibility.run(event.args.user, event.args.isPublic ? 1 : 0);
+          }
+        }
+        const upsert = (task, updatedAt) =>
+          statements.upsertTask.run({
+            ...task,
+            dueDate: task.dueDate ?? 0,
+            blockedBy: JSON.stringify(task.blockedBy),
+            labels: JSON.stringify(task.labels),
+            recurrence: task.recurrence ? JSON.stringify(task.recurrence) : null,
+            updatedAt,
+          });
+
+        for (const { id, task, lastKnown, updatedAt } of tasks) {
+          if (task) {
+            upsert(task, updatedAt);
+          } else if (!statements.hasEvents.get(id)) {
+            // Only known from blocks a reorg dropped
+            statements.removeTask.run(id);
+          } else {
+            // Added and deleted within the range, so only its events tell what it was
+            if (!statements.getTask.get(id) && lastKnown) upsert(lastKnown, updatedAt);
+            statements.markDeleted.run(updatedAt, id);
+          }
+        }
+        for (const block of blocks) {
+          statements.addBlock.run(block.number, block.hash);
+        }
+        statements.pruneBlocks.run(keepBlocksFrom);
+        statements.setMeta.run("lastBlock", String(lastBlock));
+      })();
+    },
+
+    /**
+     * Get the tasks whose derived state depends on the given tasks: their parents and the tasks they block
+     * @param {number[]} taskIds - Tasks that changed
+     * @returns {number[]} IDs of the tasks to refresh as well
+     */
+    getDependentTasks(taskIds) {
+      const dependents = new Set();
+      for (const taskId of taskIds) {
+        const parentId = statements.getTask.get(taskId)?.parent_id;
+        if (parentId !== null && parentId !== undefined) dependents.add(parentId);
+        statements.dependentsOf.all(taskId).forEach((row) => dependents.add(row.id));
+      }
+      return [...dependents];
+    },
+
+    /**
+     * Get the tasks carrying a label
+     * @param {number} labelId - Label ID
+     * @returns {number[]} Task IDs
+     */
+    getTasksWithLabel(labelId) {
+      return statements.tasksWithLabel.all(labelId).map((row) => row.id);
+    },
+
+    /**
+     * Get one task
+     * @param {number} taskId - Task ID
+     * @returns {IndexedTask|null} The task, or null if the indexer has never seen it
+     */
+    getTask(taskId) {
+      const row = statements.getTask.get(taskId);
+      return row ? toTask(row) : null;
+    },
+
+    /**
+     * Get the events that touched a task, oldest first, including the ones that linked it to a parent or blocker
+     * @param {number} taskId - Task ID
+     * @returns {IndexedEvent[]} The task's history
+     */
+    getTaskHistory(taskId) {
+      return statements.getHistory.all(taskId, taskId).map(toEvent);
+    },
+
+    /**
+     * Find tasks among the public task lists
+     * @param {TaskQuery} query - Filters, ordering and page
+     * @returns {{tasks: IndexedTask[], total: number, nextCursor: number}} The page, the number of matching tasks and the cursor of the next page (0 when done)
+     */
+    queryTasks(query) {
+      const conditions = ["owner IN (SELECT address FROM accounts WHERE public_tasks = 1)"];
+      const params = [];
+
+      if (!query.includeDeleted) conditions.push("deleted = 0");
+      if (query.owner) {
+        conditions.push("owner = ? COLLATE NOCASE");
+        params.push(query.owner);
+      }
+      if (query.assignee) {
+        conditions.push("assignee = ? COLLATE NOCASE");
+        params.push(query.assignee);
+      }
+      if (query.projectId !== undefined) {
+        conditions.push("project_id = ?");
+        params.push(query.projectId);
+      }
+      if (query.parentId !== undefined) {
+        conditions.push("parent_id = ?");
+        params.push(query.parentId);
+      }
+      if (query.labelId !== undefined) {
+        conditions.push("EXISTS (SELECT 1 FROM json_each(tasks.labels) WHERE json_extract(json_each.value, '$.id') = ?)");
+        params.push(query.labelId);
+      }
+      if (query.statuses?.length) {
+        conditions.push(`status IN (${query.statuses.map(() => "?").join(", ")})`);
+        params.push(...query.statuses);
+      }
+      if (query.priorities?.length) {
+        conditions.push(`priority IN (${query.priorities.map(() => "?").join(", ")})`);
+        params.push(...query.priorities);
+      }
+      if (query.overdue) {
+        conditions.push(`due_date > 0 AND due_date < ? AND status NOT IN (${DONE_STATUS}, ${CANCELLED_STATUS})`);
+        params.push(query.now);
+      }
+      if (query.dueAfter !== undefined) {
+        conditions.push("due_date > 0 AND due_date >= ?");
+        params.push(query.dueAfter);
+      }
+      if (query.dueBefore !== undefined) {
+        conditions.push("due_date > 0 AND due_date <= ?");
+        params.push(query.dueBefore);
+      }
+      const search = query.search ? toSearchQuery(query.search) : "";
+      if (search) {
+        conditions.push("id IN (SELECT rowid FROM task_search WHERE task_search MATCH ?)");
+        params.push(search);
+      }
+
+      const where = `WHERE ${conditions.join(" AND ")}`;
+      const direction = query.order === "desc" ? "DESC" : "ASC";
+      const orderBy = (SORT_COLUMNS[query.sort] || SORT_COLUMNS.id)
+        .split(", ")
+        .map((column) => (column.endsWith(" ASC") ? column : `${column} ${direction}`))
+        .join(", ");
+      const limit = Math.min(Math.max(query.limit || 25, 1), MAX_QUERY_LIMIT);
+      const cursor = Math.max(query.cursor || 0, 0);
+
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM tasks ${where}`).get(...params);
+      const rows = db
+        .prepare(`SELECT * FROM tasks ${where} ORDER BY ${orderBy}, id ${direction} LIMIT ? OFFSET ?`)
+        .all(...params, limit, cursor);
+
+      return {
+        tasks: rows.map(toTask),
+        total,
+        nextCursor: cursor + rows.length < total ? cursor + rows.length : 0,
+      };
+    },
+
+    /**
+     * Get totals over every task that hasn't been deleted
+     * @param {number} now - Current Unix time, for counting overdue tasks
+     * @returns {Object} Task counts overall, by status and by priority, owners, deleted tasks and indexed events
+     */
+    getStats(now) {
+      const { total, owners, overdue } = statements.countTasks.get(now);
+      const byStatus = Object.fromEntries(STATUS_NAMES.map((name) => [name, 0]));
+      statements.countByStatus.all().forEach((row) => (byStatus[STATUS_NAMES[row.status]] = row.count));
+      const byPriority = Object.fromEntries(PRIORITY_NAMES.map((name) => [name, 0]));
+      statements.countByPriority.all().forEach((row) => (byPriority[PRIORITY_NAMES[row.priority]] = row.count));
+
+      return {
+        tasks: total,
+        owners,
+        overdue: overdue || 0,
+        deleted: statements.countDeleted.get().count,
+        byStatus,
+        byPriority,
+        events: statements.countEvents.get().count,
+      };
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  MAX_QUERY_LIMIT,
+  SORT_COLUMNS,
+  STATUS_NAMES,
+  PRIORITY_NAMES,
+  openDatabase,
+};
@@ -0,0 +1,197 @@
+// Event indexer for TaskManager.
+//
+// The contract can only list tasks per account, so the indexer follows its events into SQLite
+// (see sync.js and database.js) and serves what the contract can't: search, filtering and sorting
+// across every public task list, global stats and per-task history. Like the contract, it only
+// lists the tasks of accounts that made their list public with setTasksPublic.
+//
+// Run it next to a node with `npm run indexer`; it reads the contract address and deployment block
+// from deployments/<INDEXER_NETWORK>.json as written by scripts/deploy.js, and the RPC endpoint
+// from the network registry in networks.js. The API:
+//   GET /health                 indexing progress
+//   GET /tasks                  tasks of public lists matching the query string (see parseTaskQuery)
+//   GET /tasks/<id>             one task, including deleted ones
+//   GET /tasks/<id>/history     the events that touched a task, oldest first
+//   GET /stats                  task counts across all accounts
+require("dotenv").config();
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getDeploymentPath, getRpcUrl, loadDeployment } = require("../networks");
+const { SORT_COLUMNS, openDatabase } = require("./database");
+const { createIndexer } = require("./sync");
+
+const PORT = Number(process.env.INDEXER_PORT || 8788);
+const NETWORK = process.env.INDEXER_NETWORK || "localhost";
+const RPC_URL = process.env.INDEXER_RPC_URL || getRpcUrl(NETWORK);
+const DATABASE_PATH = path.resolve(process.env.INDEXER_DB_PATH || path.join(os.tmpdir(), `task-manager-indexer-${NETWORK}.sqlite`));
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 4000);
+const CORS_ORIGIN = process.env.INDEXER_CORS_ORIGIN || "*";
+
+const STATUS_COUNT = 6;
+const PRIORITY_COUNT = 3;
+
+// Error returned to the client with an HTTP status code
+class IndexerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Read a non-negative integer query parameter
+function readInteger(params, name) {
+  const value = params.get(name);
+  if (value === null || value === "") return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new IndexerError(400, `${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+// Read a comma-separated list of enum values below `count`
+function readEnumList(params, name, count) {
+  const value = params.get(name);
+  if (value === null || value === "") return undefined;
+  return value.split(",").map((item) => {
+    if (!/^\d+$/.test(item) || Number(item) >= count) {
+      throw new IndexerError(400, `${name} must be a comma-separated list of values from 0 to ${count - 1}`);
+    }
+    return Number(item);
+  });
+}
+
+function readAddress(params, name) {
+  const value = params.get(name);
+  if (value === null || value === "") return undefined;
+  if (!ethers.utils.isAddress(value)) {
+    throw new IndexerError(400, `${name} must be an address`);
+  }
+  return value;
+}
+
+/**
+ * Read the filters of GET /tasks from its query string: owner, assignee, project, parent, label,
+ * status and priority (comma-separated enum values), overdue=true, dueAfter and dueBefore (Unix
+ * times), q (full-text search), includeDeleted=true, sort, order (asc or desc), cursor and limit
+ * @param {URLSearchParams} params - Query string
+ * @returns {import("./database").TaskQuery} The query
+ */
+function parseTaskQuery(params) {
+  const sort = params.get("sort") || "id";
+  if (!SORT_COLUMNS[sort]) {
+    throw new IndexerError(400, `sort must be one of ${Object.keys(SORT_COLUMNS).join(", ")}`);
+  }
+  const order = params.get("order") || "asc";
+  if (order !== "asc" && order !== "desc") {
+    throw new IndexerError(400, "order must be asc or desc");
+  }
+
+  return {
+    owner: readAddress(params, "owner"),
+    assignee: readAddress(params, "assignee"),
+    projectId: readInteger(params, "project"),
+    parentId: readInteger(params, "parent"),
+    labelId: readInteger(params, "label"),
+    statuses: readEnumList(params, "status", STATUS_COUNT),
+    priorities: readEnumList(params, "priority", PRIORITY_COUNT),
+    overdue: params.get("overdue") === "true",
+    dueAfter: readInteger(params, "dueAfter"),
+    dueBefore: readInteger(params, "dueBefore"),
+    search: params.get("q") || undefined,
+    includeDeleted: params.get("includeDeleted") === "true",
+    sort,
+    order,
+    cursor: readInteger(params, "cursor"),
+    limit: readInteger(params, "limit"),
+    now: Math.floor(Date.now() / 1000),
+  };
+}
+
+/**
+ * Create the indexer's HTTP API
+ * @param {Object} options
+ * @param {ReturnType<typeof openDatabase>} options.db - Indexer database
+ * @param {number} options.chainId - Chain the indexed contract lives on
+ * @param {string} options.contractAddress - Indexed TaskManager address
+ * @returns {http.Server} Server exposing the routes described above
+ */
+function createIndexerServer({ db, chainId, contractAddress }) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": CORS_ORIGIN,
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const taskRoute = /^\/tasks\/(\d+)(\/history)?$/.exec(url.pathname);
+      // Every answer says how far the index goes, so clients can follow newer blocks themselves
+      const blockNumber = db.getLastBlock();
+
+      if (req.method === "OPTIONS") {
+        send(204);
+      } else if (req.method !== "GET") {
+        send(405, { error: "Method not allowed" });
+      } else if (url.pathname === "/health") {
+        send(200, { status: "ok", chainId, taskManager: contractAddress, blockNumber });
+      } else if (url.pathname === "/tasks") {
+        send(200, { ...db.queryTasks(parseTaskQuery(url.searchParams)), blockNumber });
+      } else if (taskRoute && taskRoute[2]) {
+        send(200, { events: db.getTaskHistory(Number(taskRoute[1])), blockNumber });
+      } else if (taskRoute) {
+        const task = db.getTask(Number(taskRoute[1]));
+        if (!task) {
+          throw new IndexerError(404, `Task ${taskRoute[1]} not found`);
+        }
+        send(200, { task, blockNumber });
+      } else if (url.pathname === "/stats") {
+        send(200, { ...db.getStats(Math.floor(Date.now() / 1000)), blockNumber });
+      } else {
+        send(404, { error: "Not found" });
+      }
+    } catch (error) {
+      if (!(error instanceof IndexerError)) {
+        console.error("Error handling indexer request:", error);
+      }
+      send(error.status || 500, { error: error.status ? error.message : "Internal error" });
+    }
+  });
+}
+
+async function main() {
+  const deployment = loadDeployment(NETWORK);
+  if (!deployment) {
+    throw new Error(`No deployment found at ${getDeploymentPath(NETWORK)}. Run scripts/deploy.js for the ${NETWORK} network first.`);
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const db = openDatabase(DATABASE_PATH);
+  db.bind({ chainId, contractAddress: deployment.contractAddress, startBlock: deployment.blockNumber || 0 });
+
+  const indexer = createIndexer({ db, provider, contractAddress: deployment.contractAddress });
+  console.log(`Indexing ${deployment.contractAddress} on ${NETWORK} (${RPC_URL}) from block ${db.getLastBlock() + 1}`);
+  console.log(`Database: ${DATABASE_PATH}`);
+  indexer.start(POLL_INTERVAL, (error) => console.error("Error indexing events:", error));
+
+  const server = createIndexerServer({ db, chainId, contractAddress: deployment.contractAddress });
+  server.listen(PORT, () => {
+    console.log(`Indexer API listening on http://localhost:${PORT}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error starting indexer:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createIndexerServer };
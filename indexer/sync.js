@@ -0,0 +1,335 @@
+// Follows the TaskManager events of a deployment and writes them into the indexer database.
+//
+// Each pass reads the logs of up to MAX_LOG_RANGE blocks at a time, re-reads the tasks they touched
+// from the contract, and commits the events, the task states and the new cursor together. Before
+// every pass the hashes of the last REORG_DEPTH indexed blocks are compared with the chain; blocks
+// that were replaced are dropped and their tasks re-read, like the frontend's live subscription does.
+const { ethers } = require("ethers");
+
+// How far back a reorg is tracked, how many blocks a single log query may span, and the most
+// tasks read per batch call (the contract's MAX_PAGE_SIZE)
+const REORG_DEPTH = 12;
+const MAX_LOG_RANGE = 2000;
+const MAX_READ_BATCH = 100;
+const MAX_POLL_BACKOFF = 60000;
+
+const RECURRENCE_TUPLE = "tuple(uint8 frequency, uint8 weekdays, uint16 interval, uint8 monthDay, uint256 endDate)";
+const TASK_TUPLE = `tuple(uint256 id, string title, string description, uint8 status, address owner, uint8 priority, uint256 dueDate, uint256 createdAt, address assignee, uint256 projectId, ${RECURRENCE_TUPLE} recurrence)`;
+const LABEL_TUPLE = "tuple(uint256 id, string name, uint24 color, address owner)";
+const CONTENT_TUPLE = "tuple(string title, string description, uint8 priority, uint256 dueDate)";
+const RELATIONS_TUPLE = "tuple(bool hasParent, uint256 parentId, uint256 subtaskCount, uint256 completedSubtasks, uint256[] blockerIds, uint256 openBlockers)";
+
+// TaskManager ABI - every event, and the views needed to read the state of a task
+const TaskManagerABI = [
+  `event TaskAdded(uint256 indexed taskId, address indexed owner, uint256 indexed projectId, ${CONTENT_TUPLE} content, uint256 timestamp)`,
+  `event TaskUpdated(uint256 indexed taskId, address indexed actor, ${CONTENT_TUPLE} previous, ${CONTENT_TUPLE} current, uint256 timestamp)`,
+  "event TaskDeleted(uint256 indexed taskId, address indexed owner, address indexed actor, uint256 timestamp)",
+  "event TaskCompleted(uint256 indexed taskId, bool completed)",
+  "event TaskStatusChanged(uint256 indexed taskId, address indexed actor, uint8 oldStatus, uint8 newStatus, uint256 timestamp)",
+  "event TaskAssigned(uint256 indexed taskId, address indexed actor, address previousAssignee, address indexed newAssignee, uint256 timestamp)",
+  "event TaskTransferred(uint256 indexed taskId, address indexed previousOwner, address indexed newOwner, uint256 timestamp)",
+  `event TaskRecurrenceChanged(uint256 indexed taskId, address indexed actor, ${RECURRENCE_TUPLE} previous, ${RECURRENCE_TUPLE} current, uint256 timestamp)`,
+  "event TaskRecurred(uint256 indexed taskId, uint256 indexed nextTaskId, uint256 dueDate)",
+  "event TaskRecurrenceSkipped(uint256 indexed taskId, uint256 dueDate)",
+  "event CollaboratorUpdated(uint256 indexed taskId, address indexed owner, address indexed collaborator, uint8 previousPermission, uint8 permission, uint256 timestamp)",
+  "event TaskLabelAdded(uint256 indexed taskId, uint256 indexed labelId)",
+  "event TaskLabelRemoved(uint256 indexed taskId, uint256 indexed labelId)",
+  "event SubtaskAdded(uint256 indexed parentId, uint256 indexed taskId)",
+  "event SubtaskRemoved(uint256 indexed parentId, uint256 indexed taskId)",
+  "event TaskBlockerAdded(uint256 indexed taskId, uint256 indexed blockerId)",
+  "event TaskBlockerRemoved(uint256 indexed taskId, uint256 indexed blockerId)",
+  "event TaskVisibilityChanged(address indexed user, bool isPublic)",
+  "event EncryptionKeyChanged(address indexed account, bytes32 publicKey)",
+  "event ProjectCreated(uint256 indexed projectId, address indexed owner, string name)",
+  "event ProjectRenamed(uint256 indexed projectId, string newName)",
+  "event ProjectDeleted(uint256 indexed projectId)",
+  "event ProjectMemberUpdated(uint256 indexed projectId, address indexed member, uint8 role)",
+  "event LabelCreated(uint256 indexed labelId, address indexed owner, string name, uint24 color)",
+  "event LabelUpdated(uint256 indexed labelId, string name, uint24 color)",
+  "event LabelDeleted(uint256 indexed labelId)",
+  "event ContractPaused(bool paused)",
+  "event MaxTasksPerUserChanged(uint256 maxTasks)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  `function getTask(uint256 taskId) external view returns (${TASK_TUPLE})`,
+  `function getTaskLabelsBatch(uint256[] taskIds) external view returns (${LABEL_TUPLE}[][])`,
+  `function getTaskRelationsBatch(uint256[] taskIds) external view returns (${RELATIONS_TUPLE}[])`,
+];
+
+// Events whose related task (a parent, blocker or next occurrence) changes state along with the task itself
+const RELATED_TASK_ARGS = {
+  TaskRecurred: "nextTaskId",
+  SubtaskAdded: "parentId",
+  SubtaskRemoved: "parentId",
+  TaskBlockerAdded: "blockerId",
+  TaskBlockerRemoved: "blockerId",
+};
+
+// Label events that change how the label shows on every task carrying it
+const LABEL_EVENTS = new Set(["LabelUpdated", "LabelDeleted"]);
+
+const MAX_SAFE_INTEGER = ethers.BigNumber.from(String(Number.MAX_SAFE_INTEGER));
+
+// Convert event arguments to JSON-friendly values: numbers for the small integers, objects for
+// the structs, strings otherwise
+function toPlainValue(value, input) {
+  if (input.baseType === "tuple") {
+    return Object.fromEntries(input.components.map((component) => [component.name, toPlainValue(value[component.name], component)]));
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.lte(MAX_SAFE_INTEGER) ? value.toNumber() : value.toString();
+  }
+  return value;
+}
+
+function toPlainArgs(event) {
+  return Object.fromEntries(event.eventFragment.inputs.map((input) => [input.name, toPlainValue(event.args[input.name], input)]));
+}
+
+// Convert a repeat rule to the stored format, null when the task doesn't repeat
+function toIndexedRecurrence({ frequency, weekdays, interval, monthDay, endDate }) {
+  if (frequency === 0) return null;
+  const end = ethers.BigNumber.from(endDate);
+  return { frequency, weekdays, interval, monthDay, endDate: end.gt(0) ? end.toNumber() : null };
+}
+
+// Rebuild what the events of a range say about a task, for a task deleted before its state could be read
+function taskFromEvents(events, taskId) {
+  let task = null;
+  for (const { name, args, timestamp, taskId: id } of events) {
+    if (id !== taskId) continue;
+    if (name === "TaskAdded") {
+      task = {
+        id: taskId,
+        title: args.content.title,
+        description: args.content.description,
+        status: 0,
+        owner: args.owner,
+        priority: args.content.priority,
+        dueDate: args.content.dueDate || null,
+        createdAt: timestamp,
+        assignee: null,
+        projectId: args.projectId || null,
+        parentId: null,
+        subtaskCount: 0,
+        completedSubtasks: 0,
+        blockedBy: [],
+        openBlockers: 0,
+        labels: [],
+        recurrence: null,
+      };
+    } else if (task && name === "TaskUpdated") {
+      const { title, description, priority, dueDate } = args.current;
+      Object.assign(task, { title, description, priority, dueDate: dueDate || null });
+    } else if (task && name === "TaskStatusChanged") {
+      task.status = args.newStatus;
+    } else if (task && name === "TaskAssigned") {
+      task.assignee = args.newAssignee === ethers.constants.AddressZero ? null : args.newAssignee;
+    } else if (task && name === "TaskTransferred") {
+      task.owner = args.newOwner;
+    } else if (task && name === "TaskRecurrenceChanged") {
+      task.recurrence = toIndexedRecurrence(args.current);
+    } else if (task && name === "TaskRecurred") {
+      // The rule moved on to the next occurrence
+      task.recurrence = null;
+    }
+  }
+  return task;
+}
+
+// Convert the contract's view of a task into the fields stored by the database
+function toIndexedTask(task, labels, relations) {
+  return {
+    id: task.id.toNumber(),
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    owner: task.owner,
+    priority: task.priority,
+    dueDate: task.dueDate.gt(0) ? task.dueDate.toNumber() : null,
+    createdAt: task.createdAt.toNumber(),
+    assignee: task.assignee === ethers.constants.AddressZero ? null : task.assignee,
+    projectId: task.projectId.gt(0) ? task.projectId.toNumber() : null,
+    parentId: relations.hasParent ? relations.parentId.toNumber() : null,
+    subtaskCount: relations.subtaskCount.toNumber(),
+    completedSubtasks: relations.completedSubtasks.toNumber(),
+    blockedBy: relations.blockerIds.map((id) => id.toNumber()),
+    openBlockers: relations.openBlockers.toNumber(),
+    labels: labels.map((label) => ({
+      id: label.id.toNumber(),
+      name: label.name,
+      color: `#${Number(label.color).toString(16).padStart(6, "0")}`,
+      owner: label.owner,
+    })),
+    recurrence: toIndexedRecurrence(task.recurrence),
+  };
+}
+
+/**
+ * Create an indexer for a TaskManager deployment
+ * @param {Object} options
+ * @param {ReturnType<import("./database").openDatabase>} options.db - Indexer database, already bound to the deployment
+ * @param {ethers.providers.Provider} options.provider - Provider of the chain the contract lives on
+ * @param {string} options.contractAddress - TaskManager (proxy) address
+ * @param {number} [options.logRange=MAX_LOG_RANGE] - Most blocks read per log query
+ * @returns {{sync: () => Promise<number>, start: (pollInterval: number, onError?: (error: Error) => void) => () => void}} sync() indexes up to the latest block and returns it; start() keeps syncing until the returned function is called
+ */
+function createIndexer({ db, provider, contractAddress, logRange = MAX_LOG_RANGE }) {
+  const contract = new ethers.Contract(contractAddress, TaskManagerABI, provider);
+
+  // Drop the indexed blocks a reorg replaced and return the tasks they touched
+  const rewindReorg = async () => {
+    const affected = new Set();
+    for (const { number, hash } of db.getRecentBlocks()) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === hash) {
+        break;
+      }
+      console.warn(`Block ${number} was reorganised, indexing it again`);
+      db.rewind(number).forEach((taskId) => affected.add(taskId));
+    }
+    return affected;
+  };
+
+  // Read the latest state of tasks from the contract, with their parents and the tasks they block.
+  // Each task is stamped with the time of the last event that touched it, or `fallbackTime`.
+  const readTasks = async (taskIds, eventTimes, fallbackTime) => {
+    const pending = [...taskIds];
+    const read = new Map();
+    while (pending.length > 0) {
+      const batch = [...new Set(pending.splice(0, MAX_READ_BATCH))].filter((id) => !read.has(id));
+      if (batch.length === 0) continue;
+
+      const [tasks, labels, relations] = await Promise.all([
+        Promise.all(batch.map((id) => contract.getTask(id))),
+        contract.getTaskLabelsBatch(batch),
+        contract.getTaskRelationsBatch(batch),
+      ]);
+      batch.forEach((id, i) => {
+        // Deleted tasks read back as an empty struct
+        const exists = tasks[i].owner !== ethers.constants.AddressZero;
+        const task = exists ? toIndexedTask(tasks[i], labels[i], relations[i]) : null;
+        read.set(id, { id, task, updatedAt: eventTimes.get(id) ?? fallbackTime });
+        if (task?.parentId !== null && task?.parentId !== undefined && !read.has(task.parentId)) {
+          pending.push(task.parentId);
+        }
+      });
+
+      // A task changing status changes its parent's rollup and the open blockers of its dependents
+      db.getDependentTasks(batch).forEach((id) => !read.has(id) && pending.push(id));
+    }
+    return [...read.values()];
+  };
+
+  // Index one range of blocks
+  const indexRange = async (fromBlock, toBlock, affected) => {
+    const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+
+    const timestamps = new Map();
+    const blocks = new Map();
+    const events = [];
+    const touched = new Set(affected);
+    const eventTimes = new Map();
+    for (const log of logs) {
+      let event;
+      try {
+        event = contract.interface.parseLog(log);
+      } catch (error) {
+        // Not a TaskManager event, e.g. one emitted by the proxy itself
+        continue;
+      }
+
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      blocks.set(log.blockNumber, log.blockHash);
+
+      const args = toPlainArgs(event);
+      const taskId = args.taskId ?? null;
+      const relatedTaskId = RELATED_TASK_ARGS[event.name] ? args[RELATED_TASK_ARGS[event.name]] : null;
+      for (const id of [taskId, relatedTaskId]) {
+        if (id === null) continue;
+        touched.add(id);
+        eventTimes.set(id, timestamps.get(log.blockNumber));
+      }
+      if (LABEL_EVENTS.has(event.name)) {
+        db.getTasksWithLabel(args.labelId).forEach((id) => touched.add(id));
+      }
+
+      events.push({
+        name: event.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber),
+        taskId,
+        relatedTaskId,
+        args,
+      });
+    }
+
+    const last = await provider.getBlock(toBlock);
+    blocks.set(toBlock, last.hash);
+    const tasks = (await readTasks(touched, eventTimes, last.timestamp)).map((entry) =>
+      entry.task ? entry : { ...entry, lastKnown: taskFromEvents(events, entry.id) }
+    );
+    db.commit({
+      events,
+      tasks,
+      blocks: [...blocks].map(([number, hash]) => ({ number, hash })),
+      lastBlock: toBlock,
+      keepBlocksFrom: toBlock - REORG_DEPTH,
+    });
+  };
+
+  const sync = async () => {
+    let affected = await rewindReorg();
+    const latestBlock = await provider.getBlockNumber();
+
+    let lastBlock = db.getLastBlock();
+    // Tasks touched by dropped blocks are re-read even when no new block has arrived
+    if (lastBlock >= latestBlock && affected.size > 0) {
+      lastBlock = latestBlock - 1;
+    }
+    while (lastBlock < latestBlock) {
+      const toBlock = Math.min(lastBlock + logRange, latestBlock);
+      await indexRange(lastBlock + 1, toBlock, affected);
+      affected = new Set();
+      lastBlock = toBlock;
+    }
+    return latestBlock;
+  };
+
+  const start = (pollInterval, onError) => {
+    let failures = 0;
+    let timer = null;
+    let stopped = false;
+
+    const schedule = () => {
+      if (stopped) return;
+      // Back off exponentially while the provider keeps failing
+      const delay = Math.min(pollInterval * 2 ** failures, MAX_POLL_BACKOFF);
+      timer = setTimeout(async () => {
+        try {
+          await sync();
+          failures = 0;
+        } catch (error) {
+          failures++;
+          if (onError) onError(error);
+        }
+        schedule();
+      }, delay);
+    };
+
+    schedule();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  return { sync, start };
+}
+
+module.exports = { TaskManagerABI, createIndexer };
@@ -0,0 +1,112 @@
+// Registry of the networks TaskManager is deployed to.
+//
+// Adding a chain is one entry in NETWORKS: hardhat.config.js builds its networks and block
+// explorer settings from it, scripts/deploy.js reads confirmations and gas settings from it,
+// the relayer reads its RPC endpoint from it, and the frontend build (frontend/next.config.mjs)
+// combines it with the addresses in deployments/<network>.json.
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "deployments");
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {number} chainId - EIP-155 chain ID
+ * @property {string} name - Name shown in the UI and in wallets
+ * @property {{name: string, symbol: string, decimals: number}} currency - Native currency
+ * @property {string} rpcUrl - Public JSON-RPC endpoint
+ * @property {string} [rpcUrlEnv] - Environment variable that overrides rpcUrl for deploying and relaying
+ * @property {string|null} blockExplorer - Block explorer URL with a trailing slash, null for local chains
+ * @property {number} confirmations - Blocks to wait for after deploying
+ * @property {number} [gasPrice] - Fixed gas price in wei for deployments (estimated when omitted)
+ * @property {boolean} [local] - A development chain that needs no private key or verification
+ * @property {{network: string, apiKeyEnv: string, apiUrl: string}} [verify] - Block explorer verification: hardhat-etherscan network name, environment variable holding the API key, and API URL
+ */
+
+/** @type {Object<string, NetworkConfig>} */
+const NETWORKS = {
+  localhost: {
+    chainId: 31337,
+    name: "Localhost",
+    currency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrl: "http://127.0.0.1:8545",
+    blockExplorer: null,
+    confirmations: 1,
+    local: true,
+  },
+  sepolia: {
+    chainId: 11155111,
+    name: "Sepolia Testnet",
+    currency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    rpcUrl: "https://rpc.sepolia.org",
+    rpcUrlEnv: "SEPOLIA_URL",
+    blockExplorer: "https://sepolia.etherscan.io/",
+    confirmations: 5,
+    gasPrice: 3000000000, // 3 gwei
+    verify: { network: "sepolia", apiKeyEnv: "ETHERSCAN_API_KEY", apiUrl: "https://api-sepolia.etherscan.io/api" },
+  },
+  amoy: {
+    chainId: 80002,
+    name: "Polygon Amoy Testnet",
+    currency: { name: "POL", symbol: "POL", decimals: 18 },
+    rpcUrl: "https://rpc-amoy.polygon.technology",
+    rpcUrlEnv: "AMOY_URL",
+    blockExplorer: "https://amoy.polygonscan.com/",
+    confirmations: 5,
+    verify: { network: "polygonAmoy", apiKeyEnv: "POLYGONSCAN_API_KEY", apiUrl: "https://api-amoy.polygonscan.com/api" },
+  },
+};
+
+/**
+ * Get a network from the registry
+ * @param {string} network - Network name, e.g. "sepolia"
+ * @returns {NetworkConfig} Network configuration
+ */
+function getNetwork(network) {
+  // The in-process Hardhat network runs the same chain as `npx hardhat node`
+  const config = NETWORKS[network === "hardhat" ? "localhost" : network];
+  if (!config) {
+    throw new Error(`Unknown network ${network}. Add it to networks.js.`);
+  }
+  return config;
+}
+
+/**
+ * Get the RPC endpoint of a network, preferring the URL set in its rpcUrlEnv variable
+ * @param {string} network - Network name
+ * @returns {string} JSON-RPC URL
+ */
+function getRpcUrl(network) {
+  const config = getNetwork(network);
+  return (config.rpcUrlEnv && process.env[config.rpcUrlEnv]) || config.rpcUrl;
+}
+
+/**
+ * Path of the deployment manifest of a network
+ * @param {string} network - Network name
+ * @returns {string} Path to deployments/<network>.json
+ */
+function getDeploymentPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * Read the deployment manifest that scripts/deploy.js wrote for a network
+ * @param {string} network - Network name
+ * @returns {Object|null} Deployment info, or null if the network has not been deployed to
+ */
+function loadDeployment(network) {
+  const filePath = getDeploymentPath(network);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+module.exports = {
+  NETWORKS,
+  getNetwork,
+  getRpcUrl,
+  getDeploymentPath,
+  loadDeployment,
+};
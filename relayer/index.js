@@ -0,0 +1,218 @@
+// Relayer for gasless task requests.
+//
+// Users sign a TaskForwarder.ForwardRequest (EIP-712) in the frontend and POST it here.
+// The relayer checks the request, simulates it and submits it to the forwarder, paying the gas.
+//
+// Run it next to a node with `npm run relayer`; it reads the contract addresses from
+// deployments/<RELAYER_NETWORK>.json as written by scripts/deploy.js, and the RPC endpoint
+// from the network registry in networks.js.
+require("dotenv").config();
+const http = require("http");
+const { ethers } = require("ethers");
+const { getDeploymentPath, getNetwork, getRpcUrl, loadDeployment: readDeployment } = require("../networks");
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const NETWORK = process.env.RELAYER_NETWORK || "localhost";
+const RPC_URL = process.env.RELAYER_RPC_URL || getRpcUrl(NETWORK);
+const CORS_ORIGIN = process.env.RELAYER_CORS_ORIGIN || "*";
+
+// First account of `npx hardhat node`, only used on the local network when no key is configured
+const HARDHAT_NODE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+// Limits that keep a single request from draining the relayer account
+const MAX_REQUEST_GAS = 1000000;
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Gas the forwarder itself needs on top of the gas forwarded to TaskManager
+const FORWARDER_GAS_OVERHEAD = 100000;
+
+const FORWARD_REQUEST_TUPLE = "tuple(address from, address to, uint256 gas, uint256 nonce, uint256 deadline, bytes data)";
+
+// TaskForwarder ABI - includes only the functions the relayer needs
+const TaskForwarderABI = [
+  "function isRelayable(bytes data) external pure returns (bool)",
+  `function execute(${FORWARD_REQUEST_TUPLE} req, bytes signature) external returns (bytes)`,
+];
+
+// Error returned to the client with an HTTP status code
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Read the addresses written by scripts/deploy.js for a network
+function loadDeployment(network) {
+  const deployment = readDeployment(network);
+  if (!deployment) {
+    throw new Error(`No deployment found at ${getDeploymentPath(network)}. Run scripts/deploy.js for the ${network} network first.`);
+  }
+  if (!deployment.forwarderAddress) {
+    throw new Error(`The ${network} deployment has no TaskForwarder. Redeploy with the current scripts/deploy.js.`);
+  }
+  return deployment;
+}
+
+// Pick the account that pays for relayed requests
+function loadRelayerKey(network) {
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    return process.env.RELAYER_PRIVATE_KEY;
+  }
+  if (getNetwork(network).local) {
+    console.warn("WARNING: RELAYER_PRIVATE_KEY is not set, using the first Hardhat node account.");
+    return HARDHAT_NODE_KEY;
+  }
+  throw new Error("Set RELAYER_PRIVATE_KEY to the account that pays for relayed requests.");
+}
+
+// Read and parse a JSON request body, rejecting bodies over MAX_BODY_SIZE
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new RelayError(400, "Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Read the gas a request asks for, which has to be a whole number of gas units
+function requestGas(request) {
+  try {
+    const gas = ethers.BigNumber.from(request.gas);
+    if (!gas.isNegative()) {
+      return gas;
+    }
+  } catch (error) {
+    // Reported below like a negative value
+  }
+  throw new RelayError(400, "Requests must state the gas they may use");
+}
+
+// Extract the revert reason of a failed simulation, falling back to the provider's message
+function revertReason(error) {
+  return error.reason || error.error?.message || error.message;
+}
+
+/**
+ * Create the relayer HTTP server
+ * @param {Object} options
+ * @param {ethers.Signer} options.signer - Account that submits requests and pays their gas
+ * @param {string} options.forwarderAddress - Address of the TaskForwarder
+ * @param {string} options.taskManagerAddress - Address of the TaskManager the forwarder relays to
+ * @returns {http.Server} Server exposing GET /health and POST /relay
+ */
+function createRelayServer({ signer, forwarderAddress, taskManagerAddress }) {
+  const forwarder = new ethers.Contract(forwarderAddress, TaskForwarderABI, signer);
+
+  // Submit one transaction at a time so the relayer account's nonces never collide
+  let queue = Promise.resolve();
+  const submit = (request, signature) => {
+    const result = queue.then(() =>
+      forwarder.execute(request, signature, { gasLimit: ethers.BigNumber.from(request.gas).add(FORWARDER_GAS_OVERHEAD) })
+    );
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const relay = async ({ request, signature }) => {
+    if (!request || typeof signature !== "string") {
+      throw new RelayError(400, "Expected a signed request and its signature");
+    }
+    if (!ethers.utils.isAddress(request.to) || ethers.utils.getAddress(request.to) !== ethers.utils.getAddress(taskManagerAddress)) {
+      throw new RelayError(400, "Requests must target the TaskManager contract");
+    }
+    if (requestGas(request).gt(MAX_REQUEST_GAS)) {
+      throw new RelayError(400, `Requests may use at most ${MAX_REQUEST_GAS} gas`);
+    }
+    if (!(await forwarder.isRelayable(request.data))) {
+      throw new RelayError(400, "Function cannot be relayed");
+    }
+
+    // Simulate first so the relayer never pays for a request that would revert
+    try {
+      await forwarder.callStatic.execute(request, signature);
+    } catch (error) {
+      throw new RelayError(422, revertReason(error));
+    }
+
+    const tx = await submit(request, signature);
+    console.log(`Relayed request ${request.nonce} from ${request.from} in ${tx.hash}`);
+    return { transactionHash: tx.hash };
+  };
+
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": CORS_ORIGIN,
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === "OPTIONS") {
+        send(204);
+      } else if (req.method === "GET" && req.url === "/health") {
+        send(200, {
+          relayer: await signer.getAddress(),
+          forwarder: forwarderAddress,
+          taskManager: taskManagerAddress,
+          chainId: await signer.getChainId(),
+        });
+      } else if (req.method === "POST" && req.url === "/relay") {
+        send(200, await relay(await readJson(req)));
+      } else {
+        send(404, { error: "Not found" });
+      }
+    } catch (error) {
+      if (!(error instanceof RelayError)) {
+        console.error("Error relaying request:", error);
+      }
+      send(error.status || 500, { error: error.status ? error.message : "Failed to relay request" });
+    }
+  });
+}
+
+async function main() {
+  const deployment = loadDeployment(NETWORK);
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const signer = new ethers.Wallet(loadRelayerKey(NETWORK), provider);
+
+  const server = createRelayServer({
+    signer,
+    forwarderAddress: deployment.forwarderAddress,
+    taskManagerAddress: deployment.contractAddress,
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer listening on http://localhost:${PORT}`);
+    console.log(`Network: ${NETWORK} (${RPC_URL})`);
+    console.log(`Relayer account: ${signer.address}`);
+    console.log(`TaskForwarder: ${deployment.forwarderAddress}`);
+    console.log(`TaskManager: ${deployment.contractAddress}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Error starting relayer:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createRelayServer };
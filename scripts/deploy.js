@@ -6,37 +6,21 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getNetwork, getDeploymentPath } = require("../networks");
+const { getStorageLayout } = require("./storage-layout");
 
-// Network-specific configurations
-const NETWORK_CONFIGS = {
-  sepolia: {
-    confirmations: 5,
-    verifyApiKey: "ETHERSCAN_API_KEY",
-    blockExplorer: "https://sepolia.etherscan.io/address/",
-    rpcUrl: "https://sepolia.infura.io/v3/YOUR_INFURA_KEY",
-    gasPrice: 3000000000, // 3 gwei
-  },
-  mumbai: {
-    confirmations: 5,
-    verifyApiKey: "POLYGONSCAN_API_KEY",
-    blockExplorer: "https://mumbai.polygonscan.com/address/",
-    rpcUrl: "https://polygon-mumbai.infura.io/v3/YOUR_INFURA_KEY",
-    gasPrice: 2000000000, // 2 gwei
-  },
-};
+// Libraries that TaskManager is linked against, deployed before the contract itself
+const LIBRARY_NAMES = ["TaskCore", "TaskLabels", "TaskProjects", "TaskQueries", "TaskRelations", "TaskRoles", "TaskSharing"];
 
-// Save deployment information to a file
+// Save deployment information to deployments/<network>.json, which the relayer and the frontend build read
 async function saveDeploymentInfo(deploymentInfo) {
-  const deploymentsDir = path.join(__dirname, "../deployments");
+  const filePath = getDeploymentPath(hre.network.name);
   
   // Create deployments directory if it doesn't exist
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
+  if (!fs.existsSync(path.dirname(filePath))) {
+    fs.mkdirSync(path.dirname(filePath));
   }
   
-  const network = hre.network.name;
-  const filePath = path.join(deploymentsDir, `${network}.json`);
-  
   // Save deployment info to file
   fs.writeFileSync(
     filePath,
@@ -44,32 +28,6 @@ async function saveDeploymentInfo(deploymentInfo) {
   );
   
   console.log(`Deployment information saved to ${filePath}`);
-  
-  // Also update the frontend .env file if it exists
-  try {
-    const frontendEnvPath = path.join(__dirname, "../frontend/.env.local");
-    if (fs.existsSync(frontendEnvPath)) {
-      let envContent = fs.readFileSync(frontendEnvPath, "utf8");
-      
-      // Update the contract address for the current network
-      if (network === "sepolia") {
-        envContent = envContent.replace(
-          /NEXT_PUBLIC_TASK_MANAGER_CONTRACT_SEPOLIA=.*/,
-          `NEXT_PUBLIC_TASK_MANAGER_CONTRACT_SEPOLIA=${deploymentInfo.contractAddress}`
-        );
-      } else if (network === "mumbai") {
-        envContent = envContent.replace(
-          /NEXT_PUBLIC_TASK_MANAGER_CONTRACT_MUMBAI=.*/,
-          `NEXT_PUBLIC_TASK_MANAGER_CONTRACT_MUMBAI=${deploymentInfo.contractAddress}`
-        );
-      }
-      
-      fs.writeFileSync(frontendEnvPath, envContent);
-      console.log(`Updated contract address in frontend .env.local file`);
-    }
-  } catch (error) {
-    console.warn("Could not update frontend .env file:", error.message);
-  }
 }
 
 async function main() {
@@ -82,9 +40,10 @@ async function main() {
 
   console.log("Deploying TaskManager contract...");
   
-  // Get the network we're deploying to for logging purposes
+  // Get the network we're deploying to from the registry in networks.js
   const network = hre.network.name;
-  console.log(`Deploying to ${network} network...`);
+  const networkConfig = getNetwork(network);
+  console.log(`Deploying to ${networkConfig.name} (${network})...`);
   
   // Get the deployer account
   const [deployer] = await hre.ethers.getSigners();
@@ -92,25 +51,54 @@ async function main() {
   
   // Check deployer balance
   const balance = await deployer.getBalance();
-  console.log(`Account balance: ${hre.ethers.utils.formatEther(balance)} ETH`);
+  console.log(`Account balance: ${hre.ethers.utils.formatEther(balance)} ${networkConfig.currency.symbol}`);
   
-  // Check if balance is sufficient (at least 0.1 ETH/MATIC)
+  // Check if balance is sufficient (at least 0.1 of the native currency)
   const minimumBalance = hre.ethers.utils.parseEther("0.1");
   if (balance.lt(minimumBalance)) {
-    console.error(`Insufficient balance. You need at least 0.1 ${network === "mumbai" ? "MATIC" : "ETH"}`);
+    console.error(`Insufficient balance. You need at least 0.1 ${networkConfig.currency.symbol}`);
     process.exit(1);
   }
   
   // Set gas price based on network if available
   const deployOptions = {};
-  if (NETWORK_CONFIGS[network]?.gasPrice) {
-    deployOptions.gasPrice = NETWORK_CONFIGS[network].gasPrice;
+  if (networkConfig.gasPrice) {
+    deployOptions.gasPrice = networkConfig.gasPrice;
     console.log(`Using gas price: ${deployOptions.gasPrice / 1e9} gwei`);
   }
   
+  // Deploy the libraries TaskManager links against
+  const libraries = {};
+  for (const name of LIBRARY_NAMES) {
+    const Library = await hre.ethers.getContractFactory(name);
+    const library = await Library.deploy(deployOptions);
+    await library.deployed();
+    console.log(`${name} library deployed to:`, library.address);
+    libraries[name] = library.address;
+  }
+  
+  // Deploy the forwarder that relays signed requests to TaskManager
+  const TaskForwarder = await hre.ethers.getContractFactory("TaskForwarder");
+  const forwarder = await TaskForwarder.deploy(deployOptions);
+  await forwarder.deployed();
+  console.log("TaskForwarder deployed to:", forwarder.address);
+  
   // We get the contract to deploy
-  const TaskManager = await hre.ethers.getContractFactory("TaskManager");
-  const taskManager = await TaskManager.deploy(deployOptions);
+  const TaskManager = await hre.ethers.getContractFactory("TaskManager", { libraries });
+  const implementation = await TaskManager.deploy(forwarder.address, deployOptions);
+  await implementation.deployed();
+  console.log("TaskManager implementation deployed to:", implementation.address);
+  
+  // Deploy the ProxyAdmin that scripts/upgrade.js upgrades the proxy through
+  const ProxyAdmin = await hre.ethers.getContractFactory("ProxyAdmin");
+  const proxyAdmin = await ProxyAdmin.deploy(deployOptions);
+  await proxyAdmin.deployed();
+  console.log("ProxyAdmin deployed to:", proxyAdmin.address);
+  
+  // Deploy the proxy users talk to, initializing it with the deployer as owner
+  const initializeData = TaskManager.interface.encodeFunctionData("initialize", [deployer.address]);
+  const TaskManagerProxy = await hre.ethers.getContractFactory("TaskManagerProxy");
+  const taskManager = await TaskManagerProxy.deploy(implementation.address, proxyAdmin.address, initializeData, deployOptions);
 
   // Wait for the contract to be deployed
   await taskManager.deployed();
@@ -118,14 +106,21 @@ async function main() {
   console.log("TaskManager deployed to:", taskManager.address);
   
   // Wait for block confirmations based on network
-  const confirmations = NETWORK_CONFIGS[network]?.confirmations || 1;
+  const confirmations = networkConfig.confirmations;
   console.log(`Waiting for ${confirmations} block confirmations...`);
   await taskManager.deployTransaction.wait(confirmations);
   
   // Prepare deployment info
   const deploymentInfo = {
     network,
+    chainId: networkConfig.chainId,
     contractAddress: taskManager.address,
+    implementationAddress: implementation.address,
+    proxyAdminAddress: proxyAdmin.address,
+    forwarderAddress: forwarder.address,
+    libraries,
+    // Compared against the next implementation by scripts/upgrade.js
+    storageLayout: await getStorageLayout(hre, "TaskManager"),
     transactionHash: taskManager.deployTransaction.hash,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
@@ -135,28 +130,41 @@ async function main() {
   // Save deployment information
   await saveDeploymentInfo(deploymentInfo);
   
-  // Verify the contract on Etherscan/Polygonscan if not on a local network
-  if (network !== "hardhat" && network !== "localhost") {
+  // Verify the contract on the block explorer if the network supports it
+  if (networkConfig.verify) {
     console.log("Verifying contract on block explorer...");
     try {
+      for (const address of [...Object.values(libraries), forwarder.address, proxyAdmin.address]) {
+        await hre.run("verify:verify", {
+          address,
+          constructorArguments: [],
+        });
+      }
+      await hre.run("verify:verify", {
+        address: implementation.address,
+        constructorArguments: [forwarder.address],
+        libraries,
+      });
       await hre.run("verify:verify", {
         address: taskManager.address,
-        constructorArguments: [],
+        constructorArguments: [implementation.address, proxyAdmin.address, initializeData],
       });
       console.log("Contract verified successfully");
     } catch (error) {
       console.error("Error verifying contract:", error.message);
       console.log("\nManual verification instructions:");
       console.log("1. Wait a few minutes for the block explorer to index your contract");
-      console.log(`2. Go to ${NETWORK_CONFIGS[network]?.blockExplorer || "the block explorer"}${taskManager.address}`);
+      console.log(`2. Go to ${networkConfig.blockExplorer}address/${implementation.address}`);
       console.log("3. Click on the 'Contract' tab");
       console.log("4. Click on 'Verify and Publish'");
       console.log("5. Select 'Solidity (Single file)' as compiler type");
       console.log("6. Select the compiler version used in your hardhat.config.js");
       console.log("7. Set optimization to 'Yes' if you enabled it in hardhat.config.js");
-      console.log("8. Enter the contract code and verify");
+      console.log("8. Enter the contract code and the library addresses, then verify");
+      console.log(`9. On ${networkConfig.blockExplorer}address/${taskManager.address}, use 'Is this a proxy?' to link the proxy to it`);
       console.log("\nAlternatively, you can run the following command:");
-      console.log(`npx hardhat verify --network ${network} ${taskManager.address}`);
+      console.log(`npx hardhat verify --network ${network} ${implementation.address} ${forwarder.address}`);
+      console.log(`npx hardhat verify --network ${network} ${taskManager.address} ${implementation.address} ${proxyAdmin.address} ${initializeData}`);
     }
   }
   
@@ -164,12 +172,18 @@ async function main() {
   console.log("\n----- Deployment Summary -----");
   console.log(`Network: ${network}`);
   console.log(`Contract address: ${taskManager.address}`);
+  console.log(`Implementation address: ${implementation.address}`);
+  console.log(`ProxyAdmin address: ${proxyAdmin.address}`);
+  console.log(`Forwarder address: ${forwarder.address}`);
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`${name} library: ${address}`);
+  }
   console.log(`Transaction hash: ${taskManager.deployTransaction.hash}`);
   console.log(`Block number: ${taskManager.deployTransaction.blockNumber}`);
   console.log(`Gas used: ${taskManager.deployTransaction.gasLimit.toString()}`);
   console.log(`Deployer: ${deployer.address}`);
-  if (NETWORK_CONFIGS[network]?.blockExplorer) {
-    console.log(`Block explorer: ${NETWORK_CONFIGS[network].blockExplorer}${taskManager.address}`);
+  if (networkConfig.blockExplorer) {
+    console.log(`Block explorer: ${networkConfig.blockExplorer}address/${taskManager.address}`);
   }
   console.log("------------------------------\n");
   
@@ -177,15 +191,9 @@ async function main() {
   
   // Frontend integration instructions
   console.log("\n----- Frontend Integration -----");
-  console.log("To connect your frontend to this contract:");
-  console.log(`1. Update your frontend/.env.local file with the contract address:`);
-  if (network === "sepolia") {
-    console.log(`   NEXT_PUBLIC_TASK_MANAGER_CONTRACT_SEPOLIA=${taskManager.address}`);
-  } else if (network === "mumbai") {
-    console.log(`   NEXT_PUBLIC_TASK_MANAGER_CONTRACT_MUMBAI=${taskManager.address}`);
-  }
-  console.log(`2. Set NEXT_PUBLIC_DEFAULT_NETWORK=${network} in your frontend/.env.local file`);
-  console.log(`3. Deploy your frontend to Vercel or Netlify`);
+  console.log(`The frontend reads deployments/${network}.json when it starts or is built:`);
+  console.log("1. Restart the frontend dev server, or rebuild it, to pick up the new addresses");
+  console.log(`2. Select ${networkConfig.name} in the network selector, or set NEXT_PUBLIC_DEFAULT_NETWORK=${network} in frontend/.env.local`);
   console.log("--------------------------------\n");
 }
 
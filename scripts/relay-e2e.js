@@ -0,0 +1,128 @@
+// End-to-end check of gasless requests against a running node and relayer.
+//
+//   npx hardhat node
+//   npm run deploy:localhost
+//   npm run relayer
+//   npm run relayer:e2e
+//
+// A user account signs add, edit, complete and delete requests, the relayer submits them,
+// and the script checks that the tasks changed while the user's balance did not.
+const hre = require("hardhat");
+const { getDeploymentPath, loadDeployment } = require("../networks");
+
+const RELAYER_URL = process.env.RELAYER_URL || "http://localhost:8787";
+
+// How long a signed request stays valid
+const REQUEST_TTL = 10 * 60;
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// Sign a TaskManager call as `user` and build the request body the relayer expects
+async function signRequest(user, forwarder, taskManager, functionName, args) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  const request = {
+    from: user.address,
+    to: taskManager.address,
+    gas: 500000,
+    nonce: (await forwarder.getNonce(user.address)).toNumber(),
+    deadline: latestBlock.timestamp + REQUEST_TTL,
+    data: taskManager.interface.encodeFunctionData(functionName, args),
+  };
+  const domain = { name: "TaskForwarder", version: "1", chainId, verifyingContract: forwarder.address };
+  const signature = await user._signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+  return { request, signature };
+}
+
+// POST a signed request to the relayer and return the HTTP status and JSON body
+async function postToRelayer(body) {
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Relay a signed call and wait for it to be mined
+async function relay(user, forwarder, taskManager, functionName, args) {
+  const signed = await signRequest(user, forwarder, taskManager, functionName, args);
+  const { status, body } = await postToRelayer(signed);
+  if (status !== 200) {
+    throw new Error(`Relayer rejected ${functionName}: ${body.error}`);
+  }
+  const receipt = await hre.ethers.provider.waitForTransaction(body.transactionHash);
+  console.log(`✔ ${functionName} relayed in ${body.transactionHash}`);
+  return { signed, receipt };
+}
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(`Check failed: ${message}`);
+  }
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployment = loadDeployment(network);
+  if (!deployment) {
+    throw new Error(`No deployment found at ${getDeploymentPath(network)}. Run scripts/deploy.js for the ${network} network first.`);
+  }
+
+  const taskManager = await hre.ethers.getContractAt("TaskManager", deployment.contractAddress);
+  const forwarder = await hre.ethers.getContractAt("TaskForwarder", deployment.forwarderAddress);
+
+  // The relayer pays with the first account, so sign with another one
+  const [, user] = await hre.ethers.getSigners();
+  const balanceBefore = await user.getBalance();
+  console.log(`Signing as ${user.address} against ${RELAYER_URL}`);
+
+  const added = await relay(user, forwarder, taskManager, "addTask(string,string,uint8,uint256)", ["Gasless task", "Signed, not sent", 2, 0]);
+  const taskAdded = added.receipt.logs
+    .map((log) => {
+      try {
+        return taskManager.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .find((event) => event && event.name === "TaskAdded");
+  check(taskAdded && taskAdded.args.owner === user.address, "the task is owned by the signer");
+  const taskId = taskAdded.args.taskId;
+
+  await relay(user, forwarder, taskManager, "editTask(uint256,string,string)", [taskId, "Gasless task (edited)", "Still signed"]);
+  await relay(user, forwarder, taskManager, "completeTask", [taskId]);
+
+  const task = await taskManager.getTask(taskId);
+  check(task.title === "Gasless task (edited)", "the edit was applied");
+  check(task.status === 4, "the task is done");
+
+  // Replaying a request must fail because its nonce was used
+  const replay = await postToRelayer(added.signed);
+  check(replay.status === 422, `the replayed request is rejected (got ${replay.status}: ${replay.body.error})`);
+  console.log(`✔ replay rejected: ${replay.body.error}`);
+
+  await relay(user, forwarder, taskManager, "deleteTask", [taskId]);
+
+  const balanceAfter = await user.getBalance();
+  check(balanceAfter.eq(balanceBefore), "the signer paid no gas");
+  console.log("✔ signer balance unchanged");
+
+  console.log("\nGasless requests work end to end.");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error during relayer check:", error);
+    process.exit(1);
+  });
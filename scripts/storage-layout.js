@@ -0,0 +1,124 @@
+// Storage layout checks for upgrading TaskManager behind its proxy.
+//
+// The proxy keeps its storage across upgrades, so a new implementation must find every existing
+// variable at the slot and offset the old one left it. scripts/deploy.js saves the layout of the
+// deployed implementation in deployments/<network>.json and scripts/upgrade.js refuses to upgrade
+// to an implementation whose layout is not compatible with it.
+
+/**
+ * A type in a storage layout, without the compiler's AST IDs so layouts of different builds compare
+ * @typedef {Object} StorageType
+ * @property {string} label - Type as written in Solidity, e.g. "mapping(uint256 => struct Task)"
+ * @property {string} encoding - "inplace", "mapping", "dynamic_array" or "bytes"
+ * @property {string} numberOfBytes - Bytes the type takes in place
+ * @property {Array<{label: string, slot: string, offset: number, type: StorageType}>} [members] - Struct fields
+ * @property {StorageType} [key] - Mapping key
+ * @property {StorageType} [value] - Mapping value
+ * @property {StorageType} [base] - Array element
+ */
+
+/**
+ * A state variable in a storage layout
+ * @typedef {Object} StorageVariable
+ * @property {string} label - Variable name
+ * @property {string} slot - Slot number as a decimal string
+ * @property {number} offset - Byte offset in the slot
+ * @property {StorageType} type - Variable type
+ */
+
+// Resolve a compiler type ID into a self-contained type description
+function describeType(typeId, types) {
+  const { label, encoding, numberOfBytes, members, key, value, base } = types[typeId];
+  const type = { label, encoding, numberOfBytes };
+  if (members) {
+    type.members = members.map((member) => ({
+      label: member.label,
+      slot: member.slot,
+      offset: member.offset,
+      type: describeType(member.type, types),
+    }));
+  }
+  if (key) type.key = describeType(key, types);
+  if (value) type.value = describeType(value, types);
+  if (base) type.base = describeType(base, types);
+  return type;
+}
+
+/**
+ * Read the storage layout of a compiled contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - Hardhat runtime environment
+ * @param {string} contractName - Contract name, e.g. "TaskManager"
+ * @returns {Promise<StorageVariable[]>} State variables in slot order
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!storageLayout) {
+    throw new Error(`No storage layout for ${contractName}. Check outputSelection in hardhat.config.js.`);
+  }
+
+  return storageLayout.storage.map((variable) => ({
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: describeType(variable.type, storageLayout.types),
+  }));
+}
+
+// Compare two types at the same location. Structs that are hashed to their own location (mapping
+// values) may gain fields at the end; structs laid out in place would push what follows them.
+function compareTypes(oldType, newType, path, canGrow, errors) {
+  if (oldType.label !== newType.label) {
+    errors.push(`${path}: type changed from ${oldType.label} to ${newType.label}`);
+    return;
+  }
+
+  if (oldType.members) {
+    oldType.members.forEach((oldMember, i) => {
+      const newMember = newType.members[i];
+      if (!newMember || newMember.label !== oldMember.label) {
+        errors.push(`${path}.${oldMember.label}: field removed, renamed or moved`);
+      } else if (newMember.slot !== oldMember.slot || newMember.offset !== oldMember.offset) {
+        errors.push(`${path}.${oldMember.label}: moved from slot ${oldMember.slot} to slot ${newMember.slot}`);
+      } else {
+        compareTypes(oldMember.type, newMember.type, `${path}.${oldMember.label}`, false, errors);
+      }
+    });
+  }
+  if (!canGrow && oldType.numberOfBytes !== newType.numberOfBytes) {
+    errors.push(`${path}: size changed from ${oldType.numberOfBytes} to ${newType.numberOfBytes} bytes`);
+  }
+  if (oldType.key) compareTypes(oldType.key, newType.key, `${path}[key]`, false, errors);
+  if (oldType.value) compareTypes(oldType.value, newType.value, `${path}[value]`, true, errors);
+  if (oldType.base) compareTypes(oldType.base, newType.base, `${path}[]`, false, errors);
+}
+
+/**
+ * Check that a new implementation can take over the storage of an old one: every old variable
+ * keeps its slot, offset and type, apart from __gap arrays, which later versions shrink to make room
+ * @param {StorageVariable[]} oldLayout - Layout of the deployed implementation
+ * @param {StorageVariable[]} newLayout - Layout of the implementation to upgrade to
+ * @returns {string[]} Problems found, empty if the layouts are compatible
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const errors = [];
+  for (const oldVariable of oldLayout) {
+    if (oldVariable.label.startsWith("__gap")) continue;
+
+    const newVariable = newLayout.find(
+      (variable) => variable.slot === oldVariable.slot && variable.offset === oldVariable.offset
+    );
+    if (!newVariable || newVariable.label !== oldVariable.label) {
+      errors.push(`${oldVariable.label}: removed, renamed or moved from slot ${oldVariable.slot}`);
+    } else {
+      compareTypes(oldVariable.type, newVariable.type, oldVariable.label, false, errors);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  getStorageLayout,
+  compareStorageLayouts,
+};
@@ -0,0 +1,165 @@
+// Upgrade the TaskManager proxy that scripts/deploy.js deployed to a new implementation.
+//
+// Usage: npx hardhat run scripts/upgrade.js --network <network>
+//
+// Environment variables:
+//   UPGRADE_CONTRACT   Contract to upgrade to (default: TaskManager)
+//   UPGRADE_CALL       Function to call on the proxy as part of the upgrade, e.g. a reinitializer
+//                      that migrates storage (default: none)
+//   UPGRADE_CALL_ARGS  JSON array of arguments for UPGRADE_CALL (default: [])
+//
+// The task data stays in the proxy; only the code it delegates to changes. The upgrade is refused
+// if the new implementation would read existing state from different storage slots, or if the
+// proxy has no admins and the upgrade doesn't run migrateOwnerToRoles to give the owner the roles.
+const hre = require("hardhat");
+const fs = require("fs");
+const { getNetwork, getDeploymentPath, loadDeployment } = require("../networks");
+const { getStorageLayout, compareStorageLayouts } = require("./storage-layout");
+
+// Libraries that TaskManager is linked against, redeployed with every implementation
+const LIBRARY_NAMES = ["TaskCore", "TaskLabels", "TaskProjects", "TaskQueries", "TaskRelations", "TaskRoles", "TaskSharing"];
+
+// Admins of the proxy, none when its implementation still has a single owner instead of roles
+async function getAdmins(proxyAddress) {
+  const taskManager = await hre.ethers.getContractAt("TaskManager", proxyAddress);
+  try {
+    return await taskManager.getRoleMembers(hre.ethers.constants.HashZero);
+  } catch (error) {
+    return [];
+  }
+}
+
+async function main() {
+  await hre.run('compile');
+
+  const network = hre.network.name;
+  const networkConfig = getNetwork(network);
+  const contractName = process.env.UPGRADE_CONTRACT || "TaskManager";
+  console.log(`Upgrading TaskManager on ${networkConfig.name} (${network}) to ${contractName}...`);
+
+  const deployment = loadDeployment(network);
+  if (!deployment || !deployment.proxyAdminAddress || !deployment.storageLayout) {
+    throw new Error(`No upgradeable deployment found at ${getDeploymentPath(network)}. Deploy with scripts/deploy.js first.`);
+  }
+
+  // Only the owner of the ProxyAdmin can upgrade
+  const [deployer] = await hre.ethers.getSigners();
+  const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", deployment.proxyAdminAddress);
+  const adminOwner = await proxyAdmin.owner();
+  if (adminOwner.toLowerCase() !== deployer.address.toLowerCase()) {
+    throw new Error(`The ProxyAdmin is owned by ${adminOwner}, not by ${deployer.address}`);
+  }
+  const currentImplementation = await proxyAdmin.getProxyImplementation(deployment.contractAddress);
+  console.log(`Current implementation: ${currentImplementation}`);
+
+  // Refuse layouts that would move existing state
+  const storageLayout = await getStorageLayout(hre, contractName);
+  const layoutErrors = compareStorageLayouts(deployment.storageLayout, storageLayout);
+  if (layoutErrors.length > 0) {
+    console.error("The new implementation is not storage compatible with the deployed one:");
+    layoutErrors.forEach((error) => console.error(`  - ${error}`));
+    console.error("Only append state, taking the slots from __gap (see the note at the top of TaskManager.sol).");
+    process.exit(1);
+  }
+  console.log("Storage layout is compatible");
+
+  // Without the migration a proxy without admins would stay without them, and nobody could pause or configure it
+  const admins = await getAdmins(deployment.contractAddress);
+  if (admins.length === 0 && process.env.UPGRADE_CALL !== "migrateOwnerToRoles") {
+    throw new Error("The proxy has no admins. Upgrade it with UPGRADE_CALL=migrateOwnerToRoles to give its owner every role.");
+  }
+
+  const deployOptions = {};
+  if (networkConfig.gasPrice) {
+    deployOptions.gasPrice = networkConfig.gasPrice;
+  }
+
+  // Deploy the libraries and the new implementation
+  const libraries = {};
+  for (const name of LIBRARY_NAMES) {
+    const Library = await hre.ethers.getContractFactory(name);
+    const library = await Library.deploy(deployOptions);
+    await library.deployed();
+    console.log(`${name} library deployed to:`, library.address);
+    libraries[name] = library.address;
+  }
+
+  const Implementation = await hre.ethers.getContractFactory(contractName, { libraries });
+  const implementation = await Implementation.deploy(deployment.forwarderAddress, deployOptions);
+  await implementation.deployed();
+  console.log(`${contractName} implementation deployed to:`, implementation.address);
+
+  // Point the proxy at it, running the migration call in the same transaction if there is one
+  let tx;
+  if (process.env.UPGRADE_CALL) {
+    const args = JSON.parse(process.env.UPGRADE_CALL_ARGS || "[]");
+    const data = Implementation.interface.encodeFunctionData(process.env.UPGRADE_CALL, args);
+    console.log(`Upgrading and calling ${process.env.UPGRADE_CALL}...`);
+    tx = await proxyAdmin.upgradeAndCall(deployment.contractAddress, implementation.address, data, deployOptions);
+  } else {
+    tx = await proxyAdmin.upgrade(deployment.contractAddress, implementation.address, deployOptions);
+  }
+  console.log(`Waiting for ${networkConfig.confirmations} block confirmations...`);
+  const receipt = await tx.wait(networkConfig.confirmations);
+
+  // Record the new implementation; the proxy address the frontend and relayer use stays the same
+  const upgradedDeployment = {
+    ...deployment,
+    implementationAddress: implementation.address,
+    libraries,
+    storageLayout,
+    upgrades: [
+      ...(deployment.upgrades || []),
+      {
+        contractName,
+        previousImplementation: currentImplementation,
+        implementationAddress: implementation.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        upgradeTime: new Date().toISOString(),
+      },
+    ],
+  };
+  fs.writeFileSync(getDeploymentPath(network), JSON.stringify(upgradedDeployment, null, 2));
+  console.log(`Deployment information saved to ${getDeploymentPath(network)}`);
+
+  // Verify the new code on the block explorer if the network supports it
+  if (networkConfig.verify) {
+    console.log("Verifying implementation on block explorer...");
+    try {
+      for (const address of Object.values(libraries)) {
+        await hre.run("verify:verify", {
+          address,
+          constructorArguments: [],
+        });
+      }
+      await hre.run("verify:verify", {
+        address: implementation.address,
+        constructorArguments: [deployment.forwarderAddress],
+        libraries,
+      });
+      console.log("Implementation verified successfully");
+    } catch (error) {
+      console.error("Error verifying implementation:", error.message);
+      console.log(`Run: npx hardhat verify --network ${network} ${implementation.address} ${deployment.forwarderAddress}`);
+    }
+  }
+
+  console.log("\n----- Upgrade Summary -----");
+  console.log(`Network: ${network}`);
+  console.log(`Contract address: ${deployment.contractAddress}`);
+  console.log(`Previous implementation: ${currentImplementation}`);
+  console.log(`New implementation: ${implementation.address}`);
+  console.log(`Transaction hash: ${receipt.transactionHash}`);
+  console.log(`Block number: ${receipt.blockNumber}`);
+  console.log("---------------------------\n");
+
+  console.log("Upgrade completed successfully!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error during upgrade:", error);
+    process.exit(1);
+  });
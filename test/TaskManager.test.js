@@ -1,10 +1,24 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { getStorageLayout, compareStorageLayouts } = require("../scripts/storage-layout");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getCid, createFilesystemStore, createIpfsStore } = require("../content-store/stores");
+const { createContentServer } = require("../content-store");
+const { openDatabase } = require("../indexer/database");
+const { createIndexer } = require("../indexer/sync");
+const { createIndexerServer } = require("../indexer");
+const { createRelayServer } = require("../relayer");
 
 describe("TaskManager", function () {
   let TaskManager;
   let taskManager;
+  let forwarder;
+  let proxyAdmin;
+  let libraries;
   let owner;
   let addr1;
   let addr2;
@@ -17,19 +31,88 @@ describe("TaskManager", function () {
     High: 2
   };
 
+  // Permission enum values
+  const Permission = {
+    None: 0,
+    View: 1,
+    Complete: 2,
+    Edit: 3
+  };
+
+  // Project role enum values
+  const ProjectRole = {
+    None: 0,
+    Viewer: 1,
+    Member: 2,
+    Admin: 3
+  };
+
+  // Status enum values
+  const Status = {
+    Todo: 0,
+    InProgress: 1,
+    Blocked: 2,
+    InReview: 3,
+    Done: 4,
+    Cancelled: 5
+  };
+
+  // Recurrence frequency enum values
+  const Frequency = {
+    None: 0,
+    Daily: 1,
+    Weekly: 2,
+    Monthly: 3,
+    EveryNDays: 4
+  };
+
+  // Mine the next transaction at a known time, so events can be checked with their timestamp
+  async function nextBlockTimestamp() {
+    const timestamp = (await time.latest()) + 60;
+    await time.setNextBlockTimestamp(timestamp);
+    return timestamp;
+  }
+
   beforeEach(async function () {
-    // Get the ContractFactory and Signers here.
-    TaskManager = await ethers.getContractFactory("TaskManager");
+    // Deploy the linked libraries, then get the ContractFactory and Signers here.
+    libraries = {};
+    for (const name of ["TaskCore", "TaskLabels", "TaskProjects", "TaskQueries", "TaskRelations", "TaskRoles", "TaskSharing"]) {
+      const Library = await ethers.getContractFactory(name);
+      const library = await Library.deploy();
+      await library.deployed();
+      libraries[name] = library.address;
+    }
+
+    TaskManager = await ethers.getContractFactory("TaskManager", { libraries });
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
 
-    // Deploy a new TaskManager contract before each test
-    taskManager = await TaskManager.deploy();
-    await taskManager.deployed();
+    // Deploy the forwarder that relays signed requests
+    const TaskForwarder = await ethers.getContractFactory("TaskForwarder");
+    forwarder = await TaskForwarder.deploy();
+    await forwarder.deployed();
+
+    // Deploy a new TaskManager behind a proxy before each test, initialized in the proxy's constructor
+    const implementation = await TaskManager.deploy(forwarder.address);
+    await implementation.deployed();
+    const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+    proxyAdmin = await ProxyAdmin.deploy();
+    await proxyAdmin.deployed();
+    const TaskManagerProxy = await ethers.getContractFactory("TaskManagerProxy");
+    const proxy = await TaskManagerProxy.deploy(
+      implementation.address,
+      proxyAdmin.address,
+      TaskManager.interface.encodeFunctionData("initialize", [owner.address])
+    );
+    await proxy.deployed();
+    taskManager = TaskManager.attach(proxy.address);
   });
 
   describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(await taskManager.owner()).to.equal(owner.address);
+    it("Should give the deployer every role", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "MODERATOR_ROLE", "CONFIG_ROLE"]) {
+        expect(await taskManager.hasRole(await taskManager[role](), owner.address)).to.equal(true);
+        expect(await taskManager.getRoleMembers(await taskManager[role]())).to.deep.equal([owner.address]);
+      }
     });
 
     it("Should have zero tasks initially", async function () {
@@ -40,6 +123,24 @@ describe("TaskManager", function () {
       expect(await taskManager.isPaused()).to.equal(false);
       expect(await taskManager.getMaxTasksPerUser()).to.equal(100);
     });
+
+    it("Should only be initialized once", async function () {
+      await expect(
+        taskManager.initialize(addr1.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should not allow initializing the implementation itself", async function () {
+      const implementation = TaskManager.attach(await proxyAdmin.getProxyImplementation(taskManager.address));
+      await expect(
+        implementation.initialize(addr1.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should trust the forwarder", async function () {
+      expect(await taskManager.isTrustedForwarder(forwarder.address)).to.equal(true);
+      expect(await taskManager.isTrustedForwarder(owner.address)).to.equal(false);
+    });
   });
 
   describe("Admin Functions", function () {
@@ -50,7 +151,7 @@ describe("TaskManager", function () {
       
       // Try to add a task while paused
       await expect(
-        taskManager.addTask("Test Task", "This is a test task")
+        taskManager["addTask(string,string)"]("Test Task", "This is a test task")
       ).to.be.revertedWith("Contract is paused");
       
       // Unpause the contract
@@ -58,14 +159,14 @@ describe("TaskManager", function () {
       expect(await taskManager.isPaused()).to.equal(false);
       
       // Should be able to add a task now
-      await taskManager.addTask("Test Task", "This is a test task");
+      await taskManager["addTask(string,string)"]("Test Task", "This is a test task");
       expect(await taskManager.getTaskCount()).to.equal(1);
     });
     
-    it("Should prevent non-owners from pausing the contract", async function () {
+    it("Should prevent accounts without the pauser role from pausing the contract", async function () {
       await expect(
         taskManager.connect(addr1).setPaused(true)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith("Missing required role");
     });
     
     it("Should allow owner to set max tasks per user", async function () {
@@ -74,18 +175,18 @@ describe("TaskManager", function () {
       
       // Add 5 tasks (should work)
       for (let i = 0; i < 5; i++) {
-        await taskManager.addTask(`Task ${i}`, `Description ${i}`);
+        await taskManager["addTask(string,string)"](`Task ${i}`, `Description ${i}`);
       }
       
       // Try to add a 6th task (should fail)
       await expect(
-        taskManager.addTask("Task 6", "Description 6")
+        taskManager["addTask(string,string)"]("Task 6", "Description 6")
       ).to.be.revertedWith("Maximum number of tasks reached");
     });
     
     it("Should allow owner to delete any task", async function () {
       // User creates a task
-      await taskManager.connect(addr1).addTask("User Task", "Created by user");
+      await taskManager.connect(addr1)["addTask(string,string)"]("User Task", "Created by user");
       
       // Owner deletes the task
       await taskManager.adminDeleteTask(0);
@@ -94,41 +195,242 @@ describe("TaskManager", function () {
       expect(await taskManager.connect(addr1).getTaskCount()).to.equal(0);
     });
     
+    it("Should reject admin deletion of a task that does not exist", async function () {
+      await expect(
+        taskManager.adminDeleteTask(42)
+      ).to.be.revertedWith("Task does not exist");
+    });
+    
     it("Should allow owner to get total task count", async function () {
       // Different users create tasks
-      await taskManager.connect(addr1).addTask("User 1 Task", "Created by user 1");
-      await taskManager.connect(addr2).addTask("User 2 Task", "Created by user 2");
-      await taskManager.connect(addr1).addTask("User 1 Task 2", "Created by user 1");
+      await taskManager.connect(addr1)["addTask(string,string)"]("User 1 Task", "Created by user 1");
+      await taskManager.connect(addr2)["addTask(string,string)"]("User 2 Task", "Created by user 2");
+      await taskManager.connect(addr1)["addTask(string,string)"]("User 1 Task 2", "Created by user 1");
       
       // Check total task count
       expect(await taskManager.getTotalTaskCount()).to.equal(3);
     });
     
-    it("Should prevent non-owners from accessing admin functions", async function () {
+    it("Should prevent accounts without a role from accessing admin functions", async function () {
       await expect(
         taskManager.connect(addr1).setMaxTasksPerUser(10)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith("Missing required role");
       
       await expect(
         taskManager.connect(addr1).adminDeleteTask(0)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith("Missing required role");
       
       await expect(
         taskManager.connect(addr1).getTotalTaskCount()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith("Missing required role");
+    });
+  });
+
+  describe("Roles", function () {
+    let PAUSER_ROLE;
+    let MODERATOR_ROLE;
+    let CONFIG_ROLE;
+    const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+    beforeEach(async function () {
+      PAUSER_ROLE = await taskManager.PAUSER_ROLE();
+      MODERATOR_ROLE = await taskManager.MODERATOR_ROLE();
+      CONFIG_ROLE = await taskManager.CONFIG_ROLE();
+      await taskManager.connect(addr2)["addTask(string,string)"]("User Task", "Created by user");
+    });
+
+    it("Should use the hashed role names", async function () {
+      expect(PAUSER_ROLE).to.equal(ethers.utils.id("PAUSER_ROLE"));
+      expect(MODERATOR_ROLE).to.equal(ethers.utils.id("MODERATOR_ROLE"));
+      expect(CONFIG_ROLE).to.equal(ethers.utils.id("CONFIG_ROLE"));
+      expect(await taskManager.DEFAULT_ADMIN_ROLE()).to.equal(DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should let admins grant and revoke roles with events", async function () {
+      await expect(taskManager.grantRole(PAUSER_ROLE, addr1.address))
+        .to.emit(taskManager, "RoleGranted")
+        .withArgs(PAUSER_ROLE, addr1.address, owner.address);
+      expect(await taskManager.hasRole(PAUSER_ROLE, addr1.address)).to.equal(true);
+      expect(await taskManager.getRoleMembers(PAUSER_ROLE)).to.deep.equal([owner.address, addr1.address]);
+
+      // Granting a role the account already holds changes nothing
+      await expect(taskManager.grantRole(PAUSER_ROLE, addr1.address))
+        .to.not.emit(taskManager, "RoleGranted");
+
+      await expect(taskManager.revokeRole(PAUSER_ROLE, addr1.address))
+        .to.emit(taskManager, "RoleRevoked")
+        .withArgs(PAUSER_ROLE, addr1.address, owner.address);
+      expect(await taskManager.hasRole(PAUSER_ROLE, addr1.address)).to.equal(false);
+      expect(await taskManager.getRoleMembers(PAUSER_ROLE)).to.deep.equal([owner.address]);
+    });
+
+    it("Should prevent accounts without the admin role from managing roles", async function () {
+      await taskManager.grantRole(PAUSER_ROLE, addr1.address);
+      await taskManager.grantRole(MODERATOR_ROLE, addr1.address);
+      await taskManager.grantRole(CONFIG_ROLE, addr1.address);
+
+      await expect(
+        taskManager.connect(addr1).grantRole(PAUSER_ROLE, addr2.address)
+      ).to.be.revertedWith("Missing required role");
+      await expect(
+        taskManager.connect(addr1).revokeRole(PAUSER_ROLE, owner.address)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should let a pauser pause without being able to delete tasks or change settings", async function () {
+      await taskManager.grantRole(PAUSER_ROLE, addr1.address);
+
+      await expect(taskManager.connect(addr1).setPaused(true))
+        .to.emit(taskManager, "ContractPaused")
+        .withArgs(true);
+      expect(await taskManager.isPaused()).to.equal(true);
+
+      await expect(
+        taskManager.connect(addr1).adminDeleteTask(0)
+      ).to.be.revertedWith("Missing required role");
+      await expect(
+        taskManager.connect(addr1).setMaxTasksPerUser(10)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should let a moderator delete tasks without being able to pause", async function () {
+      await taskManager.grantRole(MODERATOR_ROLE, addr1.address);
+
+      expect(await taskManager.connect(addr1).getTotalTaskCount()).to.equal(1);
+      await taskManager.connect(addr1).adminDeleteTask(0);
+      expect(await taskManager.connect(addr2).getTaskCount()).to.equal(0);
+
+      await expect(
+        taskManager.connect(addr1).setPaused(true)
+      ).to.be.revertedWith("Missing required role");
+      await expect(
+        taskManager.connect(addr1).setMaxTasksPerUser(10)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should let a config admin change settings without being able to pause or delete", async function () {
+      await taskManager.grantRole(CONFIG_ROLE, addr1.address);
+
+      await taskManager.connect(addr1).setMaxTasksPerUser(10);
+      expect(await taskManager.getMaxTasksPerUser()).to.equal(10);
+
+      await expect(
+        taskManager.connect(addr1).setPaused(true)
+      ).to.be.revertedWith("Missing required role");
+      await expect(
+        taskManager.connect(addr1).adminDeleteTask(0)
+      ).to.be.revertedWith("Missing required role");
+      await expect(
+        taskManager.connect(addr1).getTotalTaskCount()
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should not give admins the other roles implicitly", async function () {
+      await taskManager.grantRole(DEFAULT_ADMIN_ROLE, addr1.address);
+
+      // An admin can grant itself a role, but doesn't hold one until it does
+      await expect(
+        taskManager.connect(addr1).setPaused(true)
+      ).to.be.revertedWith("Missing required role");
+      await taskManager.connect(addr1).grantRole(PAUSER_ROLE, addr1.address);
+      await taskManager.connect(addr1).setPaused(true);
+      expect(await taskManager.isPaused()).to.equal(true);
+    });
+
+    it("Should let accounts renounce their roles", async function () {
+      await taskManager.grantRole(MODERATOR_ROLE, addr1.address);
+
+      await expect(taskManager.connect(addr1).renounceRole(MODERATOR_ROLE))
+        .to.emit(taskManager, "RoleRevoked")
+        .withArgs(MODERATOR_ROLE, addr1.address, addr1.address);
+      await expect(
+        taskManager.connect(addr1).adminDeleteTask(0)
+      ).to.be.revertedWith("Missing required role");
+    });
+
+    it("Should never remove the last admin", async function () {
+      await expect(
+        taskManager.renounceRole(DEFAULT_ADMIN_ROLE)
+      ).to.be.revertedWith("Cannot remove the last admin");
+      await expect(
+        taskManager.revokeRole(DEFAULT_ADMIN_ROLE, owner.address)
+      ).to.be.revertedWith("Cannot remove the last admin");
+
+      // With a second admin the first can step down
+      await taskManager.grantRole(DEFAULT_ADMIN_ROLE, addr1.address);
+      await taskManager.renounceRole(DEFAULT_ADMIN_ROLE);
+      expect(await taskManager.getRoleMembers(DEFAULT_ADMIN_ROLE)).to.deep.equal([addr1.address]);
+    });
+
+    it("Should reject unknown roles and the zero address", async function () {
+      await expect(
+        taskManager.grantRole(ethers.utils.id("OTHER_ROLE"), addr1.address)
+      ).to.be.revertedWith("Unknown role");
+      await expect(
+        taskManager.grantRole(PAUSER_ROLE, ethers.constants.AddressZero)
+      ).to.be.revertedWith("Invalid account");
+    });
+
+    it("Should move the owner of a first-version proxy to roles", async function () {
+      // A proxy as the first version left it: Ownable's owner in slot 0 with initializer version 1 packed after it
+      const TaskManagerProxy = await ethers.getContractFactory("TaskManagerProxy");
+      const implementation = await proxyAdmin.getProxyImplementation(taskManager.address);
+      const proxy = await TaskManagerProxy.deploy(implementation, proxyAdmin.address, "0x");
+      await proxy.deployed();
+      const slot0 = ethers.utils.hexZeroPad(
+        ethers.BigNumber.from(1).shl(160).or(addr1.address).toHexString(), 32
+      );
+      await setStorageAt(proxy.address, 0, slot0);
+      const legacy = TaskManager.attach(proxy.address);
+
+      // initialize can't be used to take over a proxy that already has an owner
+      await expect(
+        legacy.connect(addr2).initialize(addr2.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+
+      await expect(legacy.migrateOwnerToRoles())
+        .to.emit(legacy, "RoleGranted")
+        .withArgs(DEFAULT_ADMIN_ROLE, addr1.address, owner.address);
+      for (const role of [DEFAULT_ADMIN_ROLE, PAUSER_ROLE, MODERATOR_ROLE, CONFIG_ROLE]) {
+        expect(await legacy.hasRole(role, addr1.address)).to.equal(true);
+      }
+      // The owner slot is cleared, leaving only the initializer version
+      expect(await ethers.provider.getStorageAt(proxy.address, 0)).to.equal(ethers.utils.hexZeroPad("0x02".concat("00".repeat(20)), 32));
+
+      await expect(legacy.migrateOwnerToRoles()).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should not let anyone initialize a first-version proxy whose owner renounced", async function () {
+      // Renouncing ownership left the owner slot empty, but the initializer version is still 1
+      const TaskManagerProxy = await ethers.getContractFactory("TaskManagerProxy");
+      const implementation = await proxyAdmin.getProxyImplementation(taskManager.address);
+      const proxy = await TaskManagerProxy.deploy(implementation, proxyAdmin.address, "0x");
+      await proxy.deployed();
+      await setStorageAt(proxy.address, 0, ethers.utils.hexZeroPad(ethers.BigNumber.from(1).shl(160).toHexString(), 32));
+      const legacy = TaskManager.attach(proxy.address);
+
+      await expect(
+        legacy.connect(addr2).initialize(addr2.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(legacy.migrateOwnerToRoles()).to.be.revertedWith("No owner to migrate");
+      expect(await legacy.hasRole(DEFAULT_ADMIN_ROLE, addr2.address)).to.equal(false);
+    });
+
+    it("Should not run the owner migration on a new proxy", async function () {
+      await expect(taskManager.migrateOwnerToRoles()).to.be.revertedWith("No owner to migrate");
     });
   });
 
   describe("Task Operations", function () {
     it("Should create a new task with default values correctly", async function () {
-      const tx = await taskManager.addTask("Test Task", "This is a test task");
+      const tx = await taskManager["addTask(string,string)"]("Test Task", "This is a test task");
       const receipt = await tx.wait();
       
       // Check event emission
       const event = receipt.events.find(e => e.event === 'TaskAdded');
       expect(event).to.not.be.undefined;
-      expect(event.args.title).to.equal("Test Task");
-      expect(event.args.priority).to.equal(Priority.Medium);
+      expect(event.args.content.title).to.equal("Test Task");
+      expect(event.args.content.priority).to.equal(Priority.Medium);
       
       // Check task count
       expect(await taskManager.getTaskCount()).to.equal(1);
@@ -138,7 +440,7 @@ describe("TaskManager", function () {
       expect(task.id).to.equal(0);
       expect(task.title).to.equal("Test Task");
       expect(task.description).to.equal("This is a test task");
-      expect(task.completed).to.equal(false);
+      expect(task.status).to.equal(Status.Todo);
       expect(task.owner).to.equal(owner.address);
       expect(task.priority).to.equal(Priority.Medium);
       expect(task.dueDate).to.equal(0);
@@ -148,14 +450,14 @@ describe("TaskManager", function () {
       const currentTime = await time.latest();
       const dueDate = currentTime + 86400; // 1 day from now
       
-      const tx = await taskManager.addTask("High Priority Task", "This is urgent", Priority.High, dueDate);
+      const tx = await taskManager["addTask(string,string,uint8,uint256)"]("High Priority Task", "This is urgent", Priority.High, dueDate);
       const receipt = await tx.wait();
       
       // Check event emission
       const event = receipt.events.find(e => e.event === 'TaskAdded');
       expect(event).to.not.be.undefined;
-      expect(event.args.priority).to.equal(Priority.High);
-      expect(event.args.dueDate).to.equal(dueDate);
+      expect(event.args.content.priority).to.equal(Priority.High);
+      expect(event.args.content.dueDate).to.equal(dueDate);
       
       // Check task details
       const task = await taskManager.getTask(0);
@@ -166,21 +468,22 @@ describe("TaskManager", function () {
 
     it("Should allow editing a task with all parameters", async function () {
       // Create a task first
-      await taskManager.addTask("Original Title", "Original Description");
+      await taskManager["addTask(string,string)"]("Original Title", "Original Description");
       
       const newDueDate = (await time.latest()) + 172800; // 2 days from now
       
       // Edit the task with all parameters
-      const tx = await taskManager.editTask(0, "Updated Title", "Updated Description", Priority.High, newDueDate);
+      const tx = await taskManager["editTask(uint256,string,string,uint8,uint256)"](0, "Updated Title", "Updated Description", Priority.High, newDueDate);
       const receipt = await tx.wait();
       
       // Check event emission
       const event = receipt.events.find(e => e.event === 'TaskUpdated');
       expect(event).to.not.be.undefined;
-      expect(event.args.newTitle).to.equal("Updated Title");
-      expect(event.args.newDescription).to.equal("Updated Description");
-      expect(event.args.priority).to.equal(Priority.High);
-      expect(event.args.dueDate).to.equal(newDueDate);
+      expect(event.args.current.title).to.equal("Updated Title");
+      expect(event.args.current.description).to.equal("Updated Description");
+      expect(event.args.current.priority).to.equal(Priority.High);
+      expect(event.args.current.dueDate).to.equal(newDueDate);
+      expect(event.args.previous.title).to.equal("Original Title");
       
       // Check updated task details
       const task = await taskManager.getTask(0);
@@ -193,10 +496,10 @@ describe("TaskManager", function () {
     it("Should allow editing a task with just title and description", async function () {
       // Create a task first with high priority
       const dueDate = (await time.latest()) + 86400;
-      await taskManager.addTask("Original Title", "Original Description", Priority.High, dueDate);
+      await taskManager["addTask(string,string,uint8,uint256)"]("Original Title", "Original Description", Priority.High, dueDate);
       
       // Edit just the title and description
-      await taskManager.editTask(0, "Updated Title", "Updated Description");
+      await taskManager["editTask(uint256,string,string)"](0, "Updated Title", "Updated Description");
       
       // Check that priority and due date are preserved
       const task = await taskManager.getTask(0);
@@ -208,7 +511,7 @@ describe("TaskManager", function () {
 
     it("Should allow marking a task as completed", async function () {
       // Create a task first
-      await taskManager.addTask("Task to Complete", "This task will be completed");
+      await taskManager["addTask(string,string)"]("Task to Complete", "This task will be completed");
       
       // Complete the task
       const tx = await taskManager.completeTask(0);
@@ -221,12 +524,12 @@ describe("TaskManager", function () {
       
       // Check task completion status
       const task = await taskManager.getTask(0);
-      expect(task.completed).to.equal(true);
+      expect(task.status).to.equal(Status.Done);
     });
 
     it("Should allow marking a completed task as uncompleted", async function () {
       // Create and complete a task
-      await taskManager.addTask("Task to Uncomplete", "This task will be uncompleted");
+      await taskManager["addTask(string,string)"]("Task to Uncomplete", "This task will be uncompleted");
       await taskManager.completeTask(0);
       
       // Uncomplete the task
@@ -240,12 +543,12 @@ describe("TaskManager", function () {
       
       // Check task completion status
       const task = await taskManager.getTask(0);
-      expect(task.completed).to.equal(false);
+      expect(task.status).to.equal(Status.Todo);
     });
 
     it("Should allow deleting a task", async function () {
       // Create a task first
-      await taskManager.addTask("Task to Delete", "This task will be deleted");
+      await taskManager["addTask(string,string)"]("Task to Delete", "This task will be deleted");
       
       // Delete the task
       const tx = await taskManager.deleteTask(0);
@@ -261,9 +564,9 @@ describe("TaskManager", function () {
 
     it("Should fetch all tasks for a user", async function () {
       // Create multiple tasks
-      await taskManager.addTask("Task 1", "Description 1");
-      await taskManager.addTask("Task 2", "Description 2");
-      await taskManager.addTask("Task 3", "Description 3");
+      await taskManager["addTask(string,string)"]("Task 1", "Description 1");
+      await taskManager["addTask(string,string)"]("Task 2", "Description 2");
+      await taskManager["addTask(string,string)"]("Task 3", "Description 3");
       
       // Fetch all tasks
       const tasks = await taskManager.fetchAllTasks();
@@ -275,34 +578,34 @@ describe("TaskManager", function () {
       expect(tasks[2].title).to.equal("Task 3");
     });
 
-    it("Should fetch tasks by completion status", async function () {
+    it("Should fetch tasks by status", async function () {
       // Create multiple tasks
-      await taskManager.addTask("Task 1", "Description 1");
-      await taskManager.addTask("Task 2", "Description 2");
-      await taskManager.addTask("Task 3", "Description 3");
+      await taskManager["addTask(string,string)"]("Task 1", "Description 1");
+      await taskManager["addTask(string,string)"]("Task 2", "Description 2");
+      await taskManager["addTask(string,string)"]("Task 3", "Description 3");
       
       // Complete some tasks
       await taskManager.completeTask(0);
       await taskManager.completeTask(2);
       
       // Fetch completed tasks
-      const completedTasks = await taskManager.fetchTasksByStatus(true);
+      const completedTasks = await taskManager.fetchTasksByStatus(Status.Done);
       expect(completedTasks.length).to.equal(2);
       expect(completedTasks[0].title).to.equal("Task 1");
       expect(completedTasks[1].title).to.equal("Task 3");
       
-      // Fetch incomplete tasks
-      const incompleteTasks = await taskManager.fetchTasksByStatus(false);
+      // Fetch tasks still to do
+      const incompleteTasks = await taskManager.fetchTasksByStatus(Status.Todo);
       expect(incompleteTasks.length).to.equal(1);
       expect(incompleteTasks[0].title).to.equal("Task 2");
     });
 
     it("Should fetch tasks by priority", async function () {
       // Create tasks with different priorities
-      await taskManager.addTask("Low Priority", "Description", Priority.Low, 0);
-      await taskManager.addTask("Medium Priority", "Description", Priority.Medium, 0);
-      await taskManager.addTask("High Priority 1", "Description", Priority.High, 0);
-      await taskManager.addTask("High Priority 2", "Description", Priority.High, 0);
+      await taskManager["addTask(string,string,uint8,uint256)"]("Low Priority", "Description", Priority.Low, 0);
+      await taskManager["addTask(string,string,uint8,uint256)"]("Medium Priority", "Description", Priority.Medium, 0);
+      await taskManager["addTask(string,string,uint8,uint256)"]("High Priority 1", "Description", Priority.High, 0);
+      await taskManager["addTask(string,string,uint8,uint256)"]("High Priority 2", "Description", Priority.High, 0);
       
       // Fetch high priority tasks
       const highPriorityTasks = await taskManager.fetchTasksByPriority(Priority.High);
@@ -320,10 +623,10 @@ describe("TaskManager", function () {
       const currentTime = await time.latest();
       
       // Create tasks with different due dates
-      await taskManager.addTask("Due Soon 1", "Description", Priority.High, currentTime + 3600); // 1 hour from now
-      await taskManager.addTask("Due Soon 2", "Description", Priority.Medium, currentTime + 86000); // ~23.9 hours from now
-      await taskManager.addTask("Not Due Soon", "Description", Priority.Low, currentTime + 172800); // 2 days from now
-      await taskManager.addTask("No Due Date", "Description", Priority.Low, 0); // No due date
+      await taskManager["addTask(string,string,uint8,uint256)"]("Due Soon 1", "Description", Priority.High, currentTime + 3600); // 1 hour from now
+      await taskManager["addTask(string,string,uint8,uint256)"]("Due Soon 2", "Description", Priority.Medium, currentTime + 86000); // ~23.9 hours from now
+      await taskManager["addTask(string,string,uint8,uint256)"]("Not Due Soon", "Description", Priority.Low, currentTime + 172800); // 2 days from now
+      await taskManager["addTask(string,string,uint8,uint256)"]("No Due Date", "Description", Priority.Low, 0); // No due date
       
       // Complete one of the due soon tasks
       await taskManager.completeTask(0);
@@ -335,49 +638,1703 @@ describe("TaskManager", function () {
     });
   });
 
-  describe("Access Control", function () {
-    it("Should prevent non-owners from editing tasks", async function () {
-      // Owner creates a task
-      await taskManager.addTask("Owner's Task", "Created by owner");
-      
-      // Another user tries to edit it
+  describe("Status Workflow", function () {
+    beforeEach(async function () {
+      await taskManager["addTask(string,string)"]("Workflow Task", "Moves through statuses");
+    });
+
+    it("Should move a task through the workflow and emit status events", async function () {
+      let timestamp = await nextBlockTimestamp();
+      await expect(taskManager.setTaskStatus(0, Status.InProgress))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(0, owner.address, Status.Todo, Status.InProgress, timestamp);
+
+      await taskManager.setTaskStatus(0, Status.InReview);
+
+      timestamp = await nextBlockTimestamp();
+      await expect(taskManager.setTaskStatus(0, Status.Done))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(0, owner.address, Status.InReview, Status.Done, timestamp)
+        .and.to.emit(taskManager, "TaskCompleted")
+        .withArgs(0, true);
+
+      expect((await taskManager.getTask(0)).status).to.equal(Status.Done);
+    });
+
+    it("Should allow moving a done task back into progress", async function () {
+      await taskManager.completeTask(0);
+
+      await expect(taskManager.setTaskStatus(0, Status.InProgress))
+        .to.emit(taskManager, "TaskCompleted")
+        .withArgs(0, false);
+
+      expect((await taskManager.getTask(0)).status).to.equal(Status.InProgress);
+    });
+
+    it("Should reject transitions outside the workflow", async function () {
+      // Todo tasks must be started before they can be reviewed
+      await expect(
+        taskManager.setTaskStatus(0, Status.InReview)
+      ).to.be.revertedWith("Invalid status transition");
+
+      // Blocked tasks must be unblocked before they can be completed
+      await taskManager.setTaskStatus(0, Status.Blocked);
+      await expect(
+        taskManager.completeTask(0)
+      ).to.be.revertedWith("Invalid status transition");
+
+      // Cancelled tasks can only be reopened
+      await taskManager.setTaskStatus(0, Status.Cancelled);
       await expect(
-        taskManager.connect(addr1).editTask(0, "Hacked Title", "Hacked Description")
-      ).to.be.revertedWith("Only the task owner can edit this task");
+        taskManager.setTaskStatus(0, Status.InProgress)
+      ).to.be.revertedWith("Invalid status transition");
+      await taskManager.setTaskStatus(0, Status.Todo);
+      expect((await taskManager.getTask(0)).status).to.equal(Status.Todo);
     });
 
-    it("Should prevent non-owners from completing tasks", async function () {
-      // Owner creates a task
-      await taskManager.addTask("Owner's Task", "Created by owner");
+    it("Should reject unknown statuses", async function () {
+      await expect(
+        taskManager.setTaskStatus(0, 6)
+      ).to.be.revertedWith("Invalid status");
+
+      await expect(
+        taskManager.fetchTasksByStatus(6)
+      ).to.be.revertedWith("Invalid status");
+    });
+
+    it("Should not emit events when the status is unchanged", async function () {
+      await expect(taskManager.setTaskStatus(0, Status.Todo))
+        .to.not.emit(taskManager, "TaskStatusChanged");
+    });
+
+    it("Should exclude cancelled tasks from tasks due soon", async function () {
+      const dueDate = (await time.latest()) + 3600;
+      await taskManager["addTask(string,string,uint8,uint256)"]("Cancelled Task", "Description", Priority.High, dueDate);
+      await taskManager["addTask(string,string,uint8,uint256)"]("Open Task", "Description", Priority.High, dueDate);
+      await taskManager.setTaskStatus(1, Status.Cancelled);
+
+      const dueSoonTasks = await taskManager.fetchTasksDueSoon();
+      expect(dueSoonTasks.length).to.equal(1);
+      expect(dueSoonTasks[0].title).to.equal("Open Task");
+    });
+
+    it("Should prevent non-owners from changing the status", async function () {
+      await expect(
+        taskManager.connect(addr1).setTaskStatus(0, Status.InProgress)
+      ).to.be.revertedWith("Not authorized to modify this task");
+    });
+  });
+
+  describe("Pagination", function () {
+    // Walk every page of a paginated query and return all tasks seen
+    async function collectPages(fetchPage, limit) {
+      const tasks = [];
+      let cursor = 0;
+      do {
+        const [page, nextCursor] = await fetchPage(cursor, limit);
+        tasks.push(...page);
+        cursor = nextCursor.toNumber();
+      } while (cursor !== 0);
+      return tasks;
+    }
+
+    beforeEach(async function () {
+      for (let i = 0; i < 7; i++) {
+        await taskManager["addTask(string,string,uint8,uint256)"](`Task ${i}`, "Description", i % 3, 0);
+      }
+    });
+
+    it("Should return tasks in pages with a next cursor", async function () {
+      const [firstPage, firstCursor] = await taskManager.fetchTasksPage(0, 3);
+      expect(firstPage.map(t => t.title)).to.deep.equal(["Task 0", "Task 1", "Task 2"]);
+      expect(firstCursor).to.equal(3);
+
+      const [secondPage, secondCursor] = await taskManager.fetchTasksPage(firstCursor, 3);
+      expect(secondPage.map(t => t.title)).to.deep.equal(["Task 3", "Task 4", "Task 5"]);
+      expect(secondCursor).to.equal(6);
+
+      const [lastPage, lastCursor] = await taskManager.fetchTasksPage(secondCursor, 3);
+      expect(lastPage.map(t => t.title)).to.deep.equal(["Task 6"]);
+      expect(lastCursor).to.equal(0);
+    });
+
+    it("Should return an empty page for a cursor past the end", async function () {
+      const [page, nextCursor] = await taskManager.fetchTasksPage(50, 10);
+      expect(page.length).to.equal(0);
+      expect(nextCursor).to.equal(0);
+    });
+
+    it("Should reject invalid page sizes", async function () {
+      await expect(taskManager.fetchTasksPage(0, 0)).to.be.revertedWith("Invalid page size");
+      await expect(taskManager.fetchTasksPage(0, 101)).to.be.revertedWith("Invalid page size");
+    });
+
+    it("Should page through tasks by priority", async function () {
+      const highPriorityTasks = await collectPages(
+        (cursor, limit) => taskManager.fetchTasksByPriorityPage(Priority.High, cursor, limit),
+        1
+      );
+      expect(highPriorityTasks.map(t => t.title)).to.deep.equal(["Task 2", "Task 5"]);
+    });
+
+    it("Should page through tasks by status", async function () {
+      await taskManager.completeTask(1);
+      await taskManager.completeTask(4);
+
+      const [doneTasks, nextCursor] = await taskManager.fetchTasksByStatusPage(Status.Done, 0, 10);
+      expect(doneTasks.map(t => t.title)).to.deep.equal(["Task 1", "Task 4"]);
+      expect(nextCursor).to.equal(0);
+
+      await expect(
+        taskManager.fetchTasksByStatusPage(6, 0, 10)
+      ).to.be.revertedWith("Invalid status");
+    });
+
+    it("Should page through tasks due soon", async function () {
+      const dueDate = (await time.latest()) + 3600;
+      await taskManager["addTask(string,string,uint8,uint256)"]("Due Soon", "Description", Priority.High, dueDate);
+
+      const dueSoonTasks = await collectPages(
+        (cursor, limit) => taskManager.fetchTasksDueSoonPage(cursor, limit),
+        2
+      );
+      expect(dueSoonTasks.map(t => t.title)).to.deep.equal(["Due Soon"]);
+    });
+
+    it("Should only return the caller's tasks", async function () {
+      await taskManager.connect(addr1)["addTask(string,string)"]("Other Task", "Description");
+
+      const [page] = await taskManager.connect(addr1).fetchTasksPage(0, 10);
+      expect(page.map(t => t.title)).to.deep.equal(["Other Task"]);
+    });
+  });
+
+  describe("Batch Operations", function () {
+    const newTask = (title, priority = Priority.Medium, dueDate = 0) => ({
+      title,
+      description: `${title} description`,
+      priority,
+      dueDate
+    });
+
+    it("Should add several tasks in one transaction", async function () {
+      const timestamp = await nextBlockTimestamp();
+      const tx = taskManager.addTasks([newTask("First"), newTask("Second", Priority.High), newTask("Third")]);
+
+      await expect(tx)
+        .to.emit(taskManager, "TaskAdded")
+        .withArgs(0, owner.address, 0, ["First", "First description", Priority.Medium, 0], timestamp)
+        .and.to.emit(taskManager, "TaskAdded")
+        .withArgs(1, owner.address, 0, ["Second", "Second description", Priority.High, 0], timestamp)
+        .and.to.emit(taskManager, "TaskAdded")
+        .withArgs(2, owner.address, 0, ["Third", "Third description", Priority.Medium, 0], timestamp);
+
+      const tasks = await taskManager.fetchAllTasks();
+      expect(tasks.map(t => t.title)).to.deep.equal(["First", "Second", "Third"]);
+    });
+
+    it("Should not add any task when one of them is invalid", async function () {
+      await expect(taskManager.addTasks([newTask("Valid"), newTask("Invalid", 3)]))
+        .to.be.revertedWith("Invalid priority level");
+      expect(await taskManager.getTaskCount()).to.equal(0);
+
+      await expect(taskManager.addTasks([])).to.be.revertedWith("Invalid batch size");
+    });
+
+    it("Should respect the task limit across a batch", async function () {
+      await taskManager.setMaxTasksPerUser(2);
+
+      await expect(taskManager.addTasks([newTask("One"), newTask("Two"), newTask("Three")]))
+        .to.be.revertedWith("Maximum number of tasks reached");
+      expect(await taskManager.getTaskCount()).to.equal(0);
+    });
+
+    it("Should complete and reopen several tasks", async function () {
+      await taskManager.addTasks([newTask("First"), newTask("Second"), newTask("Third")]);
+
+      await expect(taskManager.setTasksCompletion([0, 2], true))
+        .to.emit(taskManager, "TaskCompleted")
+        .withArgs(0, true)
+        .and.to.emit(taskManager, "TaskCompleted")
+        .withArgs(2, true);
+
+      expect((await taskManager.getTask(0)).status).to.equal(Status.Done);
+      expect((await taskManager.getTask(1)).status).to.equal(Status.Todo);
+      expect((await taskManager.getTask(2)).status).to.equal(Status.Done);
+
+      await taskManager.setTasksCompletion([0, 1, 2], false);
+      expect((await taskManager.fetchTasksByStatus(Status.Done)).length).to.equal(0);
+    });
+
+    it("Should roll back a completion batch when one task is blocked", async function () {
+      await taskManager.addTasks([newTask("First"), newTask("Second"), newTask("Blocker")]);
+      await taskManager.addTaskBlocker(1, 2);
+
+      await expect(taskManager.setTasksCompletion([0, 1], true))
+        .to.be.revertedWith("Task is blocked by open tasks");
+      expect((await taskManager.getTask(0)).status).to.equal(Status.Todo);
+    });
+
+    it("Should delete several tasks and roll back on failure", async function () {
+      await taskManager.addTasks([newTask("First"), newTask("Second"), newTask("Third")]);
+      await taskManager.connect(addr1)["addTask(string,string)"]("Not yours", "Owned by addr1");
+
+      // The batch fails as a whole when one task belongs to someone else
+      await expect(taskManager.deleteTasks([0, 3]))
+        .to.be.revertedWith("Only the task owner can delete this task");
+      expect(await taskManager.getTaskCount()).to.equal(3);
+
+      // Listing a task twice fails too, as it no longer exists the second time
+      await expect(taskManager.deleteTasks([0, 0]))
+        .to.be.revertedWith("Only the task owner can delete this task");
+
+      const timestamp = await nextBlockTimestamp();
+      await expect(taskManager.deleteTasks([0, 2]))
+        .to.emit(taskManager, "TaskDeleted")
+        .withArgs(0, owner.address, owner.address, timestamp)
+        .and.to.emit(taskManager, "TaskDeleted")
+        .withArgs(2, owner.address, owner.address, timestamp);
+      expect((await taskManager.fetchAllTasks()).map(t => t.title)).to.deep.equal(["Second"]);
+    });
+
+    it("Should reject batches while paused", async function () {
+      await taskManager.setPaused(true);
+      await expect(taskManager.addTasks([newTask("First")])).to.be.revertedWith("Contract is paused");
+    });
+  });
+
+  describe("Task Removal", function () {
+    it("Should keep the remaining tasks intact when deleting from the middle", async function () {
+      for (let i = 0; i < 5; i++) {
+        await taskManager["addTask(string,string)"](`Task ${i}`, "Description");
+      }
+
+      // Task 4 is moved into the slot freed by task 1
+      await taskManager.deleteTask(1);
+      let titles = (await taskManager.fetchAllTasks()).map(t => t.title);
+      expect(titles).to.deep.equal(["Task 0", "Task 4", "Task 2", "Task 3"]);
+
+      // The moved task can still be found and deleted
+      await taskManager.deleteTask(4);
+      titles = (await taskManager.fetchAllTasks()).map(t => t.title);
+      expect(titles).to.deep.equal(["Task 0", "Task 3", "Task 2"]);
+
+      await taskManager.deleteTask(0);
+      await taskManager.deleteTask(2);
+      await taskManager.deleteTask(3);
+      expect(await taskManager.getTaskCount()).to.equal(0);
+    });
+
+    it("Should share removal logic between owner and admin deletes", async function () {
+      await taskManager.connect(addr1)["addTask(string,string)"]("Task 0", "Description");
+      await taskManager.connect(addr1)["addTask(string,string)"]("Task 1", "Description");
+      await taskManager.connect(addr1)["addTask(string,string)"]("Task 2", "Description");
+
+      const timestamp = await nextBlockTimestamp();
+      await expect(taskManager.adminDeleteTask(0))
+        .to.emit(taskManager, "TaskDeleted")
+        .withArgs(0, addr1.address, owner.address, timestamp);
+      await taskManager.connect(addr1).deleteTask(2);
+
+      const remaining = await taskManager.connect(addr1).fetchAllTasks();
+      expect(remaining.map(t => t.title)).to.deep.equal(["Task 1"]);
+    });
+
+    it("Should cost the same gas to delete the 100th task as the 1st", async function () {
+      await taskManager.setMaxTasksPerUser(101);
       
-      // Another user tries to complete it
+      // Task 0 is created up front so no measured delete touches a zero-valued task ID
+      await taskManager["addTask(string,string)"]("Task", "Description");
+      for (let i = 0; i < 101; i++) {
+        await taskManager.connect(addr1)["addTask(string,string)"]("Task", "Description");
+      }
+      for (let i = 0; i < 101; i++) {
+        await taskManager.connect(addr2)["addTask(string,string)"]("Task", "Description");
+      }
+
+      // addr1 deletes its 1st task (ID 1), addr2 deletes its 100th task (ID 201)
+      const firstReceipt = await (await taskManager.connect(addr1).deleteTask(1)).wait();
+      const hundredthReceipt = await (await taskManager.connect(addr2).deleteTask(201)).wait();
+
+      expect(hundredthReceipt.gasUsed).to.equal(firstReceipt.gasUsed);
+    });
+  });
+
+  describe("Assignment and Collaboration", function () {
+    beforeEach(async function () {
+      await taskManager["addTask(string,string)"]("Shared Task", "Owned by owner");
+    });
+
+    it("Should assign a task and list it for the assignee", async function () {
+      const timestamp = await nextBlockTimestamp();
+      await expect(taskManager.assignTask(0, addr1.address))
+        .to.emit(taskManager, "TaskAssigned")
+        .withArgs(0, owner.address, ethers.constants.AddressZero, addr1.address, timestamp);
+
+      expect((await taskManager.getTask(0)).assignee).to.equal(addr1.address);
+      const assigned = await taskManager.connect(addr1).fetchAssignedTasks();
+      expect(assigned.map(t => t.title)).to.deep.equal(["Shared Task"]);
+    });
+
+    it("Should move a task between assignees and unassign it", async function () {
+      await taskManager.assignTask(0, addr1.address);
+      await taskManager.assignTask(0, addr2.address);
+
+      expect((await taskManager.connect(addr1).fetchAssignedTasks()).length).to.equal(0);
+      expect((await taskManager.connect(addr2).fetchAssignedTasks()).length).to.equal(1);
+
+      await taskManager.assignTask(0, ethers.constants.AddressZero);
+      expect((await taskManager.connect(addr2).fetchAssignedTasks()).length).to.equal(0);
+      expect((await taskManager.getTask(0)).assignee).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should let the assignee change the status but not edit the task", async function () {
+      await taskManager.assignTask(0, addr1.address);
+
+      await taskManager.connect(addr1).setTaskStatus(0, Status.InProgress);
+      expect((await taskManager.getTask(0)).status).to.equal(Status.InProgress);
+      expect(await taskManager.getPermission(0, addr1.address)).to.equal(Permission.Complete);
+
+      await expect(
+        taskManager.connect(addr1)["editTask(uint256,string,string)"](0, "New Title", "New Description")
+      ).to.be.revertedWith("Not authorized to edit this task");
+    });
+
+    it("Should enforce collaborator permission levels", async function () {
+      const timestamp = await nextBlockTimestamp();
+      await expect(taskManager.setCollaborator(0, addr1.address, Permission.View))
+        .to.emit(taskManager, "CollaboratorUpdated")
+        .withArgs(0, owner.address, addr1.address, Permission.None, Permission.View, timestamp);
+      await taskManager.setCollaborator(0, addr2.address, Permission.Edit);
+
+      // View-only collaborators cannot change the status
       await expect(
         taskManager.connect(addr1).completeTask(0)
-      ).to.be.revertedWith("Only the task owner can modify this task");
+      ).to.be.revertedWith("Not authorized to modify this task");
+
+      // Editors can edit and complete
+      await taskManager.connect(addr2)["editTask(uint256,string,string)"](0, "Edited", "By collaborator");
+      await taskManager.connect(addr2).completeTask(0);
+
+      const task = await taskManager.getTask(0);
+      expect(task.title).to.equal("Edited");
+      expect(task.status).to.equal(Status.Done);
+
+      const [collaborators, permissions] = await taskManager.getCollaborators(0);
+      expect(collaborators).to.deep.equal([addr1.address, addr2.address]);
+      expect(permissions).to.deep.equal([Permission.View, Permission.Edit]);
     });
 
-    it("Should prevent non-owners from deleting tasks", async function () {
-      // Owner creates a task
-      await taskManager.addTask("Owner's Task", "Created by owner");
-      
-      // Another user tries to delete it
+    it("Should revoke collaborator access", async function () {
+      await taskManager.setCollaborator(0, addr1.address, Permission.Edit);
+      await taskManager.setCollaborator(0, addr1.address, Permission.None);
+
+      const [collaborators] = await taskManager.getCollaborators(0);
+      expect(collaborators.length).to.equal(0);
+      await expect(
+        taskManager.connect(addr1)["editTask(uint256,string,string)"](0, "Edited", "By collaborator")
+      ).to.be.revertedWith("Not authorized to edit this task");
+    });
+
+    it("Should only let the owner share, assign, transfer or delete", async function () {
+      await taskManager.setCollaborator(0, addr1.address, Permission.Edit);
+
+      await expect(
+        taskManager.connect(addr1).assignTask(0, addr2.address)
+      ).to.be.revertedWith("Only the task owner can assign this task");
+      await expect(
+        taskManager.connect(addr1).setCollaborator(0, addr2.address, Permission.View)
+      ).to.be.revertedWith("Only the task owner can share this task");
+      await expect(
+        taskManager.connect(addr1).transferTask(0, addr1.address)
+      ).to.be.revertedWith("Only the task owner can transfer this task");
       await expect(
         taskManager.connect(addr1).deleteTask(0)
       ).to.be.revertedWith("Only the task owner can delete this task");
     });
 
-    it("Should allow different users to manage their own tasks", async function () {
-      // User 1 creates a task
-      await taskManager.connect(addr1).addTask("User 1 Task", "Created by user 1");
-      
-      // User 2 creates a task
-      await taskManager.connect(addr2).addTask("User 2 Task", "Created by user 2");
-      
-      // User 1 should be able to edit their own task
-      await taskManager.connect(addr1).editTask(0, "Updated User 1 Task", "Updated by user 1");
+    it("Should reject invalid collaborators and permissions", async function () {
+      await expect(
+        taskManager.setCollaborator(0, owner.address, Permission.View)
+      ).to.be.revertedWith("Invalid collaborator");
+      await expect(
+        taskManager.setCollaborator(0, addr1.address, 4)
+      ).to.be.revertedWith("Invalid permission");
+    });
+
+    it("Should transfer a task to a new owner", async function () {
+      const timestamp = await nextBlockTimestamp();
+      await expect(taskManager.transferTask(0, addr1.address))
+        .to.emit(taskManager, "TaskTransferred")
+        .withArgs(0, owner.address, addr1.address, timestamp);
+
+      expect(await taskManager.getTaskCount()).to.equal(0);
+      expect(await taskManager.connect(addr1).getTaskCount()).to.equal(1);
+      expect((await taskManager.getTask(0)).owner).to.equal(addr1.address);
+
+      // The previous owner loses control and the new owner gains it
+      await expect(
+        taskManager.deleteTask(0)
+      ).to.be.revertedWith("Only the task owner can delete this task");
+      await taskManager.connect(addr1).deleteTask(0);
+    });
+
+    it("Should clean up assignment and collaborators when a task is deleted", async function () {
+      await taskManager.assignTask(0, addr1.address);
+      await taskManager.setCollaborator(0, addr2.address, Permission.Edit);
+
+      await taskManager.deleteTask(0);
+
+      expect((await taskManager.connect(addr1).fetchAssignedTasks()).length).to.equal(0);
+      expect(await taskManager.getPermission(0, addr2.address)).to.equal(Permission.None);
+      const [collaborators] = await taskManager.getCollaborators(0);
+      expect(collaborators.length).to.equal(0);
+    });
+  });
+
+  describe("Projects", function () {
+    const addProjectTask = (signer, projectId, title) =>
+      taskManager.connect(signer).addProjectTask(projectId, title, "Project task", Priority.Medium, 0);
+
+    beforeEach(async function () {
+      await taskManager.createProject("Launch");
+    });
+
+    it("Should create a project with the creator as admin", async function () {
+      const project = await taskManager.getProject(1);
+      expect(project.id).to.equal(1);
+      expect(project.name).to.equal("Launch");
+      expect(project.owner).to.equal(owner.address);
+      expect(await taskManager.getProjectRole(1, owner.address)).to.equal(ProjectRole.Admin);
+
+      await expect(taskManager.createProject("Second"))
+        .to.emit(taskManager, "ProjectCreated")
+        .withArgs(2, owner.address, "Second");
+      expect((await taskManager.fetchMyProjects()).map(p => p.name)).to.deep.equal(["Launch", "Second"]);
+    });
+
+    it("Should add members and list the project for them", async function () {
+      await expect(taskManager.setProjectMember(1, addr1.address, ProjectRole.Member))
+        .to.emit(taskManager, "ProjectMemberUpdated")
+        .withArgs(1, addr1.address, ProjectRole.Member);
+
+      const [members, roles] = await taskManager.getProjectMembers(1);
+      expect(members).to.deep.equal([owner.address, addr1.address]);
+      expect(roles).to.deep.equal([ProjectRole.Admin, ProjectRole.Member]);
+      expect((await taskManager.connect(addr1).fetchMyProjects()).map(p => p.id.toNumber())).to.deep.equal([1]);
+    });
+
+    it("Should keep project tasks in the project and the creator's lists", async function () {
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Member);
+      await addProjectTask(owner, 1, "Owner task");
+      await addProjectTask(addr1, 1, "Member task");
+      await taskManager["addTask(string,string)"]("Personal", "Not in a project");
+
+      const projectTasks = await taskManager.connect(addr1).fetchProjectTasks(1);
+      expect(projectTasks.map(t => t.title)).to.deep.equal(["Owner task", "Member task"]);
+      expect(projectTasks.every(t => t.projectId.toNumber() === 1)).to.equal(true);
+      expect((await taskManager.connect(addr1).fetchAllTasks()).map(t => t.title)).to.deep.equal(["Member task"]);
+
+      const [page, nextCursor] = await taskManager.fetchProjectTasksPage(1, 0, 1);
+      expect(page.map(t => t.title)).to.deep.equal(["Owner task"]);
+      expect(nextCursor).to.equal(1);
+    });
+
+    it("Should give task permissions based on the project role", async function () {
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Viewer);
+      await taskManager.setProjectMember(1, addr2.address, ProjectRole.Member);
+      await addProjectTask(owner, 1, "Shared backlog item");
+
+      expect(await taskManager.getPermission(0, addr1.address)).to.equal(Permission.View);
+      expect(await taskManager.getPermission(0, addr2.address)).to.equal(Permission.Edit);
+
+      await expect(addProjectTask(addr1, 1, "Viewer task"))
+        .to.be.revertedWith("Not allowed to add tasks to this project");
+      await expect(taskManager.connect(addr1).completeTask(0))
+        .to.be.revertedWith("Not authorized to modify this task");
+
+      await taskManager.connect(addr2)["editTask(uint256,string,string)"](0, "Edited", "By member");
+      await taskManager.connect(addr2).completeTask(0);
+      expect((await taskManager.getTask(0)).status).to.equal(Status.Done);
+
+      // Members cannot delete other people's tasks, admins can
+      await expect(taskManager.connect(addr2).deleteTask(0))
+        .to.be.revertedWith("Only the task owner can delete this task");
+      await taskManager.setProjectMember(1, addr2.address, ProjectRole.Admin);
+      await taskManager.connect(addr2).deleteTask(0);
+      expect((await taskManager.fetchProjectTasks(1)).length).to.equal(0);
+    });
+
+    it("Should restrict member management to admins", async function () {
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Member);
+
+      await expect(taskManager.connect(addr1).setProjectMember(1, addr2.address, ProjectRole.Member))
+        .to.be.revertedWith("Only project admins can manage this project");
+      await expect(taskManager.connect(addr1).renameProject(1, "Renamed"))
+        .to.be.revertedWith("Only project admins can manage this project");
+      await expect(taskManager.setProjectMember(1, owner.address, ProjectRole.Viewer))
+        .to.be.revertedWith("Invalid project member");
+      await expect(taskManager.setProjectMember(1, addr2.address, 4))
+        .to.be.revertedWith("Invalid project role");
+      await expect(taskManager.connect(addr2).fetchProjectTasks(1))
+        .to.be.revertedWith("Not a member of this project");
+
+      await expect(taskManager.renameProject(1, "Renamed"))
+        .to.emit(taskManager, "ProjectRenamed")
+        .withArgs(1, "Renamed");
+    });
+
+    it("Should let members leave a project", async function () {
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Viewer);
+      await taskManager.connect(addr1).setProjectMember(1, addr1.address, ProjectRole.None);
+
+      expect(await taskManager.getProjectRole(1, addr1.address)).to.equal(ProjectRole.None);
+      expect((await taskManager.connect(addr1).fetchMyProjects()).length).to.equal(0);
+      const [members] = await taskManager.getProjectMembers(1);
+      expect(members).to.deep.equal([owner.address]);
+
+      // Outsiders cannot use the leave shortcut to touch the member list
+      await expect(taskManager.connect(addr2).setProjectMember(1, addr2.address, ProjectRole.None))
+        .to.be.revertedWith("Only project admins can manage this project");
+    });
+
+    it("Should only delete empty projects", async function () {
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Member);
+      await addProjectTask(addr1, 1, "Blocking delete");
+
+      await expect(taskManager.connect(addr1).deleteProject(1))
+        .to.be.revertedWith("Only the project owner can delete this project");
+      await expect(taskManager.deleteProject(1)).to.be.revertedWith("Project still has tasks");
+
+      await taskManager.connect(addr1).deleteTask(0);
+      await expect(taskManager.deleteProject(1))
+        .to.emit(taskManager, "ProjectDeleted")
+        .withArgs(1);
+
+      expect((await taskManager.getProject(1)).owner).to.equal(ethers.constants.AddressZero);
+      expect(await taskManager.getProjectRole(1, addr1.address)).to.equal(ProjectRole.None);
+      expect((await taskManager.connect(addr1).fetchMyProjects()).length).to.equal(0);
+    });
+  });
+
+  describe("Labels", function () {
+    const RED = 0xff0000;
+    const BLUE = 0x0000ff;
+
+    beforeEach(async function () {
+      await taskManager["addTask(string,string)"]("Labelled Task", "Has labels");
+      await taskManager.createLabel("urgent", RED);
+      await taskManager.createLabel("backend", BLUE);
+    });
+
+    it("Should create and update labels", async function () {
+      await expect(taskManager.createLabel("frontend", BLUE))
+        .to.emit(taskManager, "LabelCreated")
+        .withArgs(3, owner.address, "frontend", BLUE);
+
+      await expect(taskManager.updateLabel(1, "critical", BLUE))
+        .to.emit(taskManager, "LabelUpdated")
+        .withArgs(1, "critical", BLUE);
+
+      const labels = await taskManager.fetchMyLabels();
+      expect(labels.map(l => l.name)).to.deep.equal(["critical", "backend", "frontend"]);
+      expect(labels[0].color).to.equal(BLUE);
+      expect((await taskManager.connect(addr1).fetchMyLabels()).length).to.equal(0);
+
+      await expect(taskManager.createLabel("", RED)).to.be.revertedWith("Label name is required");
+      await expect(taskManager.connect(addr1).updateLabel(1, "mine", RED))
+        .to.be.revertedWith("Only the label owner can change this label");
+    });
+
+    it("Should attach and remove labels with events", async function () {
+      await expect(taskManager.addTaskLabel(0, 1))
+        .to.emit(taskManager, "TaskLabelAdded")
+        .withArgs(0, 1);
+      await taskManager.addTaskLabel(0, 2);
+
+      expect((await taskManager.getTaskLabels(0)).map(l => l.name)).to.deep.equal(["urgent", "backend"]);
+
+      await expect(taskManager.removeTaskLabel(0, 1))
+        .to.emit(taskManager, "TaskLabelRemoved")
+        .withArgs(0, 1);
+      expect((await taskManager.getTaskLabels(0)).map(l => l.name)).to.deep.equal(["backend"]);
+    });
+
+    it("Should fetch tasks by label", async function () {
+      await taskManager["addTask(string,string)"]("Second Task", "Also urgent");
+      await taskManager["addTask(string,string)"]("Third Task", "No labels");
+      await taskManager.addTaskLabel(0, 1);
+      await taskManager.addTaskLabel(1, 1);
+      await taskManager.addTaskLabel(1, 2);
+
+      const urgent = await taskManager.fetchTasksByLabel(1);
+      expect(urgent.map(t => t.title)).to.deep.equal(["Labelled Task", "Second Task"]);
+
+      const [page, nextCursor] = await taskManager.fetchTasksByLabelPage(2, 0, 10);
+      expect(page.map(t => t.title)).to.deep.equal(["Second Task"]);
+      expect(nextCursor).to.equal(0);
+
+      const batch = await taskManager.getTaskLabelsBatch([0, 1, 2]);
+      expect(batch.map(labels => labels.map(l => l.id.toNumber()))).to.deep.equal([[1], [1, 2], []]);
+
+      await expect(taskManager.connect(addr1).fetchTasksByLabel(1))
+        .to.be.revertedWith("Only the label owner can use this label");
+    });
+
+    it("Should replace the labels of a task", async function () {
+      await taskManager.createLabel("docs", RED);
+      await taskManager.setTaskLabels(0, [1, 2]);
+
+      await expect(taskManager.setTaskLabels(0, [2, 3]))
+        .to.emit(taskManager, "TaskLabelRemoved")
+        .withArgs(0, 1)
+        .and.to.emit(taskManager, "TaskLabelAdded")
+        .withArgs(0, 3);
+
+      expect((await taskManager.getTaskLabels(0)).map(l => l.id.toNumber())).to.deep.equal([2, 3]);
+      expect((await taskManager.fetchTasksByLabel(1)).length).to.equal(0);
+    });
+
+    it("Should only let editors attach their own labels", async function () {
+      await taskManager.connect(addr1).createLabel("addr1 label", RED);
+
+      // addr1 cannot edit the task yet
+      await expect(taskManager.connect(addr1).addTaskLabel(0, 3))
+        .to.be.revertedWith("Not authorized to edit this task");
+
+      await taskManager.setCollaborator(0, addr1.address, Permission.Edit);
+      await expect(taskManager.connect(addr1).addTaskLabel(0, 1))
+        .to.be.revertedWith("Only the label owner can use this label");
+      await taskManager.connect(addr1).addTaskLabel(0, 3);
+
+      // The owner keeps the collaborator's label while adding their own
+      await taskManager.setTaskLabels(0, [3, 1]);
+      expect((await taskManager.getTaskLabels(0)).map(l => l.id.toNumber())).to.deep.equal([3, 1]);
+    });
+
+    it("Should limit the number of labels per task", async function () {
+      for (let i = 0; i < 8; i++) {
+        await taskManager.createLabel(`label ${i}`, RED);
+      }
+      await taskManager.setTaskLabels(0, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+      await taskManager.createLabel("one too many", RED);
+      await expect(taskManager.addTaskLabel(0, 11))
+        .to.be.revertedWith("Maximum number of labels per task reached");
+    });
+
+    it("Should clean up labels when a task or label is deleted", async function () {
+      await taskManager["addTask(string,string)"]("Second Task", "Also labelled");
+      await taskManager.addTaskLabel(0, 1);
+      await taskManager.addTaskLabel(1, 1);
+      await taskManager.addTaskLabel(1, 2);
+
+      await taskManager.deleteTask(0);
+      expect((await taskManager.fetchTasksByLabel(1)).map(t => t.title)).to.deep.equal(["Second Task"]);
+
+      await expect(taskManager.deleteLabel(1))
+        .to.emit(taskManager, "TaskLabelRemoved")
+        .withArgs(1, 1)
+        .and.to.emit(taskManager, "LabelDeleted")
+        .withArgs(1);
+
+      expect((await taskManager.getTaskLabels(1)).map(l => l.name)).to.deep.equal(["backend"]);
+      expect((await taskManager.fetchMyLabels()).map(l => l.name)).to.deep.equal(["backend"]);
+      await expect(taskManager.fetchTasksByLabel(1))
+        .to.be.revertedWith("Only the label owner can use this label");
+    });
+  });
+
+  describe("Subtasks and Dependencies", function () {
+    beforeEach(async function () {
+      await taskManager["addTask(string,string)"]("Parent Task", "Has subtasks");
+      await taskManager["addTask(string,string)"]("Other Task", "Standalone");
+    });
+
+    it("Should add subtasks and report a completion rollup", async function () {
+      await expect(taskManager.addSubtask(0, "First Step", "Part one", Priority.Low, 0))
+        .to.emit(taskManager, "SubtaskAdded")
+        .withArgs(0, 2);
+      await taskManager.addSubtask(0, "Second Step", "Part two", Priority.Low, 0);
+      await taskManager.addSubtask(0, "Dropped Step", "Not needed", Priority.Low, 0);
+
+      await taskManager.completeTask(2);
+      await taskManager.setTaskStatus(4, Status.Cancelled);
+
+      const subtasks = await taskManager.getSubtasks(0);
+      expect(subtasks.map(t => t.title)).to.deep.equal(["First Step", "Second Step", "Dropped Step"]);
+
+      // Cancelled subtasks do not count towards the rollup
+      const [parent, child] = await taskManager.getTaskRelationsBatch([0, 2]);
+      expect(parent.hasParent).to.equal(false);
+      expect(parent.subtaskCount).to.equal(2);
+      expect(parent.completedSubtasks).to.equal(1);
+      expect(child.hasParent).to.equal(true);
+      expect(child.parentId).to.equal(0);
+    });
+
+    it("Should move, detach and protect subtasks", async function () {
+      await taskManager.addSubtask(0, "Step", "Part one", Priority.Low, 0);
+
+      await expect(taskManager.setParentTask(2, 1))
+        .to.emit(taskManager, "SubtaskRemoved")
+        .withArgs(0, 2)
+        .and.to.emit(taskManager, "SubtaskAdded")
+        .withArgs(1, 2);
+      expect((await taskManager.getSubtasks(0)).length).to.equal(0);
+      expect((await taskManager.getSubtasks(1)).map(t => t.title)).to.deep.equal(["Step"]);
+
+      // A task cannot end up below one of its own subtasks
+      await expect(taskManager.setParentTask(1, 2)).to.be.revertedWith("Subtask cycle detected");
+      await expect(taskManager.setParentTask(1, 1)).to.be.revertedWith("Subtask cycle detected");
+
+      await expect(taskManager.connect(addr1).addSubtask(0, "Sneaky", "Not allowed", Priority.Low, 0))
+        .to.be.revertedWith("Not authorized to edit this task");
+
+      await expect(taskManager.removeParentTask(2))
+        .to.emit(taskManager, "SubtaskRemoved")
+        .withArgs(1, 2);
+      const [summary] = await taskManager.getTaskRelationsBatch([2]);
+      expect(summary.hasParent).to.equal(false);
+    });
+
+    it("Should refuse to complete a task while a blocker is open", async function () {
+      await expect(taskManager.addTaskBlocker(0, 1))
+        .to.emit(taskManager, "TaskBlockerAdded")
+        .withArgs(0, 1);
+
+      await expect(taskManager.completeTask(0)).to.be.revertedWith("Task is blocked by open tasks");
+
+      let [summary] = await taskManager.getTaskRelationsBatch([0]);
+      expect(summary.blockerIds.map(id => id.toNumber())).to.deep.equal([1]);
+      expect(summary.openBlockers).to.equal(1);
+
+      // Cancelling the blocker closes it as well
+      await taskManager.setTaskStatus(1, Status.Cancelled);
+      await taskManager.completeTask(0);
+      expect((await taskManager.getTask(0)).status).to.equal(Status.Done);
+
+      [summary] = await taskManager.getTaskRelationsBatch([0]);
+      expect(summary.openBlockers).to.equal(0);
+      expect((await taskManager.getBlockers(0)).map(t => t.title)).to.deep.equal(["Other Task"]);
+    });
+
+    it("Should reject dependency cycles", async function () {
+      await taskManager["addTask(string,string)"]("Third Task", "Closes the loop");
+      await taskManager.addTaskBlocker(0, 1);
+      await taskManager.addTaskBlocker(1, 2);
+
+      await expect(taskManager.addTaskBlocker(2, 0)).to.be.revertedWith("Dependency cycle detected");
+      await expect(taskManager.addTaskBlocker(1, 0)).to.be.revertedWith("Dependency cycle detected");
+      await expect(taskManager.addTaskBlocker(0, 0)).to.be.revertedWith("A task cannot block itself");
+
+      await expect(taskManager.removeTaskBlocker(1, 2))
+        .to.emit(taskManager, "TaskBlockerRemoved")
+        .withArgs(1, 2);
+      await taskManager.addTaskBlocker(2, 0);
+    });
+
+    it("Should only let editors manage dependencies on tasks they can view", async function () {
+      await taskManager.connect(addr1)["addTask(string,string)"]("Private Task", "addr1 only");
+
+      await expect(taskManager.addTaskBlocker(0, 2))
+        .to.be.revertedWith("Not authorized to view this task");
+      await expect(taskManager.connect(addr1).addTaskBlocker(0, 2))
+        .to.be.revertedWith("Not authorized to edit this task");
+
+      await taskManager.connect(addr1).setCollaborator(2, owner.address, Permission.View);
+      await taskManager.addTaskBlocker(0, 2);
+    });
+
+    it("Should clean up relations when a task is deleted", async function () {
+      await taskManager.addSubtask(0, "Step", "Part one", Priority.Low, 0);
+      await taskManager.addTaskBlocker(1, 0);
+      await taskManager.addTaskBlocker(0, 2);
+
+      await taskManager.deleteTask(0);
+
+      const [other, step] = await taskManager.getTaskRelationsBatch([1, 2]);
+      expect(other.blockerIds.length).to.equal(0);
+      expect(step.hasParent).to.equal(false);
+      await taskManager.completeTask(1);
+
+      // The orphaned subtask can be attached again
+      await taskManager.setParentTask(2, 1);
+      expect((await taskManager.getSubtasks(1)).map(t => t.title)).to.deep.equal(["Step"]);
+    });
+
+    it("Should add project subtasks to the parent's project", async function () {
+      await taskManager.createProject("Team");
+      await taskManager.addProjectTask(1, "Project Task", "Shared", Priority.Medium, 0);
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Member);
+
+      await taskManager.connect(addr1).addSubtask(2, "Project Step", "Shared too", Priority.Low, 0);
+      expect((await taskManager.getTask(3)).projectId).to.equal(1);
+      expect((await taskManager.fetchProjectTasks(1)).map(t => t.title)).to.deep.equal(["Project Task", "Project Step"]);
+
+      // Project viewers cannot add subtasks
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Viewer);
+      await expect(taskManager.connect(addr1).addSubtask(2, "Viewer Step", "Not allowed", Priority.Low, 0))
+        .to.be.revertedWith("Not authorized to edit this task");
+    });
+  });
+
+  describe("Recurring Tasks", function () {
+    const DAY = 86400;
+    const ADD_RECURRING = "addTask(string,string,uint8,uint256,uint256,(uint8,uint8,uint16,uint8,uint256))";
+    const EDIT_RECURRING = "editTask(uint256,string,string,uint8,uint256,(uint8,uint8,uint16,uint8,uint256))";
+    // Unix timestamp of a UTC date and time
+    const utc = (year, month, day, hour = 9) => Date.UTC(year, month - 1, day, hour) / 1000;
+    const rule = (frequency, { weekdays = 0, interval = 0, monthDay = 0, endDate = 0 } = {}) => [frequency, weekdays, interval, monthDay, endDate];
+
+    // Add a personal task that repeats
+    function addRecurring(title, dueDate, recurrence) {
+      return taskManager[ADD_RECURRING](title, "", Priority.Low, dueDate, 0, recurrence);
+    }
+
+    // Change only the repeat rule of a task
+    async function setRule(taskId, recurrence, signer = owner) {
+      const task = await taskManager.getTask(taskId);
+      return taskManager.connect(signer)[EDIT_RECURRING](taskId, task.title, task.description, task.priority, task.dueDate, recurrence);
+    }
+
+    // Complete a task and return the ID of the occurrence its completion created
+    async function completeOccurrence(taskId) {
+      const receipt = await (await taskManager.completeTask(taskId)).wait();
+      const event = receipt.events.find((e) => e.event === "TaskRecurred");
+      return event ? event.args.nextTaskId.toNumber() : null;
+    }
+
+    // Follow a series by completing each occurrence and collect the due dates
+    async function followSeries(taskId, count) {
+      const dueDates = [];
+      for (let i = 0; i < count && taskId !== null; i++) {
+        taskId = await completeOccurrence(taskId);
+        if (taskId !== null) dueDates.push((await taskManager.getTask(taskId)).dueDate.toNumber());
+      }
+      return dueDates;
+    }
+
+    it("Should create the next occurrence when a recurring task is completed", async function () {
+      const dueDate = utc(2030, 1, 7);
+      const timestamp = await nextBlockTimestamp();
+      await expect(taskManager[ADD_RECURRING]("Standup", "Daily sync", Priority.High, dueDate, 0, rule(Frequency.Daily)))
+        .to.emit(taskManager, "TaskAdded")
+        .withArgs(0, owner.address, 0, ["Standup", "Daily sync", Priority.High, dueDate], timestamp)
+        .and.to.emit(taskManager, "TaskRecurrenceChanged")
+        .withArgs(0, owner.address, rule(Frequency.None), rule(Frequency.Daily), timestamp);
+      await taskManager.assignTask(0, addr1.address);
+
+      const completedAt = await nextBlockTimestamp();
+      await expect(taskManager.completeTask(0))
+        .to.emit(taskManager, "TaskRecurred")
+        .withArgs(0, 1, dueDate + DAY)
+        .and.to.emit(taskManager, "TaskAdded")
+        .and.to.emit(taskManager, "TaskAssigned")
+        .withArgs(1, owner.address, ethers.constants.AddressZero, addr1.address, completedAt);
+
+      const next = await taskManager.getTask(1);
+      expect(next.title).to.equal("Standup");
+      expect(next.description).to.equal("Daily sync");
+      expect(next.status).to.equal(Status.Todo);
+      expect(next.priority).to.equal(Priority.High);
+      expect(next.dueDate).to.equal(dueDate + DAY);
+      expect(next.assignee).to.equal(addr1.address);
+      expect(next.recurrence.frequency).to.equal(Frequency.Daily);
+      expect((await taskManager.connect(addr1).fetchAssignedTasks()).map((t) => t.id.toNumber())).to.deep.equal([0, 1]);
+
+      // The rule moved to the new occurrence, so completing the old one again creates nothing
+      expect((await taskManager.getTask(0)).recurrence.frequency).to.equal(Frequency.None);
+      await taskManager.uncompleteTask(0);
+      await expect(taskManager.completeTask(0)).to.not.emit(taskManager, "TaskRecurred");
+      expect(await taskManager.getTaskCount()).to.equal(2);
+    });
+
+    it("Should let a watcher of assigned tasks find the next occurrence in the logs", async function () {
+      await taskManager[ADD_RECURRING]("Standup", "Daily sync", Priority.High, utc(2030, 1, 7), 0, rule(Frequency.Daily));
+      await taskManager.assignTask(0, addr1.address);
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      await taskManager.completeTask(0);
+
+      // The assignee's live list skips TaskAdded, so the occurrence must be reachable from the other events
+      const events = (await taskManager.queryFilter("*", fromBlock)).filter((event) => event.event !== "TaskAdded");
+      const recurred = events.find((event) => event.event === "TaskRecurred");
+      expect(recurred.args.nextTaskId).to.equal(1);
+      const assigned = events.find((event) => event.event === "TaskAssigned");
+      expect(assigned.args.taskId).to.equal(1);
+      expect(assigned.args.newAssignee).to.equal(addr1.address);
+      expect((await taskManager.getTask(1)).assignee).to.equal(addr1.address);
+    });
+
+    it("Should move due dates by day, weekday, month and interval", async function () {
+      // 2030-01-07 is a Monday; repeat on Monday, Wednesday and Friday
+      await addRecurring("Report", utc(2030, 1, 7), rule(Frequency.Weekly, { weekdays: 0b0101010 }));
+      expect(await followSeries(0, 3)).to.deep.equal([utc(2030, 1, 9), utc(2030, 1, 11), utc(2030, 1, 14)]);
+
+      // Without chosen days a weekly task keeps its weekday
+      await addRecurring("Handoff", utc(2030, 1, 10, 17), rule(Frequency.Weekly));
+      expect(await followSeries(4, 1)).to.deep.equal([utc(2030, 1, 17, 17)]);
+
+      // Monthly tasks keep the due date's day, falling on the last day of shorter months only,
+      // across leap years and year ends
+      await addRecurring("Invoice", utc(2028, 1, 31), rule(Frequency.Monthly));
+      expect((await taskManager.getTask(6)).recurrence.monthDay).to.equal(31);
+      expect(await followSeries(6, 2)).to.deep.equal([utc(2028, 2, 29), utc(2028, 3, 31)]);
+      await addRecurring("Review", utc(2030, 12, 15), rule(Frequency.Monthly));
+      expect(await followSeries(9, 1)).to.deep.equal([utc(2031, 1, 15)]);
+
+      await addRecurring("Backup", utc(2030, 1, 1), rule(Frequency.EveryNDays, { interval: 10 }));
+      expect(await followSeries(11, 2)).to.deep.equal([utc(2030, 1, 11), utc(2030, 1, 21)]);
+
+      // A monthly rule can name its day, for a first occurrence that isn't on it
+      await addRecurring("Rent", utc(2030, 1, 15), rule(Frequency.Monthly, { monthDay: 30 }));
+      expect(await followSeries(14, 2)).to.deep.equal([utc(2030, 2, 28), utc(2030, 3, 30)]);
+    });
+
+    it("Should stop repeating after the end date or when the rule is cleared", async function () {
+      await addRecurring("Sprint", utc(2030, 1, 1), rule(Frequency.Daily, { endDate: utc(2030, 1, 3) }));
+      expect(await followSeries(0, 5)).to.deep.equal([utc(2030, 1, 2), utc(2030, 1, 3)]);
+
+      await addRecurring("Habit", utc(2030, 1, 1), rule(Frequency.Daily));
+      await setRule(3, rule(Frequency.None, { interval: 5 }));
+      const task = await taskManager.getTask(3);
+      expect(task.recurrence.frequency).to.equal(Frequency.None);
+      expect(task.recurrence.interval).to.equal(0);
+      expect(await completeOccurrence(3)).to.equal(null);
+    });
+
+    it("Should add recurring tasks to projects and the next occurrence to the project", async function () {
+      await taskManager.createProject("Ops");
+      await taskManager.setProjectMember(1, addr1.address, ProjectRole.Member);
+      await taskManager.setProjectMember(1, addr2.address, ProjectRole.Viewer);
+      await expect(taskManager.connect(addr2)[ADD_RECURRING]("Handoff", "", Priority.Medium, utc(2030, 1, 6), 1, rule(Frequency.Weekly)))
+        .to.be.revertedWith("Not allowed to add tasks to this project");
+      await taskManager.connect(addr1)[ADD_RECURRING]("On-call handoff", "", Priority.Medium, utc(2030, 1, 6), 1, rule(Frequency.Weekly));
+
+      // A project admin completes it; the next occurrence stays with the task's owner
+      await taskManager.completeTask(0);
+      const next = await taskManager.getTask(1);
+      expect(next.owner).to.equal(addr1.address);
+      expect(next.projectId).to.equal(1);
+      expect((await taskManager.fetchProjectTasks(1)).map((t) => t.id.toNumber())).to.deep.equal([0, 1]);
+    });
+
+    it("Should validate repeat rules and who may set them", async function () {
+      await taskManager["addTask(string,string)"]("No due date", "");
+      await taskManager["addTask(string,string,uint8,uint256)"]("Dated", "", Priority.Low, utc(2030, 1, 10));
+
+      await expect(addRecurring("Undated", 0, rule(Frequency.Daily))).to.be.revertedWith("Invalid recurrence");
+      await expect(setRule(0, rule(Frequency.Daily))).to.be.revertedWith("Invalid recurrence");
+      await expect(setRule(1, rule(Frequency.Weekly, { weekdays: 128 }))).to.be.revertedWith("Invalid recurrence");
+      await expect(setRule(1, rule(Frequency.Monthly, { monthDay: 32 }))).to.be.revertedWith("Invalid recurrence");
+      await expect(setRule(1, rule(Frequency.EveryNDays))).to.be.revertedWith("Invalid recurrence");
+      await expect(setRule(1, rule(Frequency.Daily, { endDate: utc(2030, 1, 9) }))).to.be.revertedWith("Invalid recurrence");
+      await expect(setRule(1, rule(5))).to.be.reverted;
+      await expect(setRule(1, rule(Frequency.Daily), addr1)).to.be.revertedWith("Not authorized to edit this task");
+    });
+
+    it("Should check the repeat rule when the due date changes", async function () {
+      const EDIT = "editTask(uint256,string,string,uint8,uint256)";
+      await addRecurring("Sprint", utc(2030, 1, 10), rule(Frequency.Daily, { endDate: utc(2030, 1, 20) }));
+
+      // Edits that keep the rule can't take away the due date or move it past the end date
+      await expect(taskManager[EDIT](0, "Sprint", "", Priority.Low, 0)).to.be.revertedWith("Invalid recurrence");
+      await expect(taskManager[EDIT](0, "Sprint", "", Priority.Low, utc(2030, 1, 21))).to.be.revertedWith("Invalid recurrence");
+      await expect(taskManager[EDIT](0, "Sprint", "", Priority.Low, utc(2030, 1, 15)))
+        .to.emit(taskManager, "TaskUpdated")
+        .and.to.not.emit(taskManager, "TaskRecurrenceChanged");
+
+      // Changing both at once checks the new rule against the new due date
+      await expect(taskManager[EDIT_RECURRING](0, "Sprint", "", Priority.Low, 0, rule(Frequency.None)))
+        .to.emit(taskManager, "TaskRecurrenceChanged");
+      await expect(taskManager[EDIT_RECURRING](0, "Sprint", "", Priority.Low, utc(2030, 1, 31), rule(Frequency.Monthly)))
+        .to.emit(taskManager, "TaskRecurrenceChanged");
+      const task = await taskManager.getTask(0);
+      expect(task.dueDate).to.equal(utc(2030, 1, 31));
+      expect(task.recurrence.monthDay).to.equal(31);
+    });
+
+    it("Should skip the next occurrence when the owner is at the task limit", async function () {
+      const dueDate = utc(2030, 1, 10);
+      await addRecurring("Standup", dueDate, rule(Frequency.Daily));
+      await taskManager["addTask(string,string)"]("Other", "");
+      await taskManager.setMaxTasksPerUser(2);
+
+      // The task is still completed, and keeps its rule
+      await expect(taskManager.completeTask(0))
+        .to.emit(taskManager, "TaskRecurrenceSkipped")
+        .withArgs(0, dueDate + DAY)
+        .and.to.not.emit(taskManager, "TaskRecurred");
+      const task = await taskManager.getTask(0);
+      expect(task.status).to.equal(Status.Done);
+      expect(task.recurrence.frequency).to.equal(Frequency.Daily);
+      expect(await taskManager.getTaskCount()).to.equal(2);
+
+      // Once there is room, completing it again adds the occurrence
+      await taskManager.deleteTask(1);
+      await taskManager.uncompleteTask(0);
+      expect(await completeOccurrence(0)).to.equal(2);
+    });
+  });
+
+  describe("Public Task Lists", function () {
+    beforeEach(async function () {
+      await taskManager.connect(addr1)["addTask(string,string)"]("Public Task", "Visible on a profile");
+      await taskManager.connect(addr1)["addTask(string,string)"]("Second Task", "Also visible");
+    });
+
+    it("Should keep task lists private by default", async function () {
+      expect(await taskManager.hasPublicTasks(addr1.address)).to.equal(false);
+      await expect(taskManager.connect(addr2).fetchTasksOf(addr1.address))
+        .to.be.revertedWith("Task list is private");
+
+      // Owners can always read their own list
+      const tasks = await taskManager.connect(addr1).fetchTasksOf(addr1.address);
+      expect(tasks.map(t => t.title)).to.deep.equal(["Public Task", "Second Task"]);
+    });
+
+    it("Should let anyone read a public task list without an account", async function () {
+      await expect(taskManager.connect(addr1).setTasksPublic(true))
+        .to.emit(taskManager, "TaskVisibilityChanged")
+        .withArgs(addr1.address, true);
+      expect(await taskManager.hasPublicTasks(addr1.address)).to.equal(true);
+
+      // A read-only provider calls from the zero address
+      const reader = taskManager.connect(new ethers.VoidSigner(ethers.constants.AddressZero, ethers.provider));
+      const tasks = await reader.fetchTasksOf(addr1.address);
+      expect(tasks.map(t => t.title)).to.deep.equal(["Public Task", "Second Task"]);
+    });
+
+    it("Should make a task list private again", async function () {
+      await taskManager.connect(addr1).setTasksPublic(true);
+      await expect(taskManager.connect(addr1).setTasksPublic(false))
+        .to.emit(taskManager, "TaskVisibilityChanged")
+        .withArgs(addr1.address, false);
+
+      await expect(taskManager.connect(addr2).fetchTasksOf(addr1.address))
+        .to.be.revertedWith("Task list is private");
+      // Setting the same visibility again emits nothing
+      await expect(taskManager.connect(addr1).setTasksPublic(false))
+        .to.not.emit(taskManager, "TaskVisibilityChanged");
+    });
+
+    it("Should only list the tasks an account owns", async function () {
+      await taskManager.connect(addr1).setTasksPublic(true);
+      await taskManager.connect(addr1).transferTask(1, addr2.address);
+
+      expect((await taskManager.fetchTasksOf(addr1.address)).map(t => t.title)).to.deep.equal(["Public Task"]);
+      expect(await taskManager.connect(addr2).fetchTasksOf(addr2.address)).to.have.lengthOf(1);
+    });
+  });
+
+  describe("Encryption Keys", function () {
+    const publicKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("public key"));
+
+    it("Should have no encryption key until an account publishes one", async function () {
+      expect(await taskManager.getEncryptionKey(addr1.address)).to.equal(ethers.constants.HashZero);
+    });
+
+    it("Should let an account publish and replace its encryption key", async function () {
+      await expect(taskManager.connect(addr1).setEncryptionKey(publicKey))
+        .to.emit(taskManager, "EncryptionKeyChanged")
+        .withArgs(addr1.address, publicKey);
+      expect(await taskManager.getEncryptionKey(addr1.address)).to.equal(publicKey);
+
+      const newKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("new public key"));
+      await taskManager.connect(addr1).setEncryptionKey(newKey);
+      expect(await taskManager.getEncryptionKey(addr1.address)).to.equal(newKey);
+      // Keys are per account
+      expect(await taskManager.getEncryptionKey(addr2.address)).to.equal(ethers.constants.HashZero);
+    });
+
+    it("Should reject an empty encryption key", async function () {
+      await expect(taskManager.connect(addr1).setEncryptionKey(ethers.constants.HashZero))
+        .to.be.revertedWith("Invalid encryption key");
+    });
+
+    it("Should not publish encryption keys while paused", async function () {
+      await taskManager.setPaused(true);
+      await expect(taskManager.connect(addr1).setEncryptionKey(publicKey))
+        .to.be.revertedWith("Contract is paused");
+    });
+  });
+
+  describe("Off-chain Content", function () {
+    let directory;
+    let store;
+
+    // Manifest in the format the frontend stores, referenced on-chain as ipfs://<cid>
+    const manifest = (description, attachments = []) =>
+      Buffer.from(JSON.stringify({ version: 1, description, attachments }));
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "task-manager-content-"));
+      store = createFilesystemStore(directory);
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("Should keep only the content hash on-chain and read the content back from the store", async function () {
+      const attachment = Buffer.from("attached file");
+      const attachmentCid = await store.put(attachment);
+      const content = manifest("A description too long to store on-chain", [
+        { name: "notes.txt", type: "text/plain", size: attachment.length, blocks: [attachmentCid] }
+      ]);
+      const cid = await store.put(content);
+      expect(cid).to.equal(getCid(content));
+
+      await taskManager["addTask(string,string)"]("Off-chain task", `ipfs://${cid}`);
+      const task = await taskManager.getTask(0);
+      expect(task.description).to.equal(`ipfs://${cid}`);
+
+      const stored = JSON.parse((await store.get(task.description.slice("ipfs://".length))).toString());
+      expect(stored.description).to.equal("A description too long to store on-chain");
+      expect((await store.get(stored.attachments[0].blocks[0])).toString()).to.equal("attached file");
+    });
+
+    it("Should refuse content that doesn't match its hash", async function () {
+      const cid = await store.put(manifest("Original description"));
+      fs.writeFileSync(path.join(directory, cid), manifest("Tampered description"));
+
+      let error;
+      try {
+        await store.get(cid);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include("does not match its hash");
+    });
+
+    it("Should return null for content the store doesn't have", async function () {
+      expect(await store.get(getCid(Buffer.from("never stored")))).to.equal(null);
+    });
+
+    it("Should serve the IPFS block API from the stand-in server", async function () {
+      const server = createContentServer({ store });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const apiUrl = `http://127.0.0.1:${server.address().port}`;
+        const ipfs = createIpfsStore({ apiUrl });
+
+        const content = manifest("Stored through the API");
+        const cid = await ipfs.put(content);
+        expect(cid).to.equal(getCid(content));
+        expect((await ipfs.get(cid)).equals(content)).to.equal(true);
+        expect(await ipfs.get(getCid(Buffer.from("never stored")))).to.equal(null);
+
+        // The gateway path serves the same block
+        const response = await fetch(`${apiUrl}/ipfs/${cid}`);
+        expect(Buffer.from(await response.arrayBuffer()).equals(content)).to.equal(true);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("Task Events", function () {
+    beforeEach(async function () {
+      await taskManager["addTask(string,string,uint8,uint256)"]("Task", "Original", Priority.Low, 0);
+      await taskManager.setCollaborator(0, addr1.address, Permission.Edit);
+    });
+
+    it("Should record who edited a task and the values they replaced", async function () {
+      const dueDate = (await time.latest()) + 86400;
+      const timestamp = await nextBlockTimestamp();
+
+      await expect(taskManager.connect(addr1)["editTask(uint256,string,string,uint8,uint256)"](0, "Edited", "Changed", Priority.High, dueDate))
+        .to.emit(taskManager, "TaskUpdated")
+        .withArgs(0, addr1.address, ["Task", "Original", Priority.Low, 0], ["Edited", "Changed", Priority.High, dueDate], timestamp);
+
+      await expect(taskManager.connect(addr1).setTaskStatus(0, Status.InProgress))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(0, addr1.address, Status.Todo, Status.InProgress, timestamp + 1);
+    });
+
+    it("Should let clients filter task events by task and actor", async function () {
+      await taskManager["addTask(string,string)"]("Other", "Not edited by addr1");
+      await taskManager.connect(addr1)["editTask(uint256,string,string)"](0, "By collaborator", "Edit");
+      await taskManager["editTask(uint256,string,string)"](0, "By owner", "Edit");
+      await taskManager["editTask(uint256,string,string)"](1, "Other task", "Edit");
+
+      const taskEdits = await taskManager.queryFilter(taskManager.filters.TaskUpdated(0));
+      expect(taskEdits.map(event => event.args.current.title)).to.deep.equal(["By collaborator", "By owner"]);
+
+      const collaboratorEdits = await taskManager.queryFilter(taskManager.filters.TaskUpdated(null, addr1.address));
+      expect(collaboratorEdits.map(event => event.args.previous.title)).to.deep.equal(["Task"]);
+
+      const added = await taskManager.queryFilter(taskManager.filters.TaskAdded(null, owner.address));
+      expect(added.map(event => event.args.content.title)).to.deep.equal(["Task", "Other"]);
+    });
+
+    it("Should record the owner of a task deleted by a moderator", async function () {
+      await taskManager.grantRole(await taskManager.MODERATOR_ROLE(), addr2.address);
+      await taskManager.connect(addr1)["addTask(string,string)"]("Spam", "Reported");
+
+      await taskManager.connect(addr2).adminDeleteTask(1);
+
+      const [deleted] = await taskManager.queryFilter(taskManager.filters.TaskDeleted(null, addr1.address));
+      expect(deleted.args.taskId).to.equal(1);
+      expect(deleted.args.actor).to.equal(addr2.address);
+    });
+  });
+
+  describe("Indexer", function () {
+    let db;
+    let indexer;
+
+    beforeEach(async function () {
+      db = openDatabase(":memory:");
+      db.bind({ chainId: 31337, contractAddress: taskManager.address, startBlock: 0 });
+      indexer = createIndexer({ db, provider: ethers.provider, contractAddress: taskManager.address });
+      // The indexer only lists public task lists
+      for (const account of [owner, addr1, addr2]) {
+        await taskManager.connect(account).setTasksPublic(true);
+      }
+    });
+
+    afterEach(function () {
+      db.close();
+    });
+
+    it("Should index tasks with their labels and relations", async function () {
+      await taskManager["addTask(string,string,uint8,uint256)"]("Write report", "Quarterly numbers", Priority.High, 0);
+      await taskManager.connect(addr1)["addTask(string,string)"]("Review report", "Check the numbers");
+      await taskManager.addSubtask(0, "Collect data", "From every team", Priority.Low, 0);
+      await taskManager.createLabel("Finance", 0x00ff00);
+      await taskManager.setTaskLabels(0, [1]);
+      await taskManager.addTaskBlocker(0, 2);
+      await taskManager.assignTask(0, addr2.address);
+
+      expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+
+      const task = db.getTask(0);
+      expect(task).to.include({ title: "Write report", description: "Quarterly numbers", owner: owner.address, priority: Priority.High });
+      expect(task.assignee).to.equal(addr2.address);
+      expect(task.labels).to.deep.equal([{ id: 1, name: "Finance", color: "#00ff00", owner: owner.address }]);
+      expect(task.subtaskProgress).to.deep.equal({ completed: 0, total: 1 });
+      expect(task.blockedBy).to.deep.equal([2]);
+      expect(task.openBlockers).to.equal(1);
+      expect(db.getTask(2).parentId).to.equal(0);
+
+      // Completing the subtask updates the parent's rollup and open blockers without an event on the parent
+      await taskManager.completeTask(2);
+      await indexer.sync();
+      expect(db.getTask(0).subtaskProgress).to.deep.equal({ completed: 1, total: 1 });
+      expect(db.getTask(0).openBlockers).to.equal(0);
+    });
+
+    it("Should search, filter and sort tasks across accounts", async function () {
+      await taskManager["addTask(string,string,uint8,uint256)"]("Buy groceries", "Milk and bread", Priority.Low, 0);
+      await taskManager.connect(addr1)["addTask(string,string,uint8,uint256)"]("Bake bread", "Sourdough", Priority.High, 0);
+      await taskManager.connect(addr1)["addTask(string,string,uint8,uint256)"]("Fix bike", "Flat tyre", Priority.Medium, 0);
+      await taskManager.connect(addr1).completeTask(2);
+      await indexer.sync();
+
+      const search = db.queryTasks({ search: "bread" });
+      expect(search.tasks.map((t) => t.id)).to.deep.equal([0, 1]);
+      // Words match as prefixes, and FTS syntax in the input is treated as text
+      expect(db.queryTasks({ search: "groc" }).tasks.map((t) => t.id)).to.deep.equal([0]);
+      expect(db.queryTasks({ search: 'bread" OR "bike' }).total).to.equal(0);
+
+      const owned = db.queryTasks({ owner: addr1.address.toLowerCase(), statuses: [Status.Todo] });
+      expect(owned.tasks.map((t) => t.id)).to.deep.equal([1]);
+
+      const byPriority = db.queryTasks({ sort: "priority", order: "desc" });
+      expect(byPriority.tasks.map((t) => t.id)).to.deep.equal([1, 2, 0]);
+
+      const firstPage = db.queryTasks({ limit: 2 });
+      expect(firstPage.total).to.equal(3);
+      expect(firstPage.nextCursor).to.equal(2);
+      const lastPage = db.queryTasks({ limit: 2, cursor: firstPage.nextCursor });
+      expect(lastPage.tasks.map((t) => t.id)).to.deep.equal([2]);
+      expect(lastPage.nextCursor).to.equal(0);
+
+      const stats = db.getStats(Math.floor(Date.now() / 1000));
+      expect(stats).to.include({ tasks: 3, owners: 2, deleted: 0 });
+      expect(stats.byStatus).to.include({ todo: 2, done: 1 });
+      expect(stats.byPriority).to.deep.equal({ low: 1, medium: 1, high: 1 });
+    });
+
+    it("Should only list and search the tasks of public task lists", async function () {
+      await taskManager["addTask(string,string)"]("Public plan", "Shared");
+      await taskManager.connect(addr1)["addTask(string,string)"]("Private plan", "Hidden");
+      await taskManager.connect(addr1).setTasksPublic(false);
+      await taskManager.assignTask(0, addr1.address);
+      await taskManager.connect(addr1).assignTask(1, owner.address);
+      await indexer.sync();
+
+      expect(db.queryTasks({ owner: addr1.address }).total).to.equal(0);
+      expect(db.queryTasks({ assignee: owner.address }).total).to.equal(0);
+      expect(db.queryTasks({ search: "plan" }).tasks.map((t) => t.id)).to.deep.equal([0]);
+      expect(db.queryTasks({}).tasks.map((t) => t.id)).to.deep.equal([0]);
+
+      // Making the list public again lists its tasks, and a reorg that drops the change hides them again
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await taskManager.connect(addr1).setTasksPublic(true);
+      await indexer.sync();
+      expect(db.queryTasks({ owner: addr1.address }).tasks.map((t) => t.id)).to.deep.equal([1]);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_mine", []);
+      await indexer.sync();
+      expect(db.queryTasks({ owner: addr1.address }).total).to.equal(0);
+    });
+
+    it("Should filter tasks by due date range and sort undated tasks last", async function () {
+      const now = await time.latest();
+      await taskManager["addTask(string,string,uint8,uint256)"]("Someday", "", Priority.Low, 0);
+      await taskManager["addTask(string,string,uint8,uint256)"]("Tomorrow", "", Priority.Low, now + 86400);
+      await taskManager["addTask(string,string,uint8,uint256)"]("Next week", "", Priority.Low, now + 7 * 86400);
+      await indexer.sync();
+
+      expect(db.queryTasks({ dueAfter: now, dueBefore: now + 2 * 86400 }).tasks.map((t) => t.id)).to.deep.equal([1]);
+      expect(db.queryTasks({ dueAfter: now + 2 * 86400 }).tasks.map((t) => t.id)).to.deep.equal([2]);
+      expect(db.queryTasks({ sort: "dueDate" }).tasks.map((t) => t.id)).to.deep.equal([1, 2, 0]);
+      expect(db.queryTasks({ sort: "dueDate", order: "desc" }).tasks.map((t) => t.id)).to.deep.equal([2, 1, 0]);
+    });
+
+    it("Should keep the history of a task after it is deleted", async function () {
+      await taskManager["addTask(string,string)"]("Draft", "First version");
+      await taskManager["editTask(uint256,string,string,uint8,uint256)"](0, "Final", "Second version", Priority.Medium, 0);
+      await taskManager.setTaskStatus(0, Status.InProgress);
+      await taskManager.deleteTask(0);
+      await indexer.sync();
+
+      expect(db.getTask(0)).to.include({ title: "Final", deleted: true });
+      expect(db.queryTasks({}).total).to.equal(0);
+      expect(db.queryTasks({ includeDeleted: true }).total).to.equal(1);
+
+      const history = db.getTaskHistory(0);
+      expect(history.map((event) => event.name)).to.deep.equal(["TaskAdded", "TaskUpdated", "TaskStatusChanged", "TaskDeleted"]);
+      expect(history[1].args).to.include({ taskId: 0, actor: owner.address });
+      expect(history[1].args.current).to.include({ title: "Final", description: "Second version" });
+      expect(history[2].args).to.include({ oldStatus: Status.Todo, newStatus: Status.InProgress });
+    });
+
+    it("Should index repeat rules and link each occurrence to the next", async function () {
+      const dueDate = (await time.latest()) + 86400;
+      await taskManager["addTask(string,string,uint8,uint256,uint256,(uint8,uint8,uint16,uint8,uint256))"]("Standup", "", Priority.Low, dueDate, 0, [Frequency.EveryNDays, 0, 2, 0, 0]);
+      await taskManager.completeTask(0);
+      await indexer.sync();
+
+      expect(db.getTask(0).recurrence).to.equal(null);
+      expect(db.getTask(1)).to.deep.include({
+        dueDate: dueDate + 2 * 86400,
+        recurrence: { frequency: Frequency.EveryNDays, weekdays: 0, interval: 2, monthDay: 0, endDate: null },
+      });
+
+      const history = db.getTaskHistory(0);
+      expect(history.map((event) => event.name)).to.include.members(["TaskRecurrenceChanged", "TaskRecurred"]);
+      expect(db.getTaskHistory(1).map((event) => event.name)).to.deep.equal(["TaskAdded", "TaskRecurred"]);
+    });
+
+    it("Should resume from its last block after a restart", async function () {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "task-manager-indexer-"));
+      const file = path.join(directory, "index.sqlite");
+      try {
+        let fileDb = openDatabase(file);
+        fileDb.bind({ chainId: 31337, contractAddress: taskManager.address, startBlock: 0 });
+        await taskManager["addTask(string,string)"]("Before restart", "");
+        await createIndexer({ db: fileDb, provider: ethers.provider, contractAddress: taskManager.address }).sync();
+        const lastBlock = fileDb.getLastBlock();
+        const events = fileDb.getStats(0).events;
+        fileDb.close();
+
+        await taskManager["addTask(string,string)"]("After restart", "");
+        fileDb = openDatabase(file);
+        fileDb.bind({ chainId: 31337, contractAddress: taskManager.address, startBlock: 0 });
+        expect(fileDb.getLastBlock()).to.equal(lastBlock);
+        await createIndexer({ db: fileDb, provider: ethers.provider, contractAddress: taskManager.address }).sync();
+
+        expect(fileDb.queryTasks({}).tasks.map((t) => t.title)).to.deep.equal(["Before restart", "After restart"]);
+        expect(fileDb.getStats(0).events).to.equal(events + 1);
+        // A database only ever indexes one deployment
+        expect(() => fileDb.bind({ chainId: 1, contractAddress: taskManager.address, startBlock: 0 })).to.throw("Use another database file");
+        fileDb.close();
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it("Should roll back blocks replaced by a reorg", async function () {
+      await taskManager["addTask(string,string)"]("Kept", "");
+      await indexer.sync();
+
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await taskManager["addTask(string,string)"]("Orphaned", "");
+      await taskManager.setTaskStatus(0, Status.InProgress);
+      await indexer.sync();
+      expect(db.queryTasks({}).total).to.equal(2);
+
+      // Replace the blocks with a different chain of the same height
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await taskManager.connect(addr1)["addTask(string,string)"]("Replacement", "");
+      await ethers.provider.send("evm_mine", []);
+      await indexer.sync();
+
+      expect(db.queryTasks({}).tasks.map((t) => t.title)).to.deep.equal(["Kept", "Replacement"]);
+      expect(db.getTask(0).status).to.equal(Status.Todo);
+      expect(db.getTaskHistory(0).map((event) => event.name)).to.deep.equal(["TaskAdded"]);
+      expect(db.getTaskHistory(1).map((event) => event.args.content.title)).to.deep.equal(["Replacement"]);
+    });
+
+    it("Should serve tasks, history and stats over HTTP", async function () {
+      await taskManager["addTask(string,string)"]("Indexed task", "Served by the API");
+      await indexer.sync();
+
+      const server = createIndexerServer({ db, chainId: 31337, contractAddress: taskManager.address });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const get = async (route) => {
+          const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`);
+          return { status: response.status, body: await response.json() };
+        };
+
+        const tasks = await get(`/tasks?owner=${owner.address}&q=served&sort=createdAt&order=desc`);
+        expect(tasks.status).to.equal(200);
+        expect(tasks.body.tasks.map((t) => t.title)).to.deep.equal(["Indexed task"]);
+        expect(tasks.body.blockNumber).to.equal(db.getLastBlock());
+
+        expect((await get("/tasks/0")).body.task.description).to.equal("Served by the API");
+        expect((await get("/tasks/0/history")).body.events.map((e) => e.name)).to.deep.equal(["TaskAdded"]);
+        expect((await get("/stats")).body.tasks).to.equal(1);
+        expect((await get("/tasks/7")).status).to.equal(404);
+        expect((await get("/tasks?sort=owner")).status).to.equal(400);
+        expect((await get("/tasks?owner=nobody")).status).to.equal(400);
+
+        await taskManager.setTasksPublic(false);
+        await indexer.sync();
+        expect((await get(`/tasks?owner=${owner.address}`)).body.tasks).to.deep.equal([]);
+        expect((await get("/tasks?q=served")).body.total).to.equal(0);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("Signed Requests", function () {
+    const FORWARD_REQUEST_TYPES = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "data", type: "bytes" },
+      ],
+    };
+
+    // Build and sign a request for a TaskManager call; addr2 plays the relayer in these tests
+    async function signRequest(signer, functionName, args, overrides = {}) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const request = {
+        from: signer.address,
+        to: taskManager.address,
+        gas: 500000,
+        nonce: (await forwarder.getNonce(signer.address)).toNumber(),
+        deadline: (await time.latest()) + 3600,
+        data: taskManager.interface.encodeFunctionData(functionName, args),
+        ...overrides,
+      };
+      const domain = { name: "TaskForwarder", version: "1", chainId, verifyingContract: forwarder.address };
+      const signature = await signer._signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+      return { request, signature };
+    }
+
+    it("Should add, edit, complete and delete tasks for the signer", async function () {
+      let signed = await signRequest(addr1, "addTask(string,string,uint8,uint256)", ["Signed Task", "Gasless", Priority.High, 0]);
+      let timestamp = await nextBlockTimestamp();
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.emit(taskManager, "TaskAdded")
+        .withArgs(0, addr1.address, 0, ["Signed Task", "Gasless", Priority.High, 0], timestamp);
+
+      // The signer, not the relayer, is recorded as the actor
+      signed = await signRequest(addr1, "editTask(uint256,string,string)", [0, "Edited", "By signature"]);
+      timestamp = await nextBlockTimestamp();
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.emit(taskManager, "TaskUpdated")
+        .withArgs(0, addr1.address, ["Signed Task", "Gasless", Priority.High, 0], ["Edited", "By signature", Priority.High, 0], timestamp);
+
+      signed = await signRequest(addr1, "completeTask", [0]);
+      await forwarder.connect(addr2).execute(signed.request, signed.signature);
+
+      const task = await taskManager.getTask(0);
+      expect(task.owner).to.equal(addr1.address);
+      expect(task.title).to.equal("Edited");
+      expect(task.status).to.equal(Status.Done);
+      expect(await taskManager.connect(addr2).getTaskCount()).to.equal(0);
+
+      signed = await signRequest(addr1, "deleteTask", [0]);
+      timestamp = await nextBlockTimestamp();
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.emit(taskManager, "TaskDeleted")
+        .withArgs(0, addr1.address, addr1.address, timestamp);
+      expect(await forwarder.getNonce(addr1.address)).to.equal(4);
+    });
+
+    it("Should add and edit recurring tasks for the signer", async function () {
+      const dueDate = (await time.latest()) + 86400;
+      let signed = await signRequest(addr1, "addTask(string,string,uint8,uint256,uint256,(uint8,uint8,uint16,uint8,uint256))", [
+        "Standup", "", Priority.Low, dueDate, 0, [Frequency.Daily, 0, 0, 0, 0],
+      ]);
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.emit(taskManager, "TaskRecurrenceChanged");
+
+      signed = await signRequest(addr1, "editTask(uint256,string,string,uint8,uint256,(uint8,uint8,uint16,uint8,uint256))", [
+        0, "Standup", "", Priority.Low, dueDate, [Frequency.EveryNDays, 0, 3, 0, 0],
+      ]);
+      await forwarder.connect(addr2).execute(signed.request, signed.signature);
+
+      const task = await taskManager.getTask(0);
+      expect(task.owner).to.equal(addr1.address);
+      expect(task.recurrence.interval).to.equal(3);
+    });
+
+    it("Should reject replayed and out-of-order nonces", async function () {
+      const signed = await signRequest(addr1, "addTask(string,string)", ["Once", "Only once"]);
+      await forwarder.connect(addr2).execute(signed.request, signed.signature);
+
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.be.revertedWith("Invalid signature or nonce");
+
+      const skipped = await signRequest(addr1, "addTask(string,string)", ["Later", "Nonce skipped"], { nonce: 5 });
+      await expect(forwarder.connect(addr2).execute(skipped.request, skipped.signature))
+        .to.be.revertedWith("Invalid signature or nonce");
+    });
+
+    it("Should reject expired requests", async function () {
+      const signed = await signRequest(addr1, "addTask(string,string)", ["Late", "Too late"]);
+      await time.increaseTo(signed.request.deadline + 1);
+
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.be.revertedWith("Request expired");
+    });
+
+    it("Should reject requests signed by someone else", async function () {
+      const signed = await signRequest(addr2, "addTask(string,string)", ["Forged", "Not mine"], { from: addr1.address });
+
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.be.revertedWith("Invalid signature or nonce");
+    });
+
+    it("Should only relay task add, edit, complete and delete calls", async function () {
+      await taskManager.connect(addr1)["addTask(string,string)"]("Mine", "Keep it");
+      const signed = await signRequest(addr1, "transferTask", [0, addr2.address]);
+
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.be.revertedWith("Function cannot be relayed");
+    });
+
+    it("Should apply the signer's permissions and keep the nonce when the call reverts", async function () {
+      await taskManager["addTask(string,string)"]("Owner's Task", "Created by owner");
+      const signed = await signRequest(addr1, "deleteTask", [0]);
+
+      await expect(forwarder.connect(addr2).execute(signed.request, signed.signature))
+        .to.be.revertedWith("Only the task owner can delete this task");
+      expect(await forwarder.getNonce(addr1.address)).to.equal(0);
+    });
+
+    it("Should check requests at the relayer before paying for them", async function () {
+      await taskManager["addTask(string,string)"]("Owner's Task", "Created by owner");
+      const server = createRelayServer({ signer: addr2, forwarderAddress: forwarder.address, taskManagerAddress: taskManager.address });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const post = async (body) => {
+          const response = await fetch(`http://127.0.0.1:${server.address().port}/relay`, {
+            method: "POST",
+            body: typeof body === "string" ? body : JSON.stringify(body),
+          });
+          return { status: response.status, body: await response.json() };
+        };
+        const signed = await signRequest(addr1, "addTask(string,string)", ["Relayed", "Over HTTP"]);
+
+        expect(await post("not json")).to.deep.equal({ status: 400, body: { error: "Request body must be JSON" } });
+        expect((await post({ request: signed.request })).status).to.equal(400);
+        expect(await post({ ...signed, request: { ...signed.request, gas: undefined } }))
+          .to.deep.equal({ status: 400, body: { error: "Requests must state the gas they may use" } });
+        expect(await post({ ...signed, request: { ...signed.request, gas: "lots" } }))
+          .to.deep.equal({ status: 400, body: { error: "Requests must state the gas they may use" } });
+        expect(await post({ ...signed, request: { ...signed.request, gas: 2000000 } }))
+          .to.deep.equal({ status: 400, body: { error: "Requests may use at most 1000000 gas" } });
+        expect(await post({ ...signed, request: { ...signed.request, to: forwarder.address } }))
+          .to.deep.equal({ status: 400, body: { error: "Requests must target the TaskManager contract" } });
+
+        const transfer = await signRequest(addr1, "transferTask", [0, addr2.address]);
+        expect(await post(transfer)).to.deep.equal({ status: 400, body: { error: "Function cannot be relayed" } });
+
+        // Requests that would revert are simulated and refused without sending a transaction
+        const relayerNonce = await addr2.getTransactionCount();
+        const deletion = await signRequest(addr1, "deleteTask", [0]);
+        const refused = await post(deletion);
+        expect(refused.status).to.equal(422);
+        expect(refused.body.error).to.include("Only the task owner can delete this task");
+        expect(await addr2.getTransactionCount()).to.equal(relayerNonce);
+
+        const relayed = await post(signed);
+        expect(relayed.status).to.equal(200);
+        await ethers.provider.waitForTransaction(relayed.body.transactionHash);
+        expect((await taskManager.getTask(1)).owner).to.equal(addr1.address);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("Should not let other callers spoof the signer", async function () {
+      await taskManager["addTask(string,string)"]("Owner's Task", "Created by owner");
+      const data = taskManager.interface.encodeFunctionData("deleteTask", [0]);
+
+      // Appending an address only counts when the call comes from the trusted forwarder
+      await expect(addr1.sendTransaction({ to: taskManager.address, data: data + owner.address.slice(2) }))
+        .to.be.revertedWith("Only the task owner can delete this task");
+    });
+  });
+
+  describe("Access Control", function () {
+    it("Should prevent non-owners from editing tasks", async function () {
+      // Owner creates a task
+      await taskManager["addTask(string,string)"]("Owner's Task", "Created by owner");
+      
+      // Another user tries to edit it
+      await expect(
+        taskManager.connect(addr1)["editTask(uint256,string,string)"](0, "Hacked Title", "Hacked Description")
+      ).to.be.revertedWith("Not authorized to edit this task");
+    });
+
+    it("Should prevent non-owners from completing tasks", async function () {
+      // Owner creates a task
+      await taskManager["addTask(string,string)"]("Owner's Task", "Created by owner");
+      
+      // Another user tries to complete it
+      await expect(
+        taskManager.connect(addr1).completeTask(0)
+      ).to.be.revertedWith("Not authorized to modify this task");
+    });
+
+    it("Should prevent non-owners from deleting tasks", async function () {
+      // Owner creates a task
+      await taskManager["addTask(string,string)"]("Owner's Task", "Created by owner");
+      
+      // Another user tries to delete it
+      await expect(
+        taskManager.connect(addr1).deleteTask(0)
+      ).to.be.revertedWith("Only the task owner can delete this task");
+    });
+
+    it("Should allow different users to manage their own tasks", async function () {
+      // User 1 creates a task
+      await taskManager.connect(addr1)["addTask(string,string)"]("User 1 Task", "Created by user 1");
+      
+      // User 2 creates a task
+      await taskManager.connect(addr2)["addTask(string,string)"]("User 2 Task", "Created by user 2");
+      
+      // User 1 should be able to edit their own task
+      await taskManager.connect(addr1)["editTask(uint256,string,string)"](0, "Updated User 1 Task", "Updated by user 1");
       
       // User 2 should be able to edit their own task
-      await taskManager.connect(addr2).editTask(1, "Updated User 2 Task", "Updated by user 2");
+      await taskManager.connect(addr2)["editTask(uint256,string,string)"](1, "Updated User 2 Task", "Updated by user 2");
       
       // Check task details
       const task1 = await taskManager.getTask(0);
@@ -390,4 +2347,132 @@ describe("TaskManager", function () {
       expect(task2.title).to.equal("Updated User 2 Task");
     });
   });
+
+  describe("Upgrades", function () {
+    let TaskManagerV2;
+
+    beforeEach(async function () {
+      TaskManagerV2 = await ethers.getContractFactory("TaskManagerV2", { libraries });
+    });
+
+    // Deploy the second version and point the proxy at it, running its migration step
+    async function upgradeToV2() {
+      const implementation = await TaskManagerV2.deploy(forwarder.address);
+      await implementation.deployed();
+      await proxyAdmin.upgradeAndCall(
+        taskManager.address,
+        implementation.address,
+        TaskManagerV2.interface.encodeFunctionData("initializeV2")
+      );
+      expect(await proxyAdmin.getProxyImplementation(taskManager.address)).to.equal(implementation.address);
+      return TaskManagerV2.attach(taskManager.address);
+    }
+
+    it("Should keep tasks readable and editable after an upgrade", async function () {
+      // State created by the first version
+      await taskManager.connect(addr1)["addTask(string,string,uint8,uint256)"]("Before upgrade", "Created by v1", Priority.High, 0);
+      await taskManager.connect(addr1)["addTask(string,string)"]("Second task", "Also v1");
+      await taskManager.connect(addr1).setCollaborator(0, addr2.address, Permission.Edit);
+      await taskManager.connect(addr1).createLabel("urgent", 0xff0000);
+      await taskManager.connect(addr1).addTaskLabel(0, 1);
+      await taskManager.connect(addr1).setParentTask(1, 0);
+      await taskManager.connect(addr1).setTasksPublic(true);
+      await taskManager.setMaxTasksPerUser(5);
+      const before = await taskManager.getTask(0);
+
+      const upgraded = await upgradeToV2();
+
+      // Everything reads back the same through the proxy address
+      const after = await upgraded.getTask(0);
+      expect(after.title).to.equal(before.title);
+      expect(after.description).to.equal(before.description);
+      expect(after.priority).to.equal(Priority.High);
+      expect(after.owner).to.equal(addr1.address);
+      expect(after.createdAt).to.equal(before.createdAt);
+      expect(await upgraded.connect(addr1).getTaskCount()).to.equal(2);
+      expect(await upgraded.getPermission(0, addr2.address)).to.equal(Permission.Edit);
+      expect((await upgraded.getTaskLabels(0)).map(label => label.name)).to.deep.equal(["urgent"]);
+      expect((await upgraded.getSubtasks(0)).map(task => task.title)).to.deep.equal(["Second task"]);
+      expect(await upgraded.hasPublicTasks(addr1.address)).to.equal(true);
+      expect(await upgraded.getMaxTasksPerUser()).to.equal(5);
+      expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+
+      // Tasks created before the upgrade can still be edited, completed and deleted
+      await upgraded.connect(addr2)["editTask(uint256,string,string)"](0, "Edited after upgrade", "By a collaborator");
+      expect((await upgraded.getTask(0)).title).to.equal("Edited after upgrade");
+      await upgraded.connect(addr1).completeTask(1);
+      expect((await upgraded.getTask(1)).status).to.equal(Status.Done);
+      await upgraded.connect(addr1)["addTask(string,string)"]("After upgrade", "Created by v2");
+      expect((await upgraded.getTask(2)).title).to.equal("After upgrade");
+      await upgraded.connect(addr1).deleteTask(2);
+      expect(await upgraded.connect(addr1).getTaskCount()).to.equal(2);
+    });
+
+    it("Should append new state without disturbing existing tasks", async function () {
+      await taskManager.connect(addr1)["addTask(string,string)"]("Task", "Description");
+
+      const upgraded = await upgradeToV2();
+      expect(await upgraded.getUpgradedAt()).to.equal(await time.latest());
+      expect((await upgraded.getTask(0)).title).to.equal("Task");
+    });
+
+    it("Should keep trusting the forwarder after an upgrade", async function () {
+      const upgraded = await upgradeToV2();
+      expect(await upgraded.isTrustedForwarder(forwarder.address)).to.equal(true);
+    });
+
+    it("Should run the migration step only once", async function () {
+      const upgraded = await upgradeToV2();
+      await expect(upgraded.initializeV2()).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should only let the proxy admin's owner upgrade", async function () {
+      const implementation = await TaskManagerV2.deploy(forwarder.address);
+      await implementation.deployed();
+
+      await expect(
+        proxyAdmin.connect(addr1).upgrade(taskManager.address, implementation.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      // Calls from anyone but the ProxyAdmin go to TaskManager, which has no upgrade function
+      await expect(
+        owner.sendTransaction({
+          to: taskManager.address,
+          data: new ethers.utils.Interface(["function upgradeTo(address)"]).encodeFunctionData("upgradeTo", [implementation.address])
+        })
+      ).to.be.reverted;
+      expect(await proxyAdmin.getProxyImplementation(taskManager.address)).to.not.equal(implementation.address);
+    });
+
+    it("Should accept the storage layout of the next version", async function () {
+      const layout = await getStorageLayout(hre, "TaskManager");
+      expect(compareStorageLayouts(layout, await getStorageLayout(hre, "TaskManagerV2"))).to.deep.equal([]);
+    });
+
+    it("Should reject storage layouts that move existing state", async function () {
+      const layout = await getStorageLayout(hre, "TaskManager");
+
+      // Dropping a variable shifts the ones after it
+      const removed = layout.filter(variable => variable.label !== "_publicTasks");
+      expect(compareStorageLayouts(layout, removed)).to.include("_publicTasks: removed, renamed or moved from slot 32");
+
+      // Retyping a variable in place
+      const retyped = layout.map(variable => variable.label === "_maxTasksPerUser"
+        ? { ...variable, type: { ...variable.type, label: "uint128", numberOfBytes: "16" } }
+        : variable);
+      expect(compareStorageLayouts(layout, retyped)).to.deep.equal(["_maxTasksPerUser: type changed from uint256 to uint128"]);
+
+      // Adding a field to a library store laid out in place
+      const grown = layout.map(variable => variable.label === "_sharing"
+        ? {
+            ...variable,
+            type: {
+              ...variable.type,
+              numberOfBytes: "96",
+              members: [...variable.type.members, { label: "extra", slot: "2", offset: 0, type: { label: "uint256", encoding: "inplace", numberOfBytes: "32" } }]
+            }
+          }
+        : variable);
+      expect(compareStorageLayouts(layout, grown)).to.deep.equal(["_sharing: size changed from 64 to 96 bytes"]);
+    });
+  });
 }); 
\ No newline at end of file